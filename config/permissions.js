@@ -0,0 +1,202 @@
+/**
+ * Central permission policy.
+ *
+ * Actions are named "<resource>:<verb>". For each action the policy lists the
+ * roles allowed to perform it and under which scopes:
+ *   - "any":      on every resource of that type
+ *   - "own":      only on resources the user owns (see `conditions` below)
+ *   - "assigned": only on resources assigned to the user (custom designs)
+ *
+ * Routes guard with `authorize(action)`, which only checks that the role has
+ * the action at all. Controllers that load a resource then call
+ * `can(req.user, action, resource)` to apply the scope.
+ *
+ * Requests made with an API key are further limited to the actions covered
+ * by the key's scopes (see `API_KEY_SCOPES`).
+ */
+
+export const ROLES = ["customer", "designer", "seller", "admin"]
+
+const ANY = ["any"]
+const OWN = ["own"]
+const ALL_ROLES_OWN = { customer: OWN, designer: OWN, seller: OWN, admin: OWN }
+const ALL_ROLES_ANY = { customer: ANY, designer: ANY, seller: ANY, admin: ANY }
+
+export const policy = {
+  // Own account
+  "profile:read": ALL_ROLES_OWN,
+  "profile:update": ALL_ROLES_OWN,
+  "favorite:manage": ALL_ROLES_OWN,
+  "address:manage": ALL_ROLES_OWN,
+  "measurement:manage": ALL_ROLES_OWN,
+  "account:export": ALL_ROLES_OWN,
+  "account:delete": ALL_ROLES_OWN,
+  "dashboard:read": ALL_ROLES_OWN,
+
+  // User administration
+  "user:list": { admin: ANY },
+  "user:read": { admin: ANY },
+  "user:update": { admin: ANY },
+  "user:delete": { admin: ANY },
+
+  // Products
+  "product:create": { designer: ANY, seller: ANY, admin: ANY },
+  "product:update": { designer: OWN, seller: OWN, admin: ANY },
+  "product:delete": { designer: OWN, seller: OWN, admin: ANY },
+  "product:review": ALL_ROLES_ANY,
+  "seller:dashboard": { seller: OWN, admin: OWN },
+
+  // Cart and orders
+  "cart:manage": ALL_ROLES_OWN,
+  "order:create": ALL_ROLES_OWN,
+  "order:read": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "order:list": { admin: ANY },
+  "order:updateStatus": { admin: ANY },
+  "order:cancel": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "order:refund": { admin: ANY },
+
+  // Returns
+  "return:create": ALL_ROLES_OWN,
+  "return:read": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "return:list": { admin: ANY },
+  "return:review": { admin: ANY },
+
+  // Promotions
+  "promotion:manage": { seller: OWN, admin: ANY },
+
+  // Shipping zones and rates
+  "shipping:manage": { admin: ANY },
+
+  // Tax rules
+  "tax:manage": { admin: ANY },
+
+  // Payments
+  "payment:process": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "payment:verify": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "payment:methods": ALL_ROLES_ANY,
+  "payment:webhooks": { admin: ANY },
+
+  // Custom designs
+  "customDesign:create": ALL_ROLES_OWN,
+  "customDesign:read": { customer: OWN, designer: ["own", "assigned"], seller: OWN, admin: ANY },
+  "customDesign:update": { customer: OWN, designer: ["own", "assigned"], seller: OWN, admin: ANY },
+  "customDesign:delete": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "customDesign:submit": ALL_ROLES_OWN,
+  "customDesign:list": { designer: ["assigned"], admin: ANY },
+  "customDesign:assign": { admin: ANY },
+  "customDesign:updateStatus": { designer: ["assigned"], admin: ANY },
+
+  // Virtual fitting
+  "virtualFitting:use": ALL_ROLES_OWN,
+
+  // Seller/designer applications
+  "application:create": { customer: OWN },
+  "application:read": { customer: OWN, designer: OWN, seller: OWN, admin: ANY },
+  "application:list": { admin: ANY },
+  "application:review": { admin: ANY },
+  "application:withdraw": { customer: OWN },
+
+  // Permission matrix and security settings
+  "permission:read": { admin: ANY },
+  "securityPolicy:manage": { admin: ANY },
+  "lockout:manage": { admin: ANY },
+
+  // API keys
+  "apiKey:manage": { seller: OWN },
+}
+
+// Scopes that can be granted to an API key, and the actions each one covers.
+// The key never grants more than the role of its owner allows.
+export const API_KEY_SCOPES = {
+  "products:read": ["seller:dashboard"],
+  "products:write": ["product:create", "product:update", "product:delete"],
+  "orders:read": ["order:read", "order:list"],
+}
+
+/**
+ * Whether any of the API key scopes covers the action.
+ * @param {string[]} scopes - Scopes granted to the key
+ * @param {string} action - Action name
+ * @returns {boolean}
+ */
+export const apiKeyAllows = (scopes, action) => {
+  return scopes.some((scope) => API_KEY_SCOPES[scope]?.includes(action))
+}
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString()
+
+// Ownership conditions per resource type. Resources without an entry cannot
+// be matched by that scope.
+const conditions = {
+  own: {
+    product: (user, product) => sameId(product.seller, user) || sameId(product.designer, user),
+    order: (user, order) => sameId(order.user, user),
+    return: (user, returnRequest) => sameId(returnRequest.user, user),
+    payment: (user, order) => sameId(order.user, user),
+    customDesign: (user, design) => sameId(design.user, user),
+    application: (user, application) => sameId(application.user, user),
+    promotion: (user, promotion) => sameId(promotion.createdBy, user),
+    profile: (user, profile) => sameId(profile, user),
+  },
+  assigned: {
+    customDesign: (user, design) => sameId(design.assignedDesigner, user),
+  },
+}
+
+/**
+ * Returns the scopes under which a role may perform an action.
+ * @param {string} role - User role
+ * @param {string} action - Action name, e.g. "product:update"
+ * @returns {string[]} Scopes, empty if the action is not allowed
+ */
+export const getScopes = (role, action) => {
+  return policy[action]?.[role] || []
+}
+
+/**
+ * Whether the user's role grants the action under the given scope.
+ * @param {object} user - User document
+ * @param {string} action - Action name
+ * @param {string} scope - "any", "own" or "assigned"
+ * @returns {boolean}
+ */
+export const hasScope = (user, action, scope) => {
+  return getScopes(user?.role, action).includes(scope)
+}
+
+/**
+ * Whether the user may perform the action on this particular resource.
+ * @param {object} user - User document
+ * @param {string} action - Action name, e.g. "product:update"
+ * @param {object} resource - The loaded resource
+ * @returns {boolean}
+ */
+export const can = (user, action, resource) => {
+  if (!user) return false
+
+  const scopes = getScopes(user.role, action)
+  if (scopes.includes("any")) return true
+  if (!resource) return false
+
+  const resourceType = action.split(":")[0]
+  return scopes.some((scope) => conditions[scope]?.[resourceType]?.(user, resource))
+}
+
+/**
+ * Builds the effective permission matrix: every action with the scopes
+ * granted to every role (empty array when denied).
+ * @returns {object} `{ roles, actions, matrix }`
+ */
+export const getPermissionMatrix = () => {
+  const actions = Object.keys(policy).sort()
+  const matrix = {}
+
+  actions.forEach((action) => {
+    matrix[action] = {}
+    ROLES.forEach((role) => {
+      matrix[action][role] = getScopes(role, action)
+    })
+  })
+
+  return { roles: ROLES, actions, matrix }
+}
@@ -18,6 +18,13 @@ import { loadCustomDesignModel } from "../services/loadCustomDesignModel.service
 import { calculateFittingResult } from "../services/calculateFittingResult.service.js";
 import { calculateFittingResultForCustomDesign } from "../services/calculateFittingResultForCustomDesign.service.js";
 import { getSizeScale } from "../services/getSizeScale.service.js";
+import {
+    UNIT_SYSTEMS,
+    parseMeasurementInput,
+    recordMeasurements,
+    getCurrentMeasurements,
+} from "../services/bodyMeasurement.service.js";
+import { findVariant } from "../services/productVariant.service.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,6 +42,25 @@ export const uploadUserPhoto = async (req, res) => {
             return res.status(400).json({ message: "User image is required" });
         }
 
+        // Handle the measurements before uploading anything
+        const units = req.body.units || req.user.preferredUnits || "metric";
+        if (!UNIT_SYSTEMS.includes(units)) {
+            return res.status(400).json({ message: `Units must be one of: ${UNIT_SYSTEMS.join(", ")}` });
+        }
+
+        const { values, errors } = parseMeasurementInput(measurements);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Invalid measurements", errors });
+        }
+
+        // Measurements are kept in the measurement history, not on the fitting profile
+        if (Object.keys(values).length > 0) {
+            const result = await recordMeasurements(req.user._id, values, { units, source: "virtualFitting" });
+            if (result.errors) {
+                return res.status(400).json({ message: "Implausible measurements", errors: result.errors });
+            }
+        }
+
         // Process image (e.g., upload to Cloudinary)
         const uploadResponse = await cloudinary.uploader.upload(userImage, {
             folder: `virtual-fitting/${req.user._id}/profile`,
@@ -48,12 +74,10 @@ export const uploadUserPhoto = async (req, res) => {
 
         if (virtualFitting) {
             virtualFitting.userImage = userImageUrl;
-            virtualFitting.bodyMeasurements = measurements; //Save measurements
         } else {
             virtualFitting = await VirtualFitting.create({
                 user: req.user._id,
                 userImage: userImageUrl,
-                bodyMeasurements: measurements,  //Save measurements
             });
         }
 
@@ -80,7 +104,10 @@ export const getVirtualFittingProfile = async (req, res) => {
           virtualFitting = await VirtualFitting.create({ user: req.user._id }); // Create profile if it doesn't exist
         }
 
-        res.status(200).json(virtualFitting);
+        // Include the current measurements from the measurement history
+        const bodyMeasurements = await getCurrentMeasurements(req.user._id);
+
+        res.status(200).json({ ...virtualFitting.toObject(), bodyMeasurements });
 
     } catch (error) {
         console.error("Error getting virtual fitting profile:", error);
@@ -95,7 +122,8 @@ export const getVirtualFittingProfile = async (req, res) => {
  */
 export const tryOnProduct = async (req, res) => {
   try {
-    const { productId, customDesignId, size, color } = req.body;
+    const { productId, customDesignId, variantId } = req.body;
+    let { size, color } = req.body;
 
     // Get user's virtual fitting profile OR CREATE ONE IF IT DOESN'T EXIST
     let virtualFitting = await VirtualFitting.findOne({ user: req.user._id });
@@ -105,6 +133,8 @@ export const tryOnProduct = async (req, res) => {
     }
 
     let product = null;
+    let variant = null;
+    let recommendedVariant = null;
     let customDesign = null;
     let fittingResult = {};
     let fittingImage = "";
@@ -128,6 +158,18 @@ export const tryOnProduct = async (req, res) => {
         return res.status(404).json({ message: "Product not found" });
       }
 
+      // A chosen variant decides the size and colour tried on
+      if (variantId) {
+        variant = findVariant(product, { variantId });
+        if (!variant) {
+          return res.status(404).json({ message: "Variant not found" });
+        }
+        size = variant.options.get("size") || size;
+        color = variant.options.get("color") || color;
+      } else {
+        variant = findVariant(product, { options: { size, color } });
+      }
+
       // Get product 3D model
       const productModel = await loadProductModel(product, size, color);
 
@@ -167,7 +209,12 @@ export const tryOnProduct = async (req, res) => {
 
       fittingImage = uploadResponse.secure_url;
 
-      fittingResult = calculateFittingResult(virtualFitting, product, size);
+      fittingResult = calculateFittingResult(await getCurrentMeasurements(req.user._id), product, size);
+
+      // The variant in the recommended size, in the colour tried on
+      recommendedVariant = findVariant(product, {
+        options: { ...(variant ? Object.fromEntries(variant.options) : { color }), size: fittingResult.sizeRecommendation },
+      });
     } else if (customDesignId) {
       // Process with custom design ID if provided
       customDesign = await CustomDesign.findById(customDesignId);
@@ -217,7 +264,7 @@ export const tryOnProduct = async (req, res) => {
 
       fittingImage = uploadResponse.secure_url;
 
-      fittingResult = calculateFittingResultForCustomDesign(virtualFitting, customDesign);
+      fittingResult = calculateFittingResultForCustomDesign(await getCurrentMeasurements(req.user._id), customDesign);
     } else {
       // If no product or custom design is provided, generate a basic try-on with just the user model
       // This is the new functionality where no product/design ID is required
@@ -279,6 +326,7 @@ export const tryOnProduct = async (req, res) => {
     // Add to try-on history
     const tryOnEntry = {
       product: productId || null,
+      variant: variant ? variant._id : null,
       customDesign: customDesignId || null,
       fittingResult,
       fittingImage,
@@ -302,6 +350,22 @@ export const tryOnProduct = async (req, res) => {
             images: product.images,
           }
           : null,
+        variant: variant
+          ? {
+            _id: variant._id,
+            sku: variant.sku,
+            options: variant.options,
+            images: variant.images,
+          }
+          : null,
+        recommendedVariant: recommendedVariant
+          ? {
+            _id: recommendedVariant._id,
+            sku: recommendedVariant.sku,
+            options: recommendedVariant.options,
+            inStock: !product.trackInventory || recommendedVariant.stock > 0,
+          }
+          : null,
         customDesign: customDesign
           ? {
             _id: customDesign._id,
@@ -0,0 +1,167 @@
+import User from "../models/user.model.js"
+import DataExport from "../models/dataExport.model.js"
+import { requestDataExport } from "../services/dataExport.service.js"
+import {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  ACCOUNT_DELETION_GRACE_DAYS,
+} from "../services/accountDeletion.service.js"
+import { findUserWithTwoFactor, verifySecondFactor } from "../services/twoFactor.service.js"
+
+/**
+ * @desc    Request an export of all personal data
+ * @route   POST /api/users/me/data-exports
+ * @access  Private
+ */
+export const createMyDataExport = async (req, res) => {
+  try {
+    const running = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ["pending", "processing"] },
+    })
+
+    if (running) {
+      return res.status(409).json({ message: "An export is already being prepared", dataExport: running })
+    }
+
+    const dataExport = await requestDataExport(req.user._id)
+
+    res.status(202).json({
+      message: "Your export is being prepared. We will email you when it is ready.",
+      dataExport,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List personal data exports
+ * @route   GET /api/users/me/data-exports
+ * @access  Private
+ */
+export const getMyDataExports = async (req, res) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+    res.json(dataExports)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Download a personal data export
+ * @route   GET /api/users/me/data-exports/:id/download
+ * @access  Private
+ */
+export const downloadMyDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id }).select("+archive")
+
+    if (!dataExport) {
+      return res.status(404).json({ message: "Export not found" })
+    }
+
+    if (dataExport.status !== "completed") {
+      return res.status(400).json({ message: `Export is ${dataExport.status}` })
+    }
+
+    res.set({
+      "Content-Type": "application/gzip",
+      "Content-Disposition": `attachment; filename="${dataExport.fileName}"`,
+      "Content-Length": dataExport.archive.length,
+    })
+    res.send(dataExport.archive)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get the deletion status of the account
+ * @route   GET /api/users/me/deletion
+ * @access  Private
+ */
+export const getMyAccountDeletion = async (req, res) => {
+  try {
+    res.json({
+      scheduled: Boolean(req.user.deletionScheduledFor),
+      deletionRequestedAt: req.user.deletionRequestedAt,
+      deletionScheduledFor: req.user.deletionScheduledFor,
+      gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Schedule the deletion of the account
+ * @route   POST /api/users/me/deletion
+ * @access  Private
+ */
+export const requestMyAccountDeletion = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" })
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({ message: "Account deletion is already scheduled" })
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Invalid password" })
+    }
+
+    if (user.twoFactor.enabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid authentication code" })
+    }
+
+    // Someone has to be left to run the platform
+    if (user.role === "admin" && (await User.countDocuments({ role: "admin" })) <= 1) {
+      return res.status(400).json({ message: "The last admin account cannot be deleted" })
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user)
+
+    res.json({
+      message: `Your account will be deleted on ${deletionScheduledFor.toUTCString()}. You can cancel until then.`,
+      deletionScheduledFor,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   DELETE /api/users/me/deletion
+ * @access  Private
+ */
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ message: "Account deletion is not scheduled" })
+    }
+
+    await cancelAccountDeletion(user)
+
+    res.json({ message: "Account deletion cancelled" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
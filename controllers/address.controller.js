@@ -0,0 +1,133 @@
+import Address from "../models/address.model.js"
+import {
+  pickAddressFields,
+  saveAddress,
+  createAddress,
+  deleteAddress,
+  findUserAddress,
+  missingAddressFields,
+} from "../services/address.service.js"
+
+/**
+ * @desc    List the saved addresses of the logged in user
+ * @route   GET /api/users/me/addresses
+ * @access  Private
+ */
+export const getMyAddresses = async (req, res) => {
+  try {
+    const addresses = await Address.find({ user: req.user._id }).sort({
+      isDefaultShipping: -1,
+      isDefaultBilling: -1,
+      updatedAt: -1,
+    })
+
+    res.json(addresses)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Save a new address
+ * @route   POST /api/users/me/addresses
+ * @access  Private
+ */
+export const createMyAddress = async (req, res) => {
+  try {
+    const fields = pickAddressFields(req.body)
+
+    const missing = missingAddressFields(fields)
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Missing address fields: ${missing.join(", ")}` })
+    }
+
+    const address = await createAddress(req.user._id, {
+      ...fields,
+      isDefaultShipping: req.body.isDefaultShipping,
+      isDefaultBilling: req.body.isDefaultBilling,
+    })
+
+    res.status(201).json(address)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get one saved address
+ * @route   GET /api/users/me/addresses/:id
+ * @access  Private
+ */
+export const getMyAddress = async (req, res) => {
+  try {
+    const address = await findUserAddress(req.user._id, req.params.id)
+
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" })
+    }
+
+    res.json(address)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Update a saved address
+ * @route   PUT /api/users/me/addresses/:id
+ * @access  Private
+ */
+export const updateMyAddress = async (req, res) => {
+  try {
+    const address = await findUserAddress(req.user._id, req.params.id)
+
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" })
+    }
+
+    address.set(pickAddressFields(req.body))
+
+    const missing = missingAddressFields(address)
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Missing address fields: ${missing.join(", ")}` })
+    }
+
+    // A default can be moved to another address, not removed: unsetting it
+    // here would leave the user without one
+    if (req.body.isDefaultShipping === true) address.isDefaultShipping = true
+    if (req.body.isDefaultBilling === true) address.isDefaultBilling = true
+
+    const updatedAddress = await saveAddress(address)
+
+    res.json(updatedAddress)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Delete a saved address
+ * @route   DELETE /api/users/me/addresses/:id
+ * @access  Private
+ */
+export const deleteMyAddress = async (req, res) => {
+  try {
+    const address = await findUserAddress(req.user._id, req.params.id)
+
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" })
+    }
+
+    // Orders keep their own copy of the address, so they are not affected
+    await deleteAddress(address)
+
+    res.json({ message: "Address removed" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
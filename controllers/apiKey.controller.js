@@ -0,0 +1,136 @@
+import ApiKey from "../models/apiKey.model.js"
+import { createApiKey, rotateApiKey } from "../services/apiKey.service.js"
+import { API_KEY_SCOPES } from "../config/permissions.js"
+
+const MAX_ACTIVE_KEYS = 10
+
+const activeKeysFilter = (userId) => ({
+  user: userId,
+  revokedAt: { $exists: false },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+})
+
+/**
+ * @desc    List the API keys of the logged in user
+ * @route   GET /api/users/me/api-keys
+ * @access  Private/Seller
+ */
+export const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+    res.json(
+      apiKeys.map((apiKey) => ({
+        ...apiKey.toObject(),
+        active: apiKey.isActive(),
+      })),
+    )
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/users/me/api-keys
+ * @access  Private/Seller
+ */
+export const createMyApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: "Name and at least one scope are required" })
+    }
+
+    const validScopes = Object.keys(API_KEY_SCOPES)
+    if (scopes.some((scope) => !validScopes.includes(scope))) {
+      return res.status(400).json({ message: `Scopes must be among: ${validScopes.join(", ")}` })
+    }
+
+    let expiry
+    if (expiresAt) {
+      expiry = new Date(expiresAt)
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: "expiresAt must be a date in the future" })
+      }
+    }
+
+    if ((await ApiKey.countDocuments(activeKeysFilter(req.user._id))) >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` })
+    }
+
+    const { apiKey, key } = await createApiKey(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+    })
+
+    res.status(201).json({
+      ...apiKey.toObject(),
+      keyHash: undefined,
+      key,
+      message: "Store this key somewhere safe, it is shown only once",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Replace the secret of an API key
+ * @route   POST /api/users/me/api-keys/:id/rotate
+ * @access  Private/Seller
+ */
+export const rotateMyApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    if (!apiKey.isActive()) {
+      return res.status(400).json({ message: "Revoked or expired API keys cannot be rotated" })
+    }
+
+    const key = await rotateApiKey(apiKey)
+
+    res.json({
+      ...apiKey.toObject(),
+      keyHash: undefined,
+      key,
+      message: "Store this key somewhere safe, it is shown only once",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/users/me/api-keys/:id
+ * @access  Private/Seller
+ */
+export const revokeMyApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" })
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date()
+      await apiKey.save()
+    }
+
+    res.json({ message: "API key revoked" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -0,0 +1,267 @@
+import Application from "../models/application.model.js"
+import User from "../models/user.model.js"
+import { sendApplicationDecisionEmail } from "../services/mail.service.js"
+import { can } from "../config/permissions.js"
+
+// Notify the applicant; a mail failure must not undo the decision
+const notifyApplicant = async (application) => {
+  try {
+    const user = await User.findById(application.user)
+    if (user) {
+      await sendApplicationDecisionEmail(user, application)
+    }
+  } catch (error) {
+    console.error("Failed to send application decision email:", error)
+  }
+}
+
+/**
+ * @desc    Apply to become a seller or designer
+ * @route   POST /api/applications
+ * @access  Private
+ */
+export const createApplication = async (req, res) => {
+  try {
+    const {
+      requestedRole,
+      businessName,
+      businessDescription,
+      businessRegistrationNumber,
+      taxId,
+      phoneNumber,
+      website,
+      businessAddress,
+      portfolio,
+    } = req.body
+
+    if (!["seller", "designer"].includes(requestedRole)) {
+      return res.status(400).json({ message: "Requested role must be seller or designer" })
+    }
+
+    if (!businessName) {
+      return res.status(400).json({ message: "Business name is required" })
+    }
+
+    const pendingApplication = await Application.findOne({ user: req.user._id, status: "pending" })
+    if (pendingApplication) {
+      return res.status(400).json({ message: "You already have a pending application" })
+    }
+
+    const application = await Application.create({
+      user: req.user._id,
+      requestedRole,
+      businessName,
+      businessDescription,
+      businessRegistrationNumber,
+      taxId,
+      phoneNumber,
+      website,
+      businessAddress,
+      portfolio,
+    })
+
+    res.status(201).json(application)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get logged in user applications
+ * @route   GET /api/applications/mine
+ * @access  Private
+ */
+export const getMyApplications = async (req, res) => {
+  try {
+    const applications = await Application.find({ user: req.user._id })
+      .populate("reviewedBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+
+    res.json({ applications })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get all applications
+ * @route   GET /api/applications
+ * @access  Private/Admin
+ */
+export const getApplications = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.pageSize) || 10
+    const page = Number(req.query.page) || 1
+
+    // Build filter object based on query parameters
+    const filter = {}
+
+    if (req.query.status) {
+      filter.status = req.query.status
+    }
+
+    if (req.query.requestedRole) {
+      filter.requestedRole = req.query.requestedRole
+    }
+
+    const count = await Application.countDocuments(filter)
+
+    const applications = await Application.find(filter)
+      .populate("user", "firstName lastName email")
+      .populate("reviewedBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      applications,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get application by ID
+ * @route   GET /api/applications/:id
+ * @access  Private
+ */
+export const getApplicationById = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate("user", "firstName lastName email")
+      .populate("reviewedBy", "firstName lastName")
+
+    if (!application) {
+      return res.status(404).json({ message: "Application not found" })
+    }
+
+    // Check if the user is authorized to view this application
+    if (!can(req.user, "application:read", application)) {
+      return res.status(403).json({ message: "Not authorized to view this application" })
+    }
+
+    res.json(application)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Approve an application and grant the requested role
+ * @route   PUT /api/applications/:id/approve
+ * @access  Private/Admin
+ */
+export const approveApplication = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+
+    if (!application) {
+      return res.status(404).json({ message: "Application not found" })
+    }
+
+    if (application.status !== "pending") {
+      return res.status(400).json({ message: `Application has already been ${application.status}` })
+    }
+
+    const user = await User.findById(application.user)
+
+    if (!user) {
+      return res.status(404).json({ message: "Applicant not found" })
+    }
+
+    user.role = application.requestedRole
+    user.roleApprovedBy = req.user._id
+    user.roleApprovedAt = new Date()
+    await user.save()
+
+    application.status = "approved"
+    application.reviewedBy = req.user._id
+    application.reviewedAt = user.roleApprovedAt
+    application.reviewNotes = req.body.reviewNotes
+    const updatedApplication = await application.save()
+
+    await notifyApplicant(updatedApplication)
+
+    res.json(updatedApplication)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Reject an application
+ * @route   PUT /api/applications/:id/reject
+ * @access  Private/Admin
+ */
+export const rejectApplication = async (req, res) => {
+  try {
+    const { reviewNotes } = req.body
+
+    if (!reviewNotes) {
+      return res.status(400).json({ message: "A reason for the rejection is required" })
+    }
+
+    const application = await Application.findById(req.params.id)
+
+    if (!application) {
+      return res.status(404).json({ message: "Application not found" })
+    }
+
+    if (application.status !== "pending") {
+      return res.status(400).json({ message: `Application has already been ${application.status}` })
+    }
+
+    application.status = "rejected"
+    application.reviewedBy = req.user._id
+    application.reviewedAt = new Date()
+    application.reviewNotes = reviewNotes
+    const updatedApplication = await application.save()
+
+    await notifyApplicant(updatedApplication)
+
+    res.json(updatedApplication)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Withdraw a pending application
+ * @route   PUT /api/applications/:id/withdraw
+ * @access  Private
+ */
+export const withdrawApplication = async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+
+    if (!application) {
+      return res.status(404).json({ message: "Application not found" })
+    }
+
+    if (!can(req.user, "application:withdraw", application)) {
+      return res.status(403).json({ message: "Not authorized to withdraw this application" })
+    }
+
+    if (application.status !== "pending") {
+      return res.status(400).json({ message: `Application has already been ${application.status}` })
+    }
+
+    application.status = "withdrawn"
+    const updatedApplication = await application.save()
+
+    res.json(updatedApplication)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
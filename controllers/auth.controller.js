@@ -1,13 +1,93 @@
-import jwt from "jsonwebtoken"
 import User from "../models/user.model.js"
+import generateToken from "../utils/generateToken.js"
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} from "../services/session.service.js"
+import { issueUserToken, consumeUserToken } from "../services/userToken.service.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../services/mail.service.js"
+import {
+  findUserWithTwoFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} from "../services/twoFactor.service.js"
+import { isTwoFactorRequired } from "../services/securitySettings.service.js"
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+} from "../services/loginProtection.service.js"
+import LoginAttempt from "../models/loginAttempt.model.js"
+import { mergeGuestCart } from "../services/cart.service.js"
+import {
+  UNIT_SYSTEMS,
+  parseMeasurementInput,
+  recordMeasurements,
+  getCurrentMeasurements,
+  fromMetric,
+} from "../services/bodyMeasurement.service.js"
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60
+const PASSWORD_RESET_TTL_MINUTES = 30
+
+// Bring along the cart filled in as a guest, if the client sends its token.
+// Failures are logged, the guest cart can still be merged later.
+const mergeGuestCartOnLogin = async (req, user) => {
+  try {
+    await mergeGuestCart(user._id, req.get("X-Cart-Token"))
+  } catch (error) {
+    console.error("Failed to merge guest cart:", error)
+  }
+}
+
+// Start a session and send the login payload
+const sendLoginResponse = async (req, res, user) => {
+  const { accessToken, refreshToken } = await createSession(user, req)
+  await mergeGuestCartOnLogin(req, user)
+
+  res.json({
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: user.twoFactor.enabled,
+    twoFactorSetupRequired: !user.twoFactor.enabled && (await isTwoFactorRequired(user.role)),
+    deletionScheduledFor: user.deletionScheduledFor,
+    token: accessToken,
+    refreshToken,
+  })
+}
+
+// Refuse a throttled login. The message is the same whether or not the
+// account exists, so lockouts cannot be used to probe for emails.
+const sendTooManyAttempts = (res, { locked, retryAfterSeconds }) => {
+  res.set("Retry-After", String(retryAfterSeconds))
+  res.status(429).json({
+    message: locked
+      ? "Too many failed login attempts. Try again later or use the link sent by email to unlock your account."
+      : "Too many failed login attempts. Please wait before trying again.",
+    retryAfter: retryAfterSeconds,
   })
 }
 
+// Issue a verification token and email it. Mail failures are logged, not
+// surfaced: the user can always ask for a new link.
+const sendEmailVerification = async (user) => {
+  try {
+    const token = await issueUserToken(user._id, "emailVerification", EMAIL_VERIFICATION_TTL_MINUTES)
+    await sendVerificationEmail(user, token)
+  } catch (error) {
+    console.error("Failed to send verification email:", error)
+  }
+}
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -15,7 +95,8 @@ const generateToken = (id) => {
  */
 export const registerUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role } = req.body
+    // Role is never taken from the request: sellers and designers go through /api/applications
+    const { firstName, lastName, email, password } = req.body
 
     // Check if user already exists
     const userExists = await User.findOne({ email })
@@ -30,17 +111,24 @@ export const registerUser = async (req, res) => {
       lastName,
       email,
       password,
-      role: role || "user", // Default to 'user' if role not specified
+      role: "customer",
     })
 
     if (user) {
+      await sendEmailVerification(user)
+
+      const { accessToken, refreshToken } = await createSession(user, req)
+      await mergeGuestCartOnLogin(req, user)
+
       res.status(201).json({
         _id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        isEmailVerified: user.isEmailVerified,
+        token: accessToken,
+        refreshToken,
       })
     } else {
       res.status(400).json({ message: "Invalid user data" })
@@ -60,20 +148,28 @@ export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body
 
+    const throttle = await checkLoginAllowed(email, req.ip)
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle)
+    }
+
     // Find user by email
     const user = await User.findOne({ email })
 
     // Check if user exists and password matches
     if (user && (await user.comparePassword(password))) {
-      res.json({
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id),
-      })
+      // With 2FA on, the password alone only earns a challenge for the second step
+      if (user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user),
+        })
+      }
+
+      await recordSuccessfulLogin(email)
+      await sendLoginResponse(req, res, user)
     } else {
+      await recordFailedLogin(email, req.ip)
       res.status(401).json({ message: "Invalid email or password" })
     }
   } catch (error) {
@@ -82,6 +178,49 @@ export const loginUser = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Complete a login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Challenge token and a code or recovery code are required" })
+    }
+
+    const userId = verifyLoginChallenge(challengeToken)
+    if (!userId) {
+      return res.status(401).json({ message: "Login challenge expired, please log in again" })
+    }
+
+    const user = await findUserWithTwoFactor(userId)
+    if (!user) {
+      return res.status(401).json({ message: "Login challenge expired, please log in again" })
+    }
+
+    // Guessing codes counts against the same limits as guessing passwords
+    const throttle = await checkLoginAllowed(user.email, req.ip)
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle)
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode })
+    if (!method) {
+      await recordFailedLogin(user.email, req.ip)
+      return res.status(401).json({ message: "Invalid authentication code" })
+    }
+
+    await recordSuccessfulLogin(user.email)
+    await sendLoginResponse(req, res, user)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
 /**
  * @desc    Get user profile
  * @route   GET /api/auth/profile
@@ -92,7 +231,10 @@ export const getUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id).select("-password")
 
     if (user) {
-      res.json(user)
+      // Current values from the measurement history, in the preferred units
+      const bodyMeasurements = fromMetric(await getCurrentMeasurements(user._id), user.preferredUnits)
+
+      res.json({ ...user.toObject(), bodyMeasurements })
     } else {
       res.status(404).json({ message: "User not found" })
     }
@@ -112,29 +254,69 @@ export const updateUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id)
 
     if (user) {
+      const emailChanged = req.body.email && req.body.email.toLowerCase().trim() !== user.email
+
       user.firstName = req.body.firstName || user.firstName
       user.lastName = req.body.lastName || user.lastName
       user.email = req.body.email || user.email
       user.profileImage = req.body.profileImage || user.profileImage
       user.phoneNumber = req.body.phoneNumber || user.phoneNumber
       user.address = req.body.address || user.address
-      user.bodyMeasurements = req.body.bodyMeasurements || user.bodyMeasurements
+
+      if (req.body.preferredUnits) {
+        if (!UNIT_SYSTEMS.includes(req.body.preferredUnits)) {
+          return res.status(400).json({ message: `preferredUnits must be one of: ${UNIT_SYSTEMS.join(", ")}` })
+        }
+        user.preferredUnits = req.body.preferredUnits
+      }
+
+      // Measurements go to the history, in the preferred units
+      if (req.body.bodyMeasurements) {
+        const { values, errors } = parseMeasurementInput(req.body.bodyMeasurements)
+        if (errors.length > 0) {
+          return res.status(400).json({ message: "Invalid measurements", errors })
+        }
+
+        if (Object.keys(values).length > 0) {
+          const result = await recordMeasurements(user._id, values, { units: user.preferredUnits, source: "profile" })
+          if (result.errors) {
+            return res.status(400).json({ message: "Implausible measurements", errors: result.errors })
+          }
+        }
+      }
 
       // Update password if provided
       if (req.body.password) {
         user.password = req.body.password
       }
 
+      // A new email address has to be confirmed again
+      if (emailChanged) {
+        user.isEmailVerified = false
+        user.emailVerifiedAt = undefined
+      }
+
       const updatedUser = await user.save()
 
+      if (emailChanged) {
+        await sendEmailVerification(updatedUser)
+      }
+
+      // A new password logs out every other device
+      if (req.body.password) {
+        await revokeAllSessions(updatedUser._id, "passwordChanged", req.sessionId)
+      }
+
       res.json({
         _id: updatedUser._id,
         firstName: updatedUser.firstName,
         lastName: updatedUser.lastName,
         email: updatedUser.email,
         role: updatedUser.role,
+        isEmailVerified: updatedUser.isEmailVerified,
         profileImage: updatedUser.profileImage,
-        token: generateToken(updatedUser._id),
+        preferredUnits: updatedUser.preferredUnits,
+        token: generateToken(updatedUser._id, req.sessionId),
       })
     } else {
       res.status(404).json({ message: "User not found" })
@@ -145,3 +327,334 @@ export const updateUserProfile = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" })
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req)
+
+    if (!result) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" })
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Log out the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+export const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "logout")
+    res.json({ message: "Logged out" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Log out every session of the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, "logoutAll")
+    res.json({ message: "Logged out of all devices", revokedCount })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id)
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId.toString(),
+      })),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const deleteSession = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id)
+    const session = sessions.find((s) => s._id.toString() === req.params.id)
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await revokeSession(session._id, "logout")
+    res.json({ message: "Session revoked" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Confirm email address with the emailed token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" })
+    }
+
+    const userToken = await consumeUserToken(token, "emailVerification")
+
+    if (!userToken) {
+      return res.status(400).json({ message: "Invalid or expired verification token" })
+    }
+
+    const user = await User.findById(userToken.user)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    user.isEmailVerified = true
+    user.emailVerifiedAt = new Date()
+    await user.save()
+
+    res.json({ message: "Email address verified" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({ message: "Email address is already verified" })
+    }
+
+    await sendEmailVerification(req.user)
+
+    res.json({ message: "Verification email sent" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" })
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    if (user) {
+      const token = await issueUserToken(user._id, "passwordReset", PASSWORD_RESET_TTL_MINUTES)
+      await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+    }
+
+    res.json({ message: "If an account exists for this email, a password reset link has been sent" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Set a new password with the emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and new password are required" })
+    }
+
+    const userToken = await consumeUserToken(token, "passwordReset")
+
+    if (!userToken) {
+      return res.status(400).json({ message: "Invalid or expired reset token" })
+    }
+
+    const user = await User.findById(userToken.user)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    user.password = password
+
+    // Receiving the reset email proves the user owns the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true
+      user.emailVerifiedAt = new Date()
+    }
+
+    await user.save()
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id, "passwordChanged")
+    await unlockAccount(user.email)
+
+    res.json({ message: "Password has been reset, please log in again" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Unlock an account with the token from the lockout email
+ * @route   POST /api/auth/unlock
+ * @access  Public
+ */
+export const unlockAccountWithToken = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ message: "Unlock token is required" })
+    }
+
+    const userToken = await consumeUserToken(token, "accountUnlock")
+
+    if (!userToken) {
+      return res.status(400).json({ message: "Invalid or expired unlock token" })
+    }
+
+    const user = await User.findById(userToken.user)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    await unlockAccount(user.email)
+
+    res.json({ message: "Account unlocked, you can log in again" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List failed login counters and lockouts
+ * @route   GET /api/auth/lockouts
+ * @access  Private/Admin
+ */
+export const getLockouts = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.pageSize) || 10
+    const page = Number(req.query.page) || 1
+
+    const filter = {}
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+    if (req.query.locked === "true") {
+      filter.lockedUntil = { $gt: new Date() }
+    }
+    if (req.query.identifier) {
+      filter.identifier = req.query.identifier.toLowerCase().trim()
+    }
+
+    const count = await LoginAttempt.countDocuments(filter)
+    const lockouts = await LoginAttempt.find(filter)
+      .sort({ lastFailedAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      lockouts,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Clear a failed login counter and its lockout
+ * @route   DELETE /api/auth/lockouts/:id
+ * @access  Private/Admin
+ */
+export const clearLockout = async (req, res) => {
+  try {
+    const lockout = await LoginAttempt.findById(req.params.id)
+
+    if (!lockout) {
+      return res.status(404).json({ message: "Lockout not found" })
+    }
+
+    await lockout.deleteOne()
+
+    res.json({ message: "Lockout cleared" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -0,0 +1,161 @@
+import BodyMeasurement from "../models/bodyMeasurement.model.js"
+import {
+  MEASUREMENT_FIELDS,
+  UNIT_SYSTEMS,
+  UNIT_LABELS,
+  parseMeasurementInput,
+  recordMeasurements,
+  getCurrentMeasurementRecord,
+  formatMeasurementRecord,
+  getMeasurementTrends,
+} from "../services/bodyMeasurement.service.js"
+
+// Units asked for in the query, else the user's preference
+const resolveUnits = (req) => {
+  if (UNIT_SYSTEMS.includes(req.query.units)) return req.query.units
+  return req.user.preferredUnits || "metric"
+}
+
+/**
+ * @desc    Get current body measurements
+ * @route   GET /api/users/me/measurements
+ * @access  Private
+ */
+export const getMyMeasurements = async (req, res) => {
+  try {
+    const units = resolveUnits(req)
+    const record = await getCurrentMeasurementRecord(req.user._id)
+
+    if (!record) {
+      return res.json({ values: {}, units, unitLabels: UNIT_LABELS[units], measuredAt: null })
+    }
+
+    res.json(formatMeasurementRecord(record, units))
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Record new body measurements
+ * @route   POST /api/users/me/measurements
+ * @access  Private
+ */
+export const addMyMeasurements = async (req, res) => {
+  try {
+    const { measuredAt, notes } = req.body
+    const units = req.body.units || req.user.preferredUnits || "metric"
+
+    if (!UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ message: `Units must be one of: ${UNIT_SYSTEMS.join(", ")}` })
+    }
+
+    if (measuredAt && (Number.isNaN(new Date(measuredAt).getTime()) || new Date(measuredAt) > new Date())) {
+      return res.status(400).json({ message: "measuredAt must be a date in the past" })
+    }
+
+    const { values, errors } = parseMeasurementInput(req.body.values)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid measurements", errors })
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        message: `At least one measurement is required: ${Object.keys(MEASUREMENT_FIELDS).join(", ")}`,
+      })
+    }
+
+    const result = await recordMeasurements(req.user._id, values, { units, measuredAt, notes })
+    if (result.errors) {
+      return res.status(400).json({ message: "Implausible measurements", errors: result.errors })
+    }
+
+    res.status(201).json(formatMeasurementRecord(result.record, units))
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get the history of body measurements
+ * @route   GET /api/users/me/measurements/history
+ * @access  Private
+ */
+export const getMyMeasurementHistory = async (req, res) => {
+  try {
+    const units = resolveUnits(req)
+    const pageSize = Number(req.query.pageSize) || 10
+    const page = Number(req.query.page) || 1
+
+    // Imports legacy measurements on first use
+    await getCurrentMeasurementRecord(req.user._id)
+
+    const count = await BodyMeasurement.countDocuments({ user: req.user._id })
+    const records = await BodyMeasurement.find({ user: req.user._id })
+      .sort({ measuredAt: -1, createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      records: records.map((record) => formatMeasurementRecord(record, units)),
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get how body measurements changed over time
+ * @route   GET /api/users/me/measurements/trends
+ * @access  Private
+ */
+export const getMyMeasurementTrends = async (req, res) => {
+  try {
+    const units = resolveUnits(req)
+    const fields = req.query.fields ? req.query.fields.split(",").map((field) => field.trim()) : undefined
+
+    const unknown = (fields || []).filter((field) => !MEASUREMENT_FIELDS[field])
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown measurements: ${unknown.join(", ")}` })
+    }
+
+    const trends = await getMeasurementTrends(req.user._id, {
+      fields,
+      from: req.query.from,
+      to: req.query.to,
+      units,
+    })
+
+    res.json({ units, trends })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Delete a wrong measurement entry
+ * @route   DELETE /api/users/me/measurements/:id
+ * @access  Private
+ */
+export const deleteMyMeasurement = async (req, res) => {
+  try {
+    const record = await BodyMeasurement.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!record) {
+      return res.status(404).json({ message: "Measurement entry not found" })
+    }
+
+    await record.deleteOne()
+
+    res.json({ message: "Measurement entry removed" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -0,0 +1,195 @@
+import {
+  findCart,
+  getOrCreateCart,
+  saveCart,
+  addCartItem,
+  updateCartItem,
+  revalidateCart,
+  getCartOrderItems,
+  mergeGuestCart,
+} from "../services/cart.service.js"
+import { placeOrder } from "../services/order.service.js"
+
+// Logged in users have one cart; guests are identified by their cart token
+const cartOwner = (req) => (req.user ? { userId: req.user._id } : { guestToken: req.get("X-Cart-Token") })
+
+// Revalidate the cart and send it with its warnings. The prices seen by the
+// customer are saved, so each price change is only reported once.
+const sendCart = async (res, cart, { status = 200, cartToken } = {}) => {
+  if (!cart) {
+    return res.status(status).json({ _id: null, items: [], itemCount: 0, subtotal: 0, warnings: [] })
+  }
+
+  const view = await revalidateCart(cart)
+  if (cart.isModified()) await saveCart(cart)
+
+  res.status(status).json({ _id: cart._id, ...view, expiresAt: cart.expiresAt, cartToken })
+}
+
+/**
+ * @desc    Get the cart with current prices, stock and warnings
+ * @route   GET /api/cart
+ * @access  Public (guests send X-Cart-Token)
+ */
+export const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(cartOwner(req))
+    await sendCart(res, cart)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Add an item to the cart
+ * @route   POST /api/cart/items
+ * @access  Public (guests send X-Cart-Token)
+ */
+export const addItemToCart = async (req, res) => {
+  try {
+    const { cart, cartToken } = await getOrCreateCart(cartOwner(req))
+
+    const result = await addCartItem(cart, req.body)
+    if (result.message) {
+      const { status, ...body } = result
+      // A new guest still needs its token to find the (empty) cart again
+      return res.status(status).json({ ...body, cartToken })
+    }
+
+    await saveCart(cart)
+    await sendCart(res, cart, { status: 201, cartToken })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Change the quantity of a cart item
+ * @route   PUT /api/cart/items/:itemId
+ * @access  Public (guests send X-Cart-Token)
+ */
+export const updateCartItemQuantity = async (req, res) => {
+  try {
+    const cart = await findCart(cartOwner(req))
+    if (!cart) {
+      return res.status(404).json({ message: "Cart item not found" })
+    }
+
+    const result = await updateCartItem(cart, req.params.itemId, req.body.quantity)
+    if (result.message) {
+      const { status, ...body } = result
+      return res.status(status).json(body)
+    }
+
+    await saveCart(cart)
+    await sendCart(res, cart)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Remove an item from the cart
+ * @route   DELETE /api/cart/items/:itemId
+ * @access  Public (guests send X-Cart-Token)
+ */
+export const removeCartItem = async (req, res) => {
+  try {
+    const cart = await findCart(cartOwner(req))
+    const item = cart?.items.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({ message: "Cart item not found" })
+    }
+
+    item.deleteOne()
+    await saveCart(cart)
+    await sendCart(res, cart)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Remove every item from the cart
+ * @route   DELETE /api/cart
+ * @access  Public (guests send X-Cart-Token)
+ */
+export const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(cartOwner(req))
+    if (cart) {
+      cart.items = []
+      await saveCart(cart)
+    }
+
+    await sendCart(res, cart)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Merge a guest cart into the cart of the logged in user
+ * @route   POST /api/cart/merge
+ * @access  Private
+ */
+export const mergeCart = async (req, res) => {
+  try {
+    const guestToken = req.get("X-Cart-Token") || req.body.cartToken
+    if (!guestToken) {
+      return res.status(400).json({ message: "Cart token is required" })
+    }
+
+    await mergeGuestCart(req.user._id, guestToken)
+
+    const cart = await findCart({ userId: req.user._id })
+    await sendCart(res, cart)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Place an order for everything in the cart
+ * @route   POST /api/cart/checkout
+ * @access  Private
+ */
+export const checkoutCart = async (req, res) => {
+  try {
+    const cart = await findCart({ userId: req.user._id })
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: "Your cart is empty" })
+    }
+
+    // Nothing is ordered at a price or in a quantity the customer has not seen
+    const view = await revalidateCart(cart)
+    if (view.warnings.length > 0) {
+      await saveCart(cart)
+      return res.status(409).json({
+        message: "Your cart has changed, please review it",
+        cart: { _id: cart._id, ...view },
+      })
+    }
+
+    // Addresses, payment method, notes and the expected total come from the request
+    const placed = await placeOrder(req.user, { ...req.body, items: getCartOrderItems(cart) })
+    if (placed.message) {
+      const { status, ...body } = placed
+      return res.status(status).json(body)
+    }
+
+    cart.items = []
+    await saveCart(cart)
+
+    res.status(201).json(placed.order)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -1,5 +1,6 @@
 import CustomDesign from "../models/customDesign.model.js"
 import User from "../models/user.model.js"
+import { can, hasScope } from "../config/permissions.js"
 
 /**
  * @desc    Create a new custom design
@@ -107,11 +108,7 @@ export const getCustomDesignById = async (req, res) => {
     }
 
     // Check if the user is authorized to view this design
-    if (
-      design.user.toString() !== req.user._id.toString() &&
-      design.assignedDesigner?.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "customDesign:read", design)) {
       return res.status(403).json({ message: "Not authorized to view this design" })
     }
 
@@ -136,16 +133,12 @@ export const updateCustomDesign = async (req, res) => {
     }
 
     // Check if the user is authorized to update this design
-    if (
-      design.user.toString() !== req.user._id.toString() &&
-      design.assignedDesigner?.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "customDesign:update", design)) {
       return res.status(403).json({ message: "Not authorized to update this design" })
     }
 
-    // If the design is already submitted, only designers or admins can update certain fields
-    if (design.status !== "draft" && req.user.role !== "designer" && req.user.role !== "admin") {
+    // If the design is already submitted, only the assigned designer or admins can update all fields
+    if (design.status !== "draft" && !can(req.user, "customDesign:updateStatus", design)) {
       // Allow users to update only specific fields after submission
       const allowedFields = ["name", "description"]
       Object.keys(req.body).forEach((key) => {
@@ -182,7 +175,7 @@ export const deleteCustomDesign = async (req, res) => {
     }
 
     // Check if the user is authorized to delete this design
-    if (design.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    if (!can(req.user, "customDesign:delete", design)) {
       return res.status(403).json({ message: "Not authorized to delete this design" })
     }
 
@@ -217,7 +210,7 @@ export const submitCustomDesign = async (req, res) => {
     }
 
     // Check if the user is authorized to submit this design
-    if (design.user.toString() !== req.user._id.toString()) {
+    if (!can(req.user, "customDesign:submit", design)) {
       return res.status(403).json({ message: "Not authorized to submit this design" })
     }
 
@@ -280,7 +273,7 @@ export const updateDesignStatus = async (req, res) => {
     }
 
     // Check if the user is authorized to update this design's status
-    if (design.assignedDesigner?.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    if (!can(req.user, "customDesign:updateStatus", design)) {
       return res.status(403).json({ message: "Not authorized to update this design status" })
     }
 
@@ -328,8 +321,8 @@ export const getAllCustomDesigns = async (req, res) => {
       filter.user = req.query.user
     }
 
-    // If designer, only show designs assigned to them
-    if (req.user.role === "designer") {
+    // Without the "any" scope, only show designs assigned to the user
+    if (!hasScope(req.user, "customDesign:list", "any")) {
       filter.assignedDesigner = req.user._id
     }
 
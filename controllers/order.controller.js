@@ -1,6 +1,28 @@
 import Order from "../models/order.model.js"
-import Product from "../models/product.model.js"
-import CustomDesign from "../models/customDesign.model.js"
+import OrderEvent from "../models/orderEvent.model.js"
+import { can } from "../config/permissions.js"
+import { placeOrder, resolveShippingAddress } from "../services/order.service.js"
+import { quoteOrder } from "../services/pricing.service.js"
+import { getCouponCodes } from "../services/promotion.service.js"
+import { refundOrder } from "../services/refund.service.js"
+import {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  actorOf,
+  isOrderPaid,
+  recordOrderEvent,
+  transitionOrder,
+} from "../services/orderStatus.service.js"
+
+// A paid order that is cancelled is refunded in full. A failed refund is on
+// the timeline and can be retried with POST /api/orders/:id/refunds.
+const refundCancelledOrder = async (order, actor) => {
+  if (!isOrderPaid(order)) return
+
+  const refund = await refundOrder(order, actor, { reason: "Order cancelled" })
+  if (refund.message) {
+    console.error(`Order ${order.orderNumber} was cancelled but not refunded: ${refund.message}`)
+  }
+}
 
 /**
  * @desc    Create new order
@@ -9,94 +31,44 @@ import CustomDesign from "../models/customDesign.model.js"
  */
 export const createOrder = async (req, res) => {
   try {
-    const {
-      items,
-      shippingAddress,
-      billingAddress,
-      paymentMethod,
-      paymentDetails,
-      subtotal,
-      shippingCost,
-      tax,
-      discount,
-      totalAmount,
-      notes,
-    } = req.body
-
-    if (!items || items.length === 0) {
-      return res.status(400).json({ message: "No order items" })
+    const placed = await placeOrder(req.user, req.body)
+    if (placed.message) {
+      const { status, ...body } = placed
+      return res.status(status).json(body)
     }
 
-    // Validate items and calculate total
-    let calculatedSubtotal = 0
-    for (const item of items) {
-      if (item.product) {
-        const product = await Product.findById(item.product)
-        if (!product) {
-          return res.status(404).json({ message: `Product not found: ${item.product}` })
-        }
-
-        // Check if size is available
-        if (item.size) {
-          const sizeObj = product.sizes.find((s) => s.size === item.size)
-          if (!sizeObj || sizeObj.quantity < item.quantity) {
-            return res.status(400).json({
-              message: `Not enough stock for ${product.name} in size ${item.size}`,
-            })
-          }
-        }
-
-        calculatedSubtotal += product.price * item.quantity
-      } else if (item.customDesign) {
-        const customDesign = await CustomDesign.findById(item.customDesign)
-        if (!customDesign) {
-          return res.status(404).json({ message: `Custom design not found: ${item.customDesign}` })
-        }
-
-        if (customDesign.status !== "approved") {
-          return res.status(400).json({
-            message: `Custom design ${customDesign.name} is not approved for ordering`,
-          })
-        }
-
-        calculatedSubtotal += customDesign.estimatedPrice * item.quantity
-      } else {
-        return res.status(400).json({ message: "Each item must have either product or customDesign" })
-      }
+    res.status(201).json(placed.order)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Price an order without placing it
+ * @route   POST /api/orders/quote
+ * @access  Private
+ */
+export const getOrderQuote = async (req, res) => {
+  try {
+    // Shipping is priced once there is an address to ship to
+    const shipping = await resolveShippingAddress(req.user._id, req.body)
+    if (shipping.message) {
+      return res.status(shipping.status).json({ message: shipping.message })
     }
 
-    // Create order
-    const order = new Order({
-      user: req.user._id,
-      items,
-      shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
-      paymentMethod,
-      paymentDetails,
-      subtotal: subtotal || calculatedSubtotal,
-      shippingCost: shippingCost || 0,
-      tax: tax || 0,
-      discount: discount || 0,
-      totalAmount: totalAmount || calculatedSubtotal + (shippingCost || 0) + (tax || 0) - (discount || 0),
-      notes,
+    const priced = await quoteOrder({
+      items: req.body.items,
+      couponCodes: getCouponCodes(req.body),
+      userId: req.user._id,
+      shippingAddress: shipping.address,
+      shippingMethod: req.body.shippingMethod,
     })
-
-    const createdOrder = await order.save()
-
-    // Update product inventory
-    for (const item of items) {
-      if (item.product && item.size) {
-        const product = await Product.findById(item.product)
-        const sizeIndex = product.sizes.findIndex((s) => s.size === item.size)
-
-        if (sizeIndex !== -1) {
-          product.sizes[sizeIndex].quantity -= item.quantity
-          await product.save()
-        }
-      }
+    if (priced.message) {
+      return res.status(priced.status).json({ message: priced.message })
     }
 
-    res.status(201).json(createdOrder)
+    res.json(priced.quote)
   } catch (error) {
     console.error(error)
     res.status(500).json({ message: "Server error", error: error.message })
@@ -126,7 +98,7 @@ export const getOrderById = async (req, res) => {
     }
 
     // Check if the user is authorized to view this order
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    if (!can(req.user, "order:read", order)) {
       return res.status(403).json({ message: "Not authorized to view this order" })
     }
 
@@ -137,6 +109,34 @@ export const getOrderById = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Get the timeline of an order
+ * @route   GET /api/orders/:id/timeline
+ * @access  Private
+ */
+export const getOrderTimeline = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("user status")
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    if (!can(req.user, "order:read", order)) {
+      return res.status(403).json({ message: "Not authorized to view this order" })
+    }
+
+    // Customers see which role acted, not which staff member
+    const query = OrderEvent.find({ order: order._id }).sort({ createdAt: 1, _id: 1 })
+    if (!can(req.user, "order:list")) query.select("-actor.user")
+
+    res.json({ status: order.status, events: await query })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
 /**
  * @desc    Get logged in user orders
  * @route   GET /api/orders/myorders
@@ -173,7 +173,8 @@ export const getMyOrders = async (req, res) => {
  */
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status, trackingInfo } = req.body
+    const { status, trackingInfo, note } = req.body
+    const actor = actorOf(req.user)
 
     const order = await Order.findById(req.params.id)
 
@@ -181,8 +182,6 @@ export const updateOrderStatus = async (req, res) => {
       return res.status(404).json({ message: "Order not found" })
     }
 
-    order.status = status || order.status
-
     if (trackingInfo) {
       order.trackingInfo = {
         ...order.trackingInfo,
@@ -190,8 +189,24 @@ export const updateOrderStatus = async (req, res) => {
       }
     }
 
-    const updatedOrder = await order.save()
-    res.json(updatedOrder)
+    // Setting the current status again only updates the tracking info
+    if (status && status !== order.status) {
+      const moved = await transitionOrder(order, status, { actor, note })
+      if (moved.message) {
+        const { status: code, ...body } = moved
+        return res.status(code).json(body)
+      }
+
+      if (status === "cancelled") await refundCancelledOrder(order, actor)
+    } else {
+      await order.save()
+    }
+
+    if (trackingInfo) {
+      await recordOrderEvent(order, { type: "trackingUpdated", actor, data: trackingInfo })
+    }
+
+    res.json(order)
   } catch (error) {
     console.error(error)
     res.status(500).json({ message: "Server error", error: error.message })
@@ -199,30 +214,36 @@ export const updateOrderStatus = async (req, res) => {
 }
 
 /**
- * @desc    Update order payment details
- * @route   PUT /api/orders/:id/pay
+ * @desc    Cancel own order
+ * @route   POST /api/orders/:id/cancel
  * @access  Private
  */
-export const updateOrderPayment = async (req, res) => {
+export const cancelOrder = async (req, res) => {
   try {
-    const { paymentDetails } = req.body
-
     const order = await Order.findById(req.params.id)
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" })
     }
 
-    // Check if the user is authorized to update this order
-    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized to update this order" })
+    if (!can(req.user, "order:cancel", order)) {
+      return res.status(403).json({ message: "Not authorized to cancel this order" })
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ message: `This order is ${order.status} and can no longer be cancelled` })
     }
 
-    order.paymentDetails = paymentDetails
-    order.status = "processing" // Update status after payment
+    const actor = actorOf(req.user)
+    const cancelled = await transitionOrder(order, "cancelled", { actor, note: req.body.reason })
+    if (cancelled.message) {
+      const { status, ...body } = cancelled
+      return res.status(status).json(body)
+    }
+
+    await refundCancelledOrder(order, actor)
 
-    const updatedOrder = await order.save()
-    res.json(updatedOrder)
+    res.json(order)
   } catch (error) {
     console.error(error)
     res.status(500).json({ message: "Server error", error: error.message })
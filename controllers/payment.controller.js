@@ -1,4 +1,79 @@
 import Order from "../models/order.model.js"
+import PaymentTransaction from "../models/paymentTransaction.model.js"
+import ReturnRequest from "../models/returnRequest.model.js"
+import WebhookEvent from "../models/webhookEvent.model.js"
+import { can } from "../config/permissions.js"
+import {
+  chargeOrder,
+  confirmOrderPayment,
+  getPaymentProviderByName,
+  isPaymentCheckDue,
+  refreshPaymentStatus,
+} from "../services/payment.service.js"
+import { receiveWebhook, replayWebhookEvent } from "../services/webhook.service.js"
+import { refundOrder } from "../services/refund.service.js"
+import { ensureOrderReservation } from "../services/stockReservation.service.js"
+import { actorOf, canTransition } from "../services/orderStatus.service.js"
+
+// Answer with the outcome of a charge. A declined payment is a 402, a
+// challenge or a payment still settling is not an error.
+const sendPaymentResult = (res, order, { status, ...result }) => {
+  const failed = ["failed", "voided"].includes(status)
+
+  res.status(failed ? 402 : 200).json({
+    success: !failed,
+    paymentResult: { status, ...result },
+    order: {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentDetails: order.paymentDetails,
+    },
+  })
+}
+
+// Loads the order of a payment request and checks it can be paid by the
+// user. Answers and returns null otherwise.
+const findPayableOrder = async (req, res) => {
+  const { orderId } = req.body
+
+  if (!orderId) {
+    res.status(400).json({ message: "Order ID is required" })
+    return null
+  }
+
+  const order = await Order.findById(orderId)
+
+  if (!order) {
+    res.status(404).json({ message: "Order not found" })
+    return null
+  }
+
+  // Check if the user is authorized to process payment for this order
+  if (!can(req.user, "payment:process", order)) {
+    res.status(403).json({ message: "Not authorized to process payment for this order" })
+    return null
+  }
+
+  // Check if order is already paid
+  if (order.paymentDetails && order.paymentDetails.status === "completed") {
+    res.status(400).json({ message: "Payment has already been processed for this order" })
+    return null
+  }
+
+  if (!canTransition(order.status, "paid")) {
+    res.status(409).json({ message: `This order is ${order.status} and can no longer be paid` })
+    return null
+  }
+
+  // Do not charge for items whose hold expired and that sold out since
+  if (!(await ensureOrderReservation(order))) {
+    res.status(409).json({ message: "Some items of this order are no longer in stock" })
+    return null
+  }
+
+  return order
+}
 
 /**
  * @desc    Process payment
@@ -7,70 +82,41 @@ import Order from "../models/order.model.js"
  */
 export const processPayment = async (req, res) => {
   try {
-    const { orderId, paymentMethod, paymentDetails } = req.body
-
-    if (!orderId) {
-      return res.status(400).json({ message: "Order ID is required" })
-    }
-
-    const order = await Order.findById(orderId)
+    const { paymentMethod, paymentDetails } = req.body
 
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" })
-    }
-
-    // Check if the user is authorized to process payment for this order
-    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized to process payment for this order" })
-    }
+    const order = await findPayableOrder(req, res)
+    if (!order) return
 
-    // Check if order is already paid
-    if (order.paymentDetails && order.paymentDetails.status === "completed") {
-      return res.status(400).json({ message: "Payment has already been processed for this order" })
+    const charge = await chargeOrder(order, paymentMethod, paymentDetails, actorOf(req.user))
+    if (charge.message) {
+      const { status, ...body } = charge
+      return res.status(status).json(body)
     }
 
-    // Process payment based on payment method
-    let paymentResult
-
-    switch (paymentMethod) {
-      case "creditCard":
-        paymentResult = await processCreditCardPayment(order, paymentDetails)
-        break
-      case "paypal":
-        paymentResult = await processPayPalPayment(order, paymentDetails)
-        break
-      case "momo":
-        paymentResult = await processMoMoPayment(order, paymentDetails)
-        break
-      default:
-        return res.status(400).json({ message: "Invalid payment method" })
-    }
+    sendPaymentResult(res, order, charge.result)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
 
-    // Update order with payment result
-    order.paymentMethod = paymentMethod
-    order.paymentDetails = {
-      transactionId: paymentResult.transactionId,
-      status: paymentResult.status,
-      date: new Date(),
-    }
+/**
+ * @desc    Confirm a payment after a challenge
+ * @route   POST /api/payments/confirm
+ * @access  Private
+ */
+export const confirmPayment = async (req, res) => {
+  try {
+    const order = await findPayableOrder(req, res)
+    if (!order) return
 
-    // Update order status if payment is successful
-    if (paymentResult.status === "completed") {
-      order.status = "processing"
+    const confirmation = await confirmOrderPayment(order, req.body.paymentDetails, actorOf(req.user))
+    if (confirmation.message) {
+      const { status, ...body } = confirmation
+      return res.status(status).json(body)
     }
 
-    await order.save()
-
-    res.json({
-      success: true,
-      paymentResult,
-      order: {
-        _id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        paymentDetails: order.paymentDetails,
-      },
-    })
+    sendPaymentResult(res, order, confirmation.result)
   } catch (error) {
     console.error(error)
     res.status(500).json({ message: "Server error", error: error.message })
@@ -87,22 +133,37 @@ export const verifyPayment = async (req, res) => {
     const { transactionId } = req.params
 
     // Find order with this transaction ID
-    const order = await Order.findOne({ "paymentDetails.transactionId": transactionId })
+    let order = await Order.findOne({ "paymentDetails.transactionId": transactionId })
 
     if (!order) {
       return res.status(404).json({ message: "No order found with this transaction ID" })
     }
 
     // Check if the user is authorized to verify this payment
-    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    if (!can(req.user, "payment:verify", order)) {
       return res.status(403).json({ message: "Not authorized to verify this payment" })
     }
 
-    // In a real implementation, this would verify the payment status with the payment provider
+    // A payment waiting for its provider is checked with it, so clients can
+    // poll here until it settles, fails or expires
+    let transaction = await PaymentTransaction.findOne({
+      order: order._id,
+      type: "payment",
+      providerTransactionId: transactionId,
+    })
+    if (transaction && isPaymentCheckDue(transaction)) {
+      await refreshPaymentStatus(transaction)
+      order = await Order.findById(order._id)
+      transaction = await PaymentTransaction.findById(transaction._id)
+    }
+
     const verificationResult = {
-      verified: true,
+      verified: order.paymentDetails.status === "completed",
       status: order.paymentDetails.status,
       date: order.paymentDetails.date,
+      orderStatus: order.status,
+      expiresAt: transaction?.expiresAt,
+      failureReason: transaction?.failureReason,
     }
 
     res.json({
@@ -117,43 +178,191 @@ export const verifyPayment = async (req, res) => {
 
 /**
  * @desc    Payment webhook (for payment provider callbacks)
- * @route   POST /api/payments/webhook
- * @access  Public
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public, signed by the provider
  */
 export const paymentWebhook = async (req, res) => {
   try {
-    const { transactionId, status, paymentMethod } = req.body
+    const provider = getPaymentProviderByName(req.params.provider)
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown payment provider" })
+    }
 
-    // Validate webhook signature (in a real implementation)
-    // const isValid = validateWebhookSignature(req);
-    // if (!isValid) {
-    //   return res.status(401).json({ message: 'Invalid webhook signature' });
-    // }
+    const received = await receiveWebhook(provider, req)
 
-    if (!transactionId) {
-      return res.status(400).json({ message: "Transaction ID is required" })
+    if (received.message) {
+      const { status, ...body } = received
+      return res.status(status).json(body)
     }
 
-    // Find order with this transaction ID
-    const order = await Order.findOne({ "paymentDetails.transactionId": transactionId })
+    if (received.duplicate) {
+      return res.status(200).json({ received: true, duplicate: true })
+    }
+
+    const { webhookEvent } = received
+
+    // Ask the provider to send it again later
+    if (webhookEvent.status === "deferred") {
+      return res.status(404).json({ message: webhookEvent.result })
+    }
+
+    if (webhookEvent.status === "failed") {
+      return res.status(500).json({ message: "The event could not be processed" })
+    }
+
+    res.status(200).json({ received: true })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List received webhook events
+ * @route   GET /api/payments/webhook-events
+ * @access  Private/Admin
+ */
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.pageSize) || 20
+    const page = Number(req.query.page) || 1
+
+    const filter = {}
+
+    for (const field of ["provider", "status", "transactionId"]) {
+      if (req.query[field]) filter[field] = String(req.query[field])
+    }
+
+    const count = await WebhookEvent.countDocuments(filter)
+
+    const webhookEvents = await WebhookEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      webhookEvents,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Process a stored webhook event again
+ * @route   POST /api/payments/webhook-events/:id/replay
+ * @access  Private/Admin
+ */
+export const replayWebhook = async (req, res) => {
+  try {
+    const webhookEvent = await WebhookEvent.findById(req.params.id)
+
+    if (!webhookEvent) {
+      return res.status(404).json({ message: "Webhook event not found" })
+    }
+
+    const replayed = await replayWebhookEvent(webhookEvent, actorOf(req.user))
+    if (replayed.message) {
+      const { status, ...body } = replayed
+      return res.status(status).json(body)
+    }
+
+    res.json(replayed.webhookEvent)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Refund an order, fully or partly
+ * @route   POST /api/orders/:id/refunds
+ * @access  Private/Admin
+ */
+export const createRefund = async (req, res) => {
+  try {
+    const { amount, items, reason } = req.body
+
+    const order = await Order.findById(req.params.id)
 
     if (!order) {
-      return res.status(404).json({ message: "No order found with this transaction ID" })
+      return res.status(404).json({ message: "Order not found" })
     }
 
-    // Update payment status
-    order.paymentDetails.status = status
+    let input = { amount, items, reason }
+
+    // Retry the refund of a received return
+    if (req.body.returnRequest) {
+      const returnRequest = await ReturnRequest.findOne({ _id: req.body.returnRequest, order: order._id, status: "received" })
 
-    // Update order status based on payment status
-    if (status === "completed") {
-      order.status = "processing"
-    } else if (status === "failed") {
-      order.status = "pending"
+      if (!returnRequest) {
+        return res.status(404).json({ message: "No received return with this ID for this order" })
+      }
+
+      if (["pending", "completed"].includes(returnRequest.refund?.status) && returnRequest.refund.transaction) {
+        return res.status(409).json({ message: "This return has already been refunded" })
+      }
+
+      input = {
+        items: returnRequest.items.map(({ orderItem, quantity }) => ({ orderItem, quantity })),
+        reason: reason || `Return ${returnRequest.rmaNumber}`,
+        returnRequest: returnRequest._id,
+      }
     }
 
-    await order.save()
+    const refund = await refundOrder(order, actorOf(req.user), input)
+    if (refund.message) {
+      const { status, ...body } = refund
+      return res.status(status).json(body)
+    }
 
-    res.status(200).json({ received: true })
+    res.status(201).json({
+      transaction: refund.transaction,
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentDetails: order.paymentDetails,
+        amountPaid: order.amountPaid,
+        amountRefunded: order.amountRefunded,
+      },
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List the payments and refunds of an order
+ * @route   GET /api/orders/:id/transactions
+ * @access  Private
+ */
+export const getOrderTransactions = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("user amountPaid amountRefunded paymentDetails")
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    if (!can(req.user, "order:read", order)) {
+      return res.status(403).json({ message: "Not authorized to view this order" })
+    }
+
+    const transactions = await PaymentTransaction.find({ order: order._id }).sort({ createdAt: 1 })
+
+    res.json({
+      paymentStatus: order.paymentDetails?.status,
+      amountPaid: order.amountPaid || 0,
+      amountRefunded: order.amountRefunded || 0,
+      transactions,
+    })
   } catch (error) {
     console.error(error)
     res.status(500).json({ message: "Server error", error: error.message })
@@ -201,62 +410,3 @@ export const getPaymentMethods = async (req, res) => {
     res.status(500).json({ message: "Server error", error: error.message })
   }
 }
-
-// Helper functions for payment processing
-const processCreditCardPayment = async (order, paymentDetails) => {
-  // In a real implementation, this would integrate with a payment gateway
-  // For now, we'll simulate a successful payment
-
-  // Validate credit card details
-  if (!paymentDetails.cardNumber || !paymentDetails.expiryDate || !paymentDetails.cvv) {
-    throw new Error("Invalid credit card details")
-  }
-
-  // Simulate processing delay
-  await new Promise((resolve) => setTimeout(resolve, 1000))
-
-  return {
-    transactionId: `cc_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-    status: "completed",
-    message: "Payment processed successfully",
-  }
-}
-
-const processPayPalPayment = async (order, paymentDetails) => {
-  // In a real implementation, this would integrate with PayPal API
-  // For now, we'll simulate a successful payment
-
-  // Validate PayPal details
-  if (!paymentDetails.paypalEmail) {
-    throw new Error("PayPal email is required")
-  }
-
-  // Simulate processing delay
-  await new Promise((resolve) => setTimeout(resolve, 1000))
-
-  return {
-    transactionId: `pp_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-    status: "completed",
-    message: "PayPal payment processed successfully",
-  }
-}
-
-const processMoMoPayment = async (order, paymentDetails) => {
-  // In a real implementation, this would integrate with Mobile Money API
-  // For now, we'll simulate a successful payment
-
-  // Validate Mobile Money details
-  if (!paymentDetails.phoneNumber) {
-    throw new Error("Phone number is required")
-  }
-
-  // Simulate processing delay
-  await new Promise((resolve) => setTimeout(resolve, 1000))
-
-  return {
-    transactionId: `mm_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-    status: "completed",
-    message: "Mobile Money payment processed successfully",
-  }
-}
-
@@ -0,0 +1,40 @@
+import { getPermissionMatrix, getScopes, policy } from "../config/permissions.js"
+
+/**
+ * @desc    Get the effective permission matrix for every role
+ * @route   GET /api/permissions
+ * @access  Private/Admin
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    res.json(getPermissionMatrix())
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get the permissions of the logged in user
+ * @route   GET /api/permissions/me
+ * @access  Private
+ */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = {}
+
+    Object.keys(policy)
+      .sort()
+      .forEach((action) => {
+        const scopes = getScopes(req.user.role, action)
+        if (scopes.length > 0) {
+          permissions[action] = scopes
+        }
+      })
+
+    res.json({ role: req.user.role, permissions })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
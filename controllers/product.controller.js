@@ -2,6 +2,16 @@ import Product from "../models/product.model.js";
 import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import asyncHandler from 'express-async-handler'; // For cleaner error handling
+import { can, hasScope } from "../config/permissions.js";
+import {
+    parseVariantInput,
+    parseSingleVariantInput,
+    getVariantInput,
+    applyVariants,
+    saveVariantChanges,
+    findVariantConflicts,
+} from "../services/productVariant.service.js";
+import { parseParcelInput } from "../services/shipping.service.js";
 
 // **IMPORTANT:** Configure Cloudinary (or your chosen cloud storage)
 cloudinary.config({
@@ -28,6 +38,39 @@ const uploadImageToCloudinary = async (buffer, options) => {
     });
 };
 
+// Applies parsed options and variants to a product and checks its SKUs and
+// barcodes against the rest of the catalogue. Returns an error to send, or null.
+const setVariants = async (product, input) => {
+    const errors = input.errors?.length ? input.errors : applyVariants(product, input);
+    if (errors.length > 0) {
+        return { status: 400, message: "Invalid variants", errors };
+    }
+
+    const conflicts = await findVariantConflicts(product);
+    if (conflicts.length > 0) {
+        return { status: 409, message: "SKU or barcode already in use", errors: conflicts };
+    }
+
+    return null;
+};
+
+// Sets the shipping weight and dimensions sent with a product, sending null
+// clears them. Returns an error to send, or null.
+const setParcel = (product, body) => {
+    const parcel = parseParcelInput(body);
+    if (!parcel) return null;
+
+    if (parcel.errors.length > 0) {
+        return { message: "Invalid weight or dimensions", errors: parcel.errors };
+    }
+
+    Object.entries(parcel.fields).forEach(([field, value]) => {
+        product.set(field, value ?? undefined);
+    });
+
+    return null;
+};
+
 /**
  * @desc    Get all products
  * @route   GET /api/products
@@ -65,6 +108,15 @@ export const getProducts = asyncHandler(async (req, res) => {
         ];
     }
 
+    // Look up a variant by SKU or barcode, e.g. from a seller's stock system
+    if (req.query.sku) {
+        filter["variants.sku"] = req.query.sku.trim().toUpperCase();
+    }
+
+    if (req.query.barcode) {
+        filter["variants.barcode"] = req.query.barcode.trim();
+    }
+
     if (req.query.tags) {
         const tags = Array.isArray(req.query.tags) ? req.query.tags : req.query.tags.split(",");
         filter.tags = { $in: tags };
@@ -114,6 +166,10 @@ export const getSellerProducts = asyncHandler(async (req, res) => {
         filter.isActive = req.query.status === 'active';
     }
 
+    if (req.query.sku) {
+        filter["variants.sku"] = req.query.sku.trim().toUpperCase();
+    }
+
     const count = await Product.countDocuments(filter);
 
     const products = await Product.find(filter)
@@ -155,21 +211,15 @@ export const getProductById = asyncHandler(async (req, res) => {
 export const createProduct = [
     upload.single('image'), // 'image' should match the field name in your FormData
     asyncHandler(async (req, res) => {
-        // Role-based access control: Disallow customers from creating products
-        if (req.user.role === 'customer') {
-            return res.status(403).json({ message: "Customers are not allowed to create products" });
-        }
-
         const {
             name,
             description,
             price,
             category,
             tags,
-            sizes,
-            colors,
             materials,
             isCustomizable,
+            trackInventory,
             customizationOptions,
             designerId, // Optional: Allow specifying a designer if different from seller
         } = req.body;
@@ -179,19 +229,6 @@ export const createProduct = [
             return res.status(400).json({ message: "Invalid price. Price must be a number." });
         }
 
-        let imageUrls = []; // To store the Cloudinary URLs
-        if (req.file) {
-            try {
-                const cloudinaryResult = await uploadImageToCloudinary(req.file.buffer, {
-                    folder: 'products', // Organize images in a 'products' folder on Cloudinary
-                });
-                imageUrls.push(cloudinaryResult.secure_url); // Add the secure URL
-            } catch (uploadError) {
-                console.error("Cloudinary upload error:", uploadError);
-                return res.status(500).json({ message: "Failed to upload image to Cloudinary", error: uploadError.message });
-            }
-        }
-
         // Determine the designer - either specified or the current user
         const designer = designerId || req.user._id;
 
@@ -199,19 +236,47 @@ export const createProduct = [
             name,
             description,
             price: parsedPrice, // Use the converted price
-            images: imageUrls,    // Store the array of image URLs
             designer: designer,
             seller: req.user._id, // Set the seller to the current user
             category,
             tags: tags ? tags.split(',') : [],
-            sizes: typeof sizes === 'string' ? sizes.split(',') : [],
-            colors: typeof colors === 'string' ? colors.split(',') : [],
             materials: typeof materials === 'string' ? materials.split(',') : [],
             isCustomizable: isCustomizable === 'true', // checking for value before set
+            trackInventory: trackInventory !== 'false' && trackInventory !== false,
             customizationOptions,
             createdBy: req.user._id, // Track who created the product
         });
 
+        // Weight and packed size, for shipping
+        const parcelError = setParcel(product, req.body);
+        if (parcelError) {
+            return res.status(400).json(parcelError);
+        }
+
+        // Options and variants, or the sizes/colors shorthand
+        const variantInput = parseVariantInput(req.body);
+        if (variantInput) {
+            const variantError = await setVariants(product, variantInput);
+            if (variantError) {
+                const { status, ...body } = variantError;
+                return res.status(status).json(body);
+            }
+        }
+
+        let imageUrls = []; // To store the Cloudinary URLs
+        if (req.file) {
+            try {
+                const cloudinaryResult = await uploadImageToCloudinary(req.file.buffer, {
+                    folder: 'products', // Organize images in a 'products' folder on Cloudinary
+                });
+                imageUrls.push(cloudinaryResult.secure_url); // Add the secure URL
+            } catch (uploadError) {
+                console.error("Cloudinary upload error:", uploadError);
+                return res.status(500).json({ message: "Failed to upload image to Cloudinary", error: uploadError.message });
+            }
+        }
+        product.images = imageUrls; // Store the array of image URLs
+
         const createdProduct = await product.save();
         res.status(201).json(createdProduct);
     })
@@ -225,11 +290,6 @@ export const createProduct = [
 export const updateProduct = [
     upload.single('image'), // Allow image updates
     asyncHandler(async (req, res) => {
-        // Disallow customers from updating any product
-        if (req.user.role === 'customer') {
-            return res.status(403).json({ message: "Customers are not allowed to update products" });
-        }
-
         const product = await Product.findById(req.params.id);
 
         if (!product) {
@@ -237,14 +297,26 @@ export const updateProduct = [
         }
 
         // Only allow if user is the product seller, designer, or an admin
-        if (
-            product.seller?.toString() !== req.user._id.toString() && 
-            product.designer?.toString() !== req.user._id.toString() && 
-            req.user.role !== "admin"
-        ) {
+        if (!can(req.user, "product:update", product)) {
             return res.status(403).json({ message: "Not authorized to update this product" });
         }
 
+        const parcelError = setParcel(product, req.body);
+        if (parcelError) {
+            return res.status(400).json(parcelError);
+        }
+
+        // Options and variants, or the sizes/colors shorthand. Checked before
+        // anything is uploaded.
+        const variantInput = parseVariantInput(req.body);
+        if (variantInput) {
+            const variantError = await setVariants(product, variantInput);
+            if (variantError) {
+                const { status, ...body } = variantError;
+                return res.status(status).json(body);
+            }
+        }
+
         // Handle image upload if provided
         if (req.file) {
             try {
@@ -266,7 +338,7 @@ export const updateProduct = [
         // Update product fields
         const fieldsToUpdate = [
             'name', 'description', 'price', 'category', 'isActive', 
-            'inventory', 'isCustomizable', 'customizationOptions'
+            'inventory', 'isCustomizable', 'trackInventory', 'customizationOptions'
         ];
 
         fieldsToUpdate.forEach(field => {
@@ -288,14 +360,6 @@ export const updateProduct = [
             product.tags = typeof req.body.tags === 'string' ? req.body.tags.split(',') : req.body.tags;
         }
         
-        if (req.body.sizes) {
-            product.sizes = typeof req.body.sizes === 'string' ? req.body.sizes.split(',') : req.body.sizes;
-        }
-        
-        if (req.body.colors) {
-            product.colors = typeof req.body.colors === 'string' ? req.body.colors.split(',') : req.body.colors;
-        }
-        
         if (req.body.materials) {
             product.materials = typeof req.body.materials === 'string' ? req.body.materials.split(',') : req.body.materials;
         }
@@ -304,6 +368,7 @@ export const updateProduct = [
         product.updatedBy = req.user._id;
         product.updatedAt = Date.now();
 
+        await saveVariantChanges(product);
         const updatedProduct = await product.save();
         res.json(updatedProduct);
     })
@@ -315,11 +380,6 @@ export const updateProduct = [
  * @access  Private/Designer/Admin/Seller (Not customer)
  */
 export const deleteProduct = asyncHandler(async (req, res) => {
-    // Disallow customers from deleting products
-    if (req.user.role === 'customer') {
-        return res.status(403).json({ message: "Customers are not allowed to delete products" });
-    }
-
     const product = await Product.findById(req.params.id);
 
     if (!product) {
@@ -327,11 +387,7 @@ export const deleteProduct = asyncHandler(async (req, res) => {
     }
 
     // Only allow if user is the product seller, designer, or an admin
-    if (
-        product.seller?.toString() !== req.user._id.toString() && 
-        product.designer?.toString() !== req.user._id.toString() && 
-        req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "product:delete", product)) {
         return res.status(403).json({ message: "Not authorized to delete this product" });
     }
 
@@ -431,11 +487,7 @@ export const deleteProductImage = asyncHandler(async (req, res) => {
     }
     
     // Check authorization
-    if (
-        product.seller?.toString() !== req.user._id.toString() && 
-        product.designer?.toString() !== req.user._id.toString() && 
-        req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "product:update", product)) {
         return res.status(403).json({ message: "Not authorized to update this product" });
     }
     
@@ -463,14 +515,14 @@ export const bulkUpdateProductStatus = asyncHandler(async (req, res) => {
         return res.status(400).json({ message: "Product IDs are required" });
     }
     
-    // Only allow sellers to update their own products
     const sellerId = req.user._id;
     
-    // Find all products that belong to this seller and are in the productIds list
-    const products = await Product.find({
-        _id: { $in: productIds },
-        seller: sellerId
-    });
+    // Find all products in the productIds list the user may update
+    const filter = { _id: { $in: productIds } };
+    if (!hasScope(req.user, "product:update", "any")) {
+        filter.$or = [{ seller: sellerId }, { designer: sellerId }];
+    }
+    const products = await Product.find(filter);
     
     if (products.length === 0) {
         return res.status(404).json({ message: "No matching products found" });
@@ -490,4 +542,210 @@ export const bulkUpdateProductStatus = asyncHandler(async (req, res) => {
         message: `${products.length} products updated`,
         updatedCount: products.length
     });
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Get the options and variants of a product
+ * @route   GET /api/products/:id/variants
+ * @access  Public
+ */
+export const getProductVariants = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).select("name price salePrice options variants trackInventory");
+
+    if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+    }
+
+    res.json({
+        options: product.options,
+        variants: product.variants,
+        trackInventory: product.trackInventory,
+    });
+});
+
+/**
+ * @desc    Add a variant to a product
+ * @route   POST /api/products/:id/variants
+ * @access  Private/Designer/Admin/Seller
+ */
+export const addProductVariant = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+    }
+
+    if (!can(req.user, "product:update", product)) {
+        return res.status(403).json({ message: "Not authorized to update this product" });
+    }
+
+    const { variant, errors } = parseSingleVariantInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: "Invalid variant", errors });
+    }
+
+    const input = getVariantInput(product);
+    input.variants.push(variant);
+
+    const variantError = await setVariants(product, input);
+    if (variantError) {
+        const { status, ...body } = variantError;
+        return res.status(status).json(body);
+    }
+
+    product.updatedBy = req.user._id;
+    await saveVariantChanges(product);
+    await product.save();
+
+    res.status(201).json(product.variants[product.variants.length - 1]);
+});
+
+/**
+ * @desc    Update a variant of a product
+ * @route   PUT /api/products/:id/variants/:variantId
+ * @access  Private/Designer/Admin/Seller
+ */
+export const updateProductVariant = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+    }
+
+    if (!can(req.user, "product:update", product)) {
+        return res.status(403).json({ message: "Not authorized to update this product" });
+    }
+
+    const input = getVariantInput(product);
+    const index = input.variants.findIndex((v) => v._id === req.params.variantId);
+    if (index === -1) {
+        return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const { variant, errors } = parseSingleVariantInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: "Invalid variant", errors });
+    }
+
+    // Keep the option values unless new ones were sent
+    if (req.body.options === undefined) {
+        delete variant.options;
+    }
+    input.variants[index] = { ...input.variants[index], ...variant };
+
+    const variantError = await setVariants(product, input);
+    if (variantError) {
+        const { status, ...body } = variantError;
+        return res.status(status).json(body);
+    }
+
+    product.updatedBy = req.user._id;
+    await saveVariantChanges(product);
+    await product.save();
+
+    res.json(product.variants.id(req.params.variantId));
+});
+
+/**
+ * @desc    Delete a variant of a product
+ * @route   DELETE /api/products/:id/variants/:variantId
+ * @access  Private/Designer/Admin/Seller
+ */
+export const deleteProductVariant = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+    }
+
+    if (!can(req.user, "product:update", product)) {
+        return res.status(403).json({ message: "Not authorized to update this product" });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+        return res.status(404).json({ message: "Variant not found" });
+    }
+
+    // Orders keep the SKU and option values of the variant they were placed for
+    variant.deleteOne();
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.json({ message: "Variant removed" });
+});
+
+/**
+ * @desc    Upload an image of a variant
+ * @route   POST /api/products/:id/variants/:variantId/images
+ * @access  Private/Designer/Admin/Seller
+ */
+export const uploadProductVariantImage = [
+    upload.single('image'),
+    asyncHandler(async (req, res) => {
+        const product = await Product.findById(req.params.id);
+
+        if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        if (!can(req.user, "product:update", product)) {
+            return res.status(403).json({ message: "Not authorized to update this product" });
+        }
+
+        const variant = product.variants.id(req.params.variantId);
+        if (!variant) {
+            return res.status(404).json({ message: "Variant not found" });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: "Image is required" });
+        }
+
+        try {
+            const cloudinaryResult = await uploadImageToCloudinary(req.file.buffer, {
+                folder: 'products',
+            });
+            variant.images.push(cloudinaryResult.secure_url);
+        } catch (uploadError) {
+            console.error("Cloudinary upload error:", uploadError);
+            return res.status(500).json({ message: "Failed to upload image to Cloudinary", error: uploadError.message });
+        }
+
+        await product.save();
+
+        res.status(201).json({ message: "Image added", images: variant.images });
+    })
+];
+
+/**
+ * @desc    Delete an image of a variant
+ * @route   DELETE /api/products/:id/variants/:variantId/images/:imageIndex
+ * @access  Private/Designer/Admin/Seller
+ */
+export const deleteProductVariantImage = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+    }
+
+    if (!can(req.user, "product:update", product)) {
+        return res.status(403).json({ message: "Not authorized to update this product" });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+        return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const imageIndex = Number(req.params.imageIndex);
+    if (!Number.isInteger(imageIndex) || imageIndex < 0 || imageIndex >= variant.images.length) {
+        return res.status(400).json({ message: "Invalid image index" });
+    }
+
+    variant.images.splice(imageIndex, 1);
+    await product.save();
+
+    res.json({ message: "Image removed", images: variant.images });
+});
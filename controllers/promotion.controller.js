@@ -0,0 +1,193 @@
+import Promotion from "../models/promotion.model.js"
+import Product from "../models/product.model.js"
+import { can, hasScope } from "../config/permissions.js"
+import { pickPromotionFields, getPromotionErrors } from "../services/promotion.service.js"
+
+// Sellers only run promotions on their own products: their promotions are
+// always limited to the products they sell. Returns an error message or null.
+const limitToOwnProducts = async (user, promotion) => {
+  if (hasScope(user, "promotion:manage", "any")) return null
+
+  promotion.scope.sellers = [user._id]
+
+  const products = promotion.scope.products || []
+  if (products.length > 0) {
+    const own = await Product.countDocuments({ _id: { $in: products }, seller: user._id })
+    if (own !== products.length) {
+      return "You can only run promotions on your own products"
+    }
+  }
+
+  return null
+}
+
+// Validate the promotion and save it. Returns `{ promotion }` or `{ status, message, errors }`.
+const savePromotion = async (user, promotion) => {
+  const errors = getPromotionErrors(promotion)
+  if (errors.length > 0) {
+    return { status: 400, message: "Invalid promotion", errors }
+  }
+
+  const scopeError = await limitToOwnProducts(user, promotion)
+  if (scopeError) {
+    return { status: 403, message: scopeError }
+  }
+
+  if (promotion.code && (await Promotion.exists({ code: promotion.code, _id: { $ne: promotion._id } }))) {
+    return { status: 409, message: "Coupon code already in use" }
+  }
+
+  return { promotion: await promotion.save() }
+}
+
+/**
+ * @desc    List promotions, all of them for admins, their own for sellers
+ * @route   GET /api/promotions
+ * @access  Private/Admin/Seller
+ */
+export const getPromotions = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.pageSize) || 10
+    const page = Number(req.query.page) || 1
+
+    const filter = {}
+
+    if (!hasScope(req.user, "promotion:manage", "any")) {
+      filter.createdBy = req.user._id
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true"
+    }
+
+    if (req.query.code) {
+      filter.code = req.query.code.toUpperCase()
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+
+    const count = await Promotion.countDocuments(filter)
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      promotions,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Create a promotion
+ * @route   POST /api/promotions
+ * @access  Private/Admin/Seller
+ */
+export const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({ ...pickPromotionFields(req.body), createdBy: req.user._id })
+
+    const result = await savePromotion(req.user, promotion)
+    if (result.message) {
+      const { status, ...body } = result
+      return res.status(status).json(body)
+    }
+
+    res.status(201).json(result.promotion)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get a promotion
+ * @route   GET /api/promotions/:id
+ * @access  Private/Admin/Seller
+ */
+export const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" })
+    }
+
+    if (!can(req.user, "promotion:manage", promotion)) {
+      return res.status(403).json({ message: "Not authorized to view this promotion" })
+    }
+
+    res.json(promotion)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Update a promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Private/Admin/Seller
+ */
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" })
+    }
+
+    if (!can(req.user, "promotion:manage", promotion)) {
+      return res.status(403).json({ message: "Not authorized to update this promotion" })
+    }
+
+    // Orders keep the promotions as they were applied, so editing never changes them
+    promotion.set(pickPromotionFields(req.body))
+
+    const result = await savePromotion(req.user, promotion)
+    if (result.message) {
+      const { status, ...body } = result
+      return res.status(status).json(body)
+    }
+
+    res.json(result.promotion)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Delete a promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Private/Admin/Seller
+ */
+export const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" })
+    }
+
+    if (!can(req.user, "promotion:manage", promotion)) {
+      return res.status(403).json({ message: "Not authorized to delete this promotion" })
+    }
+
+    await promotion.deleteOne()
+
+    res.json({ message: "Promotion removed" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
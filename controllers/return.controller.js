@@ -0,0 +1,205 @@
+import Order from "../models/order.model.js"
+import ReturnRequest from "../models/returnRequest.model.js"
+import { can } from "../config/permissions.js"
+import { actorOf } from "../services/orderStatus.service.js"
+import {
+  createReturnRequest,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest,
+} from "../services/return.service.js"
+
+// Answer with the result of a return service call
+const sendResult = (res, result, successStatus = 200) => {
+  if (result.message) {
+    const { status, ...body } = result
+    return res.status(status).json(body)
+  }
+
+  res.status(successStatus).json(result.returnRequest)
+}
+
+/**
+ * @desc    Request a return for items of an order
+ * @route   POST /api/orders/:id/returns
+ * @access  Private
+ */
+export const requestReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    if (!can(req.user, "return:create", order)) {
+      return res.status(403).json({ message: "Not authorized to return items of this order" })
+    }
+
+    const result = await createReturnRequest(order, actorOf(req.user), req.body)
+    sendResult(res, result, 201)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List the returns of an order
+ * @route   GET /api/orders/:id/returns
+ * @access  Private
+ */
+export const getOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("user")
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    if (!can(req.user, "return:read", order)) {
+      return res.status(403).json({ message: "Not authorized to view the returns of this order" })
+    }
+
+    res.json(await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 }))
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    List return requests
+ * @route   GET /api/returns
+ * @access  Private/Admin
+ */
+export const getReturnRequests = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.pageSize) || 10
+    const page = Number(req.query.page) || 1
+
+    const filter = {}
+
+    if (req.query.status) {
+      filter.status = req.query.status
+    }
+
+    if (req.query.refundStatus) {
+      filter["refund.status"] = req.query.refundStatus
+    }
+
+    const count = await ReturnRequest.countDocuments(filter)
+
+    const returnRequests = await ReturnRequest.find(filter)
+      .populate("user", "firstName lastName email")
+      .populate("order", "orderNumber status")
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+
+    res.json({
+      returnRequests,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get a return request
+ * @route   GET /api/returns/:id
+ * @access  Private
+ */
+export const getReturnRequestById = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id).populate("order", "orderNumber status")
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" })
+    }
+
+    if (!can(req.user, "return:read", returnRequest)) {
+      return res.status(403).json({ message: "Not authorized to view this return request" })
+    }
+
+    res.json(returnRequest)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Approve a return request
+ * @route   PUT /api/returns/:id/approve
+ * @access  Private/Admin
+ */
+export const approveReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" })
+    }
+
+    const result = await approveReturnRequest(returnRequest, actorOf(req.user), req.body)
+    sendResult(res, result)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/returns/:id/reject
+ * @access  Private/Admin
+ */
+export const rejectReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" })
+    }
+
+    const result = await rejectReturnRequest(returnRequest, actorOf(req.user), req.body)
+    sendResult(res, result)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Mark the items of a return as received
+ * @route   PUT /api/returns/:id/receive
+ * @access  Private/Admin
+ */
+export const receiveReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" })
+    }
+
+    const order = await Order.findById(returnRequest.order)
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    const result = await receiveReturnRequest(returnRequest, order, actorOf(req.user), {
+      restock: req.body.restock !== false,
+    })
+    sendResult(res, result)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
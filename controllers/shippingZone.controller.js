@@ -0,0 +1,116 @@
+import ShippingZone from "../models/shippingZone.model.js"
+import { getShippingZoneErrors } from "../services/shipping.service.js"
+
+const ZONE_FIELDS = ["name", "countries", "regions", "postalPrefixes", "methods", "isActive"]
+
+// Copy the zone fields sent in the request onto the zone
+const applyZoneFields = (zone, body) => {
+  ZONE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) zone.set(field, body[field])
+  })
+}
+
+/**
+ * @desc    List shipping zones
+ * @route   GET /api/shipping/zones
+ * @access  Private/Admin
+ */
+export const getShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 })
+    res.json(zones)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Create a shipping zone
+ * @route   POST /api/shipping/zones
+ * @access  Private/Admin
+ */
+export const createShippingZone = async (req, res) => {
+  try {
+    const zone = new ShippingZone()
+    applyZoneFields(zone, req.body)
+
+    const errors = getShippingZoneErrors(zone)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid shipping zone", errors })
+    }
+
+    res.status(201).json(await zone.save())
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get a shipping zone
+ * @route   GET /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+export const getShippingZoneById = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id)
+
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" })
+    }
+
+    res.json(zone)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Update a shipping zone
+ * @route   PUT /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+export const updateShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id)
+
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" })
+    }
+
+    // Orders already placed keep the shipping method they were placed with
+    applyZoneFields(zone, req.body)
+
+    const errors = getShippingZoneErrors(zone)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid shipping zone", errors })
+    }
+
+    res.json(await zone.save())
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Delete a shipping zone
+ * @route   DELETE /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+export const deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id)
+
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" })
+    }
+
+    res.json({ message: "Shipping zone removed" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
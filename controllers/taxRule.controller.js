@@ -0,0 +1,145 @@
+import TaxRule from "../models/taxRule.model.js"
+import { getTaxRuleErrors } from "../services/tax.service.js"
+
+const RULE_FIELDS = [
+  "name",
+  "country",
+  "region",
+  "rate",
+  "pricesIncludeTax",
+  "categoryRates",
+  "exemptCategories",
+  "taxShipping",
+  "isActive",
+]
+
+// Copy the rule fields sent in the request onto the rule
+const applyRuleFields = (rule, body) => {
+  RULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) rule.set(field, body[field])
+  })
+}
+
+// Another rule for the same country and region, which would make the rate
+// of the destination ambiguous
+const findOverlappingRule = (rule) =>
+  TaxRule.findOne({
+    _id: { $ne: rule._id },
+    country: rule.country,
+    region: rule.region || { $in: [null, ""] },
+  }).collation({ locale: "en", strength: 2 })
+
+const overlapMessage = (rule) => `A tax rule for ${[rule.region, rule.country].filter(Boolean).join(", ")} already exists`
+
+/**
+ * @desc    List tax rules
+ * @route   GET /api/tax/rules
+ * @access  Private/Admin
+ */
+export const getTaxRules = async (req, res) => {
+  try {
+    const rules = await TaxRule.find().sort({ country: 1, region: 1 })
+    res.json(rules)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Create a tax rule
+ * @route   POST /api/tax/rules
+ * @access  Private/Admin
+ */
+export const createTaxRule = async (req, res) => {
+  try {
+    const rule = new TaxRule()
+    applyRuleFields(rule, req.body)
+
+    const errors = getTaxRuleErrors(rule)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid tax rule", errors })
+    }
+
+    if (await findOverlappingRule(rule)) {
+      return res.status(409).json({ message: overlapMessage(rule) })
+    }
+
+    res.status(201).json(await rule.save())
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get a tax rule
+ * @route   GET /api/tax/rules/:id
+ * @access  Private/Admin
+ */
+export const getTaxRuleById = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({ message: "Tax rule not found" })
+    }
+
+    res.json(rule)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Update a tax rule
+ * @route   PUT /api/tax/rules/:id
+ * @access  Private/Admin
+ */
+export const updateTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({ message: "Tax rule not found" })
+    }
+
+    // Orders already placed keep the tax they were charged
+    applyRuleFields(rule, req.body)
+
+    const errors = getTaxRuleErrors(rule)
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid tax rule", errors })
+    }
+
+    if (await findOverlappingRule(rule)) {
+      return res.status(409).json({ message: overlapMessage(rule) })
+    }
+
+    res.json(await rule.save())
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Delete a tax rule
+ * @route   DELETE /api/tax/rules/:id
+ * @access  Private/Admin
+ */
+export const deleteTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({ message: "Tax rule not found" })
+    }
+
+    res.json({ message: "Tax rule removed" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
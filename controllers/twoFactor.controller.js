@@ -0,0 +1,213 @@
+import {
+  findUserWithTwoFactor,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  clearTwoFactor,
+  countRemainingRecoveryCodes,
+} from "../services/twoFactor.service.js"
+import {
+  getSecuritySettings,
+  updateSecuritySettings,
+  isTwoFactorRequired,
+} from "../services/securitySettings.service.js"
+import { ROLES } from "../config/permissions.js"
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(user.role),
+      remainingRecoveryCodes: countRemainingRecoveryCodes(user),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Start TOTP enrollment and get the provisioning URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(user)
+
+    res.json({ secret, otpauthUrl })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Confirm TOTP enrollment with a code from the authenticator app
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: "Authentication code is required" })
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start the setup first" })
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, code)
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid authentication code" })
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once.",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Password and a code or recovery code are required" })
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(400).json({ message: `Two-factor authentication is mandatory for ${user.role} accounts` })
+    }
+
+    if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: "Invalid password or authentication code" })
+    }
+
+    clearTwoFactor(user)
+    await user.save()
+
+    res.json({ message: "Two-factor authentication disabled" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Replace the recovery codes with a new set
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: "Authentication code is required" })
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id)
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ message: "Invalid authentication code" })
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user)
+    await user.save()
+
+    res.json({ recoveryCodes })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Get the two-factor policy
+ * @route   GET /api/auth/2fa/policy
+ * @access  Private/Admin
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const settings = await getSecuritySettings()
+
+    res.json({
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+      updatedBy: settings.updatedBy,
+      updatedAt: settings.updatedAt,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
+/**
+ * @desc    Set the roles that must use two-factor authentication
+ * @route   PUT /api/auth/2fa/policy
+ * @access  Private/Admin
+ */
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body
+
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some((role) => !ROLES.includes(role))) {
+      return res.status(400).json({ message: `twoFactorRequiredRoles must be a list of: ${ROLES.join(", ")}` })
+    }
+
+    const settings = await updateSecuritySettings({ twoFactorRequiredRoles }, req.user._id)
+
+    res.json({
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+      updatedBy: settings.updatedBy,
+      updatedAt: settings.updatedAt,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
@@ -1,6 +1,9 @@
 import User from "../models/user.model.js"
 import Order from "../models/order.model.js"
 import CustomDesign from "../models/customDesign.model.js"
+import { revokeAllSessions } from "../services/session.service.js"
+import { findUserWithTwoFactor, clearTwoFactor } from "../services/twoFactor.service.js"
+import { purgeUserData } from "../services/accountDeletion.service.js"
 
 /**
  * @desc    Get all users
@@ -100,13 +103,6 @@ export const updateUser = async (req, res) => {
   }
 }
 
-/**
- * @desc    Delete user
- * @route   DELETE /api/users/:id
-   error: error.message });
-  }
-};
-
 /**
  * @desc    Delete user
  * @route   DELETE /api/users/:id
@@ -117,7 +113,8 @@ export const deleteUser = async (req, res) => {
     const user = await User.findById(req.params.id)
 
     if (user) {
-      await user.deleteOne()
+      // Same cleanup as a self-service deletion, so nothing is left orphaned
+      await purgeUserData(user)
       res.json({ message: "User removed" })
     } else {
       res.status(404).json({ message: "User not found" })
@@ -128,6 +125,32 @@ export const deleteUser = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @route   DELETE /api/users/:id/2fa
+ * @access  Private/Admin
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    clearTwoFactor(user)
+    await user.save()
+
+    // Sessions opened with the old factor should not outlive the reset
+    await revokeAllSessions(user._id, "admin")
+
+    res.json({ message: "Two-factor authentication reset" })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error", error: error.message })
+  }
+}
+
 /**
  * @desc    Add product to favorites
  * @route   POST /api/users/favorites
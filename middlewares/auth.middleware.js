@@ -1,10 +1,41 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { getScopes, apiKeyAllows } from "../config/permissions.js";
+import { isTwoFactorRequired } from "../services/securitySettings.service.js";
+import { authenticateApiKey, API_KEY_PREFIX } from "../services/apiKey.service.js";
 import asyncHandler from 'express-async-handler'; // For cleaner error handling
 
+// API keys are sent as an X-API-Key header or as a Bearer token
+const getApiKey = (req) => {
+    if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+
+    const bearer = req.headers.authorization?.startsWith("Bearer") && req.headers.authorization.split(" ")[1];
+    return bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null;
+};
+
 const protect = asyncHandler(async (req, res, next) => {
     let token;
 
+    const rawApiKey = getApiKey(req);
+    if (rawApiKey) {
+        const apiKey = await authenticateApiKey(rawApiKey, req.ip);
+        if (!apiKey) {
+            res.status(401).json({ message: "Not authorized, invalid, expired or revoked API key" });
+            return;
+        }
+
+        const user = await User.findById(apiKey.user).select("-password");
+        if (!user) {
+            res.status(401).json({ message: "Not authorized, invalid user ID" });
+            return;
+        }
+
+        req.user = user;
+        req.apiKey = apiKey;
+        return next();
+    }
+
     if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
         try {
             // Get token from header
@@ -13,6 +44,13 @@ const protect = asyncHandler(async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Make sure the session behind the token has not been revoked
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+                res.status(401).json({ message: "Not authorized, session expired or revoked" });
+                return;
+            }
+
             // Get user from the token. Check to make sure it exists
             const user = await User.findById(decoded.id).select("-password");
             if (!user) {
@@ -21,10 +59,10 @@ const protect = asyncHandler(async (req, res, next) => {
                 return;
             }
 
-            // Attach user object
+            // Attach user object and the session the request was made with
             req.user = user;
+            req.sessionId = session._id;
 
-            console.log("User after authentication middleware:", req.user); // Debugging
             next();
         } catch (error) {
             console.error("JWT verification error:", error);
@@ -37,43 +75,62 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 });
 
-// Admin role check
-const admin = (req, res, next) => {
+// Authenticate requests that carry credentials and let anonymous ones
+// through without a user, for routes that also serve guests
+const optionalProtect = (req, res, next) => {
+    if (getApiKey(req) || req.headers.authorization) {
+        return protect(req, res, next);
+    }
+
+    next();
+};
+
+// Permission check, see config/permissions.js for the policy
+const authorize = (action) => asyncHandler(async (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({ message: "Not authorized, no user" }); // Require user
     }
 
-    if (req.user.role === "admin") {
+    // Roles under a mandatory 2FA policy can only reach the 2FA setup routes until they enroll
+    if (!req.user.twoFactor?.enabled && (await isTwoFactorRequired(req.user.role))) {
+        return res.status(403).json({
+            message: "Two-factor authentication is required for your account, please enable it first",
+            twoFactorSetupRequired: true,
+        });
+    }
+
+    // An API key only reaches the actions its scopes cover
+    if (req.apiKey && !apiKeyAllows(req.apiKey.scopes, action)) {
+        return res.status(403).json({ message: `API key does not have a scope that allows ${action}` });
+    }
+
+    if (getScopes(req.user.role, action).length > 0) {
         next();
     } else {
-        res.status(403).json({ message: "Not authorized as an admin" });
+        res.status(403).json({ message: `Not authorized to perform ${action}` });
     }
-};
+});
 
-// Designer role check
-const designer = (req, res, next) => {
+// Verified email check
+const requireVerifiedEmail = (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({ message: "Not authorized, no user" }); // Require user
     }
 
-    if (req.user.role === "designer" || req.user.role === "admin") {  //Admin can also access
+    if (req.user.isEmailVerified) {
         next();
     } else {
-        res.status(403).json({ message: "Not authorized as a designer" });
+        res.status(403).json({ message: "Please verify your email address first" });
     }
 };
 
-// Seller role check
-const seller = (req, res, next) => {
-     if (!req.user) {
-        return res.status(401).json({ message: "Not authorized, no user" }); // Require user
+// Login session check, for account routes that API keys must not reach
+const requireSession = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({ message: "This endpoint cannot be used with an API key" });
     }
 
-    if (req.user.role === "seller" || req.user.role === "admin") {  //Admin can also access
-        next();
-    } else {
-        res.status(403).json({ message: "Not authorized as a seller" });
-    }
-}
+    next();
+};
 
-export { protect, admin, designer, seller };
\ No newline at end of file
+export { protect, optionalProtect, authorize, requireVerifiedEmail, requireSession };
\ No newline at end of file
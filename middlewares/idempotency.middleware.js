@@ -0,0 +1,87 @@
+import hashToken from "../utils/hashToken.js"
+import { redactCardData } from "../utils/cardData.js"
+import {
+  claimIdempotencyKey,
+  fingerprintRequest,
+  releaseIdempotencyKey,
+  saveIdempotentResponse,
+} from "../services/idempotency.service.js"
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255
+
+// Whose keys a request uses: the user, or the guest cart. Anonymous guests
+// without a cart have nothing to tie a key to, and their first cart token
+// must not be stored with the response.
+const idempotencyScope = (req) => {
+  if (req.user) return `user:${req.user._id}`
+
+  const cartToken = req.get("X-Cart-Token")
+  return cartToken ? `cart:${hashToken(cartToken)}` : null
+}
+
+// Makes a mutating route safe to retry: a request sent again with the same
+// Idempotency-Key header gets the first response back (with an
+// Idempotent-Replayed header) instead of running twice. The same key with a
+// different request is a 409. Server errors are not kept, so they can be
+// retried. Goes after the authentication of the route.
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key")
+  if (!key) return next()
+
+  if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters` })
+  }
+
+  const scope = idempotencyScope(req)
+  if (!scope) return next()
+
+  try {
+    const path = `${req.baseUrl}${req.path}`
+    const claim = await claimIdempotencyKey({
+      key,
+      scope,
+      method: req.method,
+      path,
+      fingerprint: fingerprintRequest({ method: req.method, path, body: req.body }),
+    })
+
+    if (claim.message) {
+      const { status, ...body } = claim
+      return res.status(status).json(body)
+    }
+
+    if (claim.replay) {
+      const { statusCode, body } = claim.replay.response
+      res.set("Idempotent-Replayed", "true")
+      return res.status(statusCode).json(body)
+    }
+
+    const { record } = claim
+    let responseBody
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = res.statusCode >= 400 ? redactCardData(body) : body
+      return json(body)
+    }
+
+    let settled = false
+    const settle = () => {
+      if (settled) return
+      settled = true
+
+      const stored =
+        res.writableFinished && res.statusCode < 500 && responseBody !== undefined
+          ? saveIdempotentResponse(record, res.statusCode, responseBody)
+          : releaseIdempotencyKey(record)
+      stored.catch((error) => console.error(`Failed to update Idempotency-Key ${key}:`, error))
+    }
+    res.on("finish", settle)
+    res.on("close", settle)
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+export { idempotent }
@@ -0,0 +1,49 @@
+import { findCardData, redactCardData } from "../utils/cardData.js"
+
+// Refuses requests carrying card numbers or security codes. Cards are paid
+// with a token from the payment provider, so these have no reason to be here.
+const rejectCardData = (req, res, next) => {
+  const fields = [...findCardData(req.body), ...findCardData(req.query)]
+
+  if (fields.length > 0) {
+    return res.status(400).json({
+      message:
+        "Card numbers and security codes must not be sent to this API. Tokenize the card with the payment provider and send its paymentToken instead.",
+      fields: redactCardData(fields),
+    })
+  }
+
+  next()
+}
+
+// Scrubs card data from error responses, which may echo what was sent
+const redactErrorResponses = (req, res, next) => {
+  const json = res.json.bind(res)
+
+  res.json = (body) => json(res.statusCode >= 400 ? redactCardData(body) : body)
+
+  next()
+}
+
+// Logs one line per request once it is answered, with card data scrubbed
+// from the URL and, when LOG_REQUEST_BODIES is "true", from the body.
+// LOG_REQUESTS=false turns it off.
+const requestLogger = (req, res, next) => {
+  if (process.env.LOG_REQUESTS === "false") return next()
+
+  const startedAt = Date.now()
+
+  res.on("finish", () => {
+    const line = `${req.method} ${redactCardData(req.originalUrl)} ${res.statusCode} ${Date.now() - startedAt}ms`
+    const body =
+      process.env.LOG_REQUEST_BODIES === "true" && req.body && Object.keys(req.body).length > 0
+        ? ` ${JSON.stringify(redactCardData(req.body))}`
+        : ""
+
+    console.log(`${line}${body}`)
+  })
+
+  next()
+}
+
+export { rejectCardData, redactErrorResponses, requestLogger }
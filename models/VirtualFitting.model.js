@@ -28,6 +28,9 @@ import mongoose from "mongoose"
  *             properties:
  *               product:
  *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Variant of the product that was tried on
  *               customDesign:
  *                 type: string
  *               fittingResult:
@@ -40,9 +43,6 @@ import mongoose from "mongoose"
  *                 type: string
  *                 format: date-time
  *           description: Products that have been virtually fitted
- *         measurements:
- *           type: object
- *           description: User's body measurements
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -71,6 +71,7 @@ const virtualFittingSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
         },
+        variant: mongoose.Schema.Types.ObjectId, // Variant of the product, if it has any
         customDesign: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "CustomDesign",
@@ -100,18 +101,6 @@ const virtualFittingSchema = new mongoose.Schema(
         },
       },
     ],
-    measurements: {
-      // User's body measurements
-      height: Number,
-      weight: Number,
-      bust: Number,
-      waist: Number,
-      hips: Number,
-      inseam: Number,
-      shoulderWidth: Number,
-      armLength: Number,
-      // Additional measurements
-    },
   },
   {
     timestamps: true,
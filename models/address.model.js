@@ -0,0 +1,139 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required:
+ *         - fullName
+ *         - street
+ *         - city
+ *         - state
+ *         - country
+ *         - postalCode
+ *         - phoneNumber
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         user:
+ *           type: string
+ *           description: Owner of the address
+ *         label:
+ *           type: string
+ *           description: Name shown in the address book, e.g. "Home" or "Office"
+ *         fullName:
+ *           type: string
+ *         street:
+ *           type: string
+ *         street2:
+ *           type: string
+ *           description: Apartment, suite, building
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         country:
+ *           type: string
+ *         postalCode:
+ *           type: string
+ *         phoneNumber:
+ *           type: string
+ *         alternatePhoneNumber:
+ *           type: string
+ *         isDefaultShipping:
+ *           type: boolean
+ *         isDefaultBilling:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const addressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    fullName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    street: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    street2: {
+      type: String,
+      trim: true,
+    },
+    city: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    state: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    postalCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    alternatePhoneNumber: {
+      type: String,
+      trim: true,
+    },
+    isDefaultShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isDefaultBilling: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// At most one default shipping and one default billing address per user
+addressSchema.index(
+  { user: 1, isDefaultShipping: 1 },
+  { unique: true, partialFilterExpression: { isDefaultShipping: true } },
+)
+addressSchema.index(
+  { user: 1, isDefaultBilling: 1 },
+  { unique: true, partialFilterExpression: { isDefaultBilling: true } },
+)
+
+const Address = mongoose.model("Address", addressSchema)
+
+export default Address
@@ -0,0 +1,100 @@
+import mongoose from "mongoose"
+import { API_KEY_SCOPES } from "../config/permissions.js"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         user:
+ *           type: string
+ *           description: Owner of the key
+ *         name:
+ *           type: string
+ *           description: Label to tell keys apart, e.g. the integration using it
+ *         prefix:
+ *           type: string
+ *           description: Public start of the key, shown to recognise it
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [products:read, products:write, orders:read]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The key stops working after this date. Never expires when empty.
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Only the SHA-256 hash of the key is stored. The raw key is shown once,
+// when it is created or rotated.
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.keys(API_KEY_SCOPES),
+        },
+      ],
+      validate: [(scopes) => scopes.length > 0, "At least one scope is required"],
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    rotatedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Check whether the key can still be used
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema)
+
+export default ApiKey
@@ -0,0 +1,158 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Application:
+ *       type: object
+ *       required:
+ *         - user
+ *         - requestedRole
+ *         - businessName
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         user:
+ *           type: string
+ *           description: Reference to the applying user
+ *         requestedRole:
+ *           type: string
+ *           enum: [seller, designer]
+ *           description: Role the user applies for
+ *         businessName:
+ *           type: string
+ *         businessDescription:
+ *           type: string
+ *         businessRegistrationNumber:
+ *           type: string
+ *         taxId:
+ *           type: string
+ *         phoneNumber:
+ *           type: string
+ *         website:
+ *           type: string
+ *         businessAddress:
+ *           type: object
+ *           properties:
+ *             street:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             country:
+ *               type: string
+ *             postalCode:
+ *               type: string
+ *         portfolio:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *           description: Previous work shown to the reviewers
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn]
+ *         reviewedBy:
+ *           type: string
+ *           description: Reference to the admin who approved or rejected the application
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ *           description: Admin notes, shown to the applicant on rejection
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const applicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    requestedRole: {
+      type: String,
+      enum: ["seller", "designer"],
+      required: true,
+    },
+    businessName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    businessDescription: {
+      type: String,
+      trim: true,
+    },
+    businessRegistrationNumber: {
+      type: String,
+      trim: true,
+    },
+    taxId: {
+      type: String,
+      trim: true,
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    businessAddress: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      postalCode: String,
+    },
+    portfolio: [
+      {
+        title: {
+          type: String,
+          required: true,
+        },
+        description: String,
+        url: String,
+        image: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "withdrawn"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const Application = mongoose.model("Application", applicationSchema)
+
+export default Application
@@ -0,0 +1,95 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BodyMeasurement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         user:
+ *           type: string
+ *         values:
+ *           type: object
+ *           description: Full set of measurements at that date. Lengths in cm and weight in kg, unless converted with `units=imperial`.
+ *           properties:
+ *             height:
+ *               type: number
+ *             weight:
+ *               type: number
+ *             bust:
+ *               type: number
+ *             waist:
+ *               type: number
+ *             hips:
+ *               type: number
+ *             inseam:
+ *               type: number
+ *             shoulderWidth:
+ *               type: number
+ *             armLength:
+ *               type: number
+ *         enteredUnits:
+ *           type: string
+ *           enum: [metric, imperial]
+ *           description: Units the user entered the values in
+ *         source:
+ *           type: string
+ *           enum: [manual, profile, virtualFitting, migration]
+ *         measuredAt:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ */
+
+// Dated history of a user's body measurements, the single source for
+// profile, virtual fitting and fit calculations. The latest record is the
+// current value. Each record holds the full set, so values not re-measured
+// are carried over from the previous one. Always stored in metric units.
+const bodyMeasurementSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    values: {
+      height: Number, // cm
+      weight: Number, // kg
+      bust: Number, // cm
+      waist: Number, // cm
+      hips: Number, // cm
+      inseam: Number, // cm
+      shoulderWidth: Number, // cm
+      armLength: Number, // cm
+    },
+    enteredUnits: {
+      type: String,
+      enum: ["metric", "imperial"],
+      default: "metric",
+    },
+    source: {
+      type: String,
+      enum: ["manual", "profile", "virtualFitting", "migration"],
+      default: "manual",
+    },
+    measuredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+bodyMeasurementSchema.index({ user: 1, measuredAt: -1 })
+
+const BodyMeasurement = mongoose.model("BodyMeasurement", bodyMeasurementSchema)
+
+export default BodyMeasurement
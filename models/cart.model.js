@@ -0,0 +1,147 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Line ID, used to update or remove the line
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *           description: Chosen variant of the product
+ *         customDesign:
+ *           type: string
+ *           description: Approved custom design, instead of a product
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         customizations:
+ *           type: object
+ *           properties:
+ *             fabric:
+ *               type: string
+ *             style:
+ *               type: string
+ *         name:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         variantOptions:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         price:
+ *           type: number
+ *           description: Current unit price, null if the line cannot be ordered
+ *         lineTotal:
+ *           type: number
+ *         available:
+ *           type: boolean
+ *           description: Whether the line can be checked out as it is
+ *     CartWarning:
+ *       type: object
+ *       properties:
+ *         item:
+ *           type: string
+ *           description: ID of the cart line
+ *         type:
+ *           type: string
+ *           enum: [priceChanged, outOfStock, unavailable]
+ *         message:
+ *           type: string
+ *         previousPrice:
+ *           type: number
+ *         price:
+ *           type: number
+ *         available:
+ *           type: integer
+ *           description: Units left in stock, for outOfStock warnings
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CartItem'
+ *         itemCount:
+ *           type: integer
+ *           description: Total units in the cart
+ *         subtotal:
+ *           type: number
+ *           description: Sum of the lines that can be ordered
+ *         warnings:
+ *           type: array
+ *           description: Changes found since the cart was last seen. Prices are re-read on every request, so a price change is reported once.
+ *           items:
+ *             $ref: '#/components/schemas/CartWarning'
+ *         cartToken:
+ *           type: string
+ *           description: Only returned when a guest cart is created; send it back in the X-Cart-Token header
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an untouched guest cart is removed
+ */
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  customDesign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CustomDesign",
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  customizations: {
+    fabric: String,
+    style: String,
+  },
+  // Unit price when the customer last saw the line, to report price changes
+  priceSeen: Number,
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// A cart belongs to a user, or to a guest holding the cart token. Only the
+// SHA-256 hash of the guest token is stored.
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    guestTokenHash: String,
+    items: [cartItemSchema],
+    // Guest carts only; pushed back on every change
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } })
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, partialFilterExpression: { guestTokenHash: { $exists: true } } })
+
+// Remove abandoned guest carts once they have expired
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const Cart = mongoose.model("Cart", cartSchema)
+
+export default Cart
@@ -0,0 +1,77 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         user:
+ *           type: string
+ *           description: User whose data is exported
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         fileName:
+ *           type: string
+ *         size:
+ *           type: number
+ *           description: Archive size in bytes
+ *         error:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The archive is deleted after this date
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Personal data export requested by a user. The .tar.gz archive is stored
+// in the document itself so any API instance can serve the download.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    fileName: String,
+    size: Number,
+    archive: {
+      type: Buffer,
+      select: false,
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Remove exports, archive included, once they have expired
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const DataExport = mongoose.model("DataExport", dataExportSchema)
+
+export default DataExport
@@ -0,0 +1,86 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IdempotencyKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         key:
+ *           type: string
+ *           description: The Idempotency-Key header sent by the client
+ *         scope:
+ *           type: string
+ *           description: Who sent it, the user or the guest cart, so keys of different clients never meet
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         fingerprint:
+ *           type: string
+ *           description: SHA-256 of the method, path and body of the first request
+ *         status:
+ *           type: string
+ *           enum: [processing, completed]
+ *         response:
+ *           type: object
+ *           properties:
+ *             statusCode:
+ *               type: integer
+ *             body:
+ *               type: object
+ *           description: The answer given to the first request, replayed to retries
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The key can be used for a new request after this date
+ */
+
+// Requests made with an Idempotency-Key and what they were answered, so a
+// retried request is answered the same instead of running again
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      required: true,
+    },
+    method: String,
+    path: String,
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true })
+
+// Forget keys after their retention window
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema)
+
+export default IdempotencyKey
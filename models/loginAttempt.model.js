@@ -0,0 +1,75 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginAttempt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID
+ *         type:
+ *           type: string
+ *           enum: [account, ip]
+ *           description: Whether the counter tracks an email address or a client IP
+ *         identifier:
+ *           type: string
+ *           description: The email address or IP address
+ *         failedCount:
+ *           type: number
+ *           description: Failed attempts since the counter was last reset
+ *         lastFailedAt:
+ *           type: string
+ *           format: date-time
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Logins are refused until this date
+ *         lockCount:
+ *           type: number
+ *           description: How many times the account or IP has been locked
+ */
+
+// Failed login counters, stored in Mongo so every API instance shares them
+// and they survive restarts.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    identifier: {
+      type: String,
+      required: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+loginAttemptSchema.index({ type: 1, identifier: 1 }, { unique: true })
+
+// Forget counters that have been quiet for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema)
+
+export default LoginAttempt
@@ -29,27 +29,67 @@ import mongoose from "mongoose"
  *               product:
  *                 type: string
  *                 description: Reference to the product
+ *               variant:
+ *                 type: string
+ *                 description: ID of the product variant ordered
+ *               sku:
+ *                 type: string
+ *                 description: SKU of the variant when the order was placed
+ *               variantOptions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Option values of the variant when the order was placed, e.g. size and color
  *               customDesign:
  *                 type: string
  *                 description: Reference to custom design (if applicable)
+ *               name:
+ *                 type: string
+ *                 description: Product or design name, with the variant, when the order was placed
  *               quantity:
  *                 type: number
  *               price:
  *                 type: number
+ *                 description: Unit price charged, customization surcharges included
+ *               customizationCost:
+ *                 type: number
+ *                 description: Fabric and style surcharge per unit
+ *               lineTotal:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 description: Category of the product or design, which its tax rate depends on
+ *               taxableAmount:
+ *                 type: number
+ *                 description: Line total after its share of the discount
+ *               taxRate:
+ *                 type: number
+ *                 description: Tax percentage applied to the line, 0 if its category is exempt
+ *               taxAmount:
+ *                 type: number
+ *                 description: Tax on the line, included in taxableAmount when taxIncluded is true
  *               size:
  *                 type: string
+ *                 description: Size of orders placed before variants
  *               color:
  *                 type: string
+ *                 description: Color of orders placed before variants
  *               customizations:
  *                 type: object
  *           description: Order items
  *         shippingAddress:
  *           type: object
+ *           description: Snapshot of the shipping address, never changes after the order is placed
  *           properties:
+ *             addressId:
+ *               type: string
+ *               description: Saved address the snapshot was taken from, if any
  *             fullName:
  *               type: string
  *             street:
  *               type: string
+ *             street2:
+ *               type: string
  *             city:
  *               type: string
  *             state:
@@ -60,13 +100,21 @@ import mongoose from "mongoose"
  *               type: string
  *             phoneNumber:
  *               type: string
+ *             alternatePhoneNumber:
+ *               type: string
  *         billingAddress:
  *           type: object
+ *           description: Snapshot of the billing address, never changes after the order is placed
  *           properties:
+ *             addressId:
+ *               type: string
+ *               description: Saved address the snapshot was taken from, if any
  *             fullName:
  *               type: string
  *             street:
  *               type: string
+ *             street2:
+ *               type: string
  *             city:
  *               type: string
  *             state:
@@ -77,25 +125,101 @@ import mongoose from "mongoose"
  *               type: string
  *             phoneNumber:
  *               type: string
+ *             alternatePhoneNumber:
+ *               type: string
  *         paymentMethod:
  *           type: string
  *           enum: [creditCard, paypal, momo]
  *         paymentDetails:
  *           type: object
- *           description: Payment transaction details
+ *           description: Latest payment of the order; every payment and refund is listed at /api/orders/{id}/transactions
+ *           properties:
+ *             transactionId:
+ *               type: string
+ *             status:
+ *               type: string
+ *               description: E.g. requiresAction, pending, completed, failed, partiallyRefunded or refunded
+ *             date:
+ *               type: string
+ *               format: date-time
+ *         amountPaid:
+ *           type: number
+ *         amountRefunded:
+ *           type: number
  *         subtotal:
  *           type: number
  *         shippingCost:
  *           type: number
+ *         shippingMethod:
+ *           type: object
+ *           description: Shipping method the order ships by, as it was when the order was placed
+ *           properties:
+ *             method:
+ *               type: string
+ *             zone:
+ *               type: string
+ *             code:
+ *               type: string
+ *               enum: [standard, express, pickup]
+ *             name:
+ *               type: string
+ *             minDeliveryDays:
+ *               type: integer
+ *             maxDeliveryDays:
+ *               type: integer
  *         tax:
  *           type: number
+ *           description: Total tax, shipping tax included
+ *         shippingTax:
+ *           type: number
+ *         taxIncluded:
+ *           type: boolean
+ *           description: Whether the prices already include the tax; if so it is not added to the total
+ *         taxRule:
+ *           type: object
+ *           description: Tax rule the order was taxed by, as it was when the order was placed; none if the default TAX_RATE applied
+ *           properties:
+ *             rule:
+ *               type: string
+ *             name:
+ *               type: string
+ *             country:
+ *               type: string
+ *             region:
+ *               type: string
  *         discount:
  *           type: number
+ *           description: Amount taken off the items by promotions
+ *         promotions:
+ *           type: array
+ *           description: Promotions applied to the order, as they were when it was placed
+ *           items:
+ *             type: object
+ *             properties:
+ *               promotion:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed, freeShipping, buyXGetY]
+ *               amount:
+ *                 type: number
+ *                 description: Amount saved, the shipping cost waived for free shipping
  *         totalAmount:
  *           type: number
  *         status:
  *           type: string
- *           enum: [pending, processing, shipped, delivered, cancelled]
+ *           enum: [pending, awaiting_payment, paid, processing, shipped, delivered, cancelled, refunded, returned]
+ *           description: Changes only along the order lifecycle, see PUT /api/orders/{id}/status. Every change is on the timeline of the order.
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
  *         trackingInfo:
  *           type: object
  *           properties:
@@ -106,8 +230,30 @@ import mongoose from "mongoose"
  *             estimatedDelivery:
  *               type: string
  *               format: date-time
+ *               description: Set from the delivery time of the shipping method when the order is placed, the latest expected date
+ *         stockReservation:
+ *           type: object
+ *           description: Stock held for the order until it is paid
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [reserved, committed, released]
+ *               description: committed once paid, released when payment failed, the hold expired or the order was cancelled
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *             releasedAt:
+ *               type: string
+ *               format: date-time
+ *             releaseReason:
+ *               type: string
+ *               enum: [paymentFailed, expired, cancelled, refunded]
  *         notes:
  *           type: string
+ *         anonymizedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When personal details were removed after the customer deleted their account
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -116,6 +262,48 @@ import mongoose from "mongoose"
  *           format: date-time
  */
 
+// Copy of the address an order was placed with. It is set once and never
+// changes, even if the saved address it came from is edited or deleted.
+const addressSnapshotSchema = new mongoose.Schema(
+  {
+    addressId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Address",
+    },
+    fullName: {
+      type: String,
+      required: true,
+    },
+    street: {
+      type: String,
+      required: true,
+    },
+    street2: String,
+    city: {
+      type: String,
+      required: true,
+    },
+    state: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+      required: true,
+    },
+    postalCode: {
+      type: String,
+      required: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+    },
+    alternatePhoneNumber: String,
+  },
+  { _id: false },
+)
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -133,19 +321,40 @@ const orderSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
         },
+        // The variant and a copy of what identified it, kept even if the
+        // variant is later changed or deleted
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        variantOptions: {
+          type: Map,
+          of: String,
+        },
         customDesign: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "CustomDesign",
         },
+        name: String,
         quantity: {
           type: Number,
           required: true,
           min: 1,
         },
+        // Unit price, customization surcharges included
         price: {
           type: Number,
           required: true,
         },
+        customizationCost: {
+          type: Number,
+          default: 0,
+        },
+        lineTotal: Number,
+        // Tax breakdown of the line, kept for invoices and reports
+        category: String,
+        taxableAmount: Number,
+        taxRate: Number,
+        taxAmount: Number,
+        // Set on orders placed before products had variants
         size: String,
         color: String,
         customizations: {
@@ -156,43 +365,13 @@ const orderSchema = new mongoose.Schema(
       },
     ],
     shippingAddress: {
-      fullName: {
-        type: String,
-        required: true,
-      },
-      street: {
-        type: String,
-        required: true,
-      },
-      city: {
-        type: String,
-        required: true,
-      },
-      state: {
-        type: String,
-        required: true,
-      },
-      country: {
-        type: String,
-        required: true,
-      },
-      postalCode: {
-        type: String,
-        required: true,
-      },
-      phoneNumber: {
-        type: String,
-        required: true,
-      },
+      type: addressSnapshotSchema,
+      required: true,
+      immutable: true,
     },
     billingAddress: {
-      fullName: String,
-      street: String,
-      city: String,
-      state: String,
-      country: String,
-      postalCode: String,
-      phoneNumber: String,
+      type: addressSnapshotSchema,
+      immutable: true,
     },
     paymentMethod: {
       type: String,
@@ -204,6 +383,12 @@ const orderSchema = new mongoose.Schema(
       status: String,
       date: Date,
     },
+    amountPaid: Number,
+    // Only changed with atomic updates, see refundOrder
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
     subtotal: {
       type: Number,
       required: true,
@@ -212,35 +397,113 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    shippingMethod: {
+      method: mongoose.Schema.Types.ObjectId,
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingZone",
+      },
+      code: String,
+      name: String,
+      minDeliveryDays: Number,
+      maxDeliveryDays: Number,
+    },
     tax: {
       type: Number,
       default: 0,
     },
+    shippingTax: {
+      type: Number,
+      default: 0,
+    },
+    taxIncluded: {
+      type: Boolean,
+      default: false,
+    },
+    taxRule: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TaxRule",
+      },
+      name: String,
+      country: String,
+      region: String,
+    },
     discount: {
       type: Number,
       default: 0,
     },
+    promotions: [
+      {
+        _id: false,
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        code: String,
+        name: String,
+        type: {
+          type: String,
+        },
+        amount: Number,
+      },
+    ],
     totalAmount: {
       type: Number,
       required: true,
     },
+    // Only changed through transitionOrder, which keeps to the lifecycle
+    // and records every change on the timeline
     status: {
       type: String,
-      enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
+      enum: ["pending", "awaiting_payment", "paid", "processing", "shipped", "delivered", "cancelled", "refunded", "returned"],
       default: "pending",
     },
+    paidAt: Date,
+    deliveredAt: Date,
     trackingInfo: {
       carrier: String,
       trackingNumber: String,
       estimatedDelivery: Date,
     },
+    // Stock taken off the shelf for the order. Held until the order is paid,
+    // put back when payment fails, the hold expires or the order is cancelled.
+    stockReservation: {
+      status: {
+        type: String,
+        enum: ["reserved", "committed", "released"],
+      },
+      expiresAt: Date,
+      releasedAt: Date,
+      releaseReason: {
+        type: String,
+        enum: ["paymentFailed", "expired", "cancelled", "refunded"],
+      },
+      items: [
+        {
+          _id: false,
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+          },
+          variant: mongoose.Schema.Types.ObjectId,
+          quantity: Number,
+        },
+      ],
+    },
     notes: String,
+    // Set when the customer deleted their account. Personal details are
+    // removed, amounts are kept for accounting.
+    anonymizedAt: Date,
   },
   {
     timestamps: true,
   },
 )
 
+orderSchema.index({ "stockReservation.status": 1, "stockReservation.expiresAt": 1 })
+orderSchema.index({ user: 1, "promotions.promotion": 1 })
+
 // Generate unique order number before saving
 orderSchema.pre("save", async function (next) {
   if (!this.orderNumber) {
@@ -0,0 +1,101 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [created, statusChanged, paymentFailed, trackingUpdated, returnRequested, returnApproved, returnRejected, returnReceived, refundIssued, refundFailed]
+ *         fromStatus:
+ *           type: string
+ *           description: Status before the event, for status changes
+ *         toStatus:
+ *           type: string
+ *           description: Status after the event, for status changes and the status the order was created with
+ *         actor:
+ *           type: object
+ *           description: Who caused the event; role "system" for payments confirmed by a provider and scheduled jobs
+ *           properties:
+ *             user:
+ *               type: string
+ *               description: Only shown to admins
+ *             role:
+ *               type: string
+ *         note:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Details of the event, e.g. the tracking info set
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// One entry of the timeline of an order. Entries are only ever added, so the
+// timeline stays a faithful history of the order.
+const orderEventSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "created",
+        "statusChanged",
+        "paymentFailed",
+        "trackingUpdated",
+        "returnRequested",
+        "returnApproved",
+        "returnRejected",
+        "returnReceived",
+        "refundIssued",
+        "refundFailed",
+      ],
+      required: true,
+    },
+    fromStatus: String,
+    toStatus: String,
+    actor: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      role: {
+        type: String,
+        required: true,
+      },
+    },
+    note: String,
+    data: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+orderEventSchema.index({ order: 1, createdAt: 1 })
+
+const appendOnly = function (next) {
+  next(new Error("Order events cannot be changed"))
+}
+
+orderEventSchema.pre("save", function (next) {
+  if (!this.isNew) return appendOnly(next)
+  next()
+})
+orderEventSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], appendOnly)
+
+const OrderEvent = mongoose.model("OrderEvent", orderEventSchema)
+
+export default OrderEvent
@@ -0,0 +1,169 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentTransaction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [payment, refund]
+ *         provider:
+ *           type: string
+ *           description: Payment provider the money moved through
+ *           enum: [sandbox, stripe, paypal, momo]
+ *         paymentMethod:
+ *           type: string
+ *           enum: [creditCard, paypal, momo]
+ *         providerTransactionId:
+ *           type: string
+ *           description: ID of the transaction at the payment provider
+ *         amount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           description: Refunds are only pending, completed or failed. requiresAction waits for the customer, e.g. a 3-D Secure challenge
+ *           enum: [requiresAction, authorized, pending, completed, failed, voided]
+ *         failureReason:
+ *           type: string
+ *         payment:
+ *           type: string
+ *           description: For refunds, the payment transaction refunded
+ *         items:
+ *           type: array
+ *           description: For refunds of order lines, the units refunded
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *         reason:
+ *           type: string
+ *         returnRequest:
+ *           type: string
+ *           description: Return the refund is for, if any
+ *         createdBy:
+ *           type: object
+ *           properties:
+ *             user:
+ *               type: string
+ *             role:
+ *               type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: For payments waiting for the customer, e.g. Mobile Money, when they fail if not approved
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Payment statuses still waiting on someone; an order has one such payment at most
+export const OPEN_PAYMENT_STATUSES = ["requiresAction", "authorized", "pending"]
+
+// Money moved for an order, in or out. Payments and refunds are kept as
+// separate transactions so partial refunds add up against the payment.
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: ["payment", "refund"],
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["creditCard", "paypal", "momo"],
+    },
+    providerTransactionId: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["requiresAction", "authorized", "pending", "completed", "failed", "voided"],
+      default: "pending",
+    },
+    failureReason: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentTransaction",
+    },
+    items: [
+      {
+        _id: false,
+        orderItem: mongoose.Schema.Types.ObjectId,
+        quantity: Number,
+        amount: Number,
+      },
+    ],
+    reason: String,
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+    },
+    createdBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      role: String,
+    },
+    processedAt: Date,
+    // Provider time of the last webhook event applied, to drop older ones
+    lastEventAt: Date,
+    // A pending payment not settled by then is given up, for providers
+    // whose payments wait for the customer, e.g. Mobile Money
+    expiresAt: Date,
+    // Last time the status was asked from the provider
+    checkedAt: Date,
+    // Set while a payment is open, for the unique index below
+    open: Boolean,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+paymentTransactionSchema.index({ order: 1, createdAt: 1 })
+paymentTransactionSchema.index({ provider: 1, providerTransactionId: 1 })
+paymentTransactionSchema.index({ type: 1, status: 1, checkedAt: 1 })
+
+// One open payment per order, so concurrent charges of it cannot both go through
+paymentTransactionSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { open: true } })
+
+paymentTransactionSchema.pre("save", function (next) {
+  this.open = this.type === "payment" && OPEN_PAYMENT_STATUSES.includes(this.status) ? true : undefined
+  next()
+})
+
+const PaymentTransaction = mongoose.model("PaymentTransaction", paymentTransactionSchema)
+
+export default PaymentTransaction
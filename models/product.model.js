@@ -35,6 +35,9 @@ import mongoose from "mongoose";
  *         designer:
  *           type: string
  *           description: Reference to the designer/vendor
+ *         seller:
+ *           type: string
+ *           description: Reference to the seller who listed the product
  *         category:
  *           type: string
  *           description: Product category
@@ -43,21 +46,41 @@ import mongoose from "mongoose";
  *           items:
  *             type: string
  *           description: Product tags for filtering
- *         sizes:
+ *         options:
  *           type: array
  *           items:
  *             type: object
  *             properties:
- *               size:
+ *               name:
  *                 type: string
- *               quantity:
- *                 type: number
- *           description: Available sizes and stock quantity
- *         colors:
+ *                 example: size
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [S, M, L]
+ *           description: Option axes the variants are built from, e.g. size, color and material
+ *         variants:
  *           type: array
  *           items:
- *             type: string
- *           description: Available color names
+ *             $ref: '#/components/schemas/ProductVariant'
+ *           description: Purchasable combinations of the options, each with its own stock
+ *         trackInventory:
+ *           type: boolean
+ *           description: Whether orders are limited by variant stock. Off for made-to-order products.
+ *         weight:
+ *           type: number
+ *           description: Shipping weight of one unit in kg, packaging included
+ *         dimensions:
+ *           type: object
+ *           description: Packed size of one unit in cm, for the volumetric weight of bulky items
+ *           properties:
+ *             length:
+ *               type: number
+ *             width:
+ *               type: number
+ *             height:
+ *               type: number
  *         materials:
  *           type: array
  *           items:
@@ -96,8 +119,84 @@ import mongoose from "mongoose";
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID, referenced by orders and try-ons
+ *         sku:
+ *           type: string
+ *           description: Stock keeping unit, unique across all products. Generated when not given.
+ *         barcode:
+ *           type: string
+ *           description: EAN/UPC barcode, unique across all products
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { size: M, color: red }
+ *           description: One value for each option axis of the product
+ *         price:
+ *           type: number
+ *           description: Overrides the product price for this variant
+ *         salePrice:
+ *           type: number
+ *           description: Sale price of this variant
+ *         stock:
+ *           type: number
+ *           description: Units in stock
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Images showing this variant, e.g. the red one
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive variants cannot be ordered
  */
 
+// One purchasable combination of the product options, e.g. "red / M"
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    min: 0,
+  },
+  salePrice: {
+    type: Number,
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  images: [
+    {
+      type: String,
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+})
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -129,6 +228,10 @@ const productSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     category: {
       type: String,
       required: true,
@@ -140,21 +243,39 @@ const productSchema = new mongoose.Schema(
         trim: true,
       },
     ],
-    sizes: [
+    // Axes the variants are built from, e.g. { name: "size", values: ["S", "M"] }
+    options: [
       {
-        size: String,
-        quantity: {
-          type: Number,
-          min: 0,
-          default: 0,
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
         },
+        values: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
       },
     ],
-    colors: [  // Modified Schema to array of strings
-      {
-        type: String,
-      },
-    ],
+    variants: [variantSchema],
+    trackInventory: {
+      type: Boolean,
+      default: true,
+    },
+    // Packed weight (kg) and size (cm) of one unit, used to price shipping
+    weight: {
+      type: Number,
+      min: 0,
+    },
+    dimensions: {
+      length: Number,
+      width: Number,
+      height: Number,
+    },
     materials: [
       {
         type: String,
@@ -222,6 +343,15 @@ productSchema.pre("save", function (next) {
   next()
 })
 
+// SKUs identify a variant across the whole catalogue. Barcodes are optional
+// per variant, so a unique index would clash on the missing ones; their
+// uniqueness is checked when products are saved.
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } },
+)
+productSchema.index({ "variants.barcode": 1 })
+
 const Product = mongoose.model("Product", productSchema)
 
 export default Product
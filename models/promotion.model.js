@@ -0,0 +1,175 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Shown to customers on the quote and the order
+ *         description:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Coupon code customers enter, stored in upper case. Promotions without a code apply automatically to every order they match.
+ *           example: SUMMER20
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, freeShipping, buyXGetY]
+ *         value:
+ *           type: number
+ *           description: Percentage off (percentage), amount off (fixed), or percentage off the free items (buyXGetY, 100 by default)
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap on the amount taken off by a percentage promotion
+ *         buyQuantity:
+ *           type: integer
+ *           description: Items to buy, for buyXGetY
+ *         getQuantity:
+ *           type: integer
+ *           description: Items discounted for every buyQuantity bought, the cheapest ones, for buyXGetY
+ *         minimumSpend:
+ *           type: number
+ *           description: Minimum spend on the items the promotion applies to
+ *         scope:
+ *           type: object
+ *           description: Items the promotion applies to. An item must match every list that is not empty; with all lists empty the promotion applies to the whole order.
+ *           properties:
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             designers:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             sellers:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         usageLimit:
+ *           type: integer
+ *           description: Number of orders that can use the promotion, unlimited if not set
+ *         usageLimitPerUser:
+ *           type: integer
+ *           description: Number of orders each customer can use it on, unlimited if not set
+ *         usageCount:
+ *           type: integer
+ *           description: Orders that used the promotion and were not cancelled
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         stackable:
+ *           type: boolean
+ *           description: Whether it can be combined with other stackable promotions. A promotion that is not stackable always applies alone.
+ *         isActive:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    type: {
+      type: String,
+      enum: ["percentage", "fixed", "freeShipping", "buyXGetY"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      min: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+    },
+    minimumSpend: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    scope: {
+      categories: [String],
+      designers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    },
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    usageLimitPerUser: {
+      type: Number,
+      min: 1,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: Date,
+    endsAt: Date,
+    stackable: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: "string" } } })
+promotionSchema.index({ isActive: 1, code: 1 })
+
+const Promotion = mongoose.model("Promotion", promotionSchema)
+
+export default Promotion
@@ -0,0 +1,59 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromotionRedemption:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         promotion:
+ *           type: string
+ *         user:
+ *           type: string
+ *         order:
+ *           type: string
+ *           description: The order the promotion was used on
+ *         slot:
+ *           type: integer
+ *           description: Which of the uses the customer is allowed this is, from 0 to the per-customer limit
+ */
+
+// Uses of promotions with a per-customer limit. Each use takes a free slot
+// below the limit, and the unique index makes sure no slot is taken twice,
+// so concurrent orders of a customer cannot go over the limit.
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    slot: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1, slot: 1 }, { unique: true })
+promotionRedemptionSchema.index({ order: 1 })
+
+const PromotionRedemption = mongoose.model("PromotionRedemption", promotionRedemptionSchema)
+
+export default PromotionRedemption
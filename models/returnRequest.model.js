@@ -0,0 +1,215 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         rmaNumber:
+ *           type: string
+ *           description: Return merchandise authorisation number, to write on the parcel
+ *         order:
+ *           type: string
+ *         user:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *                 description: ID of the line in the order items
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               customDesign:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 enum: [wrongSize, notAsDescribed, changedMind, defective, damaged, wrongItem, other]
+ *               note:
+ *                 type: string
+ *               refundAmount:
+ *                 type: number
+ *                 description: What the customer paid for the returned units, tax included
+ *         photos:
+ *           type: array
+ *           description: Image URLs showing the items, required to return a custom design
+ *           items:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ *           description: Admin notes, shown to the customer
+ *         returnShipping:
+ *           type: object
+ *           description: How to send the items back, set when the return is approved
+ *           properties:
+ *             carrier:
+ *               type: string
+ *             trackingNumber:
+ *               type: string
+ *             labelUrl:
+ *               type: string
+ *             instructions:
+ *               type: string
+ *             address:
+ *               type: string
+ *               description: Where to send the parcel
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         restocked:
+ *           type: boolean
+ *           description: Whether the returned units were put back in stock
+ *         refund:
+ *           type: object
+ *           description: Refund owed for the return, due once the items are received
+ *           properties:
+ *             amount:
+ *               type: number
+ *             status:
+ *               type: string
+ *               enum: [pending, completed, failed]
+ *             transaction:
+ *               type: string
+ *               description: The refund transaction
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [
+      {
+        _id: false,
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        // Copied from the order line
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        variant: mongoose.Schema.Types.ObjectId,
+        customDesign: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "CustomDesign",
+        },
+        name: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        reason: {
+          type: String,
+          enum: ["wrongSize", "notAsDescribed", "changedMind", "defective", "damaged", "wrongItem", "other"],
+          required: true,
+        },
+        note: {
+          type: String,
+          maxlength: 1000,
+        },
+        refundAmount: Number,
+      },
+    ],
+    photos: [String],
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received"],
+      default: "requested",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+    returnShipping: {
+      carrier: String,
+      trackingNumber: String,
+      labelUrl: String,
+      instructions: String,
+      address: String,
+    },
+    receivedAt: Date,
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refund: {
+      amount: Number,
+      status: {
+        type: String,
+        enum: ["pending", "completed", "failed"],
+      },
+      transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PaymentTransaction",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+returnRequestSchema.index({ order: 1 })
+returnRequestSchema.index({ status: 1, createdAt: -1 })
+returnRequestSchema.index({ "refund.status": 1 })
+
+// Generate the RMA number before saving
+returnRequestSchema.pre("save", function (next) {
+  if (!this.rmaNumber) {
+    const date = new Date()
+    const year = date.getFullYear().toString().slice(-2)
+    const month = (date.getMonth() + 1).toString().padStart(2, "0")
+    const day = date.getDate().toString().padStart(2, "0")
+    const random = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, "0")
+    this.rmaNumber = `RMA-${year}${month}${day}-${random}`
+  }
+  next()
+})
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema)
+
+export default ReturnRequest
@@ -0,0 +1,50 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SecuritySettings:
+ *       type: object
+ *       properties:
+ *         twoFactorRequiredRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [customer, designer, seller, admin]
+ *           description: Roles that must enable two-factor authentication before using the API
+ *         updatedBy:
+ *           type: string
+ *           description: Reference to the admin who last changed the settings
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Platform-wide security settings, stored as a single document
+const securitySettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+    twoFactorRequiredRoles: [
+      {
+        type: String,
+        enum: ["customer", "designer", "seller", "admin"],
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const SecuritySettings = mongoose.model("SecuritySettings", securitySettingsSchema)
+
+export default SecuritySettings
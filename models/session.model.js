@@ -0,0 +1,97 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID, embedded in access tokens as `sid`
+ *         user:
+ *           type: string
+ *           description: Reference to the user who owns the session
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the device that logged in
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the session was created from
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the refresh token was rotated
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the current refresh token expires
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *           enum: [logout, logoutAll, reuseDetected, passwordChanged, admin]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// One session per login. The session is the refresh token "family": every
+// rotation replaces tokenHash and pushes the old hash to previousTokenHashes,
+// so presenting an already-rotated token is detectable as reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    previousTokenHashes: {
+      type: [String],
+      index: true,
+      select: false,
+    },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logoutAll", "reuseDetected", "passwordChanged", "admin"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Let Mongo clean up sessions a week after their refresh token expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+const Session = mongoose.model("Session", sessionSchema)
+
+export default Session
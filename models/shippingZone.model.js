@@ -0,0 +1,161 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingMethod:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - rateType
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           enum: [standard, express, pickup]
+ *         name:
+ *           type: string
+ *           description: Shown to the customer, e.g. "Express (1-2 days)"
+ *         rateType:
+ *           type: string
+ *           enum: [flat, weight, price]
+ *           description: flat charges flatRate; weight and price look the parcel weight (kg) or the order subtotal up in rates
+ *         flatRate:
+ *           type: number
+ *         rates:
+ *           type: array
+ *           description: Brackets sorted by upTo; the first bracket the weight or subtotal fits in sets the cost. A method with no fitting bracket is not offered.
+ *           items:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: number
+ *                 description: Upper bound of the bracket (kg or amount), none for the last bracket
+ *               cost:
+ *                 type: number
+ *         freeShippingThreshold:
+ *           type: number
+ *           description: Orders with a subtotal (after discounts) of at least this ship for free
+ *         minDeliveryDays:
+ *           type: integer
+ *         maxDeliveryDays:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         countries:
+ *           type: array
+ *           description: Countries as customers enter them in addresses, matched without regard to case. Empty for a zone that covers every other country.
+ *           items:
+ *             type: string
+ *         regions:
+ *           type: array
+ *           description: States or regions within the countries
+ *           items:
+ *             type: string
+ *         postalPrefixes:
+ *           type: array
+ *           description: Postal code prefixes, e.g. "SW1"
+ *           items:
+ *             type: string
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *         isActive:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: ["standard", "express", "pickup"],
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  rateType: {
+    type: String,
+    enum: ["flat", "weight", "price"],
+    required: true,
+  },
+  flatRate: {
+    type: Number,
+    min: 0,
+  },
+  rates: [
+    {
+      _id: false,
+      upTo: {
+        type: Number,
+        min: 0,
+      },
+      cost: {
+        type: Number,
+        min: 0,
+        required: true,
+      },
+    },
+  ],
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+  },
+  minDeliveryDays: {
+    type: Number,
+    min: 0,
+  },
+  maxDeliveryDays: {
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+})
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    countries: [{ type: String, trim: true }],
+    regions: [{ type: String, trim: true }],
+    postalPrefixes: [{ type: String, trim: true, uppercase: true }],
+    methods: [shippingMethodSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema)
+
+export default ShippingZone
@@ -0,0 +1,118 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - country
+ *         - rate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Shown on quotes and invoices, e.g. "VAT"
+ *         country:
+ *           type: string
+ *           description: Country as customers enter it in addresses, matched without regard to case
+ *         region:
+ *           type: string
+ *           description: State or region; a rule for the region of the address wins over the rule for its country
+ *         rate:
+ *           type: number
+ *           description: Percentage, e.g. 18 for 18%
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: Whether catalogue prices already include the tax for this destination. If so the tax is taken out of the price, otherwise it is added on top.
+ *         categoryRates:
+ *           type: array
+ *           description: Reduced rates for some product categories
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *         exemptCategories:
+ *           type: array
+ *           description: Categories with no tax
+ *           items:
+ *             type: string
+ *         taxShipping:
+ *           type: boolean
+ *           description: Whether shipping is taxed at the rate of the rule
+ *         isActive:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    region: {
+      type: String,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    categoryRates: [
+      {
+        _id: false,
+        category: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        rate: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100,
+        },
+      },
+    ],
+    exemptCategories: [{ type: String, trim: true }],
+    taxShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema)
+
+export default TaxRule
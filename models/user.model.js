@@ -28,18 +28,40 @@ import bcrypt from "bcryptjs"
  *         password:
  *           type: string
  *           description: User's password (hashed)
+ *         isEmailVerified:
+ *           type: boolean
+ *           description: Whether the user confirmed their email address
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
  *         profileImage:
  *           type: string
  *           description: URL to user's profile image
  *         role:
  *           type: string
- *           enum: [user, designer, admin]
+ *           enum: [customer, designer, seller, admin]
  *           description: User's role in the system
+ *         roleApprovedBy:
+ *           type: string
+ *           description: Reference to the admin who approved the user's seller or designer application
+ *         roleApprovedAt:
+ *           type: string
+ *           format: date-time
+ *         twoFactor:
+ *           type: object
+ *           description: Two-factor authentication state (secrets and recovery codes are never returned)
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
  *         phoneNumber:
  *           type: string
  *           description: User's phone number
  *         address:
  *           type: object
+ *           description: Profile address. Addresses used for orders are kept in the address book (/api/users/me/addresses).
  *           properties:
  *             street:
  *               type: string
@@ -51,9 +73,10 @@ import bcrypt from "bcryptjs"
  *               type: string
  *             postalCode:
  *               type: string
- *         bodyMeasurements:
- *           type: object
- *           description: User's body measurements for virtual fitting
+ *         preferredUnits:
+ *           type: string
+ *           enum: [metric, imperial]
+ *           description: Units body measurements are shown in by default
  *         savedDesigns:
  *           type: array
  *           items:
@@ -64,6 +87,13 @@ import bcrypt from "bcryptjs"
  *           items:
  *             type: string
  *           description: Array of favorite product IDs
+ *         deletionRequestedAt:
+ *           type: string
+ *           format: date-time
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When the account will be deleted, if the user asked for it
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -95,6 +125,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
     profileImage: {
       type: String,
       default: "",
@@ -104,6 +139,40 @@ const userSchema = new mongoose.Schema(
       enum: ["customer", "designer","seller" ,"admin"],
       default: "customer",
     },
+    roleApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    roleApprovedAt: Date,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // TOTP secrets are stored encrypted, see utils/encryption.js
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+    },
     phoneNumber: {
       type: String,
       trim: true,
@@ -115,16 +184,11 @@ const userSchema = new mongoose.Schema(
       country: String,
       postalCode: String,
     },
-    bodyMeasurements: {
-      height: Number,
-      weight: Number,
-      bust: Number,
-      waist: Number,
-      hips: Number,
-      inseam: Number,
-      shoulderWidth: Number,
-      armLength: Number,
-      // Additional measurements can be added as needed
+    // Body measurements live in their own dated history, see bodyMeasurement.model.js
+    preferredUnits: {
+      type: String,
+      enum: ["metric", "imperial"],
+      default: "metric",
     },
     savedDesigns: [
       {
@@ -138,6 +202,12 @@ const userSchema = new mongoose.Schema(
         ref: "Product",
       },
     ],
+    // Self-service deletion: the account is purged once the grace period ends
+    deletionRequestedAt: Date,
+    deletionScheduledFor: {
+      type: Date,
+      index: true,
+    },
   },
   {
     timestamps: true,
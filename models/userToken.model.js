@@ -0,0 +1,40 @@
+import mongoose from "mongoose"
+
+// Single-use tokens sent to users by email (verification links, password
+// resets, account unlocks). Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["emailVerification", "passwordReset", "accountUnlock"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+userTokenSchema.index({ user: 1, type: 1 })
+
+// Remove tokens from the database once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const UserToken = mongoose.model("UserToken", userTokenSchema)
+
+export default UserToken
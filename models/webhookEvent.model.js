@@ -0,0 +1,123 @@
+import mongoose from "mongoose"
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: [sandbox, stripe, paypal, momo]
+ *         eventId:
+ *           type: string
+ *           description: ID of the event at the provider, each is processed once
+ *         type:
+ *           type: string
+ *           description: Event type as named by the provider
+ *         transactionId:
+ *           type: string
+ *           description: Provider transaction the event is about, if any
+ *         transactionType:
+ *           type: string
+ *           enum: [payment, refund]
+ *           description: Whether the transaction is a payment or a refund
+ *         paymentStatus:
+ *           type: string
+ *           description: Status the event reports for the transaction
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the provider created the event, used to drop events older than the last one applied
+ *         payload:
+ *           type: object
+ *           description: The event as received, card data removed
+ *         status:
+ *           type: string
+ *           enum: [processing, processed, ignored, deferred, failed]
+ *           description: ignored for stale or irrelevant events, deferred when the payment is not known yet (the provider retries)
+ *         result:
+ *           type: string
+ *           description: What processing did, or why it failed
+ *         attempts:
+ *           type: integer
+ *         replays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Verified payment provider callbacks, kept to process each event once and
+// to replay them
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: String,
+    transactionId: String,
+    transactionType: {
+      type: String,
+      enum: ["payment", "refund"],
+      default: "payment",
+    },
+    paymentStatus: String,
+    occurredAt: Date,
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "deferred", "failed"],
+      default: "processing",
+    },
+    result: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    replays: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: Date,
+        status: String,
+      },
+    ],
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+webhookEventSchema.index({ status: 1, createdAt: -1 })
+webhookEventSchema.index({ provider: 1, transactionId: 1 })
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema)
+
+export default WebhookEvent
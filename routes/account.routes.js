@@ -0,0 +1,145 @@
+import express from "express"
+import {
+  createMyDataExport,
+  getMyDataExports,
+  downloadMyDataExport,
+  getMyAccountDeletion,
+  requestMyAccountDeletion,
+  cancelMyAccountDeletion,
+} from "../controllers/account.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/users/me/data-exports:
+ *   get:
+ *     summary: List your personal data exports
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Request an export of all your personal data
+ *     description: Profile, addresses, orders, custom designs, virtual fitting history, AI preferences, favourites and reviews are bundled into a .tar.gz archive of JSON files. You get an email when it is ready. Archives are kept for 7 days.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *       401:
+ *         description: Not authorized
+ *       409:
+ *         description: An export is already being prepared
+ */
+router
+  .route("/data-exports")
+  .get(protect, authorize("account:export"), getMyDataExports)
+  .post(protect, authorize("account:export"), createMyDataExport)
+
+/**
+ * @swagger
+ * /api/users/me/data-exports/{id}/download:
+ *   get:
+ *     summary: Download a personal data export
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The .tar.gz archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: The export is not ready
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Export not found or expired
+ */
+router.get("/data-exports/:id/download", protect, authorize("account:export"), downloadMyDataExport)
+
+/**
+ * @swagger
+ * /api/users/me/deletion:
+ *   get:
+ *     summary: Get the deletion status of your account
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether a deletion is scheduled and when
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Delete your account
+ *     description: The account is deleted after a grace period (14 days by default), during which the deletion can be cancelled. Then your measurements, photos, designs, addresses and other personal data are erased. Orders are kept for accounting without your personal details.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 description: Required with two-factor authentication, unless a recovery code is given
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Already scheduled, missing password or last admin account
+ *       401:
+ *         description: Invalid password or authentication code
+ *   delete:
+ *     summary: Cancel the deletion of your account
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ *       401:
+ *         description: Not authorized
+ */
+router
+  .route("/deletion")
+  .get(protect, authorize("account:delete"), getMyAccountDeletion)
+  .post(protect, authorize("account:delete"), requestMyAccountDeletion)
+  .delete(protect, authorize("account:delete"), cancelMyAccountDeletion)
+
+export default router
@@ -0,0 +1,127 @@
+import express from "express"
+import {
+  getMyAddresses,
+  createMyAddress,
+  getMyAddress,
+  updateMyAddress,
+  deleteMyAddress,
+} from "../controllers/address.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+router.use(protect, authorize("address:manage"))
+
+/**
+ * @swagger
+ * /api/users/me/addresses:
+ *   get:
+ *     summary: List your saved addresses
+ *     description: Default shipping and billing addresses come first.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Save a new address
+ *     description: The first saved address becomes the default for shipping and billing.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *       400:
+ *         description: Missing address fields
+ *       401:
+ *         description: Not authorized
+ */
+router.route("/").get(getMyAddresses).post(createMyAddress)
+
+/**
+ * @swagger
+ * /api/users/me/addresses/{id}:
+ *   get:
+ *     summary: Get a saved address
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address details
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ *   put:
+ *     summary: Update a saved address
+ *     description: Set `isDefaultShipping` or `isDefaultBilling` to true to make this address the default. Orders already placed keep the address they were placed with.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Missing address fields
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: If it was a default, the most recently updated remaining address becomes the default.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ */
+router.route("/:id").get(getMyAddress).put(updateMyAddress).delete(deleteMyAddress)
+
+export default router
@@ -0,0 +1,120 @@
+import express from "express"
+import { getMyApiKeys, createMyApiKey, rotateMyApiKey, revokeMyApiKey } from "../controllers/apiKey.controller.js"
+import { protect, authorize, requireSession } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+// Keys are managed with a login session only, never with another API key
+router.use(protect, requireSession, authorize("apiKey:manage"))
+
+/**
+ * @swagger
+ * /api/users/me/api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys, without their secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as a seller
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned only in this response. Send it as `X-API-Key` header or as a Bearer token.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [products:read, products:write, orders:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created, with the raw key in `key`
+ *       400:
+ *         description: Invalid name, scopes or expiry, or too many active keys
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as a seller
+ */
+router.route("/").get(getMyApiKeys).post(createMyApiKey)
+
+/**
+ * @swagger
+ * /api/users/me/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace the secret of an API key
+ *     description: The old key stops working immediately. The new key is returned only in this response.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key rotated, with the raw key in `key`
+ *       400:
+ *         description: The key is revoked or expired
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: API key not found
+ */
+router.post("/:id/rotate", rotateMyApiKey)
+
+/**
+ * @swagger
+ * /api/users/me/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/:id", revokeMyApiKey)
+
+export default router
@@ -0,0 +1,263 @@
+import express from "express"
+import {
+  createApplication,
+  getMyApplications,
+  getApplications,
+  getApplicationById,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication,
+} from "../controllers/application.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/applications:
+ *   post:
+ *     summary: Apply to become a seller or designer
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requestedRole
+ *               - businessName
+ *             properties:
+ *               requestedRole:
+ *                 type: string
+ *                 enum: [seller, designer]
+ *               businessName:
+ *                 type: string
+ *               businessDescription:
+ *                 type: string
+ *               businessRegistrationNumber:
+ *                 type: string
+ *               taxId:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *               businessAddress:
+ *                 type: object
+ *               portfolio:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                     image:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Invalid data or application already pending
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Only customers can apply
+ *   get:
+ *     summary: Get all applications (admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *         description: Number of applications per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn]
+ *         description: Filter by application status
+ *       - in: query
+ *         name: requestedRole
+ *         schema:
+ *           type: string
+ *           enum: [seller, designer]
+ *         description: Filter by requested role
+ *     responses:
+ *       200:
+ *         description: List of applications
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ */
+router
+  .route("/")
+  .post(protect, authorize("application:create"), createApplication)
+  .get(protect, authorize("application:list"), getApplications)
+
+/**
+ * @swagger
+ * /api/applications/mine:
+ *   get:
+ *     summary: Get logged in user applications
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the user's applications
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/mine", protect, authorize("application:read"), getMyApplications)
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get application by ID
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application details
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to view this application
+ *       404:
+ *         description: Application not found
+ */
+router.get("/:id", protect, authorize("application:read"), getApplicationById)
+
+/**
+ * @swagger
+ * /api/applications/{id}/approve:
+ *   put:
+ *     summary: Approve an application and grant the requested role (admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application approved
+ *       400:
+ *         description: Application is not pending
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ *       404:
+ *         description: Application not found
+ */
+router.put("/:id/approve", protect, authorize("application:review"), approveApplication)
+
+/**
+ * @swagger
+ * /api/applications/{id}/reject:
+ *   put:
+ *     summary: Reject an application (admin only)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewNotes
+ *             properties:
+ *               reviewNotes:
+ *                 type: string
+ *                 description: Reason for the rejection, shown to the applicant
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Missing reason or application is not pending
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ *       404:
+ *         description: Application not found
+ */
+router.put("/:id/reject", protect, authorize("application:review"), rejectApplication)
+
+/**
+ * @swagger
+ * /api/applications/{id}/withdraw:
+ *   put:
+ *     summary: Withdraw a pending application
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       400:
+ *         description: Application is not pending
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to withdraw this application
+ *       404:
+ *         description: Application not found
+ */
+router.put("/:id/withdraw", protect, authorize("application:withdraw"), withdrawApplication)
+
+export default router
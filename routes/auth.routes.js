@@ -1,6 +1,24 @@
 import express from "express"
-import { registerUser, loginUser, getUserProfile, updateUserProfile } from "../controllers/auth.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import {
+  registerUser,
+  loginUser,
+  getUserProfile,
+  updateUserProfile,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  unlockAccountWithToken,
+  getLockouts,
+  clearLockout,
+} from "../controllers/auth.controller.js"
+import { protect, authorize, requireSession } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -9,6 +27,7 @@ const router = express.Router()
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: New accounts are always customers. Sellers and designers apply through /api/applications.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -32,12 +51,9 @@ const router = express.Router()
  *               password:
  *                 type: string
  *                 format: password
- *               role:
- *                 type: string
- *                 enum: [user, designer]
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, returns an access token and a refresh token
  *       400:
  *         description: Invalid user data or user already exists
  */
@@ -67,12 +83,365 @@ router.post("/register", registerUser)
  *                 format: password
  *     responses:
  *       200:
- *         description: User authenticated successfully
+ *         description: User authenticated successfully, returns an access token and a refresh token. If two-factor authentication is enabled, returns `twoFactorRequired` and a `challengeToken` for /api/auth/login/2fa instead.
  *       401:
  *         description: Invalid email or password
+ *       429:
+ *         description: Too many failed attempts. The Retry-After header says how many seconds to wait.
  */
 router.post("/login", loginUser)
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a TOTP code or a recovery code
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: User authenticated successfully, returns an access token and a refresh token
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many failed attempts. The Retry-After header says how many seconds to wait.
+ */
+router.post("/login/2fa", verifyTwoFactorLogin)
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: The presented refresh token is single-use. Presenting an already used refresh token revokes the whole session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post("/refresh", refreshAccessToken)
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout", protect, requireSession, logoutUser)
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout-all", protect, requireSession, logoutAllDevices)
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/sessions", protect, requireSession, getSessions)
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:id", protect, requireSession, deleteSession)
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm email address with the token sent by email
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post("/verify-email", verifyEmail)
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address is already verified
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/resend-verification", protect, requireSession, resendVerificationEmail)
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Always answers with the same message, whether or not an account exists for the email.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email is required
+ */
+router.post("/forgot-password", forgotPassword)
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token sent by email
+ *     description: The token can only be used once. All sessions of the user are logged out.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post("/reset-password", resetPassword)
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Unlock an account with the token sent by email after a lockout
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+router.post("/unlock", unlockAccountWithToken)
+
+/**
+ * @swagger
+ * /api/auth/lockouts:
+ *   get:
+ *     summary: List failed login counters and lockouts (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: query
+ *         name: locked
+ *         schema:
+ *           type: boolean
+ *         description: Only return entries that are currently locked
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *         description: Email address or IP address
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lockouts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginAttempt'
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ */
+router.get("/lockouts", protect, authorize("lockout:manage"), getLockouts)
+
+/**
+ * @swagger
+ * /api/auth/lockouts/{id}:
+ *   delete:
+ *     summary: Clear a failed login counter and its lockout (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ *       404:
+ *         description: Lockout not found
+ */
+router.delete("/lockouts/:id", protect, authorize("lockout:manage"), clearLockout)
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -115,17 +484,26 @@ router.post("/login", loginUser)
  *                 type: string
  *               address:
  *                 type: object
+ *               preferredUnits:
+ *                 type: string
+ *                 enum: [metric, imperial]
  *               bodyMeasurements:
  *                 type: object
+ *                 description: New measurements in the preferred units, added to the history (see /api/users/me/measurements)
  *     responses:
  *       200:
  *         description: User profile updated successfully
+ *       400:
+ *         description: Invalid or implausible measurements
  *       401:
  *         description: Not authorized, no token
  *       404:
  *         description: User not found
  */
-router.route("/profile").get(protect, getUserProfile).put(protect, updateUserProfile)
+router
+  .route("/profile")
+  .get(protect, authorize("profile:read"), getUserProfile)
+  .put(protect, authorize("profile:update"), updateUserProfile)
 
 export default router
 
@@ -0,0 +1,181 @@
+import express from "express"
+import {
+  getMyMeasurements,
+  addMyMeasurements,
+  getMyMeasurementHistory,
+  getMyMeasurementTrends,
+  deleteMyMeasurement,
+} from "../controllers/bodyMeasurement.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+router.use(protect, authorize("measurement:manage"))
+
+/**
+ * @swagger
+ * /api/users/me/measurements:
+ *   get:
+ *     summary: Get your current body measurements
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: units
+ *         schema:
+ *           type: string
+ *           enum: [metric, imperial]
+ *         description: Defaults to the preferred units of the profile
+ *     responses:
+ *       200:
+ *         description: Latest measurements with their date and unit labels
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Record body measurements
+ *     description: Measurements not given keep their previous value. The full set is checked for plausibility (ranges and proportions such as waist to hips).
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - values
+ *             properties:
+ *               values:
+ *                 type: object
+ *                 properties:
+ *                   height:
+ *                     type: number
+ *                   weight:
+ *                     type: number
+ *                   bust:
+ *                     type: number
+ *                   waist:
+ *                     type: number
+ *                   hips:
+ *                     type: number
+ *                   inseam:
+ *                     type: number
+ *                   shoulderWidth:
+ *                     type: number
+ *                   armLength:
+ *                     type: number
+ *               units:
+ *                 type: string
+ *                 enum: [metric, imperial]
+ *                 description: cm/kg or in/lb. Defaults to the preferred units of the profile.
+ *               measuredAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Measurements recorded
+ *       400:
+ *         description: Invalid or implausible measurements
+ *       401:
+ *         description: Not authorized
+ */
+router.route("/").get(getMyMeasurements).post(addMyMeasurements)
+
+/**
+ * @swagger
+ * /api/users/me/measurements/history:
+ *   get:
+ *     summary: Get the history of your body measurements
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: units
+ *         schema:
+ *           type: string
+ *           enum: [metric, imperial]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Measurement entries, newest first
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/history", getMyMeasurementHistory)
+
+/**
+ * @swagger
+ * /api/users/me/measurements/trends:
+ *   get:
+ *     summary: See how your body measurements changed over time
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated measurements, e.g. "waist,hips". All by default.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: units
+ *         schema:
+ *           type: string
+ *           enum: [metric, imperial]
+ *     responses:
+ *       200:
+ *         description: Per measurement, the first and latest value, the change and the dated points
+ *       400:
+ *         description: Unknown measurement
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/trends", getMyMeasurementTrends)
+
+/**
+ * @swagger
+ * /api/users/me/measurements/{id}:
+ *   delete:
+ *     summary: Delete a wrong measurement entry
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Entry not found
+ */
+router.delete("/:id", deleteMyMeasurement)
+
+export default router
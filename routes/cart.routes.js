@@ -0,0 +1,293 @@
+import express from "express"
+import {
+  getCart,
+  addItemToCart,
+  updateCartItemQuantity,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  checkoutCart,
+} from "../controllers/cart.controller.js"
+import { protect, optionalProtect, authorize, requireVerifiedEmail } from "../middlewares/auth.middleware.js"
+import { idempotent } from "../middlewares/idempotency.middleware.js"
+
+const router = express.Router()
+
+// Guests reach their cart with the cart token; logged in users need the cart permission
+const authorizeCart = authorize("cart:manage")
+const cartAccess = (req, res, next) => (req.user ? authorizeCart(req, res, next) : next())
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get your cart
+ *     description: Logged in users get their own cart. Guests send the token they got when their cart was created in the X-Cart-Token header. Prices and stock are re-read on every request; lines that can no longer be ordered are flagged and left out of the subtotal, and changes since the cart was last seen are listed in `warnings`.
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token
+ *     responses:
+ *       200:
+ *         description: The cart, empty if there is none yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *   delete:
+ *     summary: Empty your cart
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: The empty cart
+ */
+router.route("/").get(optionalProtect, cartAccess, getCart).delete(optionalProtect, cartAccess, idempotent, clearCart)
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add an item to your cart
+ *     description: Adding an item that is already in the cart, with the same variant and customizations, adds to its quantity. The item is refused if the stock cannot cover the quantity in the cart. A guest without a cart gets a new one, and its token is returned once as `cartToken`. Custom designs can only be added by their owner, once approved.
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: ID of the product variant
+ *               sku:
+ *                 type: string
+ *                 description: SKU of the variant, instead of its ID
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { size: M, color: red }
+ *                 description: Option values of the variant, instead of its ID
+ *               customDesign:
+ *                 type: string
+ *                 description: Approved custom design, instead of a product
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               customizations:
+ *                 type: object
+ *                 properties:
+ *                   fabric:
+ *                     type: string
+ *                   style:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid item, variant not chosen, item not available or cart full
+ *       401:
+ *         description: Guests cannot add custom designs
+ *       404:
+ *         description: Product or custom design not found
+ *       409:
+ *         description: Not enough stock, the units left are returned as `available`
+ */
+router.post("/items", optionalProtect, cartAccess, idempotent, addItemToCart)
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}:
+ *   put:
+ *     summary: Change the quantity of a cart item
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid quantity or item no longer available
+ *       404:
+ *         description: Cart item not found
+ *       409:
+ *         description: Not enough stock, the units left are returned as `available`
+ *   delete:
+ *     summary: Remove an item from your cart
+ *     tags: [Cart]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart item not found
+ */
+router
+  .route("/items/:itemId")
+  .put(optionalProtect, cartAccess, idempotent, updateCartItemQuantity)
+  .delete(optionalProtect, cartAccess, idempotent, removeCartItem)
+
+/**
+ * @swagger
+ * /api/cart/merge:
+ *   post:
+ *     summary: Merge a guest cart into your cart
+ *     description: Logging in or registering with the X-Cart-Token header merges the guest cart already; this endpoint does it afterwards. Quantities of items in both carts are added up and the guest cart is removed.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Cart-Token
+ *         schema:
+ *           type: string
+ *         description: Guest cart token, or send it as `cartToken` in the body
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cartToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Your cart after the merge
+ *       400:
+ *         description: Cart token is required
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/merge", protect, authorizeCart, idempotent, mergeCart)
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Place an order for your cart
+ *     description: The cart is revalidated first. If a price changed or an item is out of stock or no longer available, nothing is ordered and the revalidated cart is returned with its warnings; the new prices count as seen, so checking out again goes through. Otherwise the order is placed as with POST /api/orders, using the cart items, and the cart is emptied.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               couponCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               shippingAddressId:
+ *                 type: string
+ *               shippingAddress:
+ *                 type: object
+ *               shippingMethod:
+ *                 type: string
+ *                 description: ID or code of the shipping method, the cheapest one by default
+ *               billingAddressId:
+ *                 type: string
+ *               billingAddress:
+ *                 type: object
+ *               paymentMethod:
+ *                 type: string
+ *                 description: How the order will be paid, see POST /api/payments/process
+ *               totalAmount:
+ *                 type: number
+ *                 description: Total shown to the customer; the order is refused if the server total differs
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created
+ *       400:
+ *         description: Cart is empty or missing address
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: The cart changed (the revalidated cart is returned), items sold out, or the total differs from totalAmount
+ */
+router.post("/checkout", protect, authorizeCart, authorize("order:create"), requireVerifiedEmail, idempotent, checkoutCart)
+
+export default router
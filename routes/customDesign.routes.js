@@ -10,7 +10,7 @@ import {
   updateDesignStatus,
   getAllCustomDesigns,
 } from "../controllers/customDesign.controller.js"
-import { protect, admin, designer } from "../middlewares/auth.middleware.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -95,7 +95,10 @@ const router = express.Router()
  *       401:
  *         description: Not authorized
  */
-router.route("/").post(protect, createCustomDesign).get(protect, getUserCustomDesigns)
+router
+  .route("/")
+  .post(protect, authorize("customDesign:create"), createCustomDesign)
+  .get(protect, authorize("customDesign:read"), getUserCustomDesigns)
 
 /**
  * @swagger
@@ -139,7 +142,7 @@ router.route("/").post(protect, createCustomDesign).get(protect, getUserCustomDe
  *       403:
  *         description: Not authorized as a designer or admin
  */
-router.get("/all", protect, designer, getAllCustomDesigns)
+router.get("/all", protect, authorize("customDesign:list"), getAllCustomDesigns)
 
 /**
  * @swagger
@@ -230,9 +233,9 @@ router.get("/all", protect, designer, getAllCustomDesigns)
  */
 router
   .route("/:id")
-  .get(protect, getCustomDesignById)
-  .put(protect, updateCustomDesign)
-  .delete(protect, deleteCustomDesign)
+  .get(protect, authorize("customDesign:read"), getCustomDesignById)
+  .put(protect, authorize("customDesign:update"), updateCustomDesign)
+  .delete(protect, authorize("customDesign:delete"), deleteCustomDesign)
 
 /**
  * @swagger
@@ -261,7 +264,7 @@ router
  *       404:
  *         description: Custom design not found
  */
-router.put("/:id/submit", protect, submitCustomDesign)
+router.put("/:id/submit", protect, authorize("customDesign:submit"), submitCustomDesign)
 
 /**
  * @swagger
@@ -301,7 +304,7 @@ router.put("/:id/submit", protect, submitCustomDesign)
  *       404:
  *         description: Custom design not found
  */
-router.put("/:id/assign", protect, admin, assignDesigner)
+router.put("/:id/assign", protect, authorize("customDesign:assign"), assignDesigner)
 
 /**
  * @swagger
@@ -344,7 +347,7 @@ router.put("/:id/assign", protect, admin, assignDesigner)
  *       404:
  *         description: Custom design not found
  */
-router.put("/:id/status", protect, designer, updateDesignStatus)
+router.put("/:id/status", protect, authorize("customDesign:updateStatus"), updateDesignStatus)
 
 export default router
 
@@ -4,10 +4,15 @@ import {
   getOrderById,
   getMyOrders,
   updateOrderStatus,
-  updateOrderPayment,
   getOrders,
+  getOrderQuote,
+  getOrderTimeline,
+  cancelOrder,
 } from "../controllers/order.controller.js"
-import { protect, admin } from "../middlewares/auth.middleware.js"
+import { createRefund, getOrderTransactions } from "../controllers/payment.controller.js"
+import { requestReturn, getOrderReturns } from "../controllers/return.controller.js"
+import { protect, authorize, requireVerifiedEmail } from "../middlewares/auth.middleware.js"
+import { idempotent } from "../middlewares/idempotency.middleware.js"
 
 const router = express.Router()
 
@@ -16,9 +21,12 @@ const router = express.Router()
  * /api/orders:
  *   post:
  *     summary: Create a new order
+ *     description: The shipping address is taken from `shippingAddressId`, else from `shippingAddress`, else from the default shipping address of the address book. The billing address defaults to the shipping address. The order keeps a copy of both addresses that never changes. Shipping is priced by the shipping zone of the address and the chosen method, from the weight of the items or the subtotal, and sets `trackingInfo.estimatedDelivery`. The stock of the ordered variants is held for the order until it is paid, and released when payment fails or it is not paid in time (STOCK_RESERVATION_MINUTES, 30 by default).
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -27,7 +35,6 @@ const router = express.Router()
  *             type: object
  *             required:
  *               - items
- *               - shippingAddress
  *               - paymentMethod
  *             properties:
  *               items:
@@ -39,43 +46,75 @@ const router = express.Router()
  *                       type: string
  *                     customDesign:
  *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: ID of the product variant
+ *                     sku:
+ *                       type: string
+ *                       description: SKU of the variant, instead of its ID
+ *                     options:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *                       example: { size: M, color: red }
+ *                       description: Option values of the variant, instead of its ID
  *                     quantity:
  *                       type: number
- *                     price:
- *                       type: number
  *                     size:
  *                       type: string
+ *                       description: Deprecated, use options
  *                     color:
  *                       type: string
+ *                       description: Deprecated, use options
  *                     customizations:
  *                       type: object
+ *                       properties:
+ *                         fabric:
+ *                           type: string
+ *                           description: Name of one of the product's fabrics, its additional cost is added
+ *                         style:
+ *                           type: string
+ *                           description: Name of one of the product's styles, its additional cost is added
+ *               couponCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Coupon codes entered by the customer (`couponCode` is accepted for a single one). Promotions without a code apply by themselves.
+ *               shippingAddressId:
+ *                 type: string
+ *                 description: ID of a saved address from /api/users/me/addresses
  *               shippingAddress:
  *                 type: object
+ *                 description: Address sent inline, used when no shippingAddressId is given
+ *               shippingMethod:
+ *                 type: string
+ *                 description: ID or code (standard, express, pickup) of a shipping method offered for the address, the cheapest one by default
+ *               billingAddressId:
+ *                 type: string
+ *                 description: ID of a saved address from /api/users/me/addresses
  *               billingAddress:
  *                 type: object
  *               paymentMethod:
  *                 type: string
- *               paymentDetails:
- *                 type: object
- *               subtotal:
- *                 type: number
- *               shippingCost:
- *                 type: number
- *               tax:
- *                 type: number
- *               discount:
- *                 type: number
+ *                 description: How the order will be paid, see POST /api/payments/process
  *               totalAmount:
  *                 type: number
+ *                 description: Total shown to the customer, e.g. from /api/orders/quote. The order is refused if the server total differs. Prices and totals are always computed on the server.
  *               notes:
  *                 type: string
  *     responses:
  *       201:
  *         description: Order created
  *       400:
- *         description: No order items or invalid data
+ *         description: No order items, missing address, no shipping method to the address, variant not chosen or out of stock, a coupon that cannot be used, or invalid data
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Product, custom design or saved address not found
+ *       409:
+ *         description: Items or a promotion sold out while the order was being placed, or the total differs from totalAmount (the current quote is returned)
  *   get:
  *     summary: Get all orders (admin only)
  *     tags: [Orders]
@@ -96,6 +135,7 @@ const router = express.Router()
  *         name: status
  *         schema:
  *           type: string
+ *           enum: [pending, awaiting_payment, paid, processing, shipped, delivered, cancelled, refunded, returned]
  *         description: Filter by order status
  *       - in: query
  *         name: user
@@ -122,7 +162,57 @@ const router = express.Router()
  *       403:
  *         description: Not authorized as an admin
  */
-router.route("/").post(protect, createOrder).get(protect, admin, getOrders)
+router
+  .route("/")
+  .post(protect, authorize("order:create"), requireVerifiedEmail, idempotent, createOrder)
+  .get(protect, authorize("order:list"), getOrders)
+
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     summary: Price an order without placing it
+ *     description: Uses the same pricing as placing the order, so the total shown is the total charged. Line prices include sale prices and fabric/style surcharges.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Same items as when placing the order
+ *                 items:
+ *                   type: object
+ *               couponCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Coupon codes entered by the customer (`couponCode` is accepted for a single one). Promotions without a code apply by themselves.
+ *               shippingAddressId:
+ *                 type: string
+ *               shippingAddress:
+ *                 type: object
+ *               shippingMethod:
+ *                 type: string
+ *                 description: ID or code (standard, express, pickup) of a shipping method offered for the address, the cheapest one by default
+ *     responses:
+ *       200:
+ *         description: Priced lines with subtotal, discount, the promotions applied (and coupons left out in favour of a better offer in skippedPromotions), the shipping methods offered for the address with their cost and delivery window (shippingOptions) and the one chosen (shippingMethod), shippingCost, tax and totalAmount. Each line carries its tax (taxableAmount, taxRate, taxAmount) under the tax rule of the destination (taxRule); when taxIncluded is true the prices already include the tax and it is not added to totalAmount. Without a shipping address or a default one, shipping is left out and the default TAX_RATE applies.
+ *       400:
+ *         description: No items, variant not chosen, not enough stock, unknown customization, a coupon that is invalid, expired, used up or does not apply, or no shipping to the address
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Product or custom design not found
+ */
+router.post("/quote", protect, authorize("order:create"), getOrderQuote)
 
 /**
  * @swagger
@@ -132,6 +222,7 @@ router.route("/").post(protect, createOrder).get(protect, admin, getOrders)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: pageSize
@@ -149,7 +240,7 @@ router.route("/").post(protect, createOrder).get(protect, admin, getOrders)
  *       401:
  *         description: Not authorized
  */
-router.get("/myorders", protect, getMyOrders)
+router.get("/myorders", protect, authorize("order:read"), getMyOrders)
 
 /**
  * @swagger
@@ -159,6 +250,7 @@ router.get("/myorders", protect, getMyOrders)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -176,16 +268,18 @@ router.get("/myorders", protect, getMyOrders)
  *       404:
  *         description: Order not found
  */
-router.get("/:id", protect, getOrderById)
+router.get("/:id", protect, authorize("order:read"), getOrderById)
 
 /**
  * @swagger
- * /api/orders/{id}/status:
- *   put:
- *     summary: Update order status (admin only)
+ * /api/orders/{id}/timeline:
+ *   get:
+ *     summary: Get the timeline of an order
+ *     description: Every event of the order, oldest first. Events are only ever added, never changed or removed.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -193,43 +287,279 @@ router.get("/:id", protect, getOrderById)
  *           type: string
  *         required: true
  *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Current status of the order and its events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderEvent'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+router.get("/:id/timeline", protect, authorize("order:read"), getOrderTimeline)
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel own order
+ *     description: Possible until the order ships (pending, paid or processing). The stock of the order is put back, the uses of its promotions are given back, and a paid order is refunded in full.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               status:
+ *               reason:
  *                 type: string
- *                 enum: [pending, processing, shipped, delivered, cancelled]
- *               trackingInfo:
- *                 type: object
- *                 properties:
- *                   carrier:
- *                     type: string
- *                   trackingNumber:
- *                     type: string
- *                   estimatedDelivery:
- *                     type: string
- *                     format: date-time
+ *                 description: Kept on the timeline of the order
  *     responses:
  *       200:
- *         description: Order status updated
+ *         description: Order cancelled
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Not authorized as an admin
+ *         description: Not authorized to cancel this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order has shipped or is already closed
+ */
+router.post("/:id/cancel", protect, authorize("order:cancel"), idempotent, cancelOrder)
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   post:
+ *     summary: Refund an order, fully or partly (admin only)
+ *     description: The refund goes through the provider the order was paid with. Send an `amount`, the `items` to refund, or the `returnRequest` whose refund failed; with none of them, everything not yet refunded is. The payment status of the order becomes partiallyRefunded, or refunded once all of it is, and the order becomes refunded unless it is still being fulfilled.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 description: Units of order lines to refund, at what was paid for them after discounts, tax included
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItem
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: ID of the line in the order items
+ *                     quantity:
+ *                       type: integer
+ *                       description: Defaults to every unit of the line not refunded yet
+ *               returnRequest:
+ *                 type: string
+ *                 description: ID of a received return to refund
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund issued, with the refund transaction and the updated payment totals of the order
+ *       400:
+ *         description: Invalid refund, the problems are listed in `errors`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Order or return not found
+ *       409:
+ *         description: The order is not paid, or the refund is more than what is left to refund
+ *       502:
+ *         description: The payment provider refused the refund; the failed transaction is returned
+ */
+router.post("/:id/refunds", protect, authorize("order:refund"), idempotent, createRefund)
+
+/**
+ * @swagger
+ * /api/orders/{id}/transactions:
+ *   get:
+ *     summary: List the payments and refunds of an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment status and totals of the order, with its transactions oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 paymentStatus:
+ *                   type: string
+ *                 amountPaid:
+ *                   type: number
+ *                 amountRefunded:
+ *                   type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentTransaction'
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+router.get("/:id/transactions", protect, authorize("order:read"), getOrderTransactions)
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   post:
+ *     summary: Request a return for items of an order
+ *     description: |
+ *       Delivered items can be returned within RETURN_WINDOW_DAYS (30 by default) of delivery, each line with a reason. An admin approves the return and sends a return label, then books the items in when they arrive, which refunds them.
+ *
+ *       Custom designs are made to order and are not returnable unless defective: they can only be returned with reason `defective` or `damaged`, with photos.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItem
+ *                     - reason
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: ID of the line in the order items
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [wrongSize, notAsDescribed, changedMind, defective, damaged, wrongItem, other]
+ *                     note:
+ *                       type: string
+ *               photos:
+ *                 type: array
+ *                 description: Up to 5 image URLs
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid return request, the problems are listed in `errors`
+ *       403:
+ *         description: Not authorized to return items of this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not delivered, or its return window has closed
+ *   get:
+ *     summary: List the returns of an order
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Returns of the order, newest first
+ *       403:
+ *         description: Not authorized to view the returns of this order
  *       404:
  *         description: Order not found
  */
-router.put("/:id/status", protect, admin, updateOrderStatus)
+router
+  .route("/:id/returns")
+  .post(protect, authorize("return:create"), requireVerifiedEmail, idempotent, requestReturn)
+  .get(protect, authorize("return:read"), getOrderReturns)
 
 /**
  * @swagger
- * /api/orders/{id}/pay:
+ * /api/orders/{id}/status:
  *   put:
- *     summary: Update order payment details
+ *     summary: Update order status (admin only)
+ *     description: |
+ *       Orders follow their lifecycle: pending → paid → processing → shipped → delivered, and can only move to the next statuses:
+ *       - pending: paid, cancelled
+ *       - paid: processing, cancelled, refunded
+ *       - processing: shipped, cancelled, refunded
+ *       - shipped: delivered, returned
+ *       - delivered: returned, refunded
+ *       - returned, cancelled: refunded (paid orders only)
+ *
+ *       Cancelling puts the stock of the order back and gives back the uses of its promotions, and refunds a paid order in full. Setting refunded by hand records a refund made outside the payment provider; POST /api/orders/{id}/refunds refunds through it. The customer is emailed when their order is paid, shipped, delivered, cancelled or refunded. Every change is recorded on the timeline of the order with the admin who made it. Sending the current status only updates the tracking info.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -240,36 +570,45 @@ router.put("/:id/status", protect, admin, updateOrderStatus)
  *           type: string
  *         required: true
  *         description: Order ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - paymentDetails
  *             properties:
- *               paymentDetails:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, processing, shipped, delivered, cancelled, refunded, returned]
+ *               note:
+ *                 type: string
+ *                 description: Reason for the change, kept on the timeline
+ *               trackingInfo:
  *                 type: object
  *                 properties:
- *                   transactionId:
+ *                   carrier:
  *                     type: string
- *                   status:
+ *                   trackingNumber:
  *                     type: string
- *                   date:
+ *                   estimatedDelivery:
  *                     type: string
  *                     format: date-time
  *     responses:
  *       200:
- *         description: Order payment updated
+ *         description: Order status updated
+ *       400:
+ *         description: Unknown status
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Not authorized to update this order
+ *         description: Not authorized as an admin
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order cannot move to this status from its current one; the statuses it can move to are in `allowed`
  */
-router.put("/:id/pay", protect, updateOrderPayment)
+router.put("/:id/status", protect, authorize("order:updateStatus"), idempotent, updateOrderStatus)
 
 export default router
 
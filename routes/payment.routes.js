@@ -1,6 +1,16 @@
 import express from "express"
-import { processPayment, verifyPayment, paymentWebhook, getPaymentMethods } from "../controllers/payment.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import {
+  processPayment,
+  confirmPayment,
+  verifyPayment,
+  paymentWebhook,
+  getWebhookEvents,
+  replayWebhook,
+  getPaymentMethods,
+} from "../controllers/payment.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+import { rejectCardData } from "../middlewares/redaction.middleware.js"
+import { idempotent } from "../middlewares/idempotency.middleware.js"
 
 const router = express.Router()
 
@@ -9,9 +19,19 @@ const router = express.Router()
  * /api/payments/process:
  *   post:
  *     summary: Process payment
+ *     description: |
+ *       Charges the order through the provider set up for the payment method. Cards are tokenized by the provider in the browser or app (e.g. a Stripe PaymentMethod ID) and only the token is sent here; requests with card numbers or security codes are refused.
+ *
+ *       With PAYMENT_PROVIDER=sandbox the provider is the sandbox, which plays a scenario picked by the payment details: a paymentToken or PayPal email containing "declined", "challenge", "timeout" or "delayed" (e.g. tok_declined), or a phone number ending in 0002, 3220, 0119 or 0077 respectively. Anything else succeeds.
+ *
+ *       `paymentResult.status` tells how far the payment got: completed, pending (the provider confirms it later through the webhook), requiresAction (the customer has to complete `paymentResult.nextAction`, then POST /api/payments/confirm), or failed.
+ *
+ *       While a payment is pending the order is `awaiting_payment`. Mobile Money payments always are: a request to pay is sent to the phone number and completes once the customer approves it there. Poll GET /api/payments/verify/{transactionId} until it is completed or failed; a request not approved within MOMO_PAYMENT_EXPIRY_MINUTES (default 15) fails and the order is `pending` again. Phone numbers may be national (e.g. 0788 123 456, in MOMO_COUNTRY_CODE, default 250) or international (+250788123456).
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -29,25 +49,79 @@ const router = express.Router()
  *                 enum: [creditCard, paypal, momo]
  *               paymentDetails:
  *                 type: object
+ *                 properties:
+ *                   paymentToken:
+ *                     type: string
+ *                     description: For cards, the token of the card from the payment provider
+ *                   paypalEmail:
+ *                     type: string
+ *                   phoneNumber:
+ *                     type: string
+ *                     description: For Mobile Money, the number of the paying account
  *     responses:
  *       200:
- *         description: Payment processed
+ *         description: Payment completed, pending, or waiting for the customer
  *       400:
- *         description: Order ID is required or payment already processed
+ *         description: Order ID or payment details are missing, card data was sent instead of a token, the payment method is invalid, or the payment was already processed
  *       401:
  *         description: Not authorized
  *       403:
  *         description: Not authorized to process payment for this order
  *       404:
  *         description: Order not found
+ *       402:
+ *         description: The payment was declined; the order stays pending and can be paid again
+ *       409:
+ *         description: The order is no longer pending (e.g. cancelled), its stock hold expired and some items sold out since, or a payment of it is already being processed
+ */
+router.post("/process", rejectCardData, protect, authorize("payment:process"), idempotent, processPayment)
+
+/**
+ * @swagger
+ * /api/payments/confirm:
+ *   post:
+ *     summary: Confirm a payment waiting for the customer
+ *     description: Carries on with a payment whose status was requiresAction, once the customer completed the next action, e.g. a 3-D Secure challenge or an approval on PayPal. With the sandbox provider, send `paymentDetails.challengeResult` "passed" or "failed".
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               paymentDetails:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Payment completed, pending, or still waiting for the customer
+ *       400:
+ *         description: Order ID is required, card data was sent, or payment already processed
+ *       402:
+ *         description: The payment was declined
+ *       403:
+ *         description: Not authorized to process payment for this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order can no longer be paid, or none of its payments is waiting for confirmation
  */
-router.post("/process", protect, processPayment)
+router.post("/confirm", rejectCardData, protect, authorize("payment:process"), idempotent, confirmPayment)
 
 /**
  * @swagger
  * /api/payments/verify/{transactionId}:
  *   get:
  *     summary: Verify payment
+ *     description: Answers with the status of the payment. A pending payment is checked with its provider first (at most every 10 seconds), so clients can poll here while the order is awaiting_payment.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -61,6 +135,33 @@ router.post("/process", protect, processPayment)
  *     responses:
  *       200:
  *         description: Payment verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 verification:
+ *                   type: object
+ *                   properties:
+ *                     verified:
+ *                       type: boolean
+ *                       description: Whether the payment is completed
+ *                     status:
+ *                       type: string
+ *                       enum: [requiresAction, authorized, pending, completed, failed, voided]
+ *                     date:
+ *                       type: string
+ *                       format: date-time
+ *                     orderStatus:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When a pending payment fails if not approved
+ *                     failureReason:
+ *                       type: string
  *       401:
  *         description: Not authorized
  *       403:
@@ -68,39 +169,121 @@ router.post("/process", protect, processPayment)
  *       404:
  *         description: No order found with this transaction ID
  */
-router.get("/verify/:transactionId", protect, verifyPayment)
+router.get("/verify/:transactionId", protect, authorize("payment:verify"), verifyPayment)
 
 /**
  * @swagger
- * /api/payments/webhook:
+ * /api/payments/webhook/{provider}:
  *   post:
  *     summary: Payment webhook (for payment provider callbacks)
+ *     description: |
+ *       Each provider posts its own event format, signed:
+ *       - sandbox: X-Sandbox-Signature header `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">` with SANDBOX_WEBHOOK_SECRET
+ *       - stripe: Stripe-Signature header, same scheme, with STRIPE_WEBHOOK_SECRET
+ *       - paypal: PAYPAL-TRANSMISSION-* headers, checked with PayPal for PAYPAL_WEBHOOK_ID
+ *       - momo: the signed callback URL given with each request to pay; MoMo sends its callbacks with PUT, which is accepted too. A MoMo callback only makes the payment status be asked from MoMo, the status in its body is not used
+ *
+ *       Signatures older than WEBHOOK_TOLERANCE_SECONDS (default 300) are refused. Every event is stored and processed once by its ID; repeated deliveries are acknowledged without effect. Events that would move a payment back, or older than the last one applied, are ignored. An event about a payment not recorded yet gets a 404 so the provider sends it again later.
  *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [sandbox, stripe, paypal, momo]
+ *         required: true
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - transactionId
- *               - status
- *             properties:
- *               transactionId:
- *                 type: string
- *               status:
- *                 type: string
- *               paymentMethod:
- *                 type: string
  *     responses:
  *       200:
- *         description: Webhook received
+ *         description: Webhook received, or already received (`duplicate`)
  *       400:
- *         description: Transaction ID is required
+ *         description: Unrecognized event
+ *       401:
+ *         description: Missing, invalid or expired signature
  *       404:
- *         description: No order found with this transaction ID
+ *         description: Unknown provider, or no payment with this transaction ID yet
+ *       500:
+ *         description: The event could not be processed; the provider should send it again
+ */
+router.post("/webhook/:provider", paymentWebhook)
+router.put("/webhook/:provider", paymentWebhook)
+
+/**
+ * @swagger
+ * /api/payments/webhook-events:
+ *   get:
+ *     summary: List received webhook events (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, ignored, deferred, failed]
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook events, newest first, with `page`, `pages` and `total`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ */
+router.get("/webhook-events", protect, authorize("payment:webhooks"), getWebhookEvents)
+
+/**
+ * @swagger
+ * /api/payments/webhook-events/{id}/replay:
+ *   post:
+ *     summary: Process a stored webhook event again (admin only)
+ *     description: Runs the event through the same rules as when it was received, e.g. once its payment is recorded. An event that no longer changes anything ends up ignored.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: The event with its new status and result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEvent'
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Webhook event not found
+ *       409:
+ *         description: The event is being processed, or its provider is not available
  */
-router.post("/webhook", paymentWebhook)
+router.post("/webhook-events/:id/replay", protect, authorize("payment:webhooks"), idempotent, replayWebhook)
 
 /**
  * @swagger
@@ -116,7 +299,7 @@ router.post("/webhook", paymentWebhook)
  *       401:
  *         description: Not authorized
  */
-router.get("/methods", protect, getPaymentMethods)
+router.get("/methods", protect, authorize("payment:methods"), getPaymentMethods)
 
 export default router
 
@@ -0,0 +1,42 @@
+import express from "express"
+import { getPermissions, getMyPermissions } from "../controllers/permission.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: Get the effective permission matrix (admin only)
+ *     description: For every action, the scopes (any, own, assigned) granted to each role. An empty list means the role is denied.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission matrix
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to read permissions
+ */
+router.get("/", protect, authorize("permission:read"), getPermissions)
+
+/**
+ * @swagger
+ * /api/permissions/me:
+ *   get:
+ *     summary: Get the permissions of the logged in user
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Actions allowed for the user's role with their scopes
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/me", protect, getMyPermissions)
+
+export default router
@@ -10,9 +10,15 @@ import {
   getSellerProducts,
   getSellerStats,
   deleteProductImage,
-  bulkUpdateProductStatus
+  bulkUpdateProductStatus,
+  getProductVariants,
+  addProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+  uploadProductVariantImage,
+  deleteProductVariantImage,
 } from "../controllers/product.controller.js"
-import { protect, designer, seller, admin } from "../middlewares/auth.middleware.js"
+import { protect, authorize, requireVerifiedEmail } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -64,6 +70,16 @@ const router = express.Router()
  *           type: string
  *         description: Search by name or description
  *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Find the product with a variant of this SKU
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         description: Find the product with a variant of this barcode
+ *       - in: query
  *         name: tags
  *         schema:
  *           type: string
@@ -87,6 +103,7 @@ const router = express.Router()
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -112,12 +129,27 @@ const router = express.Router()
  *               tags:
  *                 type: string
  *                 description: Comma-separated tags
+ *               options:
+ *                 type: string
+ *                 description: 'JSON list of option axes, e.g. [{"name":"size","values":["S","M"]},{"name":"color","values":["red"]}]'
+ *               variants:
+ *                 type: string
+ *                 description: 'JSON list of variants, e.g. [{"options":{"size":"M","color":"red"},"stock":5,"price":120}]. Without it, every combination of the options becomes a variant.'
  *               sizes:
  *                 type: string
- *                 description: Comma-separated sizes
+ *                 description: 'Shorthand when options and variants are not sent: comma-separated sizes, or JSON [{"size":"M","quantity":5}]'
  *               colors:
  *                 type: string
- *                 description: Comma-separated colors
+ *                 description: Shorthand when options and variants are not sent, comma-separated colors
+ *               trackInventory:
+ *                 type: boolean
+ *                 description: Limit orders to the stock of each variant (default true)
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight of one unit in kg
+ *               dimensions:
+ *                 type: string
+ *                 description: 'Packed size in cm as JSON, e.g. {"length":40,"width":30,"height":5}'
  *               materials:
  *                 type: string
  *                 description: Comma-separated materials
@@ -131,13 +163,17 @@ const router = express.Router()
  *     responses:
  *       201:
  *         description: Product created
+ *       400:
+ *         description: Invalid price or variants
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Not authorized as a designer, seller, or admin
+ *         description: Not authorized as a designer, seller, or admin, or email address not verified
+ *       409:
+ *         description: SKU or barcode already used by another product
  */
 // Allow both designers and sellers to create products
-router.route("/").get(getProducts).post(protect, createProduct)
+router.route("/").get(getProducts).post(protect, authorize("product:create"), requireVerifiedEmail, createProduct)
 
 /**
  * @swagger
@@ -174,6 +210,7 @@ router.get("/top", getTopProducts)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -201,12 +238,27 @@ router.get("/top", getTopProducts)
  *               tags:
  *                 type: string
  *                 description: Comma-separated tags
+ *               options:
+ *                 type: string
+ *                 description: 'JSON list of option axes, e.g. [{"name":"size","values":["S","M"]},{"name":"color","values":["red"]}]'
+ *               variants:
+ *                 type: string
+ *                 description: 'JSON list of variants, e.g. [{"options":{"size":"M","color":"red"},"stock":5,"price":120}]. Without it, every combination of the options becomes a variant.'
  *               sizes:
  *                 type: string
- *                 description: Comma-separated sizes
+ *                 description: 'Shorthand when options and variants are not sent: comma-separated sizes, or JSON [{"size":"M","quantity":5}]'
  *               colors:
  *                 type: string
- *                 description: Comma-separated colors
+ *                 description: Shorthand when options and variants are not sent, comma-separated colors
+ *               trackInventory:
+ *                 type: boolean
+ *                 description: Limit orders to the stock of each variant (default true)
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight of one unit in kg
+ *               dimensions:
+ *                 type: string
+ *                 description: 'Packed size in cm as JSON, e.g. {"length":40,"width":30,"height":5}'
  *               materials:
  *                 type: string
  *                 description: Comma-separated materials
@@ -219,17 +271,22 @@ router.get("/top", getTopProducts)
  *     responses:
  *       200:
  *         description: Product updated
+ *       400:
+ *         description: Invalid variants
  *       401:
  *         description: Not authorized
  *       403:
  *         description: Not authorized to update this product
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: SKU or barcode already used by another product
  *   delete:
  *     summary: Delete a product (designer, seller, admin)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -247,7 +304,11 @@ router.get("/top", getTopProducts)
  *       404:
  *         description: Product not found
  */
-router.route("/:id").get(getProductById).put(protect, updateProduct).delete(protect, deleteProduct)
+router
+  .route("/:id")
+  .get(getProductById)
+  .put(protect, authorize("product:update"), updateProduct)
+  .delete(protect, authorize("product:delete"), deleteProduct)
 
 /**
  * @swagger
@@ -289,7 +350,7 @@ router.route("/:id").get(getProductById).put(protect, updateProduct).delete(prot
  *       404:
  *         description: Product not found
  */
-router.route("/:id/reviews").post(protect, createProductReview)
+router.route("/:id/reviews").post(protect, authorize("product:review"), createProductReview)
 
 /**
  * @swagger
@@ -299,6 +360,7 @@ router.route("/:id/reviews").post(protect, createProductReview)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -324,7 +386,266 @@ router.route("/:id/reviews").post(protect, createProductReview)
  *       404:
  *         description: Product not found
  */
-router.route("/:id/images/:imageIndex").delete(protect, deleteProductImage)
+router.route("/:id/images/:imageIndex").delete(protect, authorize("product:update"), deleteProductImage)
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   get:
+ *     summary: Get the options and variants of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Option axes, variants and whether stock is tracked
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Add a variant to a product
+ *     description: The variant needs one value for each option of the product. New values are added to their option. The SKU is generated when not given.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { size: M, color: red }
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               salePrice:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Variant added
+ *       400:
+ *         description: Invalid variant, or the combination already exists
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: SKU or barcode already used by another product
+ */
+router
+  .route("/:id/variants")
+  .get(getProductVariants)
+  .post(protect, authorize("product:update"), addProductVariant)
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant, e.g. its stock or price
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { size: M, color: red }
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               salePrice:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Invalid variant
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: SKU or barcode already used by another product
+ *   delete:
+ *     summary: Delete a variant
+ *     description: Orders placed for the variant keep its SKU and option values.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Variant removed
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product or variant not found
+ */
+router
+  .route("/:id/variants/:variantId")
+  .put(protect, authorize("product:update"), updateProductVariant)
+  .delete(protect, authorize("product:update"), deleteProductVariant)
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}/images:
+ *   post:
+ *     summary: Upload an image of a variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Image added
+ *       400:
+ *         description: Image is required
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product or variant not found
+ */
+router.route("/:id/variants/:variantId/images").post(protect, authorize("product:update"), uploadProductVariantImage)
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}/images/{imageIndex}:
+ *   delete:
+ *     summary: Delete an image of a variant
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant ID
+ *       - in: path
+ *         name: imageIndex
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Index of the image to delete
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *       400:
+ *         description: Invalid image index
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized to update this product
+ *       404:
+ *         description: Product or variant not found
+ */
+router
+  .route("/:id/variants/:variantId/images/:imageIndex")
+  .delete(protect, authorize("product:update"), deleteProductVariantImage)
 
 // Create a separate router for seller-specific endpoints
 const sellerRouter = express.Router()
@@ -337,6 +658,7 @@ const sellerRouter = express.Router()
  *     tags: [Sellers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: pageSize
@@ -365,6 +687,11 @@ const sellerRouter = express.Router()
  *           enum: [active, inactive]
  *         description: Filter by product status
  *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Find the product with a variant of this SKU
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -383,7 +710,7 @@ const sellerRouter = express.Router()
  *       403:
  *         description: Not authorized as a seller
  */
-sellerRouter.route("/products").get(protect, seller, getSellerProducts)
+sellerRouter.route("/products").get(protect, authorize("seller:dashboard"), getSellerProducts)
 
 /**
  * @swagger
@@ -393,6 +720,7 @@ sellerRouter.route("/products").get(protect, seller, getSellerProducts)
  *     tags: [Sellers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Seller statistics
@@ -401,7 +729,7 @@ sellerRouter.route("/products").get(protect, seller, getSellerProducts)
  *       403:
  *         description: Not authorized as a seller
  */
-sellerRouter.route("/stats").get(protect, seller, getSellerStats)
+sellerRouter.route("/stats").get(protect, authorize("seller:dashboard"), getSellerStats)
 
 /**
  * @swagger
@@ -411,6 +739,7 @@ sellerRouter.route("/stats").get(protect, seller, getSellerStats)
  *     tags: [Sellers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -441,7 +770,7 @@ sellerRouter.route("/stats").get(protect, seller, getSellerStats)
  *       404:
  *         description: No matching products found
  */
-sellerRouter.route("/products/bulk-status").put(protect, seller, bulkUpdateProductStatus)
+sellerRouter.route("/products/bulk-status").put(protect, authorize("product:update"), bulkUpdateProductStatus)
 
 export { router as productRouter, sellerRouter }
 
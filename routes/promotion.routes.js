@@ -0,0 +1,166 @@
+import express from "express"
+import {
+  getPromotions,
+  createPromotion,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+} from "../controllers/promotion.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+router.use(protect, authorize("promotion:manage"))
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions
+ *     description: Admins see every promotion, sellers the ones they created.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed, freeShipping, buyXGetY]
+ *     responses:
+ *       200:
+ *         description: A page of promotions
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Only admins and sellers manage promotions
+ *   post:
+ *     summary: Create a promotion
+ *     description: Promotions with a `code` are coupons the customer enters at checkout; without one they apply to every order they match. Promotions created by sellers are always limited to their own products.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *           example:
+ *             name: Summer sale
+ *             code: SUMMER20
+ *             type: percentage
+ *             value: 20
+ *             maxDiscount: 50
+ *             minimumSpend: 100
+ *             scope: { categories: [women] }
+ *             usageLimit: 500
+ *             usageLimitPerUser: 1
+ *             startsAt: "2026-06-01T00:00:00Z"
+ *             endsAt: "2026-08-31T23:59:59Z"
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Invalid promotion, the problems are listed in `errors`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Sellers can only promote their own products
+ *       409:
+ *         description: Coupon code already in use
+ */
+router.route("/").get(getPromotions).post(createPromotion)
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       403:
+ *         description: Not your promotion
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update a promotion
+ *     description: Orders already placed keep the promotion as it was applied to them.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Invalid promotion
+ *       403:
+ *         description: Not your promotion, or not your products
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: Coupon code already in use
+ *   delete:
+ *     summary: Delete a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion removed
+ *       403:
+ *         description: Not your promotion
+ *       404:
+ *         description: Promotion not found
+ */
+router.route("/:id").get(getPromotionById).put(updatePromotion).delete(deletePromotion)
+
+export default router
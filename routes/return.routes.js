@@ -0,0 +1,208 @@
+import express from "express"
+import {
+  getReturnRequests,
+  getReturnRequestById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../controllers/return.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+import { idempotent } from "../middlewares/idempotency.middleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: List return requests (admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *       - in: query
+ *         name: refundStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed, failed]
+ *         description: E.g. pending for received returns still to be refunded
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Return requests, newest first, with `page`, `pages` and `total`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ */
+router.get("/", protect, authorize("return:list"), getReturnRequests)
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Not authorized to view this return request
+ *       404:
+ *         description: Return request not found
+ */
+router.get("/:id", protect, authorize("return:read"), getReturnRequestById)
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   put:
+ *     summary: Approve a return request (admin only)
+ *     description: The customer is emailed the RMA number and how to send the items back.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - returnShipping
+ *             properties:
+ *               returnShipping:
+ *                 type: object
+ *                 description: A label or an address is required
+ *                 properties:
+ *                   carrier:
+ *                     type: string
+ *                   trackingNumber:
+ *                     type: string
+ *                   labelUrl:
+ *                     type: string
+ *                   instructions:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       400:
+ *         description: Neither a return label nor an address was sent
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return was already reviewed
+ */
+router.put("/:id/approve", protect, authorize("return:review"), idempotent, approveReturn)
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   put:
+ *     summary: Reject a return request (admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewNotes
+ *             properties:
+ *               reviewNotes:
+ *                 type: string
+ *                 description: Why the return is rejected, emailed to the customer
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: reviewNotes is missing
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return was already reviewed
+ */
+router.put("/:id/reject", protect, authorize("return:review"), idempotent, rejectReturn)
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   put:
+ *     summary: Mark the items of a return as received (admin only)
+ *     description: Puts the returned units back in stock, except defective or damaged ones, and refunds them through the payment provider of the order. If the refund fails it stays due (`refund.status` failed) and can be retried with POST /api/orders/{id}/refunds. Once every unit of the order has come back, the order becomes returned.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *                 description: False to keep every returned unit out of stock, e.g. when they cannot be sold again
+ *     responses:
+ *       200:
+ *         description: Return received
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return is not approved, or was already received
+ */
+router.put("/:id/receive", protect, authorize("return:review"), idempotent, receiveReturn)
+
+export default router
@@ -0,0 +1,140 @@
+import express from "express"
+import {
+  getShippingZones,
+  createShippingZone,
+  getShippingZoneById,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../controllers/shippingZone.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+router.use(protect, authorize("shipping:manage"))
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   get:
+ *     summary: List shipping zones (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones with their methods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShippingZone'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ *   post:
+ *     summary: Create a shipping zone (admin only)
+ *     description: An order ships through the narrowest active zone that covers its address (postal prefix, then region, then country; a zone without countries covers the rest). The customer picks one of its methods, the cheapest by default. Until a zone exists, orders ship at the flat SHIPPING_FLAT_RATE.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *           example:
+ *             name: Rwanda
+ *             countries: [Rwanda, RW]
+ *             methods:
+ *               - code: standard
+ *                 name: Standard
+ *                 rateType: weight
+ *                 rates: [{ upTo: 2, cost: 3 }, { upTo: 10, cost: 8 }, { cost: 15 }]
+ *                 freeShippingThreshold: 200
+ *                 minDeliveryDays: 2
+ *                 maxDeliveryDays: 5
+ *               - code: pickup
+ *                 name: Pick up in store
+ *                 rateType: flat
+ *                 flatRate: 0
+ *                 minDeliveryDays: 1
+ *                 maxDeliveryDays: 1
+ *     responses:
+ *       201:
+ *         description: Shipping zone created
+ *       400:
+ *         description: Invalid shipping zone, the problems are listed in `errors`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ */
+router.route("/").get(getShippingZones).post(createShippingZone)
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   get:
+ *     summary: Get a shipping zone (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone details
+ *       404:
+ *         description: Shipping zone not found
+ *   put:
+ *     summary: Update a shipping zone (admin only)
+ *     description: Send `methods` with every method of the zone; methods sent with their `_id` keep it. Orders already placed keep the method they were placed with.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated
+ *       400:
+ *         description: Invalid shipping zone
+ *       404:
+ *         description: Shipping zone not found
+ *   delete:
+ *     summary: Delete a shipping zone (admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone removed
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.route("/:id").get(getShippingZoneById).put(updateShippingZone).delete(deleteShippingZone)
+
+export default router
@@ -0,0 +1,134 @@
+import express from "express"
+import {
+  getTaxRules,
+  createTaxRule,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule,
+} from "../controllers/taxRule.controller.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+router.use(protect, authorize("tax:manage"))
+
+/**
+ * @swagger
+ * /api/tax/rules:
+ *   get:
+ *     summary: List tax rules (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRule'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ *   post:
+ *     summary: Create a tax rule (admin only)
+ *     description: An order is taxed by the active rule for the region of its shipping address, or else for its country. Each line is taxed at the rate of its category (0 for exempt categories); shipping only if taxShipping is set. With pricesIncludeTax the tax is taken out of the prices instead of added on top. Destinations without a rule are charged the default TAX_RATE on top.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *           example:
+ *             name: VAT
+ *             country: Rwanda
+ *             rate: 18
+ *             pricesIncludeTax: true
+ *             exemptCategories: [clothing]
+ *             taxShipping: true
+ *     responses:
+ *       201:
+ *         description: Tax rule created
+ *       400:
+ *         description: Invalid tax rule, the problems are listed in `errors`
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admins only
+ *       409:
+ *         description: A rule for the same country and region already exists
+ */
+router.route("/").get(getTaxRules).post(createTaxRule)
+
+/**
+ * @swagger
+ * /api/tax/rules/{id}:
+ *   get:
+ *     summary: Get a tax rule (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule details
+ *       404:
+ *         description: Tax rule not found
+ *   put:
+ *     summary: Update a tax rule (admin only)
+ *     description: Orders already placed keep the tax they were charged.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated
+ *       400:
+ *         description: Invalid tax rule
+ *       404:
+ *         description: Tax rule not found
+ *       409:
+ *         description: A rule for the same country and region already exists
+ *   delete:
+ *     summary: Delete a tax rule (admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule removed
+ *       404:
+ *         description: Tax rule not found
+ */
+router.route("/:id").get(getTaxRuleById).put(updateTaxRule).delete(deleteTaxRule)
+
+export default router
@@ -0,0 +1,195 @@
+import express from "express"
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from "../controllers/twoFactor.controller.js"
+import { protect, authorize, requireSession } from "../middlewares/auth.middleware.js"
+
+const router = express.Router()
+
+// Enrollment routes only use `protect`, not `authorize`, so that users under
+// a mandatory 2FA policy can still reach them before enrolling.
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required, and how many recovery codes are left
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/", protect, requireSession, getTwoFactorStatus)
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Returns the secret and an otpauth:// URI to render as a QR code for the authenticator app.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/setup", protect, requireSession, setupTwoFactor)
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: Returns the one-time recovery codes. They are shown only once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/enable", protect, requireSession, enableTwoFactor)
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Not enabled, missing fields or mandatory for the user's role
+ *       401:
+ *         description: Invalid password or code
+ */
+router.post("/disable", protect, requireSession, disableTwoFactor)
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes with a new set
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/recovery-codes", protect, requireSession, regenerateRecoveryCodes)
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor policy (admin only)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles for which two-factor authentication is mandatory
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication (admin only)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [customer, designer, seller, admin]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid roles
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ */
+router
+  .route("/policy")
+  .get(protect, authorize("securityPolicy:manage"), getTwoFactorPolicy)
+  .put(protect, authorize("securityPolicy:manage"), updateTwoFactorPolicy)
+
+export default router
@@ -8,8 +8,9 @@ import {
   removeFromFavorites,
   getFavoriteProducts,
   getUserDashboard,
+  resetUserTwoFactor,
 } from "../controllers/user.controller.js"
-import { protect, admin } from "../middlewares/auth.middleware.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -50,7 +51,7 @@ const router = express.Router()
  *       403:
  *         description: Not authorized as an admin
  */
-router.route("/").get(protect, admin, getUsers)
+router.route("/").get(protect, authorize("user:list"), getUsers)
 
 /**
  * @swagger
@@ -66,7 +67,7 @@ router.route("/").get(protect, admin, getUsers)
  *       401:
  *         description: Not authorized
  */
-router.get("/dashboard", protect, getUserDashboard)
+router.get("/dashboard", protect, authorize("dashboard:read"), getUserDashboard)
 
 /**
  * @swagger
@@ -105,7 +106,10 @@ router.get("/dashboard", protect, getUserDashboard)
  *       401:
  *         description: Not authorized
  */
-router.route("/favorites").get(protect, getFavoriteProducts).post(protect, addToFavorites)
+router
+  .route("/favorites")
+  .get(protect, authorize("favorite:manage"), getFavoriteProducts)
+  .post(protect, authorize("favorite:manage"), addToFavorites)
 
 /**
  * @swagger
@@ -128,7 +132,7 @@ router.route("/favorites").get(protect, getFavoriteProducts).post(protect, addTo
  *       401:
  *         description: Not authorized
  */
-router.delete("/favorites/:productId", protect, removeFromFavorites)
+router.delete("/favorites/:productId", protect, authorize("favorite:manage"), removeFromFavorites)
 
 /**
  * @swagger
@@ -191,6 +195,7 @@ router.delete("/favorites/:productId", protect, removeFromFavorites)
  *         description: User not found
  *   delete:
  *     summary: Delete user (admin only)
+ *     description: Deletes the user right away with the same cleanup as a self-service account deletion. Orders are kept, anonymised.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -211,7 +216,39 @@ router.delete("/favorites/:productId", protect, removeFromFavorites)
  *       404:
  *         description: User not found
  */
-router.route("/:id").get(protect, admin, getUserById).put(protect, admin, updateUser).delete(protect, admin, deleteUser)
+router
+  .route("/:id")
+  .get(protect, authorize("user:read"), getUserById)
+  .put(protect, authorize("user:update"), updateUser)
+  .delete(protect, authorize("user:delete"), deleteUser)
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (admin only)
+ *     description: For users who lost their authenticator and recovery codes. Also logs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not authorized as an admin
+ *       404:
+ *         description: User not found
+ */
+router.delete("/:id/2fa", protect, authorize("user:update"), resetUserTwoFactor)
 
 export default router
 
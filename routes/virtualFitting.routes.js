@@ -6,7 +6,7 @@ import {
   getTryOnHistory,
   deleteTryOnEntry,
 } from "../controllers/VirtualFitting.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import { protect, authorize } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -37,7 +37,7 @@ const router = express.Router()
  *       401:
  *         description: Not authorized
  */
-router.post("/upload", protect, uploadUserPhoto)
+router.post("/upload", protect, authorize("virtualFitting:use"), uploadUserPhoto)
 
 /**
  * @swagger
@@ -55,7 +55,7 @@ router.post("/upload", protect, uploadUserPhoto)
  *       404:
  *         description: Virtual fitting profile not found
  */
-router.get("/profile", protect, getVirtualFittingProfile)
+router.get("/profile", protect, authorize("virtualFitting:use"), getVirtualFittingProfile)
 
 /**
  * @swagger
@@ -75,21 +75,24 @@ router.get("/profile", protect, getVirtualFittingProfile)
  *                 type: string
  *               customDesignId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the product to try on. Its size and color are used instead of the fields below.
  *               size:
  *                 type: string
  *               color:
  *                 type: string
  *     responses:
  *       200:
- *         description: Virtual try-on result
+ *         description: Virtual try-on result, with the variant tried on and the variant in the recommended size
  *       400:
  *         description: Product ID or Custom Design ID is required
  *       401:
  *         description: Not authorized
  *       404:
- *         description: Virtual fitting profile not found
+ *         description: Product, custom design or variant not found
  */
-router.post("/try-on", protect, tryOnProduct)
+router.post("/try-on", protect, authorize("virtualFitting:use"), tryOnProduct)
 
 /**
  * @swagger
@@ -107,7 +110,7 @@ router.post("/try-on", protect, tryOnProduct)
  *       404:
  *         description: Virtual fitting profile not found
  */
-router.get("/history", protect, getTryOnHistory)
+router.get("/history", protect, authorize("virtualFitting:use"), getTryOnHistory)
 
 /**
  * @swagger
@@ -132,7 +135,7 @@ router.get("/history", protect, getTryOnHistory)
  *       404:
  *         description: Virtual fitting profile not found
  */
-router.delete("/history/:entryId", protect, deleteTryOnEntry)
+router.delete("/history/:entryId", protect, authorize("virtualFitting:use"), deleteTryOnEntry)
 
 export default router
 
@@ -0,0 +1,255 @@
+import crypto from "crypto"
+import express from "express"
+import axios from "axios"
+import { fileURLToPath } from "url"
+
+/**
+ * Local stand-in for the MTN MoMo Collection and Disbursement APIs, enough
+ * for the momo payment provider to run offline:
+ *
+ *   npm run momo:stub
+ *   MOMO_API_URL=http://localhost:8090 MOMO_SUBSCRIPTION_KEY=stub MOMO_API_USER=stub \
+ *   MOMO_API_KEY=stub PAYMENT_PROVIDER_MOMO=momo npm run dev
+ *
+ * Add MOMO_CALLBACK_URL=http://localhost:5000/api/payments/webhook/momo and
+ * a MOMO_CALLBACK_SECRET to get callbacks; without them payments settle when
+ * they are polled. Any credentials are accepted. A request to pay stays PENDING until the
+ * customer "approves" it, MOMO_STUB_APPROVAL_DELAY_MS (default 3000) later,
+ * or with 0 or less only through the /stub endpoints below. What happens is
+ * decided by the payer's number, like the test numbers of the MTN sandbox:
+ *   - ending in 123450: FAILED
+ *   - ending in 123451: REJECTED by the customer
+ *   - ending in 123452: TIMEOUT, the customer never answers
+ *   - ending in 123453: stays PENDING
+ *   - anything else:    SUCCESSFUL
+ *
+ * The callback URL of a request to pay gets the outcome by PUT, as MoMo
+ * sends it. To settle a request by hand:
+ *   POST /stub/requesttopay/:referenceId/approve (or /reject, /expire)
+ *   GET  /stub/requesttopay lists all requests to pay
+ *
+ * Listens on MOMO_STUB_PORT (default 8090). Everything is kept in memory.
+ */
+
+const TOKEN_LIFETIME_SECONDS = 3600
+
+// Outcome of a request to pay by the end of the payer's number
+const TEST_NUMBERS = {
+  123450: { status: "FAILED", reason: "INTERNAL_PROCESSING_ERROR" },
+  123451: { status: "REJECTED", reason: "APPROVAL_REJECTED" },
+  123452: { status: "TIMEOUT", reason: "EXPIRED" },
+  123453: null,
+}
+
+// Settlements by hand
+const MANUAL_OUTCOMES = {
+  approve: { status: "SUCCESSFUL" },
+  reject: { status: "REJECTED", reason: "APPROVAL_REJECTED" },
+  expire: { status: "TIMEOUT", reason: "EXPIRED" },
+}
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i
+
+const approvalDelay = () => Number(process.env.MOMO_STUB_APPROVAL_DELAY_MS ?? 3000)
+
+const outcomeOf = (msisdn) => {
+  const testNumber = Object.keys(TEST_NUMBERS).find((suffix) => msisdn.endsWith(suffix))
+  return testNumber ? TEST_NUMBERS[testNumber] : { status: "SUCCESSFUL" }
+}
+
+// MoMo errors are `{ code, message }`
+const refuse = (res, status, code, message) => res.status(status).json({ code, message })
+
+// The parts of a transfer MoMo returns and sends to callbacks
+const publicView = ({ callbackUrl, referenceId, timer, ...transfer }) => transfer
+
+/**
+ * Creates the stub app with its own state.
+ *
+ * @returns {object} - `{ app, requestsToPay, refunds, settle }`, settle(referenceId, outcome)
+ *   finishing a pending request to pay and resolving to it, or null if it is not pending.
+ */
+export function createMomoStub() {
+  const app = express()
+  const tokens = new Set()
+  const requestsToPay = new Map()
+  const refunds = new Map()
+
+  app.use(express.json())
+
+  const sendCallback = async (requestToPay) => {
+    if (!requestToPay.callbackUrl) return
+
+    try {
+      await axios.put(requestToPay.callbackUrl, publicView(requestToPay), { timeout: 10000 })
+    } catch (error) {
+      console.error(`Callback of request to pay ${requestToPay.referenceId} failed:`, error.message)
+    }
+  }
+
+  const settle = async (referenceId, { status, reason }) => {
+    const requestToPay = requestsToPay.get(referenceId)
+    if (!requestToPay || requestToPay.status !== "PENDING") return null
+
+    clearTimeout(requestToPay.timer)
+    requestToPay.status = status
+    if (status === "SUCCESSFUL") {
+      requestToPay.financialTransactionId = String(crypto.randomInt(1e9, 1e10))
+    } else {
+      requestToPay.reason = reason
+    }
+
+    await sendCallback(requestToPay)
+    return requestToPay
+  }
+
+  app.post("/:product/token/", (req, res) => {
+    const [scheme, credentials] = String(req.get("Authorization") || "").split(" ")
+    const [apiUser, apiKey] = Buffer.from(credentials || "", "base64").toString().split(":")
+
+    if (scheme !== "Basic" || !apiUser || !apiKey || !req.get("Ocp-Apim-Subscription-Key")) {
+      return res.status(401).json({ error: "login_failed", error_description: "Access denied due to invalid credentials" })
+    }
+
+    const token = crypto.randomBytes(24).toString("hex")
+    tokens.add(token)
+    res.json({ access_token: token, token_type: "access_token", expires_in: TOKEN_LIFETIME_SECONDS })
+  })
+
+  // Every API call needs a token, a subscription key and a target environment
+  const authenticate = (req, res, next) => {
+    const token = String(req.get("Authorization") || "").replace(/^Bearer /, "")
+    if (!tokens.has(token) || !req.get("Ocp-Apim-Subscription-Key")) {
+      return refuse(res, 401, "UNAUTHORIZED", "Access denied due to invalid access token")
+    }
+    if (!req.get("X-Target-Environment")) {
+      return refuse(res, 400, "INVALID_TARGET_ENVIRONMENT", "X-Target-Environment is required")
+    }
+    next()
+  }
+
+  // Checks the reference and amount of a new transfer. Answers and returns
+  // null if they are invalid.
+  const readTransfer = (req, res, existing) => {
+    const referenceId = req.get("X-Reference-Id")
+    if (!UUID.test(referenceId || "")) {
+      refuse(res, 400, "INVALID_REFERENCE_ID", "X-Reference-Id must be a UUID")
+      return null
+    }
+    if (existing.has(referenceId)) {
+      refuse(res, 409, "RESOURCE_ALREADY_EXIST", "Duplicated reference id. Creation for resource failed.")
+      return null
+    }
+
+    const { amount, currency } = req.body || {}
+    if (!/^\d+(\.\d{1,2})?$/.test(String(amount)) || !(Number(amount) > 0) || !currency) {
+      refuse(res, 400, "INVALID_AMOUNT", "The amount or currency is invalid")
+      return null
+    }
+
+    return referenceId
+  }
+
+  app.post("/collection/v1_0/requesttopay", authenticate, (req, res) => {
+    const referenceId = readTransfer(req, res, requestsToPay)
+    if (!referenceId) return
+
+    const { amount, currency, externalId, payer, payerMessage, payeeNote } = req.body
+    if (payer?.partyIdType !== "MSISDN" || !/^\d{8,15}$/.test(String(payer.partyId))) {
+      return refuse(res, 400, "PAYER_NOT_FOUND", "The payer is not a valid MSISDN")
+    }
+
+    const requestToPay = {
+      referenceId,
+      amount: String(amount),
+      currency,
+      externalId,
+      payer: { partyIdType: "MSISDN", partyId: String(payer.partyId) },
+      payerMessage,
+      payeeNote,
+      status: "PENDING",
+      callbackUrl: req.get("X-Callback-Url"),
+    }
+    requestsToPay.set(referenceId, requestToPay)
+
+    const outcome = outcomeOf(requestToPay.payer.partyId)
+    if (outcome && approvalDelay() > 0) {
+      requestToPay.timer = setTimeout(() => settle(referenceId, outcome), approvalDelay())
+      requestToPay.timer.unref()
+    }
+
+    res.status(202).end()
+  })
+
+  app.get("/collection/v1_0/requesttopay/:referenceId", authenticate, (req, res) => {
+    const requestToPay = requestsToPay.get(req.params.referenceId)
+    if (!requestToPay) {
+      return refuse(res, 404, "RESOURCE_NOT_FOUND", "Requested resource was not found.")
+    }
+    res.json(publicView(requestToPay))
+  })
+
+  app.post("/disbursement/v1_0/refund", authenticate, (req, res) => {
+    const referenceId = readTransfer(req, res, refunds)
+    if (!referenceId) return
+
+    const { amount, currency, externalId, referenceIdToRefund } = req.body
+    const payment = requestsToPay.get(referenceIdToRefund)
+    if (payment?.status !== "SUCCESSFUL") {
+      return refuse(res, 404, "RESOURCE_NOT_FOUND", "No successful request to pay with referenceIdToRefund")
+    }
+
+    const refunded = [...refunds.values()]
+      .filter((refund) => refund.referenceIdToRefund === referenceIdToRefund)
+      .reduce((sum, refund) => sum + Number(refund.amount), 0)
+    if (refunded + Number(amount) > Number(payment.amount) + 1e-9) {
+      return refuse(res, 400, "NOT_ALLOWED", "The refund is larger than what is left of the payment")
+    }
+
+    refunds.set(referenceId, {
+      referenceId,
+      amount: String(amount),
+      currency,
+      externalId,
+      referenceIdToRefund,
+      payee: payment.payer,
+      financialTransactionId: String(crypto.randomInt(1e9, 1e10)),
+      status: "SUCCESSFUL",
+    })
+    res.status(202).end()
+  })
+
+  app.get("/disbursement/v1_0/refund/:referenceId", authenticate, (req, res) => {
+    const refund = refunds.get(req.params.referenceId)
+    if (!refund) {
+      return refuse(res, 404, "RESOURCE_NOT_FOUND", "Requested resource was not found.")
+    }
+    res.json(publicView(refund))
+  })
+
+  app.get("/stub/requesttopay", (req, res) => {
+    res.json([...requestsToPay.values()].map((requestToPay) => ({ referenceId: requestToPay.referenceId, ...publicView(requestToPay) })))
+  })
+
+  app.post("/stub/requesttopay/:referenceId/:action", async (req, res) => {
+    const outcome = MANUAL_OUTCOMES[req.params.action]
+    if (!outcome) {
+      return res.status(404).json({ message: "Use approve, reject or expire" })
+    }
+
+    const requestToPay = await settle(req.params.referenceId, outcome)
+    if (!requestToPay) {
+      return res.status(409).json({ message: "No pending request to pay with this reference" })
+    }
+    res.json(publicView(requestToPay))
+  })
+
+  return { app, requestsToPay, refunds, settle }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOMO_STUB_PORT) || 8090
+  createMomoStub().app.listen(port, () => {
+    console.log(`MoMo stub listening on http://localhost:${port}`)
+  })
+}
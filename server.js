@@ -6,13 +6,34 @@ import swaggerUi from "swagger-ui-express";
 import swaggerJsDoc from "swagger-jsdoc";
 import authRoutes from "./routes/auth.routes.js";
 import userRoutes from "./routes/user.routes.js";
-import productRoutes from "./routes/product.routes.js";
+import productRoutes, { sellerRouter as sellerRoutes } from "./routes/product.routes.js";
 import designerRoutes from "./routes/designer.routes.js";
 import orderRoutes from "./routes/order.routes.js";
+import cartRoutes from "./routes/cart.routes.js";
+import promotionRoutes from "./routes/promotion.routes.js";
+import shippingZoneRoutes from "./routes/shippingZone.routes.js";
+import taxRuleRoutes from "./routes/taxRule.routes.js";
+import returnRoutes from "./routes/return.routes.js";
 import virtualFittingRoutes from "./routes/virtualFitting.routes.js";
 // import aiSuggestionRoutes from "./routes/aiSuggestion.routes.js";
 import customDesignRoutes from "./routes/customDesign.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
+import applicationRoutes from "./routes/application.routes.js";
+import permissionRoutes from "./routes/permission.routes.js";
+import twoFactorRoutes from "./routes/twoFactor.routes.js";
+import apiKeyRoutes from "./routes/apiKey.routes.js";
+import addressRoutes from "./routes/address.routes.js";
+import accountRoutes from "./routes/account.routes.js";
+import bodyMeasurementRoutes from "./routes/bodyMeasurement.routes.js";
+import { startAccountDeletionScheduler } from "./services/accountDeletion.service.js";
+import { resumePendingExports } from "./services/dataExport.service.js";
+import { migrateLegacyProductVariants } from "./services/productVariant.service.js";
+import { migrateLegacyEmailVerification } from "./services/emailVerification.service.js";
+import { startStockReservationSweeper } from "./services/stockReservation.service.js";
+import { startPendingPaymentPoller } from "./services/payment.service.js";
+import { startPendingRefundPoller } from "./services/refund.service.js";
+import { redactErrorResponses, requestLogger } from "./middlewares/redaction.middleware.js";
+import errorHandler from "./utils/errorHandler.js";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 
@@ -21,6 +42,13 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy (e.g. Render), trust it so req.ip is the client address
+// that login throttling counts against, not the proxy's.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Get the current directory (__dirname equivalent for ES Modules)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -48,7 +76,8 @@ const corsOptions = {
   },
   credentials: true, // Allow cookies and authorization headers to be sent from the frontend
   methods: "GET,HEAD,PUT,PATCH,POST,DELETE", // Specify allowed HTTP methods
-  allowedHeaders: "Content-Type, Authorization, X-Requested-With", // Specify allowed headers
+  allowedHeaders: "Content-Type, Authorization, X-Requested-With, X-API-Key, X-Cart-Token, Idempotency-Key", // Specify allowed headers
+  exposedHeaders: "Idempotent-Replayed", // Let browser clients tell a replayed response
   optionsSuccessStatus: 204 // Return 204 for preflight OPTIONS requests (some legacy browsers choke on 204)
 };
 
@@ -57,8 +86,19 @@ const corsOptions = {
 app.use(cors(corsOptions)); // Apply the main CORS logic
 
 // --- Middleware ---
+// Log requests and keep card data out of logs and error responses
+app.use(requestLogger);
+app.use(redactErrorResponses);
 // Parse JSON bodies (increase limit if needed for large uploads like images)
-app.use(express.json({ limit: "50mb" }));
+app.use(
+  express.json({
+    limit: "50mb",
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) req.rawBody = buf;
+    },
+  })
+);
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
@@ -94,6 +134,21 @@ const swaggerOptions = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+        },
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: "header",
+          name: "Idempotency-Key",
+          required: false,
+          schema: { type: "string", maxLength: 255 },
+          description:
+            "Unique key of the request, e.g. a UUID, to retry it safely. A retry with the same key gets the first response back with an Idempotent-Replayed header; the same key with another request gets a 409. Keys are kept for IDEMPOTENCY_KEY_RETENTION_HOURS (default 24).",
+        },
       },
     },
     // Add security definition for routes that require authentication
@@ -112,21 +167,37 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 // --- Routes ---
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/users/me/api-keys", apiKeyRoutes);
+app.use("/api/users/me/addresses", addressRoutes);
+app.use("/api/users/me/measurements", bodyMeasurementRoutes);
+app.use("/api/users/me", accountRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/products", productRoutes);
+app.use("/api/sellers", sellerRoutes);
 app.use("/api/designers", designerRoutes);
+app.use("/api/cart", cartRoutes);
 app.use("/api/orders", orderRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/shipping/zones", shippingZoneRoutes);
+app.use("/api/tax/rules", taxRuleRoutes);
 app.use("/api/virtual-fitting", virtualFittingRoutes);
 // app.use("/api/ai-suggestions", aiSuggestionRoutes);
 app.use("/api/custom-designs", customDesignRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/applications", applicationRoutes);
+app.use("/api/permissions", permissionRoutes);
 
 // --- Root Route ---
 app.get("/", (req, res) => {
   res.send("Welcome to Kimelia Luxe API");
 });
 
+// --- Error Handling ---
+app.use(errorHandler);
+
 // --- MongoDB Connection ---
 const MONGODB_URI = process.env.MONGODB_URI; // Get from environment
 if (!MONGODB_URI) {
@@ -139,6 +210,23 @@ const connectDB = async () => {
     await mongoose.connect(MONGODB_URI); // Removed deprecated options
     console.log("Successfully connected to MongoDB");
 
+    // Background privacy jobs: account deletions after their grace period
+    // and data exports interrupted by a restart
+    startAccountDeletionScheduler();
+    resumePendingExports().catch((error) => console.error("Failed to resume data exports:", error));
+
+    // Background order jobs: stock held by unpaid orders past their
+    // reservation, and payments and refunds still waiting for the provider's
+    // outcome
+    startStockReservationSweeper();
+    startPendingPaymentPoller();
+    startPendingRefundPoller();
+
+    // One-off data migrations, safe to run on every start: products still on
+    // sizes/colors, and accounts created before email verification
+    migrateLegacyProductVariants().catch((error) => console.error("Failed to migrate product variants:", error));
+    migrateLegacyEmailVerification().catch((error) => console.error("Failed to migrate email verification:", error));
+
     // Start the server only after successful DB connection
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
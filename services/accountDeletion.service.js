@@ -0,0 +1,248 @@
+import cloudinary from "../config/cloudinary.js"
+import User from "../models/user.model.js"
+import Order from "../models/order.model.js"
+import Cart from "../models/cart.model.js"
+import ReturnRequest from "../models/returnRequest.model.js"
+import Product from "../models/product.model.js"
+import CustomDesign from "../models/customDesign.model.js"
+import VirtualFitting from "../models/VirtualFitting.model.js"
+import AISuggestion from "../models/aiSuggestion.model.js"
+import Address from "../models/address.model.js"
+import BodyMeasurement from "../models/bodyMeasurement.model.js"
+import Application from "../models/application.model.js"
+import ApiKey from "../models/apiKey.model.js"
+import Session from "../models/session.model.js"
+import UserToken from "../models/userToken.model.js"
+import DataExport from "../models/dataExport.model.js"
+import LoginAttempt from "../models/loginAttempt.model.js"
+import PromotionRedemption from "../models/promotionRedemption.model.js"
+import PaymentTransaction from "../models/paymentTransaction.model.js"
+import WebhookEvent from "../models/webhookEvent.model.js"
+import IdempotencyKey from "../models/idempotencyKey.model.js"
+import { sendAccountDeletionScheduledEmail } from "./mail.service.js"
+
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000
+
+const REDACTED = "[deleted]"
+
+// Public ID of an image hosted on Cloudinary, e.g.
+// https://res.cloudinary.com/demo/image/upload/v123/folder/name.jpg -> folder/name
+const cloudinaryPublicId = (url) => {
+  if (typeof url !== "string" || !url.includes("res.cloudinary.com")) return null
+
+  const match = url.match(/\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[^./]+)?$/)
+  return match ? match[1] : null
+}
+
+// Image deletion is best effort: a Cloudinary outage must not keep the
+// rest of the personal data around
+const deleteImages = async (urls) => {
+  const publicIds = urls.map(cloudinaryPublicId).filter(Boolean)
+  if (publicIds.length === 0) return
+
+  try {
+    await cloudinary.api.delete_resources(publicIds)
+  } catch (error) {
+    console.error("Failed to delete images from Cloudinary:", error.message || error)
+  }
+}
+
+const deleteImageFolder = async (prefix) => {
+  try {
+    await cloudinary.api.delete_resources_by_prefix(prefix)
+    await cloudinary.api.delete_folder(prefix)
+  } catch (error) {
+    console.error(`Failed to delete Cloudinary folder ${prefix}:`, error.message || error)
+  }
+}
+
+/**
+ * Schedules the deletion of a user's account after the grace period.
+ *
+ * @param {object} user - The user document.
+ * @returns {Promise<Date>} - When the account will be deleted.
+ */
+export async function scheduleAccountDeletion(user) {
+  const now = new Date()
+
+  user.deletionRequestedAt = now
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  await user.save()
+
+  try {
+    await sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor)
+  } catch (error) {
+    console.error("Failed to send account deletion email:", error)
+  }
+
+  return user.deletionScheduledFor
+}
+
+/**
+ * Cancels a scheduled account deletion.
+ *
+ * @param {object} user - The user document.
+ */
+export async function cancelAccountDeletion(user) {
+  user.deletionRequestedAt = undefined
+  user.deletionScheduledFor = undefined
+  await user.save()
+}
+
+/**
+ * Deletes a user and their personal data across all models. Orders are
+ * kept for accounting with the personal details removed.
+ *
+ * @param {object} user - The user document.
+ */
+export async function purgeUserData(user) {
+  const userId = user._id
+
+  // Images first, while the documents pointing at them still exist
+  const designs = await CustomDesign.find({ user: userId }).select("designImages designElements")
+  const returns = await ReturnRequest.find({ user: userId }).select("photos")
+  await deleteImages([
+    user.profileImage,
+    ...returns.flatMap((returnRequest) => returnRequest.photos || []),
+    ...designs.flatMap((design) => [
+      ...(design.designImages || []),
+      design.designElements?.fabric?.image,
+      design.designElements?.pattern?.image,
+    ]),
+  ])
+  await deleteImageFolder(`virtual-fitting/${userId}`)
+
+  // Orders are immutable through Mongoose once placed, so anonymise them
+  // directly on the collection
+  const anonymizedAt = new Date()
+  await Order.collection.updateMany(
+    { user: userId },
+    {
+      $set: {
+        "shippingAddress.fullName": REDACTED,
+        "shippingAddress.street": REDACTED,
+        "shippingAddress.postalCode": REDACTED,
+        "shippingAddress.phoneNumber": REDACTED,
+        anonymizedAt,
+      },
+      $unset: {
+        "shippingAddress.street2": "",
+        "shippingAddress.alternatePhoneNumber": "",
+        "shippingAddress.addressId": "",
+        notes: "",
+      },
+    },
+  )
+
+  // Only orders with a billing address, so the others do not get a partial one
+  await Order.collection.updateMany(
+    { user: userId, billingAddress: { $type: "object" } },
+    {
+      $set: {
+        "billingAddress.fullName": REDACTED,
+        "billingAddress.street": REDACTED,
+        "billingAddress.postalCode": REDACTED,
+        "billingAddress.phoneNumber": REDACTED,
+      },
+      $unset: {
+        "billingAddress.street2": "",
+        "billingAddress.alternatePhoneNumber": "",
+        "billingAddress.addressId": "",
+      },
+    },
+  )
+
+  // Returns are kept with their orders, without the customer's photos and notes
+  await ReturnRequest.updateMany({ user: userId }, { $set: { photos: [] }, $unset: { "items.$[].note": "" } })
+
+  // Provider callbacks about the user's payments and refunds carry their
+  // phone number and payer details. The events stay for the audit trail.
+  const transactions = await PaymentTransaction.find({
+    user: userId,
+    providerTransactionId: { $exists: true },
+  }).select("provider providerTransactionId")
+  if (transactions.length > 0) {
+    await WebhookEvent.updateMany(
+      {
+        $or: transactions.map((transaction) => ({
+          provider: transaction.provider,
+          transactionId: transaction.providerTransactionId,
+        })),
+      },
+      { $unset: { payload: "" } },
+    )
+  }
+
+  const designIds = designs.map((design) => design._id)
+  await CustomDesign.deleteMany({ user: userId })
+  await User.updateMany({ savedDesigns: { $in: designIds } }, { $pull: { savedDesigns: { $in: designIds } } })
+  await CustomDesign.updateMany({ assignedDesigner: userId }, { $unset: { assignedDesigner: "" } })
+
+  // Reviews stay on the product, without the link to the author
+  await Product.updateMany(
+    { "ratings.user": userId },
+    { $unset: { "ratings.$[rating].user": "" } },
+    { arrayFilters: [{ "rating.user": userId }] },
+  )
+
+  // Products of a departing seller or designer can no longer be sold
+  await Product.updateMany({ $or: [{ seller: userId }, { designer: userId }] }, { $set: { isActive: false } })
+
+  await Promise.all([
+    VirtualFitting.deleteMany({ user: userId }),
+    AISuggestion.deleteMany({ user: userId }),
+    BodyMeasurement.deleteMany({ user: userId }),
+    Address.deleteMany({ user: userId }),
+    Cart.deleteMany({ user: userId }),
+    Application.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    UserToken.deleteMany({ user: userId }),
+    DataExport.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ type: "account", identifier: user.email }),
+    PromotionRedemption.deleteMany({ user: userId }),
+    // Kept responses replay the user's orders and addresses
+    IdempotencyKey.deleteMany({ scope: `user:${userId}` }),
+  ])
+
+  await User.deleteOne({ _id: userId })
+}
+
+/**
+ * Deletes every account whose grace period has ended.
+ *
+ * @returns {Promise<number>} - Number of accounts deleted.
+ */
+export async function purgeDueAccounts() {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } })
+
+  let purged = 0
+  for (const user of users) {
+    try {
+      await purgeUserData(user)
+      purged += 1
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error)
+    }
+  }
+
+  return purged
+}
+
+/**
+ * Runs `purgeDueAccounts` now and then every hour.
+ */
+export function startAccountDeletionScheduler() {
+  const run = () => {
+    purgeDueAccounts()
+      .then((purged) => {
+        if (purged > 0) console.log(`Deleted ${purged} account(s) after their grace period`)
+      })
+      .catch((error) => console.error("Account deletion job failed:", error))
+  }
+
+  run()
+  setInterval(run, SCHEDULER_INTERVAL_MS).unref()
+}
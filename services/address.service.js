@@ -0,0 +1,152 @@
+import Address from "../models/address.model.js"
+
+// Fields a client may set on an address
+export const ADDRESS_FIELDS = [
+  "label",
+  "fullName",
+  "street",
+  "street2",
+  "city",
+  "state",
+  "country",
+  "postalCode",
+  "phoneNumber",
+  "alternatePhoneNumber",
+]
+
+// Fields every address needs, saved or sent inline with an order
+export const REQUIRED_ADDRESS_FIELDS = ["fullName", "street", "city", "state", "country", "postalCode", "phoneNumber"]
+
+// Fields copied onto an order
+const SNAPSHOT_FIELDS = ADDRESS_FIELDS.filter((field) => field !== "label")
+
+/**
+ * Picks the address fields present in a request body.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} - Only the known address fields.
+ */
+export function pickAddressFields(body) {
+  const fields = {}
+
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field]
+    }
+  })
+
+  return fields
+}
+
+/**
+ * Lists the required fields an address is missing.
+ *
+ * @param {object} address - An address document or plain object.
+ * @returns {string[]} - Names of the missing fields, empty if complete.
+ */
+export function missingAddressFields(address) {
+  return REQUIRED_ADDRESS_FIELDS.filter((field) => !address?.[field])
+}
+
+/**
+ * Saves an address and, if it is flagged as a default, takes the flag
+ * away from the user's other addresses.
+ *
+ * @param {object} address - The Address document to save.
+ * @returns {Promise<object>} - The saved address.
+ */
+export async function saveAddress(address) {
+  for (const flag of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (address[flag]) {
+      await Address.updateMany(
+        { user: address.user, _id: { $ne: address._id }, [flag]: true },
+        { $set: { [flag]: false } },
+      )
+    }
+  }
+
+  return address.save()
+}
+
+/**
+ * Creates an address for a user. The first address of a user becomes the
+ * default for both shipping and billing.
+ *
+ * @param {string} userId - The owner of the address.
+ * @param {object} data - Address fields and default flags.
+ * @returns {Promise<object>} - The created address.
+ */
+export async function createAddress(userId, data) {
+  const isFirst = (await Address.countDocuments({ user: userId })) === 0
+
+  const address = new Address({
+    ...data,
+    user: userId,
+    isDefaultShipping: isFirst || Boolean(data.isDefaultShipping),
+    isDefaultBilling: isFirst || Boolean(data.isDefaultBilling),
+  })
+
+  return saveAddress(address)
+}
+
+/**
+ * Deletes an address. If it was a default, the most recently updated
+ * remaining address takes over that role.
+ *
+ * @param {object} address - The Address document to delete.
+ */
+export async function deleteAddress(address) {
+  await address.deleteOne()
+
+  for (const flag of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (!address[flag]) continue
+
+    const replacement = await Address.findOne({ user: address.user }).sort({ updatedAt: -1 })
+    if (replacement) {
+      replacement[flag] = true
+      await replacement.save()
+    }
+  }
+}
+
+/**
+ * Finds one of the user's saved addresses.
+ *
+ * @param {string} userId - The owner.
+ * @param {string} addressId - The address ID.
+ * @returns {Promise<object|null>} - The address, or null if the user has no such address.
+ */
+export async function findUserAddress(userId, addressId) {
+  return Address.findOne({ _id: addressId, user: userId })
+}
+
+/**
+ * Finds the user's default shipping or billing address.
+ *
+ * @param {string} userId - The owner.
+ * @param {string} kind - "shipping" or "billing".
+ * @returns {Promise<object|null>} - The default address, if any.
+ */
+export async function findDefaultAddress(userId, kind) {
+  const flag = kind === "billing" ? "isDefaultBilling" : "isDefaultShipping"
+  return Address.findOne({ user: userId, [flag]: true })
+}
+
+/**
+ * Copies a saved address into the plain object stored on an order, so
+ * later edits to the address book do not change past orders.
+ *
+ * @param {object} address - The Address document, or plain address fields.
+ * @returns {object} - The snapshot, with `addressId` pointing back to the saved address if there is one.
+ */
+export function toAddressSnapshot(address) {
+  const snapshot = address._id ? { addressId: address._id } : {}
+
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (address[field] !== undefined) {
+      snapshot[field] = address[field]
+    }
+  })
+
+  return snapshot
+}
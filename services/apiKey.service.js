@@ -0,0 +1,80 @@
+import crypto from "crypto"
+import ApiKey from "../models/apiKey.model.js"
+import hashToken from "../utils/hashToken.js"
+
+export const API_KEY_PREFIX = "ak_"
+
+// Writing lastUsedAt on every request would turn each API call into a write
+const LAST_USED_PRECISION_MS = 60 * 1000
+
+// Keys look like "ak_<8 hex chars>_<secret>". The part before the second
+// underscore is stored in clear so users can tell their keys apart.
+const generateKey = () => {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString("hex")}`
+  const key = `${prefix}_${crypto.randomBytes(24).toString("base64url")}`
+
+  return { prefix, key }
+}
+
+/**
+ * Creates an API key for a user.
+ *
+ * @param {string} userId - The owner of the key.
+ * @param {object} options - `{ name, scopes, expiresAt }`.
+ * @returns {Promise<object>} - `{ apiKey, key }`, where `key` is the raw key to show once.
+ */
+export async function createApiKey(userId, { name, scopes, expiresAt }) {
+  const { prefix, key } = generateKey()
+
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix,
+    keyHash: hashToken(key),
+  })
+
+  return { apiKey, key }
+}
+
+/**
+ * Replaces the secret of an API key. The old key stops working at once;
+ * name, scopes and expiry are kept.
+ *
+ * @param {object} apiKey - The ApiKey document.
+ * @returns {Promise<string>} - The new raw key, to show once.
+ */
+export async function rotateApiKey(apiKey) {
+  const { prefix, key } = generateKey()
+
+  apiKey.prefix = prefix
+  apiKey.keyHash = hashToken(key)
+  apiKey.rotatedAt = new Date()
+  apiKey.lastUsedAt = undefined
+  apiKey.lastUsedIp = undefined
+  await apiKey.save()
+
+  return key
+}
+
+/**
+ * Looks up an API key presented by a client and records its use.
+ *
+ * @param {string} key - The raw key from the request.
+ * @param {string} ip - Client IP address.
+ * @returns {Promise<object|null>} - The ApiKey document, or null if the key is unknown, revoked or expired.
+ */
+export async function authenticateApiKey(key, ip) {
+  if (!key.startsWith(API_KEY_PREFIX)) return null
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) })
+  if (!apiKey || !apiKey.isActive()) return null
+
+  const now = new Date()
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_PRECISION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+  }
+
+  return apiKey
+}
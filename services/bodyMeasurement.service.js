@@ -0,0 +1,317 @@
+import BodyMeasurement from "../models/bodyMeasurement.model.js"
+import User from "../models/user.model.js"
+import VirtualFitting from "../models/VirtualFitting.model.js"
+
+// Each measurement and what it measures
+export const MEASUREMENT_FIELDS = {
+  height: "length",
+  weight: "mass",
+  bust: "length",
+  waist: "length",
+  hips: "length",
+  inseam: "length",
+  shoulderWidth: "length",
+  armLength: "length",
+}
+
+export const UNIT_SYSTEMS = ["metric", "imperial"]
+
+export const UNIT_LABELS = {
+  metric: { length: "cm", mass: "kg" },
+  imperial: { length: "in", mass: "lb" },
+}
+
+const CM_PER_INCH = 2.54
+const KG_PER_POUND = 0.45359237
+
+// Plausible adult ranges, in cm and kg
+const RANGES = {
+  height: [50, 250],
+  weight: [20, 350],
+  bust: [50, 200],
+  waist: [40, 200],
+  hips: [50, 220],
+  inseam: [40, 120],
+  shoulderWidth: [25, 70],
+  armLength: [40, 100],
+}
+
+// Ratios between measurements that real bodies stay within
+const RATIOS = [
+  { field: "waist", of: "hips", min: 0.5, max: 1.6 },
+  { field: "waist", of: "bust", min: 0.5, max: 1.6 },
+  { field: "inseam", of: "height", min: 0.3, max: 0.6 },
+  { field: "armLength", of: "height", min: 0.25, max: 0.5 },
+  { field: "shoulderWidth", of: "height", min: 0.15, max: 0.35 },
+]
+
+const round = (value) => Math.round(value * 10) / 10
+
+const convert = (values, units, toMetric) => {
+  const converted = {}
+
+  Object.entries(values).forEach(([field, value]) => {
+    if (value === undefined || value === null) return
+
+    let factor = 1
+    if (units === "imperial") {
+      factor = MEASUREMENT_FIELDS[field] === "mass" ? KG_PER_POUND : CM_PER_INCH
+    }
+    converted[field] = round(toMetric ? value * factor : value / factor)
+  })
+
+  return converted
+}
+
+/**
+ * Converts measurements entered in the given units to metric.
+ *
+ * @param {object} values - Measurements by field name.
+ * @param {string} units - "metric" or "imperial".
+ * @returns {object} - The values in cm and kg.
+ */
+export function toMetric(values, units) {
+  return convert(values, units, true)
+}
+
+/**
+ * Converts metric measurements to the given units.
+ *
+ * @param {object} values - Measurements in cm and kg.
+ * @param {string} units - "metric" or "imperial".
+ * @returns {object} - The converted values.
+ */
+export function fromMetric(values, units) {
+  return convert(values, units, false)
+}
+
+/**
+ * Reads the measurement fields from a request body. Unknown fields are
+ * ignored; values must be positive numbers.
+ *
+ * @param {object} input - Raw measurements.
+ * @returns {object} - `{ values, errors }`.
+ */
+export function parseMeasurementInput(input = {}) {
+  const values = {}
+  const errors = []
+
+  Object.keys(MEASUREMENT_FIELDS).forEach((field) => {
+    if (input[field] === undefined || input[field] === null || input[field] === "") return
+
+    const value = Number(input[field])
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push(`${field} must be a positive number`)
+    } else {
+      values[field] = value
+    }
+  })
+
+  return { values, errors }
+}
+
+/**
+ * Checks that metric measurements are within human ranges and consistent
+ * with each other.
+ *
+ * @param {object} values - Measurements in cm and kg.
+ * @returns {string[]} - Problems found, empty when plausible.
+ */
+export function validateMeasurements(values) {
+  const errors = []
+
+  Object.entries(RANGES).forEach(([field, [min, max]]) => {
+    const value = values[field]
+    if (value === undefined) return
+
+    if (value < min || value > max) {
+      const unit = UNIT_LABELS.metric[MEASUREMENT_FIELDS[field]]
+      errors.push(`${field} must be between ${min} and ${max} ${unit}`)
+    }
+  })
+
+  RATIOS.forEach(({ field, of, min, max }) => {
+    if (values[field] === undefined || values[of] === undefined) return
+
+    const ratio = values[field] / values[of]
+    if (ratio < min || ratio > max) {
+      errors.push(`${field} is not plausible compared to ${of}`)
+    }
+  })
+
+  return errors
+}
+
+const pickValues = (values = {}) => {
+  const picked = {}
+
+  Object.keys(MEASUREMENT_FIELDS).forEach((field) => {
+    if (typeof values[field] === "number" && values[field] > 0) {
+      picked[field] = values[field]
+    }
+  })
+
+  return picked
+}
+
+// Measurements saved before the history existed lived on the user and on the
+// virtual fitting profile, without units. They are imported once as the first
+// record (assumed metric, implausible values dropped) and then removed.
+const migrateLegacyMeasurements = async (userId) => {
+  const [user, virtualFitting] = await Promise.all([
+    User.collection.findOne({ _id: userId }, { projection: { bodyMeasurements: 1 } }),
+    VirtualFitting.collection.findOne({ user: userId }, { projection: { measurements: 1, bodyMeasurements: 1 } }),
+  ])
+
+  const legacy = {
+    ...pickValues(virtualFitting?.measurements),
+    ...pickValues(virtualFitting?.bodyMeasurements),
+    ...pickValues(user?.bodyMeasurements),
+  }
+  if (Object.keys(legacy).length === 0) return null
+
+  const values = {}
+  Object.entries(legacy).forEach(([field, value]) => {
+    if (validateMeasurements({ [field]: value }).length === 0) {
+      values[field] = value
+    }
+  })
+
+  let record = null
+  if (Object.keys(values).length > 0) {
+    record = await BodyMeasurement.create({ user: userId, values, source: "migration" })
+  }
+
+  await User.collection.updateOne({ _id: userId }, { $unset: { bodyMeasurements: "" } })
+  await VirtualFitting.collection.updateMany({ user: userId }, { $unset: { measurements: "", bodyMeasurements: "" } })
+
+  return record
+}
+
+/**
+ * Returns the user's latest measurement record.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object|null>} - The BodyMeasurement document, or null if the user has none.
+ */
+export async function getCurrentMeasurementRecord(userId) {
+  const record = await BodyMeasurement.findOne({ user: userId }).sort({ measuredAt: -1, createdAt: -1 })
+  if (record) return record
+
+  return migrateLegacyMeasurements(userId)
+}
+
+/**
+ * Returns the user's current measurements, for fit calculations.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object>} - Measurements in cm and kg, empty if none were recorded.
+ */
+export async function getCurrentMeasurements(userId) {
+  const record = await getCurrentMeasurementRecord(userId)
+  return record ? pickValues(record.values) : {}
+}
+
+/**
+ * Records new measurements. Fields not given keep the value they had at
+ * that date, and the complete set is checked for plausibility.
+ *
+ * @param {string} userId - The user ID.
+ * @param {object} values - New measurements in the units given in `options`.
+ * @param {object} options - `{ units, source, measuredAt, notes }`.
+ * @returns {Promise<object>} - `{ record }`, or `{ errors }` if the measurements are not plausible.
+ */
+export async function recordMeasurements(userId, values, { units = "metric", source = "manual", measuredAt, notes } = {}) {
+  const date = measuredAt ? new Date(measuredAt) : new Date()
+
+  // Make sure legacy values are imported before building on them
+  await getCurrentMeasurementRecord(userId)
+
+  const previous = await BodyMeasurement.findOne({ user: userId, measuredAt: { $lte: date } }).sort({
+    measuredAt: -1,
+    createdAt: -1,
+  })
+
+  const merged = { ...pickValues(previous?.values), ...toMetric(values, units) }
+
+  const errors = validateMeasurements(merged)
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  const record = await BodyMeasurement.create({
+    user: userId,
+    values: merged,
+    enteredUnits: units,
+    source,
+    measuredAt: date,
+    notes,
+  })
+
+  return { record }
+}
+
+/**
+ * Formats a record for API responses in the requested units.
+ *
+ * @param {object} record - The BodyMeasurement document.
+ * @param {string} units - "metric" or "imperial".
+ * @returns {object} - The record with converted values and unit labels.
+ */
+export function formatMeasurementRecord(record, units) {
+  return {
+    _id: record._id,
+    values: fromMetric(pickValues(record.values), units),
+    units,
+    unitLabels: UNIT_LABELS[units],
+    enteredUnits: record.enteredUnits,
+    source: record.source,
+    measuredAt: record.measuredAt,
+    notes: record.notes,
+  }
+}
+
+/**
+ * Computes how each measurement changed over a period.
+ *
+ * @param {string} userId - The user ID.
+ * @param {object} options - `{ fields, from, to, units }`.
+ * @returns {Promise<object>} - Per field: unit, first, latest, change, changePercent and the dated points.
+ */
+export async function getMeasurementTrends(userId, { fields, from, to, units = "metric" } = {}) {
+  const filter = { user: userId }
+  if (from || to) {
+    filter.measuredAt = {}
+    if (from) filter.measuredAt.$gte = new Date(from)
+    if (to) filter.measuredAt.$lte = new Date(to)
+  }
+
+  const records = await BodyMeasurement.find(filter).sort({ measuredAt: 1, createdAt: 1 })
+  const trendFields = fields?.length ? fields : Object.keys(MEASUREMENT_FIELDS)
+
+  const trends = {}
+  trendFields.forEach((field) => {
+    const points = records
+      .filter((record) => typeof record.values?.[field] === "number")
+      .map((record) => ({
+        measuredAt: record.measuredAt,
+        value: fromMetric({ [field]: record.values[field] }, units)[field],
+      }))
+
+    if (points.length === 0) return
+
+    const first = points[0].value
+    const latest = points[points.length - 1].value
+
+    trends[field] = {
+      unit: UNIT_LABELS[units][MEASUREMENT_FIELDS[field]],
+      first,
+      latest,
+      change: round(latest - first),
+      changePercent: first ? round(((latest - first) / first) * 100) : null,
+      points,
+    }
+  })
+
+  return trends
+}
@@ -1,15 +1,15 @@
 /**
- * Calculates the fitting result for a product based on the user's virtual fitting profile and the product details.
+ * Calculates the fitting result for a product based on the user's current body measurements and the product details.
  *
- * @param {object} virtualFitting - The user's virtual fitting profile data.
+ * @param {object} bodyMeasurements - The user's current body measurements in cm and kg, from the measurement history.
  * @param {object} product - The product object.
  * @param {string} size - The size selected by the user.
  * @returns {object} - An object containing the fitting result details.
  */
-export function calculateFittingResult(virtualFitting, product, size) {
+export function calculateFittingResult(bodyMeasurements, product, size) {
     try {
-      if (!virtualFitting) {
-        console.warn('Virtual fitting profile is missing. Returning a default fitting result.');
+      if (!bodyMeasurements || Object.keys(bodyMeasurements).length === 0) {
+        console.warn('Body measurements are missing. Returning a default fitting result.');
         return getDefaultFittingResult(size);
       }
   
@@ -18,8 +18,8 @@ export function calculateFittingResult(virtualFitting, product, size) {
         return getDefaultFittingResult(size);
       }
   
-      // 1. Access relevant information from the virtual fitting profile and product details.
-      const userBodyMeasurements = virtualFitting.bodyMeasurements; // Assuming you have body measurements in the profile
+      // 1. Access the user's measurements and the product details.
+      const userBodyMeasurements = bodyMeasurements;
       const productMeasurements = product.measurements; // Assuming product object has measurements
   
       // 2. Implement your fitting algorithm based on this data.
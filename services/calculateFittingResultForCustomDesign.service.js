@@ -1,14 +1,14 @@
 /**
- * Calculates the fitting result for a custom design based on the user's virtual fitting profile and the custom design details.
+ * Calculates the fitting result for a custom design based on the user's current body measurements and the custom design details.
  *
- * @param {object} virtualFitting - The user's virtual fitting profile data.
+ * @param {object} bodyMeasurements - The user's current body measurements in cm and kg, from the measurement history.
  * @param {object} customDesign - The custom design object.
  * @returns {object} - An object containing the fitting result details.
  */
-export function calculateFittingResultForCustomDesign(virtualFitting, customDesign) {
+export function calculateFittingResultForCustomDesign(bodyMeasurements, customDesign) {
     try {
-      if (!virtualFitting) {
-        console.warn('Virtual fitting profile is missing. Returning a default fitting result.');
+      if (!bodyMeasurements || Object.keys(bodyMeasurements).length === 0) {
+        console.warn('Body measurements are missing. Returning a default fitting result.');
         return getDefaultFittingResultForCustomDesign();
       }
   
@@ -17,8 +17,8 @@ export function calculateFittingResultForCustomDesign(virtualFitting, customDesi
         return getDefaultFittingResultForCustomDesign();
       }
   
-      // 1. Access relevant information from the virtual fitting profile and custom design details.
-      const userBodyMeasurements = virtualFitting.bodyMeasurements; // Assuming you have body measurements in the profile
+      // 1. Access the user's measurements and the custom design details.
+      const userBodyMeasurements = bodyMeasurements;
       const designSpecifications = customDesign.designSpecifications; // Assuming custom design has design specifications
   
       // 2. Implement your fitting algorithm based on this data.
@@ -0,0 +1,296 @@
+import crypto from "crypto"
+import Cart from "../models/cart.model.js"
+import CustomDesign from "../models/customDesign.model.js"
+import hashToken from "../utils/hashToken.js"
+import roundMoney from "../utils/roundMoney.js"
+import { priceItem } from "./pricing.service.js"
+
+// How long an untouched guest cart is kept
+export const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30
+
+export const MAX_CART_LINES = 50
+
+const guestExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const sameId = (a, b) => String(a || "") === String(b || "")
+
+// Lines are merged when they would become the same order item
+const sameLine = (a, b) =>
+  sameId(a.product, b.product) &&
+  sameId(a.variant, b.variant) &&
+  sameId(a.customDesign, b.customDesign) &&
+  (a.customizations?.fabric || "") === (b.customizations?.fabric || "") &&
+  (a.customizations?.style || "") === (b.customizations?.style || "")
+
+const pickCustomizations = (customizations) =>
+  customizations?.fabric || customizations?.style
+    ? { fabric: customizations.fabric, style: customizations.style }
+    : undefined
+
+// The order item a cart line stands for
+const toOrderItem = (line, quantity = line.quantity) => ({
+  product: line.product,
+  variant: line.variant,
+  customDesign: line.customDesign,
+  quantity,
+  customizations: pickCustomizations(line.customizations),
+})
+
+const stockMessage = (name, available) =>
+  available > 0 ? `Only ${available} of ${name} left in stock` : `${name} is out of stock`
+
+// Turns a pricing error into the response for a line that cannot be added
+const refusal = (priced) =>
+  priced.reason === "outOfStock"
+    ? { status: 409, message: stockMessage(priced.name, priced.available), available: priced.available }
+    : { status: priced.status, message: priced.message }
+
+/**
+ * Finds the cart of a user, or of a guest by cart token.
+ *
+ * @param {object} owner - `{ userId }` or `{ guestToken }`.
+ * @returns {Promise<object|null>} - The Cart document, or null if there is none.
+ */
+export async function findCart({ userId, guestToken }) {
+  if (userId) return Cart.findOne({ user: userId })
+  if (guestToken) return Cart.findOne({ guestTokenHash: hashToken(guestToken) })
+  return null
+}
+
+/**
+ * Finds or creates the cart of a user or guest. A guest without a cart, or
+ * whose cart has expired, gets a new cart and token.
+ *
+ * @param {object} owner - `{ userId }` or `{ guestToken }`.
+ * @returns {Promise<object>} - `{ cart, cartToken }`, `cartToken` only set for a new guest cart.
+ */
+export async function getOrCreateCart({ userId, guestToken }) {
+  if (userId) {
+    const cart = await Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true },
+    )
+    return { cart }
+  }
+
+  const existing = await findCart({ guestToken })
+  if (existing) return { cart: existing }
+
+  const cartToken = crypto.randomBytes(24).toString("hex")
+  const cart = await Cart.create({ guestTokenHash: hashToken(cartToken), expiresAt: guestExpiry() })
+
+  return { cart, cartToken }
+}
+
+/**
+ * Saves a cart, keeping a guest cart alive for another full period.
+ *
+ * @param {object} cart - The Cart document.
+ * @returns {Promise<object>} - The saved cart.
+ */
+export async function saveCart(cart) {
+  if (!cart.user) cart.expiresAt = guestExpiry()
+  return cart.save()
+}
+
+/**
+ * Adds an item to a cart, or more units to the same line. The item is
+ * priced and checked against the stock right away.
+ *
+ * @param {object} cart - The Cart document, updated in place but not saved.
+ * @param {object} input - `{ product, variant, sku, options, customDesign, quantity, customizations }`.
+ * @returns {Promise<object>} - `{ item }` with the cart line, or `{ status, message }`.
+ */
+export async function addCartItem(cart, input) {
+  const quantity = input.quantity === undefined ? 1 : Number(input.quantity)
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { status: 400, message: "Quantity must be a whole number of at least 1" }
+  }
+
+  if (Boolean(input.product) === Boolean(input.customDesign)) {
+    return { status: 400, message: "Add either a product or a custom design" }
+  }
+
+  // Custom designs are made for their owner, so only they can order them
+  if (input.customDesign) {
+    if (!cart.user) {
+      return { status: 401, message: "Log in to add a custom design to your cart" }
+    }
+
+    const design = await CustomDesign.findById(input.customDesign).select("user")
+    if (design && !sameId(design.user, cart.user)) {
+      return { status: 404, message: `Custom design not found: ${input.customDesign}` }
+    }
+  }
+
+  // Price it first, which also resolves the variant the line is matched by
+  const priced = await priceItem({ ...input, quantity }, cart.user)
+  if (priced.message && priced.reason !== "outOfStock") return refusal(priced)
+
+  const candidate = {
+    product: input.product,
+    variant: priced.line?.variant || priced.variant,
+    customDesign: input.customDesign,
+    customizations: pickCustomizations(input.customizations),
+  }
+  const existing = cart.items.find((item) => sameLine(item, candidate))
+
+  // The stock has to cover the units already in the cart as well
+  const check = existing ? await priceItem(toOrderItem(candidate, existing.quantity + quantity), cart.user) : priced
+  if (check.message) return refusal(check)
+
+  if (existing) {
+    existing.quantity += quantity
+    existing.priceSeen = check.line.price
+    return { item: existing }
+  }
+
+  if (cart.items.length >= MAX_CART_LINES) {
+    return { status: 400, message: `A cart can hold up to ${MAX_CART_LINES} different items` }
+  }
+
+  cart.items.push({ ...candidate, quantity, priceSeen: check.line.price })
+  return { item: cart.items[cart.items.length - 1] }
+}
+
+/**
+ * Changes the quantity of a cart line, checked against the stock.
+ *
+ * @param {object} cart - The Cart document, updated in place but not saved.
+ * @param {string} itemId - The cart line ID.
+ * @param {number} quantity - The new quantity.
+ * @returns {Promise<object>} - `{ item }`, or `{ status, message }`.
+ */
+export async function updateCartItem(cart, itemId, quantity) {
+  const item = cart.items.id(itemId)
+  if (!item) {
+    return { status: 404, message: "Cart item not found" }
+  }
+
+  const wanted = Number(quantity)
+  if (!Number.isInteger(wanted) || wanted < 1) {
+    return { status: 400, message: "Quantity must be a whole number of at least 1" }
+  }
+
+  const priced = await priceItem(toOrderItem(item, wanted), cart.user)
+  if (priced.message) return refusal(priced)
+
+  item.quantity = wanted
+  item.priceSeen = priced.line.price
+  return { item }
+}
+
+/**
+ * Re-reads the price and stock of every cart line. Lines that can no longer
+ * be ordered are kept, flagged and left out of the subtotal, so the customer
+ * decides what to do with them. The prices are remembered on the cart, so a
+ * price change is only reported once; save the cart afterwards.
+ *
+ * @param {object} cart - The Cart document.
+ * @returns {Promise<object>} - `{ items, itemCount, subtotal, warnings }`.
+ */
+export async function revalidateCart(cart) {
+  const items = []
+  const warnings = []
+
+  for (const item of cart.items) {
+    const base = {
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      customDesign: item.customDesign,
+      quantity: item.quantity,
+      customizations: item.customizations,
+    }
+
+    const priced = await priceItem(toOrderItem(item), cart.user)
+    if (priced.message) {
+      const outOfStock = priced.reason === "outOfStock"
+      warnings.push({
+        item: item._id,
+        type: outOfStock ? "outOfStock" : "unavailable",
+        message: outOfStock ? stockMessage(priced.name, priced.available) : priced.message,
+        available: priced.available,
+      })
+      items.push({ ...base, name: priced.name, price: null, lineTotal: null, available: false })
+      continue
+    }
+
+    const { line } = priced
+    if (item.priceSeen !== undefined && item.priceSeen !== line.price) {
+      warnings.push({
+        item: item._id,
+        type: "priceChanged",
+        message: `The price of ${line.name} changed from ${item.priceSeen} to ${line.price}`,
+        previousPrice: item.priceSeen,
+        price: line.price,
+      })
+    }
+    item.priceSeen = line.price
+
+    items.push({
+      ...base,
+      name: line.name,
+      sku: line.sku,
+      variantOptions: line.variantOptions,
+      price: line.price,
+      lineTotal: line.lineTotal,
+      available: true,
+    })
+  }
+
+  return {
+    items,
+    itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundMoney(items.reduce((sum, item) => sum + (item.lineTotal || 0), 0)),
+    warnings,
+  }
+}
+
+/**
+ * Order items for every line of a cart, to check it out.
+ *
+ * @param {object} cart - The Cart document.
+ * @returns {object[]} - Items in the shape `createOrder` takes.
+ */
+export function getCartOrderItems(cart) {
+  return cart.items.map((item) => toOrderItem(item))
+}
+
+/**
+ * Moves the lines of a guest cart into the cart of a user who just logged
+ * in, adding up the quantities of lines they both hold. The guest cart is
+ * removed first, so it is merged only once.
+ *
+ * @param {string} userId - The user ID.
+ * @param {string} guestToken - The guest cart token.
+ * @returns {Promise<object|null>} - The user's cart, or null if there was no guest cart to merge.
+ */
+export async function mergeGuestCart(userId, guestToken) {
+  if (!guestToken) return null
+
+  const guestCart = await Cart.findOneAndDelete({ guestTokenHash: hashToken(guestToken) })
+  if (!guestCart || guestCart.items.length === 0) return null
+
+  const { cart } = await getOrCreateCart({ userId })
+
+  guestCart.items.forEach((guestItem) => {
+    const existing = cart.items.find((item) => sameLine(item, guestItem))
+    if (existing) {
+      existing.quantity += guestItem.quantity
+    } else if (cart.items.length < MAX_CART_LINES) {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        quantity: guestItem.quantity,
+        customizations: guestItem.customizations,
+        priceSeen: guestItem.priceSeen,
+        addedAt: guestItem.addedAt,
+      })
+    }
+  })
+
+  // Lines that now exceed the stock are reported when the cart is next read
+  return saveCart(cart)
+}
@@ -0,0 +1,188 @@
+import DataExport from "../models/dataExport.model.js"
+import User from "../models/user.model.js"
+import Address from "../models/address.model.js"
+import BodyMeasurement from "../models/bodyMeasurement.model.js"
+import Order from "../models/order.model.js"
+import Cart from "../models/cart.model.js"
+import ReturnRequest from "../models/returnRequest.model.js"
+import CustomDesign from "../models/customDesign.model.js"
+import VirtualFitting from "../models/VirtualFitting.model.js"
+import AISuggestion from "../models/aiSuggestion.model.js"
+import Application from "../models/application.model.js"
+import Product from "../models/product.model.js"
+import Session from "../models/session.model.js"
+import ApiKey from "../models/apiKey.model.js"
+import createArchive from "../utils/createArchive.js"
+import { sendDataExportReadyEmail } from "./mail.service.js"
+
+const EXPORT_TTL_DAYS = 7
+
+// Keep archives well below the 16MB document limit of MongoDB
+const MAX_ARCHIVE_BYTES = 15 * 1024 * 1024
+
+const README = `Kimelia Luxe personal data export
+
+profile.json          Your account details and preferences
+measurements.json     Your body measurement history (cm and kg)
+addresses.json        Your saved addresses
+orders.json           Your orders
+returns.json          Your return requests
+cart.json             Your shopping cart
+custom-designs.json   Your custom designs
+virtual-fitting.json  Your virtual fitting profile and try-on history
+ai-preferences.json   Your style preferences, suggested outfits and feedback
+favorites.json        Your favourite products
+reviews.json          The product reviews you wrote
+applications.json     Your seller/designer applications
+sessions.json         The devices logged into your account
+api-keys.json         Your API keys (without the secret)
+`
+
+/**
+ * Gathers every piece of personal data stored about a user.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object>} - File name (without extension) to data.
+ */
+export async function collectUserData(userId) {
+  const [
+    user,
+    measurements,
+    addresses,
+    orders,
+    returns,
+    cart,
+    customDesigns,
+    virtualFitting,
+    aiSuggestions,
+    applications,
+    sessions,
+    apiKeys,
+    reviewed,
+  ] = await Promise.all([
+    User.findById(userId).select("-password").populate("favoriteProducts", "name price images category").lean(),
+    BodyMeasurement.find({ user: userId }).sort({ measuredAt: 1 }).lean(),
+    Address.find({ user: userId }).lean(),
+    Order.find({ user: userId }).lean(),
+    ReturnRequest.find({ user: userId }).lean(),
+    Cart.findOne({ user: userId }).lean(),
+    CustomDesign.find({ user: userId }).lean(),
+    VirtualFitting.find({ user: userId }).lean(),
+    AISuggestion.find({ user: userId }).lean(),
+    Application.find({ user: userId }).lean(),
+    Session.find({ user: userId }).select("userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt").lean(),
+    ApiKey.find({ user: userId }).lean(),
+    Product.find({ "ratings.user": userId }).select("name ratings").lean(),
+  ])
+
+  const { favoriteProducts, ...profile } = user
+
+  return {
+    profile,
+    measurements,
+    addresses,
+    orders,
+    returns,
+    cart,
+    "custom-designs": customDesigns,
+    "virtual-fitting": virtualFitting,
+    "ai-preferences": aiSuggestions,
+    favorites: favoriteProducts,
+    reviews: reviewed.flatMap((product) =>
+      product.ratings
+        .filter((rating) => rating.user?.toString() === userId.toString())
+        .map((rating) => ({ product: product._id, productName: product.name, ...rating })),
+    ),
+    applications,
+    sessions,
+    "api-keys": apiKeys,
+  }
+}
+
+/**
+ * Queues a data export for a user. The export runs in the background; the
+ * user gets an email when it is ready.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object>} - The DataExport document.
+ */
+export async function requestDataExport(userId) {
+  const dataExport = await DataExport.create({
+    user: userId,
+    expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000),
+  })
+
+  setImmediate(() => {
+    runDataExport(dataExport._id).catch((error) => console.error("Data export failed:", error))
+  })
+
+  return dataExport
+}
+
+/**
+ * Builds the archive of a pending export and emails the user.
+ *
+ * @param {string} exportId - The DataExport ID.
+ */
+export async function runDataExport(exportId) {
+  // Claim the export so it is only built once
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { $set: { status: "processing", startedAt: new Date() } },
+    { new: true },
+  )
+  if (!dataExport) return
+
+  try {
+    const data = await collectUserData(dataExport.user)
+    const folder = `kimelia-export-${new Date().toISOString().slice(0, 10)}`
+
+    const files = Object.entries(data).map(([name, content]) => ({
+      name: `${folder}/${name}.json`,
+      content: JSON.stringify(content, null, 2),
+    }))
+    files.unshift({ name: `${folder}/README.txt`, content: README })
+
+    const archive = createArchive(files)
+    if (archive.length > MAX_ARCHIVE_BYTES) {
+      throw new Error("Export is too large")
+    }
+
+    dataExport.status = "completed"
+    dataExport.archive = archive
+    dataExport.size = archive.length
+    dataExport.fileName = `${folder}.tar.gz`
+    dataExport.completedAt = new Date()
+    await dataExport.save()
+  } catch (error) {
+    dataExport.status = "failed"
+    dataExport.error = error.message
+    await dataExport.save()
+    throw error
+  }
+
+  try {
+    const user = await User.findById(dataExport.user)
+    if (user) {
+      await sendDataExportReadyEmail(user, dataExport)
+    }
+  } catch (error) {
+    console.error("Failed to send data export email:", error)
+  }
+}
+
+/**
+ * Restarts exports left unfinished, e.g. by a server restart. Exports stuck
+ * in processing for more than 10 minutes are started over.
+ */
+export async function resumePendingExports() {
+  await DataExport.updateMany(
+    { status: "processing", startedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) } },
+    { $set: { status: "pending" } },
+  )
+
+  const pending = await DataExport.find({ status: "pending" }).select("_id")
+  for (const dataExport of pending) {
+    await runDataExport(dataExport._id).catch((error) => console.error("Data export failed:", error))
+  }
+}
@@ -0,0 +1,22 @@
+import User from "../models/user.model.js"
+
+/**
+ * Marks accounts created before email verification existed as verified, so
+ * routes requiring a verified email do not lock their owners out. Those
+ * accounts have no `isEmailVerified` in the database; every account created
+ * since stores it. Safe to run repeatedly.
+ *
+ * @returns {Promise<number>} - How many accounts were marked verified.
+ */
+export async function migrateLegacyEmailVerification() {
+  const result = await User.collection.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } },
+  )
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} accounts created before email verification as verified`)
+  }
+
+  return result.modifiedCount
+}
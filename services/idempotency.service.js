@@ -0,0 +1,120 @@
+import crypto from "crypto"
+import IdempotencyKey from "../models/idempotencyKey.model.js"
+
+// How long a key is kept, and so how long retries are answered from it
+export const IDEMPOTENCY_KEY_RETENTION_HOURS = Number(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS) || 24
+
+// A request holding its key for longer was interrupted, e.g. by a restart.
+// Well past the payment provider timeout, so a slow charge keeps its key.
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000
+
+const IN_PROGRESS = { status: 409, message: "A request with this Idempotency-Key is still being processed, retry later" }
+
+// JSON with the keys of objects sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`
+  }
+  return JSON.stringify(value) ?? "null"
+}
+
+/**
+ * Fingerprint of a request, to tell a retry from another request that reuses
+ * its key. Only the hash is stored, never the body.
+ *
+ * @param {object} request - `{ method, path, body }`.
+ * @returns {string} - Hex SHA-256.
+ */
+export function fingerprintRequest({ method, path, body }) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson({ method, path, body: body ?? {} }))
+    .digest("hex")
+}
+
+/**
+ * Takes an idempotency key for a request. The first request with a key gets
+ * it; a retry of a finished request gets the stored response; a request that
+ * is not the same as the first, or comes while the first is running, is
+ * refused. Expired keys are free again.
+ *
+ * @param {object} request - `{ key, scope, method, path, fingerprint }`.
+ * @returns {Promise<object>} - `{ record }` to run the request, `{ replay }` with the stored
+ *   record, or `{ status, message }` if it is refused.
+ */
+export async function claimIdempotencyKey({ key, scope, method, path, fingerprint }) {
+  // A second round in case the key expired or was released meanwhile
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        scope,
+        method,
+        path,
+        fingerprint,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_RETENTION_HOURS * 60 * 60 * 1000),
+      })
+      return { record }
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope, key })
+    if (!existing) continue
+
+    // The TTL monitor only runs every minute
+    if (existing.expiresAt <= new Date()) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: { $lte: new Date() } })
+      continue
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return { status: 409, message: "This Idempotency-Key was already used for a different request" }
+    }
+
+    if (existing.status === "completed") {
+      return { replay: existing }
+    }
+
+    const resumed = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: "processing", updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+      { $set: { updatedAt: new Date() } },
+      { new: true, timestamps: false },
+    )
+    if (resumed) return { record: resumed }
+
+    return { ...IN_PROGRESS }
+  }
+
+  return { ...IN_PROGRESS }
+}
+
+/**
+ * Stores the response of a request, to be replayed to its retries.
+ *
+ * @param {object} record - The IdempotencyKey document of the request.
+ * @param {number} statusCode - The HTTP status answered.
+ * @param {*} body - The JSON body answered.
+ */
+export async function saveIdempotentResponse(record, statusCode, body) {
+  record.set({
+    status: "completed",
+    response: { statusCode, body: body === undefined ? undefined : JSON.parse(JSON.stringify(body)) },
+  })
+  await record.save()
+}
+
+/**
+ * Frees the key of a request that had no outcome worth replaying, e.g. a
+ * server error, so it can be retried.
+ *
+ * @param {object} record - The IdempotencyKey document of the request.
+ */
+export async function releaseIdempotencyKey(record) {
+  await IdempotencyKey.deleteOne({ _id: record._id, status: "processing" })
+}
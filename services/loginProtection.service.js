@@ -0,0 +1,145 @@
+import LoginAttempt from "../models/loginAttempt.model.js"
+import User from "../models/user.model.js"
+import { issueUserToken } from "./userToken.service.js"
+import { sendAccountLockedEmail } from "./mail.service.js"
+
+const ACCOUNT_LOCK_THRESHOLD = Number(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10
+const IP_LOCK_THRESHOLD = Number(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50
+const FREE_ATTEMPTS = 3
+const MAX_DELAY_SECONDS = 60
+const BASE_LOCK_MINUTES = 15
+const MAX_LOCK_MINUTES = 24 * 60
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000
+const UNLOCK_TOKEN_TTL_MINUTES = 24 * 60
+
+const thresholds = {
+  account: ACCOUNT_LOCK_THRESHOLD,
+  ip: IP_LOCK_THRESHOLD,
+}
+
+const normalizeEmail = (email) => String(email || "").toLowerCase().trim()
+
+const keysFor = (email, ip) => [
+  { type: "account", identifier: normalizeEmail(email) },
+  { type: "ip", identifier: ip || "unknown" },
+]
+
+// After a few free attempts, each failure doubles the wait before the next try
+const delaySeconds = (failedCount) => {
+  if (failedCount < FREE_ATTEMPTS) return 0
+  return Math.min(2 ** (failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS)
+}
+
+// Each new lock of the same account or IP lasts twice as long as the last one
+const lockMinutes = (lockCount) => Math.min(BASE_LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES)
+
+/**
+ * Checks whether a login attempt for this email from this IP may proceed.
+ *
+ * @param {string} email - Email address the client is logging in with.
+ * @param {string} ip - Client IP address.
+ * @returns {Promise<object>} - `{ allowed, locked, retryAfterSeconds }`.
+ */
+export async function checkLoginAllowed(email, ip) {
+  const now = Date.now()
+  const records = await LoginAttempt.find({ $or: keysFor(email, ip) })
+
+  let retryAfterMs = 0
+  let locked = false
+
+  records.forEach((record) => {
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      locked = true
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil.getTime() - now)
+      return
+    }
+
+    const delayMs = delaySeconds(record.failedCount) * 1000
+    if (record.lastFailedAt && record.lastFailedAt.getTime() + delayMs > now) {
+      retryAfterMs = Math.max(retryAfterMs, record.lastFailedAt.getTime() + delayMs - now)
+    }
+  })
+
+  return {
+    allowed: retryAfterMs === 0,
+    locked,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+  }
+}
+
+/**
+ * Counts a failed login for the account and the IP, locking either one
+ * when it crosses its threshold. A locked account gets an unlock email.
+ *
+ * @param {string} email - Email address the client tried.
+ * @param {string} ip - Client IP address.
+ */
+export async function recordFailedLogin(email, ip) {
+  const now = new Date()
+
+  for (const key of keysFor(email, ip)) {
+    const record = await LoginAttempt.findOneAndUpdate(
+      key,
+      {
+        $inc: { failedCount: 1 },
+        $set: { lastFailedAt: now },
+        $max: { expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true },
+    )
+
+    if (record.failedCount < thresholds[key.type]) continue
+
+    const lockedUntil = new Date(now.getTime() + lockMinutes(record.lockCount) * 60 * 1000)
+
+    // Conditional so that concurrent failures lock only once
+    const result = await LoginAttempt.updateOne(
+      { _id: record._id, failedCount: { $gte: thresholds[key.type] } },
+      {
+        $set: { failedCount: 0, lockedUntil },
+        $inc: { lockCount: 1 },
+        $max: { expiresAt: new Date(lockedUntil.getTime() + COUNTER_TTL_MS) },
+      },
+    )
+
+    if (result.modifiedCount > 0) {
+      console.warn(`Login ${key.type} ${key.identifier} locked until ${lockedUntil.toISOString()}`)
+      if (key.type === "account") {
+        await notifyLockedAccount(key.identifier, lockedUntil)
+      }
+    }
+  }
+}
+
+async function notifyLockedAccount(email, lockedUntil) {
+  try {
+    const user = await User.findOne({ email })
+    if (!user) return
+
+    const token = await issueUserToken(user._id, "accountUnlock", UNLOCK_TOKEN_TTL_MINUTES)
+    await sendAccountLockedEmail(user, token, lockedUntil)
+  } catch (error) {
+    console.error("Failed to send account locked email:", error)
+  }
+}
+
+/**
+ * Resets the account counter after a successful login. The IP counter is
+ * kept, so logging into one account does not clear guesses at others.
+ *
+ * @param {string} email - Email address that logged in.
+ */
+export async function recordSuccessfulLogin(email) {
+  await LoginAttempt.deleteOne({ type: "account", identifier: normalizeEmail(email) })
+}
+
+/**
+ * Removes the lock and counter of an account.
+ *
+ * @param {string} email - Email address of the account.
+ * @returns {Promise<boolean>} - True if there was something to clear.
+ */
+export async function unlockAccount(email) {
+  const result = await LoginAttempt.deleteOne({ type: "account", identifier: normalizeEmail(email) })
+  return result.deletedCount > 0
+}
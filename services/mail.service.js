@@ -0,0 +1,290 @@
+import fs from "fs"
+import path from "path"
+import axios from "axios"
+
+/**
+ * Mail transports. A transport is any object with an async `send(message)`
+ * method, where message is `{ from, to, subject, text, html }`.
+ *
+ * Select one with MAIL_TRANSPORT:
+ *   - "memory": keeps messages in `memoryTransport.outbox` (default outside production, used by tests)
+ *   - "file":   writes each message as JSON into MAIL_OUTBOX_DIR (default ./tmp/mail)
+ *   - "http":   POSTs the message as JSON to MAIL_API_URL with MAIL_API_KEY as bearer token
+ */
+export const memoryTransport = {
+  outbox: [],
+  async send(message) {
+    this.outbox.push({ ...message, sentAt: new Date() })
+  },
+}
+
+const fileTransport = {
+  async send(message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "tmp", "mail")
+    await fs.promises.mkdir(outboxDir, { recursive: true })
+
+    const fileName = `${Date.now()}_${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+    await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2))
+  },
+}
+
+const httpTransport = {
+  async send(message) {
+    if (!process.env.MAIL_API_URL) {
+      throw new Error("MAIL_API_URL is required for the http mail transport")
+    }
+
+    await axios.post(process.env.MAIL_API_URL, message, {
+      headers: { Authorization: `Bearer ${process.env.MAIL_API_KEY}` },
+      timeout: 10000,
+    })
+  },
+}
+
+const transports = {
+  memory: memoryTransport,
+  file: fileTransport,
+  http: httpTransport,
+}
+
+let activeTransport = null
+
+/**
+ * Replaces the transport used by sendMail (e.g. with a provider SDK wrapper).
+ *
+ * @param {object} transport - Object with an async `send(message)` method.
+ */
+export function setMailTransport(transport) {
+  activeTransport = transport
+}
+
+function getTransport() {
+  if (activeTransport) return activeTransport
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "http" : "memory")
+  const transport = transports[name]
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`)
+  }
+  activeTransport = transport
+  return activeTransport
+}
+
+/**
+ * Sends an email through the configured transport.
+ *
+ * @param {object} message - `{ to, subject, text, html }`.
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "Kimelia Luxe <no-reply@kimelialuxe.com>",
+    to,
+    subject,
+    text,
+    html,
+  })
+}
+
+/**
+ * Builds a link into the frontend application.
+ *
+ * @param {string} pathname - Path on the frontend, e.g. "/reset-password".
+ * @param {object} params - Query string parameters.
+ * @returns {string} - Absolute URL.
+ */
+export function buildClientUrl(pathname, params = {}) {
+  const url = new URL(pathname, process.env.CLIENT_URL || "http://localhost:3000")
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value))
+  return url.toString()
+}
+
+/**
+ * Sends the "confirm your email address" message.
+ *
+ * @param {object} user - The user document.
+ * @param {string} token - Raw email verification token.
+ */
+export async function sendVerificationEmail(user, token) {
+  const link = buildClientUrl("/verify-email", { token })
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your Kimelia Luxe email address",
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${user.firstName},</p><p>Please confirm your email address by clicking <a href="${link}">this link</a>.</p><p>If you did not create an account, you can ignore this email.</p>`,
+  })
+}
+
+/**
+ * Sends the password reset message.
+ *
+ * @param {object} user - The user document.
+ * @param {string} token - Raw password reset token.
+ * @param {number} ttlMinutes - How long the link stays valid, shown to the user.
+ */
+export async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = buildClientUrl("/reset-password", { token })
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Kimelia Luxe password",
+    text: `Hi ${user.firstName},\n\nYou can choose a new password with this link, valid for ${ttlMinutes} minutes:\n${link}\n\nIf you did not ask for a password reset, you can ignore this email.`,
+    html: `<p>Hi ${user.firstName},</p><p>You can choose a new password with <a href="${link}">this link</a>, valid for ${ttlMinutes} minutes.</p><p>If you did not ask for a password reset, you can ignore this email.</p>`,
+  })
+}
+
+/**
+ * Tells an applicant whether their seller/designer application was accepted.
+ *
+ * @param {object} user - The applicant's user document.
+ * @param {object} application - The reviewed application.
+ */
+export async function sendApplicationDecisionEmail(user, application) {
+  const approved = application.status === "approved"
+  const subject = approved
+    ? `Your Kimelia Luxe ${application.requestedRole} application was approved`
+    : `Your Kimelia Luxe ${application.requestedRole} application`
+  const decision = approved
+    ? `Good news: your application to become a ${application.requestedRole} has been approved. Your new tools are now available in your account.`
+    : `Unfortunately your application to become a ${application.requestedRole} was not approved.`
+  const notes = application.reviewNotes ? `\n\nNotes from our team: ${application.reviewNotes}` : ""
+
+  await sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.firstName},\n\n${decision}${notes}`,
+    html: `<p>Hi ${user.firstName},</p><p>${decision}</p>${application.reviewNotes ? `<p>Notes from our team: ${application.reviewNotes}</p>` : ""}`,
+  })
+}
+
+/**
+ * Warns a user that their account was locked after repeated failed logins.
+ *
+ * @param {object} user - The user document.
+ * @param {string} token - Raw account unlock token.
+ * @param {Date} lockedUntil - When the lock expires on its own.
+ */
+export async function sendAccountLockedEmail(user, token, lockedUntil) {
+  const link = buildClientUrl("/unlock-account", { token })
+  const until = lockedUntil.toUTCString()
+
+  await sendMail({
+    to: user.email,
+    subject: "Your Kimelia Luxe account has been locked",
+    text: `Hi ${user.firstName},\n\nWe locked your account after several failed login attempts. It unlocks by itself on ${until}, or right away with this link:\n${link}\n\nIf these attempts were not you, consider changing your password once you are back in.`,
+    html: `<p>Hi ${user.firstName},</p><p>We locked your account after several failed login attempts. It unlocks by itself on ${until}, or right away with <a href="${link}">this link</a>.</p><p>If these attempts were not you, consider changing your password once you are back in.</p>`,
+  })
+}
+
+/**
+ * Tells a user their personal data export is ready to download.
+ *
+ * @param {object} user - The user document.
+ * @param {object} dataExport - The completed DataExport document.
+ */
+export async function sendDataExportReadyEmail(user, dataExport) {
+  const link = buildClientUrl("/account/privacy", { export: dataExport._id.toString() })
+  const until = dataExport.expiresAt.toUTCString()
+
+  await sendMail({
+    to: user.email,
+    subject: "Your Kimelia Luxe data export is ready",
+    text: `Hi ${user.firstName},\n\nThe copy of your personal data you asked for is ready. You can download it from your account until ${until}:\n${link}`,
+    html: `<p>Hi ${user.firstName},</p><p>The copy of your personal data you asked for is ready. You can <a href="${link}">download it from your account</a> until ${until}.</p>`,
+  })
+}
+
+/**
+ * Confirms that an account is scheduled for deletion.
+ *
+ * @param {object} user - The user document.
+ * @param {Date} scheduledFor - When the account will be deleted.
+ */
+export async function sendAccountDeletionScheduledEmail(user, scheduledFor) {
+  const link = buildClientUrl("/account/privacy")
+  const when = scheduledFor.toUTCString()
+
+  await sendMail({
+    to: user.email,
+    subject: "Your Kimelia Luxe account will be deleted",
+    text: `Hi ${user.firstName},\n\nAs requested, your account and personal data will be deleted on ${when}. Orders are kept for accounting, without your personal details.\n\nChanged your mind? Log in and cancel the deletion before then:\n${link}`,
+    html: `<p>Hi ${user.firstName},</p><p>As requested, your account and personal data will be deleted on ${when}. Orders are kept for accounting, without your personal details.</p><p>Changed your mind? <a href="${link}">Log in and cancel the deletion</a> before then.</p>`,
+  })
+}
+
+// What the customer is told when their order reaches a status
+const ORDER_STATUS_MESSAGES = {
+  paid: { subject: "We received your payment", text: "We received your payment and are getting your order ready." },
+  shipped: { subject: "Your order is on its way", text: "Good news: your order has been shipped." },
+  delivered: { subject: "Your order has been delivered", text: "Your order has been delivered. We hope you love it." },
+  cancelled: { subject: "Your order has been cancelled", text: "Your order has been cancelled." },
+  refunded: {
+    subject: "Your order has been refunded",
+    text: "Your order has been refunded. The money should be back in your account within a few days.",
+  },
+}
+
+/**
+ * Tells a customer their order has reached a new status.
+ *
+ * @param {object} user - The customer's user document.
+ * @param {object} order - The Order document, with its new status.
+ */
+export async function sendOrderStatusEmail(user, order) {
+  const message = ORDER_STATUS_MESSAGES[order.status]
+  if (!message) return
+
+  const link = buildClientUrl(`/orders/${order._id}`)
+  const { carrier, trackingNumber } = order.trackingInfo || {}
+  const tracking =
+    order.status === "shipped" && trackingNumber ? ` Tracking number: ${trackingNumber}${carrier ? ` (${carrier})` : ""}.` : ""
+
+  await sendMail({
+    to: user.email,
+    subject: `${message.subject} (${order.orderNumber})`,
+    text: `Hi ${user.firstName},\n\n${message.text}${tracking}\n\nYou can follow your order here:\n${link}`,
+    html: `<p>Hi ${user.firstName},</p><p>${message.text}${tracking}</p><p>You can <a href="${link}">follow your order here</a>.</p>`,
+  })
+}
+
+/**
+ * Tells a customer what happened to their return request.
+ *
+ * @param {object} user - The customer's user document.
+ * @param {object} returnRequest - The ReturnRequest document, approved, rejected or received.
+ */
+export async function sendReturnStatusEmail(user, returnRequest) {
+  const { rmaNumber, returnShipping = {}, reviewNotes, refund } = returnRequest
+  const link = buildClientUrl(`/orders/${returnRequest.order}`)
+  let subject
+  let lines
+
+  if (returnRequest.status === "approved") {
+    subject = `Your return ${rmaNumber} is approved`
+    lines = [
+      `Your return is approved. Please write ${rmaNumber} on the parcel.`,
+      returnShipping.labelUrl && `Print your return label: ${returnShipping.labelUrl}`,
+      returnShipping.address && `Send the items to: ${returnShipping.address}`,
+      returnShipping.instructions,
+      reviewNotes,
+    ]
+  } else if (returnRequest.status === "rejected") {
+    subject = `Your return ${rmaNumber}`
+    lines = ["Unfortunately we cannot accept your return.", reviewNotes && `Notes from our team: ${reviewNotes}`]
+  } else if (returnRequest.status === "received") {
+    subject = `We received your return ${rmaNumber}`
+    lines = [`We received the items you returned. You will be refunded ${refund.amount}.`]
+  } else {
+    return
+  }
+
+  const paragraphs = lines.filter(Boolean)
+
+  await sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.firstName},\n\n${paragraphs.join("\n\n")}\n\nYour order:\n${link}`,
+    html: `<p>Hi ${user.firstName},</p>${paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join("")}<p><a href="${link}">See your order</a></p>`,
+  })
+}
@@ -0,0 +1,142 @@
+import Order from "../models/order.model.js"
+import roundMoney from "../utils/roundMoney.js"
+import {
+  findUserAddress,
+  findDefaultAddress,
+  toAddressSnapshot,
+  missingAddressFields,
+  pickAddressFields,
+} from "./address.service.js"
+import { quoteOrder } from "./pricing.service.js"
+import { reserveOrderStock, releaseStock } from "./stockReservation.service.js"
+import { getCouponCodes, redeemPromotions, releasePromotions } from "./promotion.service.js"
+import { actorOf, recordOrderEvent } from "./orderStatus.service.js"
+
+// Resolve the address of an order from a saved address ID or the address
+// sent inline. Returns `{ address }` or `{ status, message }`.
+const resolveOrderAddress = async (userId, addressId, inlineAddress, kind) => {
+  if (addressId) {
+    const saved = await findUserAddress(userId, addressId)
+    if (!saved) {
+      return { status: 404, message: `Saved ${kind} address not found` }
+    }
+    return { address: toAddressSnapshot(saved) }
+  }
+
+  if (!inlineAddress) {
+    return { address: null }
+  }
+
+  const missing = missingAddressFields(inlineAddress)
+  if (missing.length > 0) {
+    return { status: 400, message: `Missing ${kind} address fields: ${missing.join(", ")}` }
+  }
+
+  // Only keep known fields, so a client cannot link the order to someone else's saved address
+  return { address: toAddressSnapshot(pickAddressFields(inlineAddress)) }
+}
+
+/**
+ * Finds where an order ships to: the saved address `shippingAddressId`,
+ * else the inline `shippingAddress`, else the default shipping address of
+ * the address book.
+ *
+ * @param {string} userId - The ordering user.
+ * @param {object} input - `{ shippingAddressId, shippingAddress }`.
+ * @returns {Promise<object>} - `{ address }` with an address snapshot, null if there is none, or `{ status, message }`.
+ */
+export async function resolveShippingAddress(userId, { shippingAddressId, shippingAddress }) {
+  const shipping = await resolveOrderAddress(userId, shippingAddressId, shippingAddress, "shipping")
+  if (shipping.message || shipping.address) return shipping
+
+  const defaultAddress = await findDefaultAddress(userId, "shipping")
+  return { address: defaultAddress ? toAddressSnapshot(defaultAddress) : null }
+}
+
+/**
+ * Places an order: resolves its addresses, prices it from the catalogue and
+ * takes its stock. Used by the order endpoint and by cart checkout.
+ *
+ * @param {object} user - The ordering user.
+ * @param {object} input - `{ items, couponCodes, shippingAddress, shippingAddressId, shippingMethod, billingAddress, billingAddressId, paymentMethod, totalAmount, notes }`.
+ * @returns {Promise<object>} - `{ order }` with the saved order, or `{ status, message, quote? }` if it cannot be placed.
+ */
+export async function placeOrder(user, input) {
+  const userId = user._id
+  const { items, billingAddress, billingAddressId, paymentMethod, totalAmount, notes } = input
+
+  if (!items || items.length === 0) {
+    return { status: 400, message: "No order items" }
+  }
+
+  const shipping = await resolveShippingAddress(userId, input)
+  if (shipping.message) return shipping
+  if (!shipping.address) {
+    return { status: 400, message: "Shipping address is required" }
+  }
+
+  const billing = await resolveOrderAddress(userId, billingAddressId, billingAddress, "billing")
+  if (billing.message) return billing
+
+  // Prices come from the catalogue, never from the client
+  const priced = await quoteOrder({
+    items,
+    couponCodes: getCouponCodes(input),
+    userId,
+    shippingAddress: shipping.address,
+    shippingMethod: input.shippingMethod,
+  })
+  if (priced.message) return priced
+  const { quote, stockLines } = priced
+
+  // A client that shows a total must be charged exactly that
+  if (totalAmount !== undefined && roundMoney(Number(totalAmount)) !== quote.totalAmount) {
+    return { status: 409, message: "The order total has changed, please review it", quote }
+  }
+
+  const order = new Order({
+    user: userId,
+    items: quote.items,
+    shippingAddress: shipping.address,
+    billingAddress: billing.address || shipping.address,
+    paymentMethod,
+    subtotal: quote.subtotal,
+    shippingCost: quote.shippingCost,
+    tax: quote.tax,
+    shippingTax: quote.shippingTax,
+    taxIncluded: quote.taxIncluded,
+    taxRule: quote.taxRule,
+    discount: quote.discount,
+    promotions: quote.promotions,
+    totalAmount: quote.totalAmount,
+    shippingMethod: quote.shippingMethod,
+    trackingInfo: { estimatedDelivery: quote.shippingMethod.estimatedDelivery?.to },
+    notes,
+  })
+
+  // Take the stock before the order exists, so concurrent checkouts
+  // cannot sell the same units
+  const reservation = await reserveOrderStock(order, stockLines)
+  if (!reservation.reserved) {
+    return { status: 409, message: `Not enough stock for ${reservation.line.label}` }
+  }
+
+  // Usage limits are counted last, once nothing else can refuse the order
+  const redemption = await redeemPromotions(order)
+  if (!redemption.redeemed) {
+    await releaseStock(stockLines)
+    return { status: 409, message: redemption.message }
+  }
+
+  try {
+    await order.save()
+  } catch (error) {
+    await releaseStock(stockLines)
+    await releasePromotions(order)
+    throw error
+  }
+
+  await recordOrderEvent(order, { type: "created", toStatus: order.status, actor: actorOf(user) })
+
+  return { order }
+}
@@ -0,0 +1,154 @@
+import Order from "../models/order.model.js"
+import OrderEvent from "../models/orderEvent.model.js"
+import User from "../models/user.model.js"
+import { sendOrderStatusEmail } from "./mail.service.js"
+import { commitOrderReservation, releaseOrderReservation } from "./stockReservation.service.js"
+import { releasePromotions } from "./promotion.service.js"
+
+export const ORDER_STATUSES = ["pending", "awaiting_payment", "paid", "processing", "shipped", "delivered", "cancelled", "refunded", "returned"]
+
+// Where an order can go from each status. Orders placed before payments
+// moved them to "paid" went straight to "processing". An order waits in
+// "awaiting_payment" while its provider settles a payment, e.g. until the
+// customer approves a Mobile Money request on their phone, and goes back to
+// "pending" if that payment fails or expires.
+export const ORDER_TRANSITIONS = {
+  pending: ["paid", "awaiting_payment", "cancelled"],
+  awaiting_payment: ["paid", "pending", "cancelled"],
+  paid: ["processing", "cancelled", "refunded"],
+  processing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+}
+
+// Statuses customers can cancel their own order in, before it ships. Not
+// while a payment is in flight: they decline it on their phone instead.
+export const CUSTOMER_CANCELLABLE_STATUSES = ["pending", "paid", "processing"]
+
+// Statuses the customer is told about by email. Returns have emails of their own.
+const NOTIFIED_STATUSES = ["paid", "shipped", "delivered", "cancelled", "refunded"]
+
+// Actor of events nobody triggered directly, e.g. provider callbacks
+export const SYSTEM_ACTOR = { role: "system" }
+
+/**
+ * The actor recorded on the events a user causes.
+ *
+ * @param {object} [user] - The user document, none for the system.
+ * @returns {object} - `{ user, role }`.
+ */
+export const actorOf = (user) => (user ? { user: user._id, role: user.role } : SYSTEM_ACTOR)
+
+/**
+ * Whether the order has been paid for, so it can be refunded.
+ *
+ * @param {object} order - The Order document.
+ * @returns {boolean}
+ */
+export const isOrderPaid = (order) => Boolean(order.paidAt) || order.paymentDetails?.status === "completed"
+
+/**
+ * Whether an order can move from one status to another.
+ *
+ * @param {string} from - Current status.
+ * @param {string} to - Wanted status.
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from]?.includes(to))
+
+/**
+ * Adds an event to the timeline of an order.
+ *
+ * @param {object|string} order - The Order document or its ID.
+ * @param {object} event - `{ type, fromStatus, toStatus, actor, note, data }`, the system being the actor by default.
+ * @returns {Promise<object>} - The OrderEvent document.
+ */
+export async function recordOrderEvent(order, { actor = SYSTEM_ACTOR, ...event }) {
+  return OrderEvent.create({ order: order._id || order, actor, ...event })
+}
+
+// Tell the customer; a mail failure must not undo the change
+const notifyCustomer = async (order) => {
+  if (!NOTIFIED_STATUSES.includes(order.status)) return
+
+  try {
+    const user = await User.findById(order.user)
+    if (user) {
+      await sendOrderStatusEmail(user, order)
+    }
+  } catch (error) {
+    console.error("Failed to send order status email:", error)
+  }
+}
+
+// Statuses an order is in before any of it was shipped
+const UNSHIPPED_STATUSES = ["pending", "awaiting_payment", "paid", "processing", "cancelled"]
+
+// What entering a status does besides changing it
+const applyStatusEffects = async (order, status, from) => {
+  if (status === "paid") {
+    order.paidAt = new Date()
+    order.amountPaid = order.totalAmount
+    // The stock is sold now and no longer released when the hold expires
+    await commitOrderReservation(order)
+  }
+
+  if (status === "delivered") {
+    order.deliveredAt = new Date()
+  }
+
+  if (status === "cancelled") {
+    // Put the stock back, paid or not, and give back the uses of its promotions
+    await releaseOrderReservation(order, "cancelled", { includeCommitted: true })
+    await releasePromotions(order)
+  }
+
+  if (status === "refunded" && UNSHIPPED_STATUSES.includes(from)) {
+    // Nothing left the warehouse, so the stock sold to the order is back on sale
+    await releaseOrderReservation(order, "refunded", { includeCommitted: true })
+  }
+}
+
+/**
+ * Moves an order to a new status, runs what that status entails (stock,
+ * promotions), saves the order, records the change on its timeline and
+ * tells the customer. Other changes made to the order are saved with it.
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @param {string} status - The new status.
+ * @param {object} [options] - `{ actor, note, data }` for the timeline.
+ * @returns {Promise<object>} - `{ order }`, or `{ status, message, allowed? }` if the order cannot move there.
+ */
+export async function transitionOrder(order, status, { actor = SYSTEM_ACTOR, note, data } = {}) {
+  const from = order.status
+
+  if (!ORDER_STATUSES.includes(status)) {
+    return { status: 400, message: `Unknown order status: ${status}` }
+  }
+
+  if (!canTransition(from, status)) {
+    return { status: 409, message: `A ${from} order cannot become ${status}`, allowed: ORDER_TRANSITIONS[from] || [] }
+  }
+
+  if (status === "refunded" && !isOrderPaid(order)) {
+    return { status: 409, message: "Only paid orders can be refunded" }
+  }
+
+  // Claim the change first, so two requests cannot both move the order on
+  const claimed = await Order.findOneAndUpdate({ _id: order._id, status: from }, { $set: { status } })
+  if (!claimed) {
+    return { status: 409, message: "The order was updated in the meantime, please reload it" }
+  }
+
+  order.status = status
+  await applyStatusEffects(order, status, from)
+  await order.save()
+
+  await recordOrderEvent(order, { type: "statusChanged", fromStatus: from, toStatus: status, actor, note, data })
+  await notifyCustomer(order)
+
+  return { order }
+}
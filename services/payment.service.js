@@ -0,0 +1,553 @@
+import Order from "../models/order.model.js"
+import PaymentTransaction, { OPEN_PAYMENT_STATUSES } from "../models/paymentTransaction.model.js"
+import { releaseOrderReservation } from "./stockReservation.service.js"
+import { SYSTEM_ACTOR, recordOrderEvent, transitionOrder } from "./orderStatus.service.js"
+import sandboxProvider from "./paymentProviders/sandbox.provider.js"
+import stripeProvider from "./paymentProviders/stripe.provider.js"
+import paypalProvider from "./paymentProviders/paypal.provider.js"
+import momoProvider from "./paymentProviders/momo.provider.js"
+import { normalizeMsisdn } from "../utils/msisdn.js"
+
+/**
+ * Payment providers. A provider is an object with a `name` and:
+ *   - `createIntent(order, paymentDetails)`: starts a payment of the order total
+ *   - `confirm(transactionId, paymentDetails, order)`: authorises it, again after a challenge
+ *   - `capture(transactionId, amount)`: takes the authorised money
+ *   - `void(transactionId)`: lets go of an authorisation that will not be captured
+ *   - `refund(payment, amount)`: gives back part or all of a payment transaction
+ *   - `verifyWebhook(req)`: checks the signature of a callback, resolves to `{ valid, message? }`
+ *   - `parseWebhook(req)`: reads a verified callback into `{ eventId, type, occurredAt?, transactionId?,
+ *     transactionType?, status? }`, with a transaction and status for payment and refund events only
+ *     (transactionType "refund" for refunds), or null if it is not an event
+ *   - `checkStatus(transactionId)` (optional): asks where a payment is, so pending
+ *     payments are polled when a callback is late or lost
+ *   - `checkRefundStatus(transactionId)` (optional): the same for a refund, so refunds
+ *     the provider left pending are settled
+ *   - `checkStatusOnWebhook` (optional): true when the signature of a callback does
+ *     not cover its content; its payment is then settled with `checkStatus`
+ *   - `paymentExpiryMinutes` (optional): how long a pending payment may wait for
+ *     the customer before it is given up
+ * The others resolve to `{ transactionId, status, message, nextAction? }`,
+ * status being one of PAYMENT_STATUSES or "created". Timeouts are thrown as
+ * errors with code ETIMEDOUT or ECONNABORTED, as axios does.
+ *
+ * Select one per payment method with PAYMENT_PROVIDER_CREDITCARD,
+ * PAYMENT_PROVIDER_PAYPAL and PAYMENT_PROVIDER_MOMO, or one for every method
+ * with PAYMENT_PROVIDER:
+ *   - "sandbox": local provider with test scenarios, which accepts any
+ *                payment details, so only used when named
+ *   - "stripe":  cards (default in production)
+ *   - "paypal":  PayPal (default in production)
+ *   - "momo":    MTN Mobile Money (default in production)
+ * Outside production a method without a provider cannot be paid.
+ */
+const providers = {
+  sandbox: sandboxProvider,
+  stripe: stripeProvider,
+  paypal: paypalProvider,
+  momo: momoProvider,
+}
+
+const PRODUCTION_PROVIDERS = {
+  creditCard: "stripe",
+  paypal: "paypal",
+  momo: "momo",
+}
+
+export const PAYMENT_METHODS = Object.keys(PRODUCTION_PROVIDERS)
+
+// Where a payment can be. "requiresAction" waits for the customer, e.g. a
+// 3-D Secure challenge; "pending" waits for the provider.
+export const PAYMENT_STATUSES = ["requiresAction", "authorized", "pending", "completed", "failed", "voided"]
+
+// How often payments waiting for their provider are polled, and how soon
+// the status of one may be asked again, e.g. by a client polling the API
+const PAYMENT_POLL_INTERVAL_MS = Number(process.env.PAYMENT_POLL_INTERVAL_MS) || 30 * 1000
+const PAYMENT_CHECK_MIN_INTERVAL_MS = 10 * 1000
+
+// A payment claimed this long ago that never reached its provider was
+// interrupted, e.g. by a restart, and no longer blocks a new one
+const UNSTARTED_PAYMENT_TIMEOUT_MS = 5 * 60 * 1000
+
+// Order statuses a payment can still be taken in
+const PAYABLE_ORDER_STATUSES = ["pending", "awaiting_payment"]
+
+// Payment details each method needs before a provider is called. Cards are
+// tokenized by the provider on the client, the API only gets the token.
+const REQUIRED_PAYMENT_DETAILS = {
+  creditCard: ["paymentToken"],
+  paypal: ["paypalEmail"],
+  momo: ["phoneNumber"],
+}
+
+const methodProviders = {}
+
+// The provider a payment method is configured with, if any
+const configuredProviderName = (paymentMethod) =>
+  process.env[`PAYMENT_PROVIDER_${paymentMethod.toUpperCase()}`] ||
+  process.env.PAYMENT_PROVIDER ||
+  (process.env.NODE_ENV === "production" ? PRODUCTION_PROVIDERS[paymentMethod] : undefined)
+
+// The sandbox marks anything paid, so it is only reachable where it was chosen
+const isSandboxEnabled = () =>
+  Object.values(methodProviders).includes(sandboxProvider) ||
+  PAYMENT_METHODS.some((paymentMethod) => configuredProviderName(paymentMethod) === "sandbox")
+
+/**
+ * Replaces the provider of a payment method (e.g. with a test double).
+ *
+ * @param {string} paymentMethod - "creditCard", "paypal" or "momo".
+ * @param {object} provider - Object implementing the provider interface.
+ */
+export function setPaymentProvider(paymentMethod, provider) {
+  methodProviders[paymentMethod] = provider
+}
+
+/**
+ * The provider that takes payments made with a payment method.
+ *
+ * @param {string} paymentMethod - "creditCard", "paypal" or "momo".
+ * @returns {object|null} - The provider, or null for an unknown method.
+ * @throws {Error} - If no provider, or an unknown one, is configured for the method.
+ */
+export function getPaymentProvider(paymentMethod) {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) return null
+  if (methodProviders[paymentMethod]) return methodProviders[paymentMethod]
+
+  const name = configuredProviderName(paymentMethod)
+  if (!name) {
+    throw new Error(
+      `No payment provider is configured for ${paymentMethod}, set PAYMENT_PROVIDER_${paymentMethod.toUpperCase()}`,
+    )
+  }
+  const provider = providers[name]
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`)
+  }
+  methodProviders[paymentMethod] = provider
+  return provider
+}
+
+/**
+ * A provider by name, e.g. the one a webhook is for.
+ *
+ * @param {string} name - The provider name.
+ * @returns {object|null} - The provider, or null. The sandbox only when it is enabled.
+ */
+export function getPaymentProviderByName(name) {
+  const provider = Object.values(methodProviders).find((candidate) => candidate.name === name) || providers[name]
+  if (!provider || (provider === sandboxProvider && !isSandboxEnabled())) return null
+  return provider
+}
+
+/**
+ * The provider a transaction went through. Transactions recorded before
+ * providers were named hold the payment method instead.
+ *
+ * @param {object} transaction - The PaymentTransaction, or `{ provider }`.
+ * @returns {object|null} - The provider, or null.
+ */
+export function getTransactionProvider(transaction) {
+  return getPaymentProviderByName(transaction.provider) || getPaymentProvider(transaction.provider)
+}
+
+const isTimeout = (error) => error.code === "ETIMEDOUT" || error.code === "ECONNABORTED"
+
+// Calls a provider, turning what it throws into a result. After a timeout
+// the outcome is unknown, so a started payment stays pending until the
+// provider calls back.
+const callProvider = async (call, transactionId) => {
+  try {
+    return await call()
+  } catch (error) {
+    if (isTimeout(error) && transactionId) {
+      return {
+        transactionId,
+        status: "pending",
+        message: "The payment provider did not answer in time, the payment will be updated once it does",
+      }
+    }
+
+    console.error("Payment provider error:", error)
+    return {
+      transactionId,
+      status: "failed",
+      message: isTimeout(error) ? "The payment provider did not answer in time" : "The payment provider could not be reached",
+    }
+  }
+}
+
+// Captures an authorised payment if the order can still be paid, and lets
+// go of it otherwise
+const captureIfPayable = async (order, provider, result) => {
+  if (result.status !== "authorized") return result
+
+  if (!(await Order.exists({ _id: order._id, status: { $in: PAYABLE_ORDER_STATUSES } }))) {
+    const voided = await callProvider(() => provider.void(result.transactionId), result.transactionId)
+    return {
+      ...voided,
+      status: voided.status === "voided" ? "voided" : "authorized",
+      message: "The order can no longer be paid, the payment was not taken",
+    }
+  }
+
+  return callProvider(() => provider.capture(result.transactionId, order.totalAmount), result.transactionId)
+}
+
+// Stores the outcome of a provider call on the payment transaction and its
+// order. A completed payment marks the order paid; a pending one keeps it
+// awaiting payment; a failed one puts its stock back and leaves it pending,
+// so the customer can try again.
+const applyPaymentResult = async (order, transaction, result, actor) => {
+  const status = PAYMENT_STATUSES.includes(result.status) ? result.status : "pending"
+
+  transaction.providerTransactionId = result.transactionId || transaction.providerTransactionId
+  transaction.status = status
+  transaction.failureReason = ["failed", "voided"].includes(status) ? result.message : undefined
+  transaction.processedAt = new Date()
+
+  const expiryMinutes = getTransactionProvider(transaction)?.paymentExpiryMinutes
+  if (status === "pending" && expiryMinutes && !transaction.expiresAt) {
+    transaction.expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000)
+  }
+  await transaction.save()
+
+  order.paymentMethod = transaction.paymentMethod || order.paymentMethod
+  order.paymentDetails = {
+    transactionId: transaction.providerTransactionId,
+    status,
+    date: new Date(),
+  }
+
+  // Providers may repeat a callback, only an order still unpaid moves on
+  const payable = PAYABLE_ORDER_STATUSES.includes(order.status)
+
+  if (status === "completed" && payable) {
+    const paid = await transitionOrder(order, "paid", { actor })
+    if (paid.message) {
+      // Charged while the order was being cancelled; keep the payment on
+      // record so it can be refunded
+      console.warn(`Order ${order.orderNumber} was paid while it could no longer be: ${paid.message}`)
+      await order.save()
+    }
+  } else if (status === "pending" && order.status === "pending") {
+    const awaiting = await transitionOrder(order, "awaiting_payment", { actor })
+    if (awaiting.message) await order.save()
+  } else if (["failed", "voided"].includes(status) && payable) {
+    await releaseOrderReservation(order, "paymentFailed")
+    const reopened = order.status === "awaiting_payment" ? await transitionOrder(order, "pending", { actor, note: result.message }) : null
+    if (!reopened?.order) await order.save()
+    await recordOrderEvent(order, {
+      type: "paymentFailed",
+      actor,
+      data: { transactionId: transaction.providerTransactionId, message: result.message },
+    })
+  } else {
+    await order.save()
+  }
+}
+
+/**
+ * Charges an order: starts a payment with the provider of the payment
+ * method, authorises it and captures it. The payment can also stop on a
+ * challenge for the customer (see confirmOrderPayment) or stay pending until
+ * the provider calls back.
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @param {string} paymentMethod - "creditCard", "paypal" or "momo".
+ * @param {object} paymentDetails - What the provider needs to charge.
+ * @param {object} actor - `{ user, role }` who pays.
+ * @returns {Promise<object>} - `{ transaction, result }`, or `{ status, message }` if nothing was charged.
+ */
+export async function chargeOrder(order, paymentMethod, paymentDetails = {}, actor) {
+  const provider = getPaymentProvider(paymentMethod)
+  if (!provider) {
+    return { status: 400, message: "Invalid payment method" }
+  }
+
+  const missing = REQUIRED_PAYMENT_DETAILS[paymentMethod].filter((field) => !paymentDetails?.[field])
+  if (missing.length > 0) {
+    return { status: 400, message: `Missing payment details: ${missing.join(", ")}` }
+  }
+
+  if (paymentMethod === "momo") {
+    const phoneNumber = normalizeMsisdn(paymentDetails.phoneNumber)
+    if (!phoneNumber) {
+      return { status: 400, message: "Invalid Mobile Money phone number" }
+    }
+    paymentDetails = { ...paymentDetails, phoneNumber }
+  }
+
+  const open = await PaymentTransaction.find({ order: order._id, type: "payment", status: { $in: OPEN_PAYMENT_STATUSES } })
+  const interrupted = (transaction) =>
+    !transaction.providerTransactionId && Date.now() - transaction.createdAt.getTime() > UNSTARTED_PAYMENT_TIMEOUT_MS
+  if (open.some((transaction) => transaction.status !== "requiresAction" && !interrupted(transaction))) {
+    return { status: 409, message: "A payment of this order is already being processed" }
+  }
+
+  // A challenge the customer walked away from is dropped for the new attempt
+  for (const abandoned of open) {
+    const abandonedProvider = abandoned.providerTransactionId && getTransactionProvider(abandoned)
+    const voided = abandonedProvider && (await callProvider(() => abandonedProvider.void(abandoned.providerTransactionId)))
+    abandoned.set({ status: "voided", failureReason: voided?.message || "Replaced by a new payment", processedAt: new Date() })
+    await abandoned.save()
+  }
+
+  // Claim the order before the provider is called: the unique index on open
+  // payments lets one charge of an order through, however many requests race
+  const transaction = new PaymentTransaction({
+    order: order._id,
+    user: order.user,
+    type: "payment",
+    provider: provider.name,
+    paymentMethod,
+    amount: order.totalAmount,
+    status: "pending",
+    createdBy: actor,
+  })
+  try {
+    await transaction.save()
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    return { status: 409, message: "A payment of this order is already being processed" }
+  }
+
+  let result = await callProvider(() => provider.createIntent(order, paymentDetails))
+  if (result.status === "created") {
+    const { transactionId } = result
+    result = await callProvider(() => provider.confirm(transactionId, paymentDetails, order), transactionId)
+  }
+  result = await captureIfPayable(order, provider, result)
+
+  await applyPaymentResult(order, transaction, result, actor)
+
+  return { transaction, result }
+}
+
+/**
+ * Carries on with a payment that waited for the customer, e.g. after a 3-D
+ * Secure challenge or an approval on the provider's site.
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @param {object} paymentDetails - What the provider needs to confirm, e.g. the challenge result.
+ * @param {object} actor - `{ user, role }` who pays.
+ * @returns {Promise<object>} - `{ transaction, result }`, or `{ status, message }`.
+ */
+export async function confirmOrderPayment(order, paymentDetails = {}, actor) {
+  const transaction = await PaymentTransaction.findOne({ order: order._id, type: "payment", status: "requiresAction" }).sort({
+    createdAt: -1,
+  })
+  if (!transaction) {
+    return { status: 409, message: "No payment of this order is waiting for confirmation" }
+  }
+
+  const provider = getTransactionProvider(transaction)
+  if (!provider) {
+    return { status: 409, message: "The provider of this payment is no longer available" }
+  }
+
+  let result = await callProvider(
+    () => provider.confirm(transaction.providerTransactionId, paymentDetails, order),
+    transaction.providerTransactionId,
+  )
+  result = await captureIfPayable(order, provider, result)
+
+  await applyPaymentResult(order, transaction, result, actor)
+
+  return { transaction, result }
+}
+
+// How far along a payment is. Events never move a payment back, so one
+// arriving after a later one is dropped.
+const PAYMENT_PROGRESS = {
+  requiresAction: 0,
+  authorized: 1,
+  pending: 2,
+  completed: 3,
+  failed: 3,
+  voided: 3,
+}
+
+/**
+ * Applies a provider event to its payment: settles a pending payment,
+ * captures one authorised off-site, or records a failure. Events that would
+ * move the payment back, or that are older than the last one applied, are
+ * ignored, so late and repeated events do no harm.
+ *
+ * @param {object} provider - The provider of the event.
+ * @param {object} event - `{ transactionId, status, occurredAt?, message? }` from its parseWebhook or checkStatus.
+ * @returns {Promise<object>} - `{ outcome, reason, transaction?, result? }`, outcome being
+ *   "processed", "ignored", or "deferred" when the payment is not known yet.
+ */
+export async function settlePayment(provider, { transactionId, status, occurredAt, message }) {
+  if (!PAYMENT_STATUSES.includes(status)) {
+    return { outcome: "ignored", reason: `Unknown payment status ${status}` }
+  }
+
+  const transaction = await PaymentTransaction.findOne({
+    type: "payment",
+    provider: provider.name,
+    providerTransactionId: transactionId,
+  })
+  if (!transaction) {
+    return { outcome: "deferred", reason: "No payment with this transaction ID yet" }
+  }
+
+  if (PAYMENT_PROGRESS[status] <= PAYMENT_PROGRESS[transaction.status]) {
+    return { outcome: "ignored", reason: `The payment is already ${transaction.status}`, transaction }
+  }
+
+  if (occurredAt && transaction.lastEventAt && occurredAt < transaction.lastEventAt) {
+    return { outcome: "ignored", reason: "Older than the last event applied to the payment", transaction }
+  }
+
+  const order = await Order.findById(transaction.order)
+  if (!order) {
+    return { outcome: "ignored", reason: "The order of the payment no longer exists", transaction }
+  }
+
+  if (occurredAt) transaction.lastEventAt = occurredAt
+
+  const result = await captureIfPayable(order, provider, { transactionId, status, message: message || `Payment ${status}` })
+  await applyPaymentResult(order, transaction, result, SYSTEM_ACTOR)
+
+  return { outcome: "processed", reason: `Payment ${result.status}`, transaction, result }
+}
+
+/**
+ * Settles a payment from a callback that is only trusted to say something
+ * happened to it: the status is asked from the provider, never read from
+ * the callback.
+ *
+ * @param {object} provider - The provider that called back.
+ * @param {string} transactionId - The transaction ID at the provider.
+ * @returns {Promise<object>} - `{ outcome, reason, ... }` as from refreshPaymentStatus.
+ */
+export async function settlePaymentFromProvider(provider, transactionId) {
+  const transaction = await PaymentTransaction.findOne({
+    type: "payment",
+    provider: provider.name,
+    providerTransactionId: transactionId,
+  })
+  if (!transaction) {
+    return { outcome: "deferred", reason: "No payment with this transaction ID yet" }
+  }
+
+  if (transaction.status !== "pending") {
+    return { outcome: "ignored", reason: `The payment is already ${transaction.status}`, transaction }
+  }
+
+  return refreshPaymentStatus(transaction)
+}
+
+/**
+ * Asks the provider where a pending payment is and applies the answer, as a
+ * callback would. A payment still pending past its expiry time is failed, so
+ * its order can be paid again. Providers without `checkStatus` are left to
+ * their callbacks.
+ *
+ * @param {object} transaction - The pending PaymentTransaction.
+ * @returns {Promise<object>} - `{ outcome, reason, result? }` as from settlePayment, outcome
+ *   "expired" if the payment was given up.
+ */
+export async function refreshPaymentStatus(transaction) {
+  const provider = getTransactionProvider(transaction)
+  if (!provider?.checkStatus) {
+    return { outcome: "ignored", reason: "The provider of this payment does not report its status" }
+  }
+
+  const { providerTransactionId: transactionId } = transaction
+  transaction.checkedAt = new Date()
+  await transaction.save()
+
+  let result
+  try {
+    result = await provider.checkStatus(transactionId)
+  } catch (error) {
+    // Not an answer about the payment; ask again next time
+    console.error(`Failed to check payment ${transactionId} with ${provider.name}:`, error.message)
+    return { outcome: "ignored", reason: "The payment provider could not be reached" }
+  }
+
+  if (result.status !== "pending") {
+    return settlePayment(provider, { transactionId, status: result.status, message: result.message })
+  }
+
+  if (!transaction.expiresAt || transaction.expiresAt > new Date()) {
+    return { outcome: "ignored", reason: result.message, result }
+  }
+
+  // Given up on our side. The expiry is set well past the provider's own,
+  // so the customer can no longer approve it there.
+  const expired = { transactionId, status: "failed", message: "The payment request expired before it was approved" }
+  const order = await Order.findById(transaction.order)
+  if (order) {
+    await applyPaymentResult(order, transaction, expired, SYSTEM_ACTOR)
+  } else {
+    transaction.set({ status: "failed", failureReason: expired.message, processedAt: new Date() })
+    await transaction.save()
+  }
+
+  return { outcome: "expired", reason: expired.message, result: expired }
+}
+
+/**
+ * Checks every payment waiting for its provider that was not checked
+ * recently, in case its callback is late or lost.
+ *
+ * @returns {Promise<object>} - `{ checked, settled, expired }` counts.
+ */
+export async function pollPendingPayments() {
+  const pending = await PaymentTransaction.find({
+    type: "payment",
+    status: "pending",
+    providerTransactionId: { $exists: true },
+    provider: { $in: Object.values(providers).filter((provider) => provider.checkStatus).map((provider) => provider.name) },
+    $or: [{ checkedAt: { $exists: false } }, { checkedAt: { $lte: new Date(Date.now() - PAYMENT_CHECK_MIN_INTERVAL_MS) } }],
+  })
+    .sort({ checkedAt: 1 })
+    .limit(100)
+
+  const counts = { checked: 0, settled: 0, expired: 0 }
+  for (const transaction of pending) {
+    try {
+      const { outcome } = await refreshPaymentStatus(transaction)
+      counts.checked += 1
+      if (outcome === "processed") counts.settled += 1
+      if (outcome === "expired") counts.expired += 1
+    } catch (error) {
+      // Keep going, so one payment does not hold up the others
+      console.error(`Failed to refresh payment ${transaction.providerTransactionId}:`, error)
+    }
+  }
+
+  return counts
+}
+
+/**
+ * Whether the status of a pending payment may be asked from its provider
+ * again, so clients polling the API do not flood it.
+ *
+ * @param {object} transaction - The PaymentTransaction.
+ * @returns {boolean}
+ */
+export const isPaymentCheckDue = (transaction) =>
+  transaction.status === "pending" &&
+  (!transaction.checkedAt || Date.now() - transaction.checkedAt.getTime() >= PAYMENT_CHECK_MIN_INTERVAL_MS)
+
+/**
+ * Runs `pollPendingPayments` now and then every PAYMENT_POLL_INTERVAL_MS
+ * (default 30 seconds).
+ */
+export function startPendingPaymentPoller() {
+  const run = () => {
+    pollPendingPayments()
+      .then(({ settled, expired }) => {
+        if (settled + expired > 0) console.log(`Settled ${settled} and expired ${expired} pending payment(s)`)
+      })
+      .catch((error) => console.error("Pending payment poll failed:", error))
+  }
+
+  run()
+  setInterval(run, PAYMENT_POLL_INTERVAL_MS).unref()
+}
@@ -0,0 +1,238 @@
+import crypto from "crypto"
+import axios from "axios"
+import { signWebhook, verifyWebhookSignature } from "../../utils/webhookSignature.js"
+
+/**
+ * MTN Mobile Money through the Collection API: a request to pay is sent to
+ * the customer's phone and completes once they approve it there, so payments
+ * stay pending, and their order awaiting payment, until the callback or a
+ * status check. Pending payments are polled with `checkStatus` and given up
+ * after MOMO_PAYMENT_EXPIRY_MINUTES (default 15, past MTN's own expiry).
+ * Refunds go through the Disbursement API.
+ *
+ * Configured with MOMO_API_URL (default the MTN sandbox), MOMO_SUBSCRIPTION_KEY,
+ * MOMO_API_USER, MOMO_API_KEY, MOMO_TARGET_ENVIRONMENT (default "sandbox") and
+ * MOMO_CALLBACK_URL. MoMo does not sign its callbacks, so the callback URL
+ * of each request to pay carries its reference signed with
+ * MOMO_CALLBACK_SECRET, valid for MOMO_CALLBACK_TOLERANCE_SECONDS (default
+ * the payment expiry). The body of a callback is not covered by that
+ * signature, so a callback only makes the status be asked from MoMo.
+ * Amounts are in PAYMENT_CURRENCY, default EUR as the
+ * MTN sandbox takes nothing else. Refunds use MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+ * MOMO_DISBURSEMENT_API_USER and MOMO_DISBURSEMENT_API_KEY, falling back to
+ * the collection credentials.
+ *
+ * Phone numbers come normalised to MSISDNs by the payment service, national
+ * numbers in MOMO_COUNTRY_CODE. For offline testing, point MOMO_API_URL at
+ * the stub server (`npm run momo:stub`, see scripts/momoStub.js).
+ */
+
+const apiUrl = () => process.env.MOMO_API_URL || "https://sandbox.momodeveloper.mtn.com"
+
+const currency = () => (process.env.PAYMENT_CURRENCY || "EUR").toUpperCase()
+
+const credentials = (product) =>
+  product === "disbursement"
+    ? {
+        subscriptionKey: process.env.MOMO_DISBURSEMENT_SUBSCRIPTION_KEY || process.env.MOMO_SUBSCRIPTION_KEY,
+        apiUser: process.env.MOMO_DISBURSEMENT_API_USER || process.env.MOMO_API_USER,
+        apiKey: process.env.MOMO_DISBURSEMENT_API_KEY || process.env.MOMO_API_KEY,
+      }
+    : {
+        subscriptionKey: process.env.MOMO_SUBSCRIPTION_KEY,
+        apiUser: process.env.MOMO_API_USER,
+        apiKey: process.env.MOMO_API_KEY,
+      }
+
+const accessTokens = {}
+
+const getAccessToken = async (product) => {
+  const cached = accessTokens[product]
+  if (cached && cached.expiresAt > Date.now()) return cached.value
+
+  const { subscriptionKey, apiUser, apiKey } = credentials(product)
+  if (!subscriptionKey || !apiUser || !apiKey) {
+    throw new Error("MOMO_SUBSCRIPTION_KEY, MOMO_API_USER and MOMO_API_KEY are required for the momo payment provider")
+  }
+
+  const { data } = await axios.post(`${apiUrl()}/${product}/token/`, null, {
+    auth: { username: apiUser, password: apiKey },
+    headers: { "Ocp-Apim-Subscription-Key": subscriptionKey },
+    timeout: Number(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000,
+  })
+
+  // Renew a minute early
+  accessTokens[product] = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 }
+  return data.access_token
+}
+
+const momoRequest = async (product, method, path, { body, headers = {} } = {}) => {
+  const { data } = await axios({
+    method,
+    url: `${apiUrl()}/${product}${path}`,
+    data: body,
+    headers: {
+      Authorization: `Bearer ${await getAccessToken(product)}`,
+      "Ocp-Apim-Subscription-Key": credentials(product).subscriptionKey,
+      "X-Target-Environment": process.env.MOMO_TARGET_ENVIRONMENT || "sandbox",
+      ...headers,
+    },
+    timeout: Number(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000,
+  })
+  return data
+}
+
+// MoMo refuses bad requests with a 4xx and a `message`
+const refused = (error, transactionId) => {
+  const momoError = error.response?.data
+  if (!error.response || error.response.status >= 500) throw error
+
+  return { transactionId, status: "failed", message: momoError?.message || "The payment was refused by Mobile Money" }
+}
+
+const STATUSES = {
+  SUCCESSFUL: "completed",
+  PENDING: "pending",
+  FAILED: "failed",
+  REJECTED: "failed",
+  TIMEOUT: "failed",
+}
+
+// Why a request to pay failed, in words for the customer
+const REASONS = {
+  APPROVAL_REJECTED: "The payment was rejected on the phone",
+  EXPIRED: "The payment request expired before it was approved",
+  NOT_ENOUGH_FUNDS: "There is not enough money on the Mobile Money account",
+  PAYER_NOT_FOUND: "No Mobile Money account uses this phone number",
+  PAYER_LIMIT_REACHED: "The Mobile Money account has reached its limit",
+  PAYEE_NOT_ALLOWED_TO_RECEIVE: "The payment could not be received",
+}
+
+const fromRequestToPay = (transactionId, requestToPay, kind = "payment") => {
+  const reason = requestToPay.reason?.code || requestToPay.reason
+  return {
+    transactionId,
+    status: STATUSES[requestToPay.status] || "pending",
+    message:
+      REASONS[reason] ||
+      requestToPay.reason?.message ||
+      reason ||
+      `Mobile Money ${kind} ${String(requestToPay.status).toLowerCase()}`,
+  }
+}
+
+const momoProvider = {
+  name: "momo",
+
+  get paymentExpiryMinutes() {
+    return Number(process.env.MOMO_PAYMENT_EXPIRY_MINUTES) || 15
+  },
+
+  // Anyone holding a callback URL can post any body to it
+  checkStatusOnWebhook: true,
+
+  // The reference of a request to pay is ours, nothing is sent until confirm
+  async createIntent() {
+    return { transactionId: crypto.randomUUID(), status: "created", message: "Payment created" }
+  },
+
+  async confirm(transactionId, paymentDetails, order) {
+    try {
+      const callbackUrl = process.env.MOMO_CALLBACK_URL && new URL(process.env.MOMO_CALLBACK_URL)
+      if (callbackUrl && !process.env.MOMO_CALLBACK_SECRET) {
+        throw new Error("MOMO_CALLBACK_SECRET is required to receive Mobile Money callbacks")
+      }
+      callbackUrl?.searchParams.set("reference", transactionId)
+      callbackUrl?.searchParams.set("signature", signWebhook(transactionId, process.env.MOMO_CALLBACK_SECRET))
+
+      await momoRequest("collection", "post", "/v1_0/requesttopay", {
+        headers: { "X-Reference-Id": transactionId, ...(callbackUrl && { "X-Callback-Url": callbackUrl.toString() }) },
+        body: {
+          amount: String(order.totalAmount),
+          currency: currency(),
+          externalId: order.orderNumber,
+          payer: { partyIdType: "MSISDN", partyId: String(paymentDetails.phoneNumber).replace(/\D/g, "") },
+          payerMessage: `Order ${order.orderNumber}`,
+          payeeNote: `Order ${order.orderNumber}`,
+        },
+      })
+      return { transactionId, status: "pending", message: "Waiting for the customer to approve the payment on their phone" }
+    } catch (error) {
+      return refused(error, transactionId)
+    }
+  },
+
+  // Requests to pay are collected as soon as they are approved, capturing
+  // only checks where they are
+  async capture(transactionId) {
+    try {
+      return await this.checkStatus(transactionId)
+    } catch (error) {
+      return refused(error, transactionId)
+    }
+  },
+
+  // Errors are thrown, not failures: a request to pay can be unknown for a
+  // moment after it was sent
+  async checkStatus(transactionId) {
+    return fromRequestToPay(transactionId, await momoRequest("collection", "get", `/v1_0/requesttopay/${transactionId}`))
+  },
+
+  async void(transactionId) {
+    return { transactionId, status: "failed", message: "Mobile Money payments cannot be voided, refund them instead" }
+  },
+
+  // Refunds are transfers back to the payer and report their status the
+  // same way. They have no callback, so they are polled.
+  async checkRefundStatus(transactionId) {
+    const refund = await momoRequest("disbursement", "get", `/v1_0/refund/${transactionId}`)
+    return fromRequestToPay(transactionId, refund, "refund")
+  },
+
+  async refund(payment, amount) {
+    const referenceId = crypto.randomUUID()
+    try {
+      await momoRequest("disbursement", "post", "/v1_0/refund", {
+        headers: { "X-Reference-Id": referenceId },
+        body: {
+          amount: String(amount),
+          currency: currency(),
+          externalId: String(payment.order || payment.providerTransactionId),
+          payerMessage: "Refund",
+          payeeNote: "Refund",
+          referenceIdToRefund: payment.providerTransactionId,
+        },
+      })
+      return { transactionId: referenceId, status: "pending", message: "Refund requested" }
+    } catch (error) {
+      return refused(error, referenceId)
+    }
+  },
+
+  async verifyWebhook(req) {
+    return verifyWebhookSignature(
+      req.query?.signature,
+      req.query?.reference,
+      process.env.MOMO_CALLBACK_SECRET,
+      // Callbacks come once the customer answered, before the request expires
+      Number(process.env.MOMO_CALLBACK_TOLERANCE_SECONDS) || this.paymentExpiryMinutes * 60,
+    )
+  },
+
+  // MoMo callbacks carry the request to pay, the reference is in the signed
+  // callback URL. They have no ID or date of their own. The status they
+  // carry is not signed, so none is returned: it is asked with checkStatus.
+  async parseWebhook(req) {
+    const transactionId = req.query?.reference
+    const reported = String(req.body?.status || "")
+    if (!transactionId || !STATUSES[reported]) return null
+
+    return {
+      eventId: `${transactionId}:${reported}`,
+      type: `requesttopay.${reported.toLowerCase()}`,
+      transactionId,
+    }
+  },
+}
+
+export default momoProvider
@@ -0,0 +1,246 @@
+import axios from "axios"
+import { buildClientUrl } from "../mail.service.js"
+import { WEBHOOK_TOLERANCE_SECONDS } from "../../utils/webhookSignature.js"
+
+/**
+ * PayPal Orders v2 with intent AUTHORIZE: the buyer approves the order on
+ * PayPal, then it is authorised and captured. The transaction ID moves along
+ * from the PayPal order to its authorisation, then to its capture.
+ *
+ * Configured with PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID
+ * (the webhook events are signed for) and PAYPAL_API_URL (default the PayPal
+ * sandbox, https://api-m.paypal.com for live payments).
+ */
+
+const apiUrl = () => process.env.PAYPAL_API_URL || "https://api-m.sandbox.paypal.com"
+
+const money = (amount) => ({ currency_code: (process.env.PAYMENT_CURRENCY || "USD").toUpperCase(), value: amount.toFixed(2) })
+
+const timeout = () => Number(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000
+
+let accessToken = null
+
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) return accessToken.value
+
+  if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+    throw new Error("PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET are required for the paypal payment provider")
+  }
+
+  const { data } = await axios.post(`${apiUrl()}/v1/oauth2/token`, "grant_type=client_credentials", {
+    auth: { username: process.env.PAYPAL_CLIENT_ID, password: process.env.PAYPAL_CLIENT_SECRET },
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: timeout(),
+  })
+
+  // Renew a minute early
+  accessToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 }
+  return accessToken.value
+}
+
+const paypalRequest = async (method, path, body) => {
+  const { data } = await axios({
+    method,
+    url: `${apiUrl()}${path}`,
+    data: body,
+    headers: { Authorization: `Bearer ${await getAccessToken()}`, "Content-Type": "application/json" },
+    timeout: timeout(),
+  })
+  return data
+}
+
+// PayPal refuses with 4xx and a `message`, `details` explain why
+const refused = (error, transactionId) => {
+  const paypalError = error.response?.data
+  if (!paypalError || error.response.status >= 500) throw error
+
+  return {
+    transactionId,
+    status: "failed",
+    message: paypalError.details?.[0]?.description || paypalError.message || "The payment was refused by PayPal",
+  }
+}
+
+const approveLink = (paypalOrder) =>
+  paypalOrder.links?.find((link) => link.rel === "approve" || link.rel === "payer-action")?.href
+
+const PAYMENT_STATUSES = {
+  CREATED: "authorized",
+  CAPTURED: "completed",
+  COMPLETED: "completed",
+  PENDING: "pending",
+  DENIED: "failed",
+  DECLINED: "failed",
+  FAILED: "failed",
+  VOIDED: "voided",
+  EXPIRED: "failed",
+}
+
+const WEBHOOK_STATUSES = {
+  "PAYMENT.CAPTURE.COMPLETED": "completed",
+  "PAYMENT.CAPTURE.DENIED": "failed",
+  "PAYMENT.CAPTURE.DECLINED": "failed",
+  "PAYMENT.AUTHORIZATION.VOIDED": "voided",
+}
+
+const REFUND_STATUSES = {
+  COMPLETED: "completed",
+  PENDING: "pending",
+  FAILED: "failed",
+  CANCELLED: "failed",
+}
+
+const fromRefund = (refund) => ({
+  transactionId: refund.id,
+  status: REFUND_STATUSES[refund.status] || "pending",
+  message: refund.status_details?.reason || `PayPal refund ${String(refund.status).toLowerCase()}`,
+})
+
+const paypalProvider = {
+  name: "paypal",
+
+  async createIntent(order) {
+    try {
+      const paypalOrder = await paypalRequest("post", "/v2/checkout/orders", {
+        intent: "AUTHORIZE",
+        purchase_units: [
+          {
+            reference_id: order.orderNumber,
+            custom_id: String(order._id),
+            amount: money(order.totalAmount),
+          },
+        ],
+        application_context: {
+          return_url: buildClientUrl("/checkout/payment-return", { orderId: String(order._id) }),
+          cancel_url: buildClientUrl("/checkout/payment-cancelled", { orderId: String(order._id) }),
+        },
+      })
+      return { transactionId: paypalOrder.id, status: "created", message: "PayPal order created" }
+    } catch (error) {
+      return refused(error)
+    }
+  },
+
+  async confirm(transactionId) {
+    try {
+      const paypalOrder = await paypalRequest("get", `/v2/checkout/orders/${transactionId}`)
+      if (paypalOrder.status !== "APPROVED") {
+        return {
+          transactionId,
+          status: "requiresAction",
+          message: "The buyer has to approve the payment on PayPal",
+          nextAction: { type: "redirect", url: approveLink(paypalOrder) },
+        }
+      }
+
+      const authorized = await paypalRequest("post", `/v2/checkout/orders/${transactionId}/authorize`, {})
+      const authorization = authorized.purchase_units?.[0]?.payments?.authorizations?.[0]
+      if (!authorization) {
+        return { transactionId, status: "failed", message: "PayPal did not authorize the payment" }
+      }
+
+      return {
+        transactionId: authorization.id,
+        status: PAYMENT_STATUSES[authorization.status] || "pending",
+        message: `PayPal authorization ${authorization.status.toLowerCase()}`,
+      }
+    } catch (error) {
+      return refused(error, transactionId)
+    }
+  },
+
+  async capture(transactionId, amount) {
+    try {
+      const capture = await paypalRequest("post", `/v2/payments/authorizations/${transactionId}/capture`, {
+        amount: money(amount),
+        final_capture: true,
+      })
+      return {
+        transactionId: capture.id,
+        status: PAYMENT_STATUSES[capture.status] || "pending",
+        message: `PayPal capture ${capture.status.toLowerCase()}`,
+      }
+    } catch (error) {
+      return refused(error, transactionId)
+    }
+  },
+
+  async void(transactionId) {
+    try {
+      await paypalRequest("post", `/v2/payments/authorizations/${transactionId}/void`)
+      return { transactionId, status: "voided", message: "PayPal authorization voided" }
+    } catch (error) {
+      return refused(error, transactionId)
+    }
+  },
+
+  async refund(payment, amount) {
+    try {
+      const refund = await paypalRequest("post", `/v2/payments/captures/${payment.providerTransactionId}/refund`, {
+        amount: money(amount),
+      })
+      return fromRefund(refund)
+    } catch (error) {
+      return refused(error)
+    }
+  },
+
+  async checkRefundStatus(transactionId) {
+    return fromRefund(await paypalRequest("get", `/v2/payments/refunds/${transactionId}`))
+  },
+
+  // PayPal signs webhooks with its certificates rather than a shared
+  // secret, it checks the signature itself
+  async verifyWebhook(req) {
+    if (!process.env.PAYPAL_WEBHOOK_ID) {
+      return { valid: false, message: "No webhook ID is configured for PayPal" }
+    }
+
+    const transmissionTime = req.get("PAYPAL-TRANSMISSION-TIME")
+    if (!transmissionTime || Math.abs(Date.now() - Date.parse(transmissionTime)) > WEBHOOK_TOLERANCE_SECONDS * 1000) {
+      return { valid: false, message: "Webhook transmission time is missing or outside the tolerance" }
+    }
+
+    const verification = await paypalRequest("post", "/v1/notifications/verify-webhook-signature", {
+      auth_algo: req.get("PAYPAL-AUTH-ALGO"),
+      cert_url: req.get("PAYPAL-CERT-URL"),
+      transmission_id: req.get("PAYPAL-TRANSMISSION-ID"),
+      transmission_sig: req.get("PAYPAL-TRANSMISSION-SIG"),
+      transmission_time: transmissionTime,
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      webhook_event: req.body,
+    })
+
+    return verification.verification_status === "SUCCESS"
+      ? { valid: true }
+      : { valid: false, message: "Invalid webhook signature" }
+  },
+
+  async parseWebhook(req) {
+    const { id, event_type: type, create_time: createTime, resource } = req.body || {}
+    if (!id) return null
+
+    const occurredAt = createTime && new Date(createTime)
+    // Sent when a refund of a capture went through, with the refund
+    if (type === "PAYMENT.CAPTURE.REFUNDED" && resource?.id) {
+      return {
+        eventId: id,
+        type,
+        occurredAt,
+        transactionType: "refund",
+        transactionId: resource.id,
+        status: fromRefund(resource).status,
+      }
+    }
+
+    const status = WEBHOOK_STATUSES[type]
+    return {
+      eventId: id,
+      type,
+      occurredAt,
+      ...(status && { transactionId: resource?.id, status }),
+    }
+  },
+}
+
+export default paypalProvider
@@ -0,0 +1,237 @@
+import crypto from "crypto"
+import axios from "axios"
+import roundMoney from "../../utils/roundMoney.js"
+import { signWebhook, verifyWebhookSignature } from "../../utils/webhookSignature.js"
+
+/**
+ * Local payment provider that never leaves the process. What it does is
+ * decided by the payment details, so every payment path can be played
+ * without a network:
+ *   - "declined":  the payment is refused
+ *   - "challenge": a 3-D Secure challenge is asked first; confirm again with
+ *                  `paymentDetails.challengeResult` "passed" or "failed"
+ *   - "timeout":   the provider does not answer in time, the payment
+ *                  completes later through a webhook
+ *   - "delayed":   the capture is accepted but settles later through a webhook
+ *   - "success":   everything else
+ *
+ * A scenario is picked by a payment token or PayPal email containing its
+ * name, e.g. "tok_challenge" or "declined@example.com", or by a phone number
+ * ending in its digits (SANDBOX_TEST_DIGITS).
+ *
+ * Late settlements are POSTed as webhooks to SANDBOX_WEBHOOK_URL (default
+ * this API's /api/payments/webhook/sandbox) after SANDBOX_SETTLEMENT_DELAY_MS
+ * (default 2000). With 0 or less they wait for `settle()`, which tests call.
+ * Webhooks are signed in the X-Sandbox-Signature header with
+ * SANDBOX_WEBHOOK_SECRET; without it none are sent or accepted.
+ *
+ * Payments only go through the sandbox when it is chosen with
+ * PAYMENT_PROVIDER=sandbox or PAYMENT_PROVIDER_<METHOD>=sandbox.
+ */
+export const SANDBOX_SCENARIOS = ["success", "declined", "challenge", "timeout", "delayed"]
+
+export const SANDBOX_TEST_DIGITS = {
+  "0002": "declined",
+  "3220": "challenge",
+  "0119": "timeout",
+  "0077": "delayed",
+}
+
+const scenarioOf = (paymentDetails = {}) => {
+  const named = [paymentDetails.paymentToken, paymentDetails.paypalEmail]
+    .filter((value) => typeof value === "string")
+    .map((value) => SANDBOX_SCENARIOS.find((scenario) => value.toLowerCase().includes(scenario)))
+    .find(Boolean)
+  if (named) return named
+
+  const digits = String(paymentDetails.phoneNumber || "").replace(/\D/g, "")
+  return SANDBOX_TEST_DIGITS[digits.slice(-4)] || "success"
+}
+
+const newId = (prefix) => `sbx_${prefix}_${crypto.randomBytes(8).toString("hex")}`
+
+const settlementDelay = () => Number(process.env.SANDBOX_SETTLEMENT_DELAY_MS ?? 2000)
+
+const webhookUrl = () =>
+  process.env.SANDBOX_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook/sandbox`
+
+const webhookSecret = () => process.env.SANDBOX_WEBHOOK_SECRET
+
+const timeoutError = () => Object.assign(new Error("The sandbox provider did not answer in time"), { code: "ETIMEDOUT" })
+
+const sandboxProvider = {
+  name: "sandbox",
+
+  // Payments of this process by ID, and the webhooks it sent
+  intents: new Map(),
+  events: [],
+
+  async createIntent(order) {
+    const intent = {
+      id: newId("pi"),
+      order: String(order._id),
+      amount: roundMoney(order.totalAmount),
+      status: "created",
+    }
+    this.intents.set(intent.id, intent)
+
+    return { transactionId: intent.id, status: "created", message: "Payment created" }
+  },
+
+  async confirm(transactionId, paymentDetails = {}) {
+    const intent = this.intents.get(transactionId)
+    if (!intent) {
+      return { transactionId, status: "failed", message: "No such sandbox payment" }
+    }
+
+    if (!["created", "requiresAction"].includes(intent.status)) {
+      return { transactionId, status: intent.status, message: `The payment is already ${intent.status}` }
+    }
+
+    intent.scenario = intent.scenario || scenarioOf(paymentDetails)
+
+    if (intent.scenario === "declined") {
+      intent.status = "failed"
+      return { transactionId, status: "failed", message: "The payment was declined" }
+    }
+
+    if (intent.scenario === "challenge" && paymentDetails.challengeResult !== "passed") {
+      if (paymentDetails.challengeResult === "failed") {
+        intent.status = "failed"
+        return { transactionId, status: "failed", message: "3-D Secure authentication failed" }
+      }
+
+      intent.status = "requiresAction"
+      return {
+        transactionId,
+        status: "requiresAction",
+        message: "3-D Secure authentication required",
+        nextAction: { type: "threeDSecure", challengeId: transactionId },
+      }
+    }
+
+    if (intent.scenario === "timeout") {
+      // The payment goes through but the answer is lost
+      intent.status = "pending"
+      this.scheduleSettlement(transactionId, "completed")
+      throw timeoutError()
+    }
+
+    intent.status = "authorized"
+    return { transactionId, status: "authorized", message: "Payment authorized" }
+  },
+
+  async capture(transactionId, amount) {
+    const intent = this.intents.get(transactionId)
+    if (!intent || intent.status !== "authorized") {
+      return { transactionId, status: "failed", message: "Only authorized payments can be captured" }
+    }
+
+    if (amount > intent.amount) {
+      return { transactionId, status: "failed", message: "Cannot capture more than was authorized" }
+    }
+
+    if (intent.scenario === "delayed") {
+      intent.status = "pending"
+      this.scheduleSettlement(transactionId, "completed")
+      return { transactionId, status: "pending", message: "Payment captured, waiting for settlement" }
+    }
+
+    intent.status = "completed"
+    return { transactionId, status: "completed", message: "Payment processed successfully" }
+  },
+
+  async void(transactionId) {
+    const intent = this.intents.get(transactionId)
+    if (!intent || !["created", "requiresAction", "authorized"].includes(intent.status)) {
+      return { transactionId, status: "failed", message: "Only payments not captured yet can be voided" }
+    }
+
+    intent.status = "voided"
+    return { transactionId, status: "voided", message: "Payment voided" }
+  },
+
+  async refund(payment, amount) {
+    if (!payment.providerTransactionId) {
+      throw new Error("The payment has no provider transaction to refund")
+    }
+
+    if (!(amount > 0) || amount > payment.amount) {
+      return { status: "failed", message: "Invalid refund amount" }
+    }
+
+    return { transactionId: newId("re"), status: "completed", message: "Refund processed successfully" }
+  },
+
+  async checkStatus(transactionId) {
+    const intent = this.intents.get(transactionId)
+    if (!intent) {
+      throw new Error("No such sandbox payment, it may have been made before a restart")
+    }
+
+    return { transactionId, status: intent.status, message: `Payment ${intent.status}` }
+  },
+
+  async verifyWebhook(req) {
+    return verifyWebhookSignature(req.get("X-Sandbox-Signature"), req.rawBody, webhookSecret())
+  },
+
+  async parseWebhook(req) {
+    const { id, type, created, data } = req.body || {}
+    if (!id) return null
+
+    return {
+      eventId: id,
+      type,
+      occurredAt: created && new Date(created * 1000),
+      ...(type === "payment.updated" && { transactionId: data?.transactionId, status: data?.status }),
+    }
+  },
+
+  /**
+   * Settles a payment left pending and sends its webhook.
+   *
+   * @param {string} transactionId - The sandbox payment ID.
+   * @param {string} [status] - "completed" or "failed".
+   * @returns {Promise<object|null>} - The webhook event, or null if the payment is not pending.
+   */
+  async settle(transactionId, status = "completed") {
+    const intent = this.intents.get(transactionId)
+    if (!intent || intent.status !== "pending") return null
+
+    intent.status = status
+    const event = {
+      id: newId("evt"),
+      type: "payment.updated",
+      created: Math.floor(Date.now() / 1000),
+      data: { transactionId, status },
+    }
+    this.events.push(event)
+
+    if (!webhookSecret()) {
+      console.error(`Sandbox webhook ${event.id} not sent, SANDBOX_WEBHOOK_SECRET is not set`)
+      return event
+    }
+
+    try {
+      const body = JSON.stringify(event)
+      await axios.post(webhookUrl(), body, {
+        headers: { "Content-Type": "application/json", "X-Sandbox-Signature": signWebhook(body, webhookSecret()) },
+        timeout: 10000,
+      })
+    } catch (error) {
+      console.error(`Failed to deliver sandbox webhook ${event.id}:`, error.message)
+    }
+
+    return event
+  },
+
+  scheduleSettlement(transactionId, status) {
+    const delay = settlementDelay()
+    if (delay <= 0) return
+
+    setTimeout(() => this.settle(transactionId, status), delay).unref()
+  },
+}
+
+export default sandboxProvider
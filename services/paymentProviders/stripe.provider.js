@@ -0,0 +1,197 @@
+import axios from "axios"
+import { buildClientUrl } from "../mail.service.js"
+import { verifyWebhookSignature } from "../../utils/webhookSignature.js"
+
+/**
+ * Card payments through Stripe PaymentIntents, authorised first and captured
+ * once the order is still payable. Cards are collected by Stripe.js or the
+ * mobile SDKs, the payment token is the PaymentMethod ID they create.
+ *
+ * Configured with STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET (the signing secret
+ * of the webhook endpoint), and STRIPE_API_URL for a mock server.
+ */
+
+// Currencies Stripe counts in whole units
+const ZERO_DECIMAL_CURRENCIES = ["BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA", "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF"]
+
+const currency = () => (process.env.PAYMENT_CURRENCY || "USD").toUpperCase()
+
+const toMinorUnits = (amount) => Math.round(amount * (ZERO_DECIMAL_CURRENCIES.includes(currency()) ? 1 : 100))
+
+// Stripe takes form-encoded bodies, nested keys as `a[b]`
+const encode = (params, prefix) =>
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([key, value]) => {
+      const name = prefix ? `${prefix}[${key}]` : key
+      return value && typeof value === "object" ? encode(value, name) : [[name, String(value)]]
+    })
+
+const stripeRequest = async (path, params = {}, method = "post") => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error("STRIPE_SECRET_KEY is required for the stripe payment provider")
+  }
+
+  const { data } = await axios({
+    method,
+    url: `${process.env.STRIPE_API_URL || "https://api.stripe.com/v1"}${path}`,
+    data: method === "post" ? new URLSearchParams(encode(params)).toString() : undefined,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    timeout: Number(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000,
+  })
+  return data
+}
+
+// Card errors (declines, expired cards...) come back as 402s
+const declined = (error, transactionId) => {
+  const stripeError = error.response?.data?.error
+  if (!stripeError || error.response.status >= 500) throw error
+
+  return { transactionId, status: "failed", message: stripeError.message || "The card was declined" }
+}
+
+const INTENT_STATUSES = {
+  requires_payment_method: "failed",
+  requires_confirmation: "created",
+  requires_action: "requiresAction",
+  processing: "pending",
+  requires_capture: "authorized",
+  succeeded: "completed",
+  canceled: "voided",
+}
+
+const fromIntent = (intent) => {
+  const status = INTENT_STATUSES[intent.status] || "pending"
+  const result = {
+    transactionId: intent.id,
+    status,
+    message: intent.last_payment_error?.message || `Payment ${intent.status.replace(/_/g, " ")}`,
+  }
+
+  if (status === "requiresAction") {
+    result.nextAction = intent.next_action?.redirect_to_url
+      ? { type: "redirect", url: intent.next_action.redirect_to_url.url }
+      : { type: "stripeSdk", clientSecret: intent.client_secret }
+  }
+
+  return result
+}
+
+const WEBHOOK_STATUSES = {
+  "payment_intent.succeeded": "completed",
+  "payment_intent.payment_failed": "failed",
+  "payment_intent.amount_capturable_updated": "authorized",
+  "payment_intent.canceled": "voided",
+}
+
+const REFUND_STATUSES = {
+  succeeded: "completed",
+  failed: "failed",
+  canceled: "failed",
+}
+
+// Events about a refund, which carry the refund itself
+const REFUND_WEBHOOK_TYPES = ["refund.updated", "refund.failed", "charge.refund.updated"]
+
+const fromRefund = (refund) => ({
+  transactionId: refund.id,
+  status: REFUND_STATUSES[refund.status] || "pending",
+  message: refund.failure_reason || `Refund ${refund.status}`,
+})
+
+const stripeProvider = {
+  name: "stripe",
+
+  async createIntent(order, paymentDetails) {
+    try {
+      const intent = await stripeRequest("/payment_intents", {
+        amount: toMinorUnits(order.totalAmount),
+        currency: currency().toLowerCase(),
+        capture_method: "manual",
+        payment_method: paymentDetails.paymentToken,
+        description: `Order ${order.orderNumber}`,
+        metadata: { orderId: String(order._id), orderNumber: order.orderNumber },
+      })
+      return fromIntent(intent)
+    } catch (error) {
+      return declined(error)
+    }
+  },
+
+  async confirm(transactionId) {
+    try {
+      const intent = await stripeRequest(`/payment_intents/${transactionId}/confirm`, {
+        return_url: buildClientUrl("/checkout/payment-return", { transactionId }),
+      })
+      return fromIntent(intent)
+    } catch (error) {
+      return declined(error, transactionId)
+    }
+  },
+
+  async capture(transactionId, amount) {
+    try {
+      return fromIntent(await stripeRequest(`/payment_intents/${transactionId}/capture`, { amount_to_capture: toMinorUnits(amount) }))
+    } catch (error) {
+      return declined(error, transactionId)
+    }
+  },
+
+  async void(transactionId) {
+    try {
+      return fromIntent(await stripeRequest(`/payment_intents/${transactionId}/cancel`))
+    } catch (error) {
+      return declined(error, transactionId)
+    }
+  },
+
+  async refund(payment, amount) {
+    try {
+      const refund = await stripeRequest("/refunds", {
+        payment_intent: payment.providerTransactionId,
+        amount: toMinorUnits(amount),
+      })
+      return fromRefund(refund)
+    } catch (error) {
+      return declined(error)
+    }
+  },
+
+  async checkRefundStatus(transactionId) {
+    return fromRefund(await stripeRequest(`/refunds/${transactionId}`, {}, "get"))
+  },
+
+  async verifyWebhook(req) {
+    return verifyWebhookSignature(req.get("Stripe-Signature"), req.rawBody, process.env.STRIPE_WEBHOOK_SECRET)
+  },
+
+  async parseWebhook(req) {
+    const { id, type, created, data } = req.body || {}
+    if (!id) return null
+
+    const occurredAt = created && new Date(created * 1000)
+    if (REFUND_WEBHOOK_TYPES.includes(type) && data?.object?.id) {
+      return {
+        eventId: id,
+        type,
+        occurredAt,
+        transactionType: "refund",
+        transactionId: data.object.id,
+        status: fromRefund(data.object).status,
+      }
+    }
+
+    const status = WEBHOOK_STATUSES[type]
+    return {
+      eventId: id,
+      type,
+      occurredAt,
+      ...(status && { transactionId: data?.object?.id, status }),
+    }
+  },
+}
+
+export default stripeProvider
@@ -0,0 +1,301 @@
+import Product from "../models/product.model.js"
+import CustomDesign from "../models/customDesign.model.js"
+import roundMoney from "../utils/roundMoney.js"
+import { findVariant, describeVariant, getVariantPrice } from "./productVariant.service.js"
+import { applyPromotions } from "./promotion.service.js"
+import {
+  DEFAULT_ITEM_WEIGHT_KG,
+  getChargeableWeight,
+  getShippingOptions,
+  selectShippingOption,
+  estimateDelivery,
+} from "./shipping.service.js"
+import { calculateTax } from "./tax.service.js"
+
+// Customization kinds and where a product lists their options
+const CUSTOMIZATION_KINDS = { fabric: "fabrics", style: "styles" }
+
+/**
+ * Names a product and, if it has options, the chosen variant, e.g. "Kaftan (M / red)".
+ *
+ * @param {object} product - The product.
+ * @param {object} [variant] - The chosen variant.
+ * @returns {string} - The label.
+ */
+export function itemLabel(product, variant) {
+  const description = describeVariant(variant)
+  return description ? `${product.name} (${description})` : product.name
+}
+
+// Surcharge of the fabric and style picked for a customizable product
+const getCustomizationCost = (product, customizations = {}) => {
+  let cost = 0
+
+  for (const [kind, listName] of Object.entries(CUSTOMIZATION_KINDS)) {
+    const chosen = customizations[kind]
+    if (!chosen) continue
+
+    if (!product.isCustomizable) {
+      return { message: `${product.name} cannot be customized` }
+    }
+
+    const option = product.customizationOptions?.[listName]?.find((offered) => offered.name === chosen)
+    if (!option) {
+      return { message: `The ${kind} "${chosen}" is not offered for ${product.name}` }
+    }
+    cost += option.additionalCost || 0
+  }
+
+  return { cost }
+}
+
+/**
+ * Prices one order item from the catalogue, ignoring any price sent by the
+ * client: the variant or product price (sale price included), plus the
+ * surcharge of the chosen fabric and style, or the estimated price of a
+ * custom design.
+ *
+ * Errors carry a `reason`: "invalid" for a malformed item, "unavailable" for
+ * a product, variant or design that cannot be ordered, "outOfStock" with the
+ * `variant` and its `available` units when there are not enough. The item
+ * `name` is included when it is known. Custom designs are made for their
+ * owner, so the designs of other customers are not found.
+ *
+ * @param {object} item - Item as sent by the client.
+ * @param {string} [userId] - The customer ordering it.
+ * @returns {Promise<object>} - `{ line, stockLine, weight }` with the chargeable weight of one unit, or `{ status, message, reason }` if the item cannot be ordered.
+ */
+export async function priceItem(item, userId) {
+  const quantity = Number(item.quantity)
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { status: 400, reason: "invalid", message: "Each item needs a quantity of at least 1" }
+  }
+
+  if (item.product) {
+    const product = await Product.findById(item.product)
+    if (!product || !product.isActive) {
+      return { status: 404, reason: "unavailable", message: `Product not found: ${item.product}` }
+    }
+
+    let variant = null
+    let stockLine = null
+    if (product.variants.length > 0) {
+      // Picked by variant ID, SKU or option values; size and color are
+      // still accepted from clients built before variants
+      variant = findVariant(product, {
+        variantId: item.variant,
+        sku: item.sku,
+        options: item.options || { size: item.size, color: item.color },
+      })
+      if (!variant) {
+        return {
+          status: 400,
+          reason: "invalid",
+          message: `Choose a variant of ${product.name}: ${product.options.map((axis) => axis.name).join(", ")}`,
+        }
+      }
+
+      if (!variant.isActive) {
+        return {
+          status: 400,
+          reason: "unavailable",
+          name: itemLabel(product, variant),
+          message: `${itemLabel(product, variant)} is not available`,
+        }
+      }
+
+      if (product.trackInventory && variant.stock < quantity) {
+        return {
+          status: 400,
+          reason: "outOfStock",
+          name: itemLabel(product, variant),
+          variant: variant._id,
+          available: variant.stock,
+          message: `Not enough stock for ${itemLabel(product, variant)}`,
+        }
+      }
+
+      if (product.trackInventory) {
+        stockLine = { product: product._id, variant: variant._id, quantity, label: itemLabel(product, variant) }
+      }
+    }
+
+    const customization = getCustomizationCost(product, item.customizations)
+    if (customization.message) {
+      return { status: 400, reason: "invalid", message: customization.message }
+    }
+
+    const price = roundMoney(getVariantPrice(product, variant) + customization.cost)
+    return {
+      line: {
+        product: product._id,
+        name: itemLabel(product, variant),
+        category: product.category,
+        variant: variant?._id,
+        sku: variant?.sku,
+        variantOptions: variant ? Object.fromEntries(variant.options) : undefined,
+        quantity,
+        customizations: item.customizations,
+        customizationCost: roundMoney(customization.cost),
+        price,
+        lineTotal: roundMoney(price * quantity),
+      },
+      stockLine,
+      weight: getChargeableWeight(product),
+    }
+  }
+
+  if (item.customDesign) {
+    const customDesign = await CustomDesign.findById(item.customDesign)
+    if (!customDesign || String(customDesign.user || "") !== String(userId || "")) {
+      return { status: 404, reason: "unavailable", message: `Custom design not found: ${item.customDesign}` }
+    }
+
+    if (customDesign.status !== "approved") {
+      return {
+        status: 400,
+        reason: "unavailable",
+        name: customDesign.name,
+        message: `Custom design ${customDesign.name} is not approved for ordering`,
+      }
+    }
+
+    const price = roundMoney(customDesign.estimatedPrice || 0)
+    return {
+      line: {
+        customDesign: customDesign._id,
+        name: customDesign.name,
+        category: customDesign.category,
+        quantity,
+        customizationCost: 0,
+        price,
+        lineTotal: roundMoney(price * quantity),
+      },
+      stockLine: null,
+      weight: DEFAULT_ITEM_WEIGHT_KG,
+    }
+  }
+
+  return { status: 400, reason: "invalid", message: "Each item must have either product or customDesign" }
+}
+
+/**
+ * Prices order items with `priceItem`, stopping at the first item that
+ * cannot be ordered.
+ *
+ * @param {object[]} items - Items as sent by the client.
+ * @param {string} [userId] - The customer ordering them.
+ * @returns {Promise<object>} - `{ lines, stockLines, subtotal, weight }`, or `{ status, message }` if an item cannot be ordered.
+ */
+export async function priceItems(items, userId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, message: "No order items" }
+  }
+
+  const lines = []
+  const stockLines = []
+  let weight = 0
+
+  for (const item of items) {
+    const priced = await priceItem(item, userId)
+    if (priced.message) {
+      return { status: priced.status, message: priced.message }
+    }
+
+    lines.push(priced.line)
+    if (priced.stockLine) stockLines.push(priced.stockLine)
+    weight += priced.weight * priced.line.quantity
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0))
+
+  return { lines, stockLines, subtotal, weight: Math.round(weight * 1000) / 1000 }
+}
+
+// Ships the order by the chosen method, priced for the given subtotal.
+// Without an address nothing is shipped yet.
+const quoteShipping = async ({ address, subtotal, weight, method }) => {
+  if (!address) return { options: [], selected: null }
+
+  const shipping = await getShippingOptions({ address, subtotal, weight })
+  if (shipping.message) return shipping
+
+  const selected = selectShippingOption(shipping.options, method)
+  if (!selected) {
+    return { status: 400, message: `Shipping method ${method} is not available for this order` }
+  }
+
+  return { options: shipping.options, selected }
+}
+
+// A shipping option as shown on quotes, with its delivery window
+const describeShipping = (option) => option && { ...option, estimatedDelivery: estimateDelivery(option) }
+
+/**
+ * Prices a whole order: its lines, promotions, shipping and tax. Used for
+ * quotes and for placing the order, so both always agree.
+ *
+ * Shipping is only priced with a shipping address; without one the quote
+ * leaves it out. Tax follows the rule of the destination, see tax.service.js.
+ *
+ * @param {object} input - `{ items, couponCodes, userId, shippingAddress, shippingMethod }`, the items as sent by the client and the shipping method ID or code.
+ * @returns {Promise<object>} - `{ quote, stockLines }`, or `{ status, message }` if an item, coupon or shipping method cannot be used.
+ */
+export async function quoteOrder({ items, couponCodes = [], userId, shippingAddress, shippingMethod }) {
+  const priced = await priceItems(items, userId)
+  if (priced.message) return priced
+
+  const destination = { address: shippingAddress, weight: priced.weight, method: shippingMethod }
+
+  const beforePromotions = await quoteShipping({ ...destination, subtotal: priced.subtotal })
+  if (beforePromotions.message) return beforePromotions
+
+  const promotions = await applyPromotions({
+    lines: priced.lines,
+    subtotal: priced.subtotal,
+    shippingCost: beforePromotions.selected?.cost || 0,
+    userId,
+    codes: couponCodes,
+  })
+  if (promotions.message) return promotions
+
+  const { discount } = promotions
+  const discountedSubtotal = roundMoney(priced.subtotal - discount)
+
+  // Price based rates and free shipping thresholds apply to the discounted subtotal
+  let shipping = beforePromotions
+  if (discount > 0 && beforePromotions.selected) {
+    shipping = await quoteShipping({
+      ...destination,
+      subtotal: discountedSubtotal,
+      method: beforePromotions.selected.method || beforePromotions.selected.code,
+    })
+    if (shipping.message) return shipping
+  }
+
+  const shippingRate = shipping.selected?.cost || 0
+  const shippingCost = promotions.freeShipping ? 0 : shippingRate
+
+  const taxes = await calculateTax({ lines: priced.lines, discount, shippingCost, address: shippingAddress })
+
+  return {
+    quote: {
+      items: priced.lines.map((line, index) => ({ ...line, ...taxes.lines[index] })),
+      subtotal: priced.subtotal,
+      discount,
+      // Free shipping saves whatever the shipping would have cost
+      promotions: promotions.promotions.map((entry) => (entry.amount === null ? { ...entry, amount: shippingRate } : entry)),
+      skippedPromotions: promotions.skipped,
+      shippingMethod: describeShipping(shipping.selected),
+      shippingOptions: shipping.options.map(describeShipping),
+      shippingCost,
+      tax: taxes.tax,
+      shippingTax: taxes.shippingTax,
+      // Tax already in the prices is shown but not added again
+      taxIncluded: taxes.taxIncluded,
+      taxRule: taxes.taxRule,
+      totalAmount: roundMoney(discountedSubtotal + shippingCost + (taxes.taxIncluded ? 0 : taxes.tax)),
+    },
+    stockLines: priced.stockLines,
+  }
+}
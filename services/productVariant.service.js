@@ -0,0 +1,629 @@
+import mongoose from "mongoose"
+import Product from "../models/product.model.js"
+
+// A product can vary along at most this many axes, e.g. size, color and material
+export const MAX_OPTION_AXES = 3
+export const MAX_VARIANTS = 100
+
+const VARIANT_NUMBERS = ["price", "salePrice", "stock"]
+
+// Everything about a variant a seller can change except its stock, which
+// orders change at the same time
+const VARIANT_DETAILS = ["sku", "barcode", "options", "price", "salePrice", "images", "isActive"]
+
+const isBlank = (value) => value === undefined || value === null || value === ""
+
+// Variant options are a Map on documents and a plain object in requests
+const toPlainOptions = (options) => {
+  if (!options) return {}
+  if (options instanceof Map) return Object.fromEntries(options)
+  return typeof options === "object" ? options : {}
+}
+
+// Identifies a combination of option values, case-insensitively. Null when an
+// axis has no value.
+const optionKey = (options, axes) => {
+  const plain = {}
+  Object.entries(toPlainOptions(options)).forEach(([name, value]) => {
+    plain[name.trim().toLowerCase()] = value
+  })
+
+  if (axes.some((axis) => isBlank(plain[axis]))) return null
+  return axes.map((axis) => `${axis}=${String(plain[axis]).trim().toLowerCase()}`).join("|")
+}
+
+// Lists come as arrays in JSON bodies and as JSON or comma separated strings
+// in multipart forms
+const parseList = (value) => {
+  if (isBlank(value)) return { list: [] }
+  if (Array.isArray(value)) return { list: value }
+  if (typeof value !== "string") return { list: [value] }
+
+  const trimmed = value.trim()
+  if (trimmed.startsWith("[")) {
+    try {
+      return { list: JSON.parse(trimmed) }
+    } catch {
+      return { error: "is not valid JSON" }
+    }
+  }
+  return {
+    list: trimmed
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  }
+}
+
+const skuPart = (value) =>
+  String(value)
+    .replace(/[^a-z0-9]/gi, "")
+    .slice(0, 6)
+    .toUpperCase() || "X"
+
+/**
+ * Builds a SKU from the product ID and the option values, e.g. "9F1C2A3B-M-RED".
+ *
+ * @param {string} productId - The product ID.
+ * @param {object} options - Option values of the variant.
+ * @param {Set<string>} taken - SKUs already used by the product, extended with the new one.
+ * @returns {string} - A SKU not in `taken`.
+ */
+export function generateSku(productId, options, taken = new Set()) {
+  const values = Object.values(toPlainOptions(options))
+  const base = [String(productId).slice(-8).toUpperCase(), ...(values.length ? values.map(skuPart) : ["STD"])].join("-")
+
+  let sku = base
+  for (let n = 2; taken.has(sku); n++) {
+    sku = `${base}-${n}`
+  }
+  taken.add(sku)
+
+  return sku
+}
+
+/**
+ * Describes a variant by its option values, e.g. "M / red".
+ *
+ * @param {object} variant - The variant.
+ * @returns {string} - The description, empty for a product without options.
+ */
+export function describeVariant(variant) {
+  return Object.values(toPlainOptions(variant?.options)).join(" / ")
+}
+
+/**
+ * Converts the old `sizes` ({ size, quantity } or plain names) and `colors`
+ * fields into option axes and variants. Stock used to be counted per size
+ * only, so with several colours it is spread over them without ever
+ * exceeding the old count.
+ *
+ * @param {Array} sizes - Legacy sizes.
+ * @param {Array} colors - Legacy colour names.
+ * @returns {object} - `{ options, variants, stockTracked, stockSplit }`.
+ */
+export function legacyToVariantInput(sizes = [], colors = []) {
+  const sizeEntries = []
+  sizes.forEach((entry) => {
+    const size = String(typeof entry === "object" && entry !== null ? (entry.size ?? "") : entry).trim()
+    if (!size || sizeEntries.some((existing) => existing.size === size)) return
+    sizeEntries.push({ size, quantity: Math.max(0, Math.floor(Number(entry?.quantity) || 0)) })
+  })
+  const colorValues = [...new Set(colors.map((color) => String(color).trim()).filter(Boolean))]
+
+  const options = []
+  if (sizeEntries.length) options.push({ name: "size", values: sizeEntries.map((entry) => entry.size) })
+  if (colorValues.length) options.push({ name: "color", values: colorValues })
+
+  const variants = []
+  if (options.length) {
+    const sizesOrNone = sizeEntries.length ? sizeEntries : [null]
+    const colorsOrNone = colorValues.length ? colorValues : [null]
+
+    sizesOrNone.forEach((entry) => {
+      const share = entry ? Math.floor(entry.quantity / colorsOrNone.length) : 0
+      const remainder = entry ? entry.quantity % colorsOrNone.length : 0
+
+      colorsOrNone.forEach((color, index) => {
+        const variantOptions = {}
+        if (entry) variantOptions.size = entry.size
+        if (color) variantOptions.color = color
+        variants.push({ options: variantOptions, stock: share + (index === 0 ? remainder : 0) })
+      })
+    })
+  }
+
+  return {
+    options,
+    variants,
+    stockTracked: sizeEntries.length > 0,
+    stockSplit: sizeEntries.some((entry) => entry.quantity > 0) && colorValues.length > 1,
+  }
+}
+
+const parseOptionAxes = (input, errors) => {
+  const { list, error } = parseList(input)
+  if (error) {
+    errors.push(`options ${error}`)
+    return []
+  }
+
+  const axes = []
+  list.forEach((axis) => {
+    const name = String(axis?.name ?? "")
+      .trim()
+      .toLowerCase()
+    if (!name) {
+      errors.push("Every option needs a name")
+      return
+    }
+    if (axes.some((existing) => existing.name === name)) {
+      errors.push(`Option ${name} is listed twice`)
+      return
+    }
+
+    const { list: values, error: valuesError } = parseList(axis.values)
+    if (valuesError) {
+      errors.push(`Values of option ${name} ${valuesError}`)
+      return
+    }
+    axes.push({ name, values: [...new Set(values.map((value) => String(value).trim()).filter(Boolean))] })
+  })
+
+  if (axes.length > MAX_OPTION_AXES) {
+    errors.push(`A product can have at most ${MAX_OPTION_AXES} options`)
+  }
+
+  return axes
+}
+
+const parseVariant = (input, position, errors) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`Variant ${position} must be an object`)
+    return null
+  }
+
+  const variant = { options: {} }
+  Object.entries(toPlainOptions(input.options)).forEach(([name, value]) => {
+    if (!isBlank(value)) variant.options[name.trim().toLowerCase()] = String(value).trim()
+  })
+
+  if (input._id) variant._id = String(input._id)
+  if (!isBlank(input.sku)) variant.sku = String(input.sku).trim().toUpperCase()
+  if (!isBlank(input.barcode)) variant.barcode = String(input.barcode).trim()
+
+  VARIANT_NUMBERS.forEach((field) => {
+    if (isBlank(input[field])) return
+
+    const value = Number(input[field])
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`Variant ${position}: ${field} must be a positive number`)
+    } else if (field === "stock" && !Number.isInteger(value)) {
+      errors.push(`Variant ${position}: stock must be a whole number`)
+    } else {
+      variant[field] = value
+    }
+  })
+
+  if (input.images !== undefined) {
+    const { list, error } = parseList(input.images)
+    if (error) errors.push(`Variant ${position}: images ${error}`)
+    else variant.images = list.map(String)
+  }
+
+  if (input.isActive !== undefined) {
+    variant.isActive = input.isActive === true || input.isActive === "true"
+  }
+
+  return variant
+}
+
+/**
+ * Reads option axes and variants from a request body. `options` and
+ * `variants` may be arrays or JSON strings; the old `sizes` and `colors`
+ * fields are accepted as a shorthand. Without `variants`, every combination
+ * of the options becomes a variant; without `options`, the axes are taken
+ * from the variants.
+ *
+ * @param {object} body - The request body.
+ * @returns {object|null} - `{ options, variants, errors }`, or null if the body has no variant fields.
+ */
+export function parseVariantInput(body) {
+  const errors = []
+
+  if (isBlank(body.options) && isBlank(body.variants)) {
+    if (isBlank(body.sizes) && isBlank(body.colors)) return null
+
+    const sizes = parseList(body.sizes)
+    const colors = parseList(body.colors)
+    if (sizes.error) errors.push(`sizes ${sizes.error}`)
+    if (colors.error) errors.push(`colors ${colors.error}`)
+    if (errors.length) return { options: [], variants: [], errors }
+
+    const { options, variants } = legacyToVariantInput(sizes.list, colors.list)
+    return { options, variants, errors }
+  }
+
+  const options = parseOptionAxes(body.options, errors)
+
+  let variants = []
+  if (isBlank(body.variants)) {
+    // Every combination of the option values
+    variants = options.reduce(
+      (combinations, axis) =>
+        combinations.flatMap((combination) => axis.values.map((value) => ({ ...combination, [axis.name]: value }))),
+      options.length ? [{}] : [],
+    )
+    variants = variants.map((combination) => ({ options: combination }))
+  } else {
+    const { list, error } = parseList(body.variants)
+    if (error) {
+      errors.push(`variants ${error}`)
+    } else {
+      variants = list.map((input, index) => parseVariant(input, index + 1, errors)).filter(Boolean)
+    }
+
+    // Without options, the axes are the ones the variants use
+    if (isBlank(body.options)) {
+      variants.forEach((variant) => {
+        Object.keys(variant.options).forEach((name) => {
+          if (!options.some((axis) => axis.name === name)) options.push({ name, values: [] })
+        })
+      })
+    }
+  }
+
+  return { options, variants, errors }
+}
+
+/**
+ * Reads a single variant from a request body.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} - `{ variant, errors }`.
+ */
+export function parseSingleVariantInput(body) {
+  const errors = []
+  const { _id, ...input } = body
+
+  if (typeof input.options === "string") {
+    try {
+      input.options = JSON.parse(input.options)
+    } catch {
+      errors.push("options is not valid JSON")
+    }
+  }
+
+  const variant = parseVariant(input, 1, errors)
+  return { variant, errors: errors.map((error) => error.replace(/^Variant 1: /, "")) }
+}
+
+/**
+ * Returns the option axes and variants of a product as plain objects, to be
+ * changed and passed back to `applyVariants`.
+ *
+ * @param {object} product - The Product document.
+ * @returns {object} - `{ options, variants }`.
+ */
+export function getVariantInput(product) {
+  return {
+    options: product.options.map((axis) => ({ name: axis.name, values: [...axis.values] })),
+    variants: product.variants.map((variant) => {
+      const plain = variant.toObject({ flattenMaps: true })
+      return { ...plain, _id: plain._id.toString() }
+    }),
+  }
+}
+
+/**
+ * Sets the option axes and variants of a product. Variants matching an
+ * existing one, by ID or by their option values, keep its ID, SKU, stock and
+ * images unless new ones are given, so orders and try-ons keep pointing at
+ * them. Option values not listed on an axis yet are added to it. Missing SKUs
+ * are generated. Save them with `saveVariantChanges` before saving the
+ * product.
+ *
+ * @param {object} product - The Product document, changed in place.
+ * @param {object} input - `{ options, variants }` from `parseVariantInput`.
+ * @returns {string[]} - Problems found, empty when the variants were applied.
+ */
+export function applyVariants(product, { options, variants }) {
+  const errors = []
+  const axes = options.map((axis) => axis.name)
+
+  if (variants.length > MAX_VARIANTS) {
+    errors.push(`A product can have at most ${MAX_VARIANTS} variants`)
+  }
+  if (axes.length === 0 && variants.length > 1) {
+    errors.push("A product without options can only have one variant")
+  }
+
+  const existingById = new Map(product.variants.map((variant) => [variant._id.toString(), variant]))
+  const existingByKey = new Map(product.variants.map((variant) => [optionKey(variant.options, axes), variant]))
+
+  const seenKeys = new Set()
+  const merged = []
+
+  variants.forEach((input, index) => {
+    const names = Object.keys(input.options)
+    const unknown = names.filter((name) => !axes.includes(name))
+    const key = optionKey(input.options, axes)
+
+    if (unknown.length || key === null) {
+      errors.push(`Variant ${index + 1} needs exactly one value for each option: ${axes.join(", ") || "none"}`)
+      return
+    }
+    if (seenKeys.has(key)) {
+      errors.push(`Variant ${describeVariant(input) || index + 1} is listed twice`)
+      return
+    }
+    seenKeys.add(key)
+
+    // Add new values to their axis
+    options.forEach((axis) => {
+      const value = input.options[axis.name]
+      if (!axis.values.some((existing) => existing.toLowerCase() === value.toLowerCase())) {
+        axis.values.push(value)
+      }
+    })
+
+    const current = (input._id && existingById.get(input._id)) || existingByKey.get(key)
+    const variant = {
+      ...(current ? current.toObject({ flattenMaps: true }) : {}),
+      ...input,
+    }
+    if (current) variant._id = current._id
+    else delete variant._id
+
+    merged.push(variant)
+  })
+
+  const taken = new Set()
+  const barcodes = new Set()
+  merged.forEach((variant) => {
+    if (!variant.sku) return
+    if (taken.has(variant.sku)) errors.push(`SKU ${variant.sku} is used by more than one variant`)
+    taken.add(variant.sku)
+  })
+  merged.forEach((variant) => {
+    if (!variant.sku) variant.sku = generateSku(product._id, variant.options, taken)
+
+    if (variant.barcode) {
+      if (barcodes.has(variant.barcode)) errors.push(`Barcode ${variant.barcode} is used by more than one variant`)
+      barcodes.add(variant.barcode)
+    }
+
+    const basePrice = variant.price ?? product.price
+    if (variant.salePrice !== undefined && variant.salePrice !== null && variant.salePrice >= basePrice) {
+      errors.push(`Sale price of variant ${variant.sku} must be lower than its price`)
+    }
+  })
+
+  if (errors.length) return errors
+
+  // The stock the seller saw, so their changes can be saved as increments
+  product.$locals.loadedStock ??= new Map(
+    product.variants.map((variant) => [variant._id.toString(), variant.stock ?? 0]),
+  )
+
+  product.options = options
+  product.variants = merged
+  return []
+}
+
+// Applies a stock change of a seller as an increment, so units orders took
+// meanwhile stay taken. Stock that orders took below the change ends at zero.
+const adjustVariantStock = async (productId, variantId, change) => {
+  if (change > 0) {
+    await Product.updateOne({ _id: productId, "variants._id": variantId }, { $inc: { "variants.$.stock": change } })
+    return
+  }
+
+  const result = await Product.updateOne(
+    { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: -change } } } },
+    { $inc: { "variants.$.stock": change } },
+  )
+  if (result.modifiedCount === 0) {
+    await Product.updateOne(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $lt: -change } } } },
+      { $set: { "variants.$.stock": 0 } },
+    )
+  }
+}
+
+/**
+ * Writes the options and variants set by `applyVariants` on a saved product
+ * with atomic updates instead of `product.save()`, which would overwrite the
+ * whole variants array and with it stock that orders took since the product
+ * was loaded. Removed variants are pulled, new ones pushed, and the others
+ * get their details set by ID and their stock changed by the difference to
+ * what was loaded. The stock on the document is refreshed afterwards, and the
+ * variants are not saved again with the product. New products are left to
+ * `product.save()`.
+ *
+ * @param {object} product - The Product document passed to `applyVariants`.
+ */
+export async function saveVariantChanges(product) {
+  const loadedStock = product.$locals.loadedStock
+  if (product.isNew || !loadedStock) return
+
+  const keptIds = new Set(product.variants.map((variant) => variant._id.toString()))
+  const removedIds = [...loadedStock.keys()].filter((id) => !keptIds.has(id))
+  const kept = product.variants.filter((variant) => loadedStock.has(variant._id.toString()))
+  const added = product.variants.filter((variant) => !loadedStock.has(variant._id.toString()))
+
+  if (removedIds.length) {
+    await Product.updateOne({ _id: product._id }, { $pull: { variants: { _id: { $in: removedIds } } } })
+  }
+
+  const $set = { options: product.options.map((axis) => ({ name: axis.name, values: [...axis.values] })) }
+  const $unset = {}
+  const arrayFilters = []
+  kept.forEach((variant, index) => {
+    const plain = variant.toObject({ flattenMaps: true })
+    VARIANT_DETAILS.forEach((field) => {
+      const path = `variants.$[v${index}].${field}`
+      if (plain[field] === undefined || plain[field] === null) $unset[path] = ""
+      else $set[path] = plain[field]
+    })
+    arrayFilters.push({ [`v${index}._id`]: variant._id })
+  })
+  await Product.updateOne(
+    { _id: product._id },
+    Object.keys($unset).length ? { $set, $unset } : { $set },
+    arrayFilters.length ? { arrayFilters } : {},
+  )
+
+  if (added.length) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $push: { variants: { $each: added.map((variant) => variant.toObject({ flattenMaps: true })) } } },
+    )
+  }
+
+  for (const variant of kept) {
+    const change = (variant.stock ?? 0) - loadedStock.get(variant._id.toString())
+    if (change !== 0) await adjustVariantStock(product._id, variant._id, change)
+  }
+
+  const saved = await Product.findById(product._id).select("variants._id variants.stock").lean()
+  const savedStock = new Map((saved?.variants || []).map((variant) => [variant._id.toString(), variant.stock]))
+  product.variants.forEach((variant) => {
+    if (savedStock.has(variant._id.toString())) variant.stock = savedStock.get(variant._id.toString())
+  })
+
+  product.unmarkModified("options")
+  product.unmarkModified("variants")
+  delete product.$locals.loadedStock
+}
+
+/**
+ * Finds SKUs and barcodes of a product that another product already uses.
+ *
+ * @param {object} product - The Product document.
+ * @returns {Promise<string[]>} - One message per clash, empty if none.
+ */
+export async function findVariantConflicts(product) {
+  const skus = product.variants.map((variant) => variant.sku)
+  const barcodes = product.variants.map((variant) => variant.barcode).filter(Boolean)
+  if (skus.length === 0) return []
+
+  const others = await Product.find({
+    _id: { $ne: product._id },
+    $or: [{ "variants.sku": { $in: skus } }, { "variants.barcode": { $in: barcodes } }],
+  }).select("name variants.sku variants.barcode")
+
+  const conflicts = []
+  others.forEach((other) => {
+    other.variants.forEach((variant) => {
+      if (skus.includes(variant.sku)) conflicts.push(`SKU ${variant.sku} is already used by ${other.name}`)
+      if (variant.barcode && barcodes.includes(variant.barcode)) {
+        conflicts.push(`Barcode ${variant.barcode} is already used by ${other.name}`)
+      }
+    })
+  })
+
+  return conflicts
+}
+
+/**
+ * Finds the variant of a product a customer picked, by variant ID, SKU or
+ * option values (e.g. `{ size: "M", color: "red" }`, case-insensitive). A
+ * product without options has a single variant, which is picked by default.
+ *
+ * @param {object} product - The Product document.
+ * @param {object} selection - `{ variantId, sku, options }`.
+ * @returns {object|null} - The variant, or null if none matches.
+ */
+export function findVariant(product, { variantId, sku, options } = {}) {
+  if (!product.variants?.length) return null
+
+  if (variantId) {
+    return product.variants.find((variant) => variant._id.toString() === String(variantId)) || null
+  }
+
+  if (sku) {
+    const wanted = String(sku).trim().toUpperCase()
+    return product.variants.find((variant) => variant.sku === wanted) || null
+  }
+
+  const axes = product.options.map((axis) => axis.name)
+  if (axes.length === 0) return product.variants.length === 1 ? product.variants[0] : null
+
+  const key = optionKey(options, axes)
+  if (key === null) return null
+  return product.variants.find((variant) => optionKey(variant.options, axes) === key) || null
+}
+
+/**
+ * Returns the unit price a customer pays for a variant: its own price and
+ * sale price if set, otherwise those of the product.
+ *
+ * @param {object} product - The Product document.
+ * @param {object} [variant] - The variant, if the product has any.
+ * @returns {number} - The unit price.
+ */
+export function getVariantPrice(product, variant) {
+  const lowest = (price, salePrice) =>
+    salePrice !== undefined && salePrice !== null && salePrice < price ? salePrice : price
+
+  if (!variant) return lowest(product.price, product.salePrice)
+  if (variant.price !== undefined && variant.price !== null) return lowest(variant.price, variant.salePrice)
+  return lowest(product.price, variant.salePrice ?? product.salePrice)
+}
+
+/**
+ * Moves products still using the old `sizes` and `colors` fields to option
+ * axes and variants. Safe to run repeatedly; products already migrated are
+ * skipped. Products whose stock was spread over colours are reported so
+ * their sellers can check the numbers.
+ *
+ * @returns {Promise<object>} - `{ migrated, stockSplit }`, stockSplit listing product IDs.
+ */
+export async function migrateLegacyProductVariants() {
+  const legacyProducts = Product.collection.find(
+    { $or: [{ sizes: { $exists: true } }, { colors: { $exists: true } }] },
+    { projection: { sizes: 1, colors: 1, variants: 1 } },
+  )
+
+  let migrated = 0
+  const stockSplit = []
+
+  for await (const doc of legacyProducts) {
+    const update = { $unset: { sizes: "", colors: "" } }
+
+    if (!doc.variants?.length) {
+      const input = legacyToVariantInput(doc.sizes || [], doc.colors || [])
+      const taken = new Set()
+
+      update.$set = {
+        options: input.options,
+        variants: input.variants.map((variant) => ({
+          _id: new mongoose.Types.ObjectId(),
+          sku: generateSku(doc._id, variant.options, taken),
+          options: variant.options,
+          stock: variant.stock,
+          images: [],
+          isActive: true,
+        })),
+        // Products that only listed colours never had their stock counted
+        trackInventory: input.stockTracked,
+      }
+      if (input.stockSplit) stockSplit.push(doc._id.toString())
+    }
+
+    try {
+      await Product.collection.updateOne({ _id: doc._id }, update)
+      migrated++
+    } catch (error) {
+      console.error(`Could not migrate the variants of product ${doc._id}:`, error.message)
+    }
+  }
+
+  if (migrated) console.log(`Migrated ${migrated} products to variants`)
+  if (stockSplit.length) {
+    console.warn(`Stock per size was spread over the colours of these products, please review: ${stockSplit.join(", ")}`)
+  }
+
+  return { migrated, stockSplit }
+}
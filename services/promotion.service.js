@@ -0,0 +1,382 @@
+import Promotion from "../models/promotion.model.js"
+import PromotionRedemption from "../models/promotionRedemption.model.js"
+import Product from "../models/product.model.js"
+import Order from "../models/order.model.js"
+import roundMoney from "../utils/roundMoney.js"
+
+export const PROMOTION_TYPES = ["percentage", "fixed", "freeShipping", "buyXGetY"]
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/
+
+const PROMOTION_FIELDS = [
+  "name",
+  "description",
+  "code",
+  "type",
+  "value",
+  "maxDiscount",
+  "buyQuantity",
+  "getQuantity",
+  "minimumSpend",
+  "scope",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startsAt",
+  "endsAt",
+  "stackable",
+  "isActive",
+]
+
+const SCOPE_FIELDS = ["categories", "designers", "sellers", "products"]
+
+const isSet = (value) => value !== undefined && value !== null
+
+// How a promotion is named in messages to the customer
+const promotionLabel = (promotion) => (promotion.code ? `Coupon ${promotion.code}` : promotion.name)
+
+/**
+ * Picks the fields of a promotion that can be set through the API. An empty
+ * code turns a coupon into a promotion that applies automatically.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} - The promotion fields.
+ */
+export function pickPromotionFields(body) {
+  const fields = {}
+
+  PROMOTION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field]
+  })
+
+  if (fields.code === "" || fields.code === null) fields.code = undefined
+
+  return fields
+}
+
+/**
+ * Checks a promotion before it is saved: the schema rules, plus the values
+ * each type of promotion needs.
+ *
+ * @param {object} promotion - The Promotion document.
+ * @returns {string[]} - Error messages, empty if the promotion is valid.
+ */
+export function getPromotionErrors(promotion) {
+  const validation = promotion.validateSync()
+  if (validation) return Object.values(validation.errors).map((error) => error.message)
+
+  const errors = []
+  const { type, value } = promotion
+
+  if (promotion.code && !CODE_PATTERN.test(promotion.code)) {
+    errors.push("code must be 3 to 32 letters, digits, dashes or underscores")
+  }
+
+  if (type === "percentage" && !(value > 0 && value <= 100)) {
+    errors.push("value must be a percentage between 0 and 100")
+  }
+
+  if (type === "fixed" && !(value > 0)) {
+    errors.push("value must be the amount taken off")
+  }
+
+  if (type === "buyXGetY") {
+    if (!Number.isInteger(promotion.buyQuantity) || !Number.isInteger(promotion.getQuantity)) {
+      errors.push("buyQuantity and getQuantity must be whole numbers of at least 1")
+    }
+    if (isSet(value) && !(value > 0 && value <= 100)) {
+      errors.push("value must be the percentage taken off the discounted items, between 0 and 100")
+    }
+  }
+
+  const limits = ["usageLimit", "usageLimitPerUser"]
+  limits.forEach((field) => {
+    if (isSet(promotion[field]) && !Number.isInteger(promotion[field])) {
+      errors.push(`${field} must be a whole number`)
+    }
+  })
+
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    errors.push("endsAt must be after startsAt")
+  }
+
+  return errors
+}
+
+/**
+ * Reads the coupon codes of an order request: `couponCodes` as a list or a
+ * comma separated string, or a single `couponCode`.
+ *
+ * @param {object} body - The request body.
+ * @returns {string[]} - Distinct codes in upper case.
+ */
+export function getCouponCodes(body = {}) {
+  let codes = body.couponCodes ?? body.couponCode ?? []
+  if (typeof codes === "string") codes = codes.split(",")
+  if (!Array.isArray(codes)) return []
+
+  return [...new Set(codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean))]
+}
+
+// Whether an order line is covered by the scope of a promotion. Custom
+// designs have no product, so they only count for promotions on the whole order.
+const inScope = (scope, product) =>
+  SCOPE_FIELDS.every((field) => {
+    const list = scope?.[field]
+    if (!list || list.length === 0) return true
+
+    const value = { categories: "category", designers: "designer", sellers: "seller", products: "_id" }[field]
+    return Boolean(product) && list.some((entry) => String(entry) === String(product[value]))
+  })
+
+// Units discounted by buy X get Y: units are lined up from the most to the
+// least expensive, and in every full group of buy + get units the last `get`
+// ones (the cheapest) are discounted
+const buyXGetYDiscount = (lines, { buyQuantity, getQuantity, value }) => {
+  const groupSize = buyQuantity + getQuantity
+  const totalUnits = lines.reduce((sum, line) => sum + line.quantity, 0)
+  const lastGroupEnd = Math.floor(totalUnits / groupSize) * groupSize
+
+  // Discounted units among the first `position` units
+  const discountedBefore = (position) => {
+    const end = Math.min(position, lastGroupEnd)
+    return Math.floor(end / groupSize) * getQuantity + Math.max(0, (end % groupSize) - buyQuantity)
+  }
+
+  const byPrice = [...lines].sort((a, b) => b.price - a.price)
+  let position = 0
+  let amount = 0
+
+  byPrice.forEach((line) => {
+    const discounted = discountedBefore(position + line.quantity) - discountedBefore(position)
+    amount += discounted * line.price * ((value ?? 100) / 100)
+    position += line.quantity
+  })
+
+  return amount
+}
+
+/**
+ * Checks whether a promotion applies to an order and computes what it
+ * takes off.
+ *
+ * @param {object} promotion - The Promotion document.
+ * @param {object} context - `{ lines, products, shippingCost, userId }`, `products` mapping product IDs to products.
+ * @returns {Promise<object>} - `{ promotion, amount, freeShipping, saving }`, or `{ message }` if it does not apply.
+ */
+export async function evaluatePromotion(promotion, { lines, products, shippingCost, userId }) {
+  const label = promotionLabel(promotion)
+  const now = new Date()
+
+  if (!promotion.isActive || (promotion.startsAt && promotion.startsAt > now)) {
+    return { message: `${label} is not active` }
+  }
+
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    return { message: `${label} has expired` }
+  }
+
+  if (isSet(promotion.usageLimit) && promotion.usageCount >= promotion.usageLimit) {
+    return { message: `${label} has been fully redeemed` }
+  }
+
+  if (isSet(promotion.usageLimitPerUser) && userId) {
+    const used = await Order.countDocuments({
+      user: userId,
+      "promotions.promotion": promotion._id,
+      status: { $ne: "cancelled" },
+    })
+    if (used >= promotion.usageLimitPerUser) {
+      return { message: `You have already used ${label}` }
+    }
+  }
+
+  const eligible = lines.filter((line) => inScope(promotion.scope, line.product && products.get(String(line.product))))
+  if (eligible.length === 0) {
+    return { message: `${label} does not apply to the items in your order` }
+  }
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0))
+  if (eligibleSubtotal < (promotion.minimumSpend || 0)) {
+    return { message: `Spend at least ${promotion.minimumSpend} on eligible items to use ${label}` }
+  }
+
+  let amount = 0
+  let freeShipping = false
+
+  switch (promotion.type) {
+    case "percentage":
+      amount = (eligibleSubtotal * promotion.value) / 100
+      if (isSet(promotion.maxDiscount)) amount = Math.min(amount, promotion.maxDiscount)
+      break
+    case "fixed":
+      amount = Math.min(promotion.value, eligibleSubtotal)
+      break
+    case "freeShipping":
+      freeShipping = true
+      break
+    case "buyXGetY":
+      amount = buyXGetYDiscount(eligible, promotion)
+      if (amount === 0) {
+        return {
+          message: `Add ${promotion.buyQuantity + promotion.getQuantity} eligible items to your order to use ${label}`,
+        }
+      }
+      break
+  }
+
+  amount = roundMoney(amount)
+  return { promotion, amount, freeShipping, saving: amount + (freeShipping ? shippingCost : 0) }
+}
+
+/**
+ * Finds the promotions of an order: the coupons entered by the customer,
+ * which must all apply, and the automatic promotions it matches.
+ *
+ * Stacking: stackable promotions are combined, a promotion that is not
+ * stackable applies alone. Whichever of these saves the customer the most
+ * is used, so a coupon can be left out when a better promotion applies.
+ *
+ * @param {object} input - `{ lines, subtotal, shippingCost, userId, codes }` with the priced order lines and the shipping cost before promotions.
+ * @returns {Promise<object>} - `{ promotions, discount, freeShipping, skipped }`, or `{ status, message }` if a coupon cannot be used. Free shipping promotions have a null amount, the caller knows the shipping cost waived.
+ */
+export async function applyPromotions({ lines, subtotal, shippingCost, userId, codes = [] }) {
+  const [coupons, automatic] = await Promise.all([
+    codes.length > 0 ? Promotion.find({ code: { $in: codes } }) : [],
+    Promotion.find({ code: null, isActive: true }),
+  ])
+
+  const unknown = codes.find((code) => !coupons.some((coupon) => coupon.code === code))
+  if (unknown) {
+    return { status: 400, message: `Coupon code ${unknown} is not valid` }
+  }
+
+  if (coupons.length > 1) {
+    const exclusive = coupons.find((coupon) => !coupon.stackable)
+    if (exclusive) {
+      return { status: 400, message: `Coupon ${exclusive.code} cannot be combined with other coupons` }
+    }
+  }
+
+  if (coupons.length === 0 && automatic.length === 0) {
+    return { promotions: [], discount: 0, freeShipping: false, skipped: [] }
+  }
+
+  const productIds = lines.filter((line) => line.product).map((line) => line.product)
+  const products = new Map(
+    (await Product.find({ _id: { $in: productIds } }).select("category designer seller")).map((product) => [
+      String(product._id),
+      product,
+    ]),
+  )
+  const context = { lines, products, shippingCost, userId }
+
+  const candidates = []
+  for (const coupon of coupons) {
+    const result = await evaluatePromotion(coupon, context)
+    if (result.message) return { status: 400, message: result.message }
+    candidates.push(result)
+  }
+  for (const promotion of automatic) {
+    const result = await evaluatePromotion(promotion, context)
+    if (!result.message) candidates.push(result)
+  }
+
+  const options = [
+    candidates.filter((candidate) => candidate.promotion.stackable),
+    ...candidates.filter((candidate) => !candidate.promotion.stackable).map((candidate) => [candidate]),
+  ]
+  const saving = (option) => option.reduce((sum, candidate) => sum + candidate.saving, 0)
+  const chosen = options.reduce((best, option) => (saving(option) > saving(best) ? option : best))
+
+  const skipped = coupons
+    .filter((coupon) => !chosen.some((candidate) => candidate.promotion === coupon))
+    .map((coupon) => ({
+      code: coupon.code,
+      name: coupon.name,
+      message: `${promotionLabel(coupon)} was not applied, a better offer that cannot be combined with it applies`,
+    }))
+
+  return {
+    promotions: chosen.map(({ promotion, amount, freeShipping }) => ({
+      promotion: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      amount: freeShipping ? null : amount,
+    })),
+    // Promotions never take off more than the items cost
+    discount: roundMoney(Math.min(subtotal, chosen.reduce((sum, candidate) => sum + candidate.amount, 0))),
+    freeShipping: chosen.some((candidate) => candidate.freeShipping),
+    skipped,
+  }
+}
+
+// Takes a free use of a promotion with a per-customer limit for an order.
+// Returns false if the customer has none left.
+const redeemForUser = async (promotion, order) => {
+  for (let slot = 0; slot < promotion.usageLimitPerUser; slot += 1) {
+    try {
+      await PromotionRedemption.create({ promotion: promotion._id, user: order.user, order: order._id, slot })
+      return true
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+  }
+  return false
+}
+
+/**
+ * Counts an order against the usage limits of its promotions. The global
+ * limit is checked and counted in one atomic update, and the per-customer
+ * limit by taking one of the customer's uses with a unique index, so neither
+ * can be exceeded by concurrent orders; if one promotion is used up, the
+ * others are given back.
+ *
+ * @param {object} order - The Order document, with its `_id`, `user` and `promotions`.
+ * @returns {Promise<object>} - `{ redeemed: true }`, or `{ redeemed: false, promotion, message }` with the promotion used up.
+ */
+export async function redeemPromotions(order) {
+  const taken = []
+
+  for (const entry of order.promotions || []) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: entry.promotion,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }],
+      },
+      { $inc: { usageCount: 1 } },
+    )
+
+    if (!promotion) {
+      await releasePromotions(order, taken)
+      return { redeemed: false, promotion: entry, message: `${entry.name} has just been used up, please review your order` }
+    }
+    taken.push(entry)
+
+    if (isSet(promotion.usageLimitPerUser) && order.user && !(await redeemForUser(promotion, order))) {
+      await releasePromotions(order, taken)
+      return { redeemed: false, promotion: entry, message: `You have already used ${entry.name}, please review your order` }
+    }
+  }
+
+  return { redeemed: true }
+}
+
+/**
+ * Gives back the uses taken by `redeemPromotions`, e.g. when the order is
+ * cancelled.
+ *
+ * @param {object} order - The Order document.
+ * @param {object[]} [promotions] - The promotions to give back, all of the order by default.
+ */
+export async function releasePromotions(order, promotions = order.promotions || []) {
+  for (const entry of promotions) {
+    try {
+      await Promotion.updateOne({ _id: entry.promotion, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } })
+      await PromotionRedemption.deleteOne({ promotion: entry.promotion, order: order._id })
+    } catch (error) {
+      console.error(`Failed to give back a use of promotion ${entry.promotion}:`, error)
+    }
+  }
+}
+
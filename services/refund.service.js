@@ -0,0 +1,383 @@
+import Order from "../models/order.model.js"
+import PaymentTransaction from "../models/paymentTransaction.model.js"
+import ReturnRequest from "../models/returnRequest.model.js"
+import roundMoney from "../utils/roundMoney.js"
+import { getTransactionProvider } from "./payment.service.js"
+import { SYSTEM_ACTOR, canTransition, isOrderPaid, recordOrderEvent, transitionOrder } from "./orderStatus.service.js"
+
+// Refunds take days rather than seconds, pending ones are checked this often
+const REFUND_POLL_INTERVAL_MS = Number(process.env.REFUND_POLL_INTERVAL_MS) || 5 * 60 * 1000
+
+/**
+ * What the customer paid for some units of an order line: its price after
+ * discounts, with the tax that was added on top.
+ *
+ * @param {object} order - The Order document.
+ * @param {object} line - The order line.
+ * @param {number} quantity - Units refunded.
+ * @returns {number} - The amount.
+ */
+export function getLineRefundAmount(order, line, quantity) {
+  const paid = (line.taxableAmount ?? line.lineTotal ?? line.price * line.quantity) + (order.taxIncluded ? 0 : line.taxAmount || 0)
+  return roundMoney((paid * quantity) / line.quantity)
+}
+
+// The payment a refund goes back through. Only payments recorded by the
+// payment service count: details embedded in the order may have come from
+// the client, and orders paid before transactions were recorded are refunded
+// with the provider by hand.
+const findOrderPayment = (order) =>
+  PaymentTransaction.findOne({ order: order._id, type: "payment", status: "completed" }).sort({ createdAt: -1 })
+
+// Units of each order line already refunded, or being refunded
+const refundedQuantities = async (orderId) => {
+  const refunds = await PaymentTransaction.find({ order: orderId, type: "refund", status: { $ne: "failed" } }).select(
+    "items",
+  )
+  const quantities = new Map()
+
+  refunds.forEach((refund) => {
+    refund.items.forEach((item) => {
+      const key = String(item.orderItem)
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+    })
+  })
+
+  return quantities
+}
+
+// Works out the refunded lines and amount of a request. Returns
+// `{ amount, items }` or `{ status, message, errors? }`.
+const resolveRefund = async (order, { amount, items }, remaining) => {
+  if (items !== undefined && amount !== undefined) {
+    return { status: 400, message: "Send either an amount or the items to refund, not both" }
+  }
+
+  if (remaining <= 0) {
+    return { status: 409, message: "This order is already fully refunded" }
+  }
+
+  if (items === undefined) {
+    const value = amount === undefined ? remaining : roundMoney(Number(amount))
+    if (!(value > 0)) return { status: 400, message: "The refund amount must be more than 0" }
+    if (value > remaining) {
+      return { status: 409, message: `Only ${remaining} of this order can still be refunded` }
+    }
+    return { amount: value, items: [] }
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, message: "Choose at least one item to refund" }
+  }
+
+  const refunded = await refundedQuantities(order._id)
+  const errors = []
+
+  const refundItems = items.map((item) => {
+    const line = item?.orderItem && order.items.find((orderItem) => String(orderItem._id) === String(item.orderItem))
+    if (!line) {
+      errors.push(`Item ${item?.orderItem} is not part of this order`)
+      return null
+    }
+
+    const quantity = Number(item.quantity ?? line.quantity - (refunded.get(String(line._id)) || 0))
+    const refundable = line.quantity - (refunded.get(String(line._id)) || 0)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`The quantity of ${line.name} must be a whole number, 1 or more`)
+    } else if (quantity > refundable) {
+      errors.push(refundable > 0 ? `Only ${refundable} of ${line.name} can still be refunded` : `${line.name} is already refunded`)
+    }
+
+    // Count the units right away, so a line listed twice cannot be refunded twice
+    refunded.set(String(line._id), (refunded.get(String(line._id)) || 0) + quantity)
+
+    return { orderItem: line._id, quantity, amount: quantity >= 1 ? getLineRefundAmount(order, line, quantity) : 0 }
+  })
+
+  if (errors.length > 0) {
+    return { status: 400, message: "Invalid refund", errors }
+  }
+
+  const total = roundMoney(refundItems.reduce((sum, item) => sum + item.amount, 0))
+  if (total > remaining) {
+    return { status: 409, message: `Only ${remaining} of this order can still be refunded` }
+  }
+
+  return { amount: total, items: refundItems }
+}
+
+// Moves an order to refunded once all of it was given back and no refund
+// is still waiting for its provider, and saves it
+const markOrderRefunded = async (order, { actor, note }) => {
+  const paid = order.amountPaid ?? order.totalAmount
+  const fullyRefunded = (order.amountRefunded || 0) >= paid - 0.001
+  const waiting = await PaymentTransaction.exists({ order: order._id, type: "refund", status: "pending" })
+
+  if (fullyRefunded && !waiting && canTransition(order.status, "refunded")) {
+    const moved = await transitionOrder(order, "refunded", { actor, note })
+    if (!moved.message) return
+  }
+  await order.save()
+}
+
+/**
+ * Gives money of a paid order back through the provider it was paid with:
+ * a given amount, some units of its lines, or everything not refunded yet.
+ * The order is marked partially refunded, or refunded once all of it is
+ * and no refund is left pending by the provider (see settleRefund).
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @param {object} actor - `{ user, role }` who refunds.
+ * @param {object} [input] - `{ amount, items: [{ orderItem, quantity }], reason, returnRequest }`.
+ * @returns {Promise<object>} - `{ transaction }` with the refund transaction, or `{ status, message, errors? }`.
+ */
+export async function refundOrder(order, actor, { amount, items, reason, returnRequest } = {}) {
+  if (!isOrderPaid(order)) {
+    return { status: 409, message: "This order has not been paid" }
+  }
+
+  const payment = await findOrderPayment(order)
+  const provider = payment && getTransactionProvider(payment)
+  if (!provider) {
+    return {
+      status: 409,
+      message: "This order has no recorded payment to refund automatically, refund it with the payment provider",
+    }
+  }
+
+  const paid = order.amountPaid ?? order.totalAmount
+  const remaining = roundMoney(paid - (order.amountRefunded || 0))
+  const refund = await resolveRefund(order, { amount, items }, remaining)
+  if (refund.message) return refund
+
+  // Count the refund against the order first, so concurrent refunds can
+  // never give back more than was paid
+  const counted = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ["$amountRefunded", 0] }, refund.amount] }, paid + 0.001] },
+    },
+    { $inc: { amountRefunded: refund.amount } },
+    { new: true },
+  )
+  if (!counted) {
+    return { status: 409, message: "The order was refunded in the meantime, please reload it" }
+  }
+
+  const transaction = await PaymentTransaction.create({
+    order: order._id,
+    user: order.user,
+    type: "refund",
+    provider: provider.name,
+    paymentMethod: payment.paymentMethod || order.paymentMethod,
+    amount: refund.amount,
+    payment: payment._id,
+    items: refund.items,
+    reason,
+    returnRequest,
+    createdBy: actor,
+  })
+
+  let result
+  try {
+    result = await provider.refund(payment, refund.amount)
+  } catch (error) {
+    result = { status: "failed", message: error.message }
+  }
+
+  transaction.providerTransactionId = result.transactionId
+  transaction.status = ["completed", "failed"].includes(result.status) ? result.status : "pending"
+  transaction.failureReason = result.status === "failed" ? result.message : undefined
+  transaction.processedAt = new Date()
+  await transaction.save()
+
+  if (returnRequest) {
+    await ReturnRequest.updateOne(
+      { _id: returnRequest },
+      { $set: { "refund.status": transaction.status, "refund.transaction": transaction._id } },
+    )
+  }
+
+  if (transaction.status === "failed") {
+    await Order.updateOne({ _id: order._id }, { $inc: { amountRefunded: -refund.amount } })
+    await recordOrderEvent(order, {
+      type: "refundFailed",
+      actor,
+      note: reason,
+      data: { transaction: transaction._id, amount: refund.amount, message: result.message },
+    })
+    return { status: 502, message: `The refund was refused by the payment provider: ${result.message}`, transaction }
+  }
+
+  // Mirror the counted refund without marking it for the next save, which
+  // would overwrite concurrent refunds
+  order.amountRefunded = counted.amountRefunded
+  order.unmarkModified("amountRefunded")
+
+  const fullyRefunded = counted.amountRefunded >= paid - 0.001
+  order.paymentDetails.status = fullyRefunded ? "refunded" : "partiallyRefunded"
+
+  await recordOrderEvent(order, {
+    type: "refundIssued",
+    actor,
+    note: reason,
+    data: { transaction: transaction._id, amount: refund.amount, items: refund.items },
+  })
+
+  // A refund the provider left pending counts once it went through
+  if (transaction.status === "completed") {
+    await markOrderRefunded(order, { actor, note: reason })
+  } else {
+    await order.save()
+  }
+
+  return { transaction }
+}
+
+/**
+ * Applies the outcome of a refund its provider left pending, from a webhook
+ * or a status check. A completed refund may finish refunding the order; a
+ * failed one is taken off what the order had refunded, so it can be
+ * refunded again.
+ *
+ * @param {object} provider - The provider of the refund.
+ * @param {object} update - `{ transactionId, status, message? }`, transactionId being the refund at the provider.
+ * @returns {Promise<object>} - `{ outcome, reason, transaction? }`, outcome "processed", "ignored" or
+ *   "deferred" if the refund is not known yet.
+ */
+export async function settleRefund(provider, { transactionId, status, message }) {
+  if (!["completed", "failed"].includes(status)) {
+    return { outcome: "ignored", reason: `The refund is ${status}` }
+  }
+
+  // Claim the pending refund, so a webhook and a status check never both apply it
+  const transaction = await PaymentTransaction.findOneAndUpdate(
+    { type: "refund", provider: provider.name, providerTransactionId: transactionId, status: "pending" },
+    {
+      $set: { status, processedAt: new Date(), ...(status === "failed" && { failureReason: message || "Refund failed" }) },
+    },
+    { new: true },
+  )
+  if (!transaction) {
+    const known = await PaymentTransaction.exists({
+      type: "refund",
+      provider: provider.name,
+      providerTransactionId: transactionId,
+    })
+    return known
+      ? { outcome: "ignored", reason: "The refund is already settled" }
+      : { outcome: "deferred", reason: "No refund with this transaction ID yet" }
+  }
+
+  if (transaction.returnRequest) {
+    await ReturnRequest.updateOne({ _id: transaction.returnRequest }, { $set: { "refund.status": status } })
+  }
+
+  const order = await Order.findById(transaction.order)
+  if (!order) {
+    return { outcome: "processed", reason: `Refund ${status}, its order no longer exists`, transaction }
+  }
+
+  if (status === "failed") {
+    const counted = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: { amountRefunded: -transaction.amount } },
+      { new: true },
+    )
+    order.amountRefunded = counted.amountRefunded
+    order.unmarkModified("amountRefunded")
+    order.paymentDetails.status = counted.amountRefunded > 0.001 ? "partiallyRefunded" : "completed"
+
+    await recordOrderEvent(order, {
+      type: "refundFailed",
+      actor: SYSTEM_ACTOR,
+      data: { transaction: transaction._id, amount: transaction.amount, message: transaction.failureReason },
+    })
+    await order.save()
+  } else {
+    await markOrderRefunded(order, { actor: SYSTEM_ACTOR })
+  }
+
+  return { outcome: "processed", reason: `Refund ${status}`, transaction }
+}
+
+/**
+ * Asks the provider where a pending refund is and applies the answer.
+ * Providers without `checkRefundStatus` are left to their webhooks.
+ *
+ * @param {object} transaction - The pending refund PaymentTransaction.
+ * @returns {Promise<object>} - `{ outcome, reason }` as from settleRefund.
+ */
+export async function refreshRefundStatus(transaction) {
+  const provider = getTransactionProvider(transaction)
+  if (!provider?.checkRefundStatus) {
+    return { outcome: "ignored", reason: "The provider of this refund does not report its status" }
+  }
+
+  transaction.checkedAt = new Date()
+  await transaction.save()
+
+  let result
+  try {
+    result = await provider.checkRefundStatus(transaction.providerTransactionId)
+  } catch (error) {
+    // Not an answer about the refund; ask again next time
+    console.error(`Failed to check refund ${transaction.providerTransactionId} with ${provider.name}:`, error.message)
+    return { outcome: "ignored", reason: "The payment provider could not be reached" }
+  }
+
+  return settleRefund(provider, {
+    transactionId: transaction.providerTransactionId,
+    status: result.status,
+    message: result.message,
+  })
+}
+
+/**
+ * Checks every refund left pending by its provider that was not checked
+ * for REFUND_POLL_INTERVAL_MS, in case its webhook is late, lost or never
+ * sent (Mobile Money).
+ *
+ * @returns {Promise<object>} - `{ checked, settled }` counts.
+ */
+export async function pollPendingRefunds() {
+  const pending = await PaymentTransaction.find({
+    type: "refund",
+    status: "pending",
+    providerTransactionId: { $exists: true },
+    $or: [{ checkedAt: { $exists: false } }, { checkedAt: { $lte: new Date(Date.now() - REFUND_POLL_INTERVAL_MS) } }],
+  })
+    .sort({ checkedAt: 1 })
+    .limit(100)
+
+  const counts = { checked: 0, settled: 0 }
+  for (const transaction of pending) {
+    try {
+      const { outcome } = await refreshRefundStatus(transaction)
+      counts.checked += 1
+      if (outcome === "processed") counts.settled += 1
+    } catch (error) {
+      // Keep going, so one refund does not hold up the others
+      console.error(`Failed to refresh refund ${transaction.providerTransactionId}:`, error)
+    }
+  }
+
+  return counts
+}
+
+/**
+ * Runs `pollPendingRefunds` now and then every REFUND_POLL_INTERVAL_MS
+ * (default 5 minutes).
+ */
+export function startPendingRefundPoller() {
+  const run = () => {
+    pollPendingRefunds()
+      .then(({ settled }) => {
+        if (settled > 0) console.log(`Settled ${settled} pending refund(s)`)
+      })
+      .catch((error) => console.error("Pending refund poll failed:", error))
+  }
+
+  run()
+  setInterval(run, REFUND_POLL_INTERVAL_MS).unref()
+}
@@ -0,0 +1,282 @@
+import ReturnRequest from "../models/returnRequest.model.js"
+import User from "../models/user.model.js"
+import roundMoney from "../utils/roundMoney.js"
+import { sendReturnStatusEmail } from "./mail.service.js"
+import { releaseStock } from "./stockReservation.service.js"
+import { recordOrderEvent, transitionOrder } from "./orderStatus.service.js"
+import { getLineRefundAmount, refundOrder } from "./refund.service.js"
+
+// Days after delivery during which items can be sent back
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 30
+
+export const RETURN_REASONS = ["wrongSize", "notAsDescribed", "changedMind", "defective", "damaged", "wrongItem", "other"]
+
+// Custom designs are made to order, so they are only taken back when they
+// arrive faulty. Faulty items are not put back in stock either.
+export const DEFECT_REASONS = ["defective", "damaged"]
+
+const MAX_RETURN_PHOTOS = 5
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Units of each order line already in a return that was not rejected
+const returnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({ order: orderId, status: { $ne: "rejected" } }).select("items")
+  const quantities = new Map()
+
+  returns.forEach((returnRequest) => {
+    returnRequest.items.forEach((item) => {
+      const key = String(item.orderItem)
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+    })
+  })
+
+  return quantities
+}
+
+// Tell the customer; a mail failure must not undo the change
+const notifyCustomer = async (returnRequest) => {
+  try {
+    const user = await User.findById(returnRequest.user)
+    if (user) {
+      await sendReturnStatusEmail(user, returnRequest)
+    }
+  } catch (error) {
+    console.error("Failed to send return status email:", error)
+  }
+}
+
+/**
+ * Opens a return for some lines of a delivered order. Custom designs can
+ * only be returned as defective or damaged, with photos.
+ *
+ * @param {object} order - The Order document.
+ * @param {object} actor - `{ user, role }` of the customer.
+ * @param {object} input - `{ items: [{ orderItem, quantity, reason, note }], photos }`.
+ * @returns {Promise<object>} - `{ returnRequest }`, or `{ status, message, errors? }` if the return cannot be opened.
+ */
+export async function createReturnRequest(order, actor, { items, photos = [] }) {
+  if (order.status !== "delivered") {
+    return { status: 409, message: "Only delivered orders can be returned" }
+  }
+
+  const deliveredAt = order.deliveredAt || order.updatedAt
+  if (Date.now() > deliveredAt.getTime() + RETURN_WINDOW_DAYS * DAY_MS) {
+    return { status: 409, message: `Items can only be returned within ${RETURN_WINDOW_DAYS} days of delivery` }
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, message: "Choose at least one item to return" }
+  }
+
+  const errors = []
+
+  if (
+    !Array.isArray(photos) ||
+    photos.length > MAX_RETURN_PHOTOS ||
+    photos.some((photo) => typeof photo !== "string" || !/^https?:\/\//.test(photo))
+  ) {
+    errors.push(`photos must be a list of up to ${MAX_RETURN_PHOTOS} image URLs`)
+  }
+
+  const returned = await returnedQuantities(order._id)
+  const seen = new Set()
+
+  const returnItems = items.map((item) => {
+    const line = item?.orderItem && order.items.find((orderItem) => String(orderItem._id) === String(item.orderItem))
+    if (!line) {
+      errors.push(`Item ${item?.orderItem} is not part of this order`)
+      return null
+    }
+
+    if (seen.has(String(line._id))) errors.push(`${line.name} is listed more than once`)
+    seen.add(String(line._id))
+
+    const quantity = Number(item.quantity ?? 1)
+    const returnable = line.quantity - (returned.get(String(line._id)) || 0)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`The quantity of ${line.name} must be a whole number, 1 or more`)
+    } else if (quantity > returnable) {
+      errors.push(returnable > 0 ? `Only ${returnable} of ${line.name} can still be returned` : `${line.name} is already being returned`)
+    }
+
+    if (!RETURN_REASONS.includes(item.reason)) {
+      errors.push(`The reason for ${line.name} must be one of: ${RETURN_REASONS.join(", ")}`)
+    } else if (line.customDesign && !DEFECT_REASONS.includes(item.reason)) {
+      errors.push(`${line.name} was made to order and can only be returned if it is defective or damaged`)
+    } else if (line.customDesign && photos.length === 0) {
+      errors.push(`Add photos showing what is wrong with ${line.name}`)
+    }
+
+    return {
+      orderItem: line._id,
+      product: line.product,
+      variant: line.variant,
+      customDesign: line.customDesign,
+      name: line.name,
+      quantity,
+      reason: item.reason,
+      note: item.note,
+      refundAmount: quantity >= 1 ? getLineRefundAmount(order, line, quantity) : 0,
+    }
+  })
+
+  if (errors.length > 0) {
+    return { status: 400, message: "Invalid return request", errors }
+  }
+
+  const returnRequest = await ReturnRequest.create({ order: order._id, user: order.user, items: returnItems, photos })
+
+  await recordOrderEvent(order, {
+    type: "returnRequested",
+    actor,
+    data: { returnRequest: returnRequest._id, rmaNumber: returnRequest.rmaNumber },
+  })
+
+  return { returnRequest }
+}
+
+/**
+ * Accepts a return and tells the customer how to send the items back.
+ *
+ * @param {object} returnRequest - The ReturnRequest document.
+ * @param {object} actor - `{ user, role }` of the admin.
+ * @param {object} input - `{ returnShipping, reviewNotes }`.
+ * @returns {Promise<object>} - `{ returnRequest }`, or `{ status, message }`.
+ */
+export async function approveReturnRequest(returnRequest, actor, { returnShipping = {}, reviewNotes }) {
+  if (returnRequest.status !== "requested") {
+    return { status: 409, message: `This return has already been ${returnRequest.status}` }
+  }
+
+  const { carrier, trackingNumber, labelUrl, instructions, address } = returnShipping
+  if (!labelUrl && !address) {
+    return { status: 400, message: "Send a return label (returnShipping.labelUrl) or the address to send the items to" }
+  }
+
+  returnRequest.status = "approved"
+  returnRequest.returnShipping = { carrier, trackingNumber, labelUrl, instructions, address }
+  returnRequest.reviewNotes = reviewNotes
+  returnRequest.reviewedBy = actor.user
+  returnRequest.reviewedAt = new Date()
+  await returnRequest.save()
+
+  await recordOrderEvent(returnRequest.order, {
+    type: "returnApproved",
+    actor,
+    note: reviewNotes,
+    data: { returnRequest: returnRequest._id, rmaNumber: returnRequest.rmaNumber },
+  })
+  await notifyCustomer(returnRequest)
+
+  return { returnRequest }
+}
+
+/**
+ * Turns a return down.
+ *
+ * @param {object} returnRequest - The ReturnRequest document.
+ * @param {object} actor - `{ user, role }` of the admin.
+ * @param {object} input - `{ reviewNotes }`, the reason shown to the customer.
+ * @returns {Promise<object>} - `{ returnRequest }`, or `{ status, message }`.
+ */
+export async function rejectReturnRequest(returnRequest, actor, { reviewNotes }) {
+  if (returnRequest.status !== "requested") {
+    return { status: 409, message: `This return has already been ${returnRequest.status}` }
+  }
+
+  if (!reviewNotes) {
+    return { status: 400, message: "Tell the customer why the return is rejected in reviewNotes" }
+  }
+
+  returnRequest.status = "rejected"
+  returnRequest.reviewNotes = reviewNotes
+  returnRequest.reviewedBy = actor.user
+  returnRequest.reviewedAt = new Date()
+  await returnRequest.save()
+
+  await recordOrderEvent(returnRequest.order, {
+    type: "returnRejected",
+    actor,
+    note: reviewNotes,
+    data: { returnRequest: returnRequest._id, rmaNumber: returnRequest.rmaNumber },
+  })
+  await notifyCustomer(returnRequest)
+
+  return { returnRequest }
+}
+
+/**
+ * Books the items of an approved return in: puts the units that can be sold
+ * again back in stock, refunds them, and marks the order returned once every
+ * unit of it has come back. A refund that fails stays due on the return.
+ *
+ * @param {object} returnRequest - The ReturnRequest document.
+ * @param {object} order - The Order document of the return.
+ * @param {object} actor - `{ user, role }` of the admin.
+ * @param {object} [options] - `{ restock }`, false to keep every unit out of stock.
+ * @returns {Promise<object>} - `{ returnRequest }`, or `{ status, message }`.
+ */
+export async function receiveReturnRequest(returnRequest, order, actor, { restock = true } = {}) {
+  if (returnRequest.status !== "approved") {
+    return { status: 409, message: "Only approved returns can be received" }
+  }
+
+  const receivedAt = new Date()
+  const refundAmount = roundMoney(returnRequest.items.reduce((sum, item) => sum + (item.refundAmount || 0), 0))
+
+  // Claim the return first, so its units are never put back twice
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: "approved" },
+    { $set: { status: "received", receivedAt, refund: { amount: refundAmount, status: "pending" } } },
+  )
+  if (!claimed) {
+    return { status: 409, message: "This return has already been received" }
+  }
+
+  const restockLines = restock
+    ? returnRequest.items.filter((item) => item.variant && !DEFECT_REASONS.includes(item.reason))
+    : []
+  await releaseStock(restockLines)
+
+  returnRequest.set({ status: "received", receivedAt, refund: { amount: refundAmount, status: "pending" } })
+  returnRequest.restocked = restockLines.length > 0
+  await returnRequest.save()
+
+  await recordOrderEvent(order, {
+    type: "returnReceived",
+    actor,
+    data: {
+      returnRequest: returnRequest._id,
+      rmaNumber: returnRequest.rmaNumber,
+      restocked: restockLines.map(({ variant, quantity }) => ({ variant, quantity })),
+      refundAmount,
+    },
+  })
+
+  // The order is returned once all of it is back
+  const received = await ReturnRequest.find({ order: order._id, status: "received" }).select("items")
+  const receivedUnits = received.reduce((sum, { items }) => sum + items.reduce((total, item) => total + item.quantity, 0), 0)
+  const orderedUnits = order.items.reduce((sum, item) => sum + item.quantity, 0)
+
+  if (receivedUnits >= orderedUnits && order.status === "delivered") {
+    await transitionOrder(order, "returned", { actor, note: `Returned with ${returnRequest.rmaNumber}` })
+  }
+
+  const refund = await refundOrder(order, actor, {
+    items: returnRequest.items.map(({ orderItem, quantity }) => ({ orderItem, quantity })),
+    reason: `Return ${returnRequest.rmaNumber}`,
+    returnRequest: returnRequest._id,
+  })
+  if (refund.message) {
+    console.error(`Return ${returnRequest.rmaNumber} was received but not refunded: ${refund.message}`)
+    if (refund.transaction) returnRequest.refund.status = "failed"
+  } else {
+    returnRequest.refund.status = refund.transaction.status
+    returnRequest.refund.transaction = refund.transaction._id
+  }
+
+  await notifyCustomer(returnRequest)
+
+  return { returnRequest }
+}
@@ -0,0 +1,57 @@
+import SecuritySettings from "../models/securitySettings.model.js"
+
+// Settings are read on every authorized request, so keep them in memory for
+// a short while. Other API instances pick up changes within CACHE_TTL_MS.
+const CACHE_TTL_MS = 30 * 1000
+
+let cachedSettings = null
+let cachedAt = 0
+
+/**
+ * Returns the platform security settings, creating the document on first use.
+ *
+ * @returns {Promise<object>} - The SecuritySettings document.
+ */
+export async function getSecuritySettings() {
+  if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings
+  }
+
+  cachedSettings = await SecuritySettings.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { new: true, upsert: true },
+  )
+  cachedAt = Date.now()
+
+  return cachedSettings
+}
+
+/**
+ * Updates the platform security settings.
+ *
+ * @param {object} changes - Fields to update.
+ * @param {string} adminId - ID of the admin making the change.
+ * @returns {Promise<object>} - The updated SecuritySettings document.
+ */
+export async function updateSecuritySettings(changes, adminId) {
+  cachedSettings = await SecuritySettings.findOneAndUpdate(
+    { key: "global" },
+    { $set: { ...changes, updatedBy: adminId } },
+    { new: true, upsert: true, runValidators: true },
+  )
+  cachedAt = Date.now()
+
+  return cachedSettings
+}
+
+/**
+ * Whether users with this role must have two-factor authentication enabled.
+ *
+ * @param {string} role - User role.
+ * @returns {Promise<boolean>}
+ */
+export async function isTwoFactorRequired(role) {
+  const settings = await getSecuritySettings()
+  return settings.twoFactorRequiredRoles.includes(role)
+}
@@ -0,0 +1,133 @@
+import crypto from "crypto"
+import Session from "../models/session.model.js"
+import generateToken from "../utils/generateToken.js"
+import hashToken from "../utils/hashToken.js"
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("hex")
+}
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Starts a new session for a user and issues its first token pair.
+ *
+ * @param {object} user - The authenticated user document.
+ * @param {object} req - Express request, used to record the device.
+ * @returns {Promise<object>} - `{ session, accessToken, refreshToken }`.
+ */
+export async function createSession(user, req) {
+  const refreshToken = generateRefreshToken()
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+    expiresAt: refreshTokenExpiry(),
+  })
+
+  return {
+    session,
+    accessToken: generateToken(user._id, session._id),
+    refreshToken,
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token is
+ * retired; presenting a retired token again revokes the whole session.
+ *
+ * @param {string} refreshToken - The raw refresh token sent by the client.
+ * @param {object} req - Express request, used to record the device.
+ * @returns {Promise<object|null>} - `{ session, accessToken, refreshToken }`, or null if the token is not usable.
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken)
+  const newRefreshToken = generateRefreshToken()
+  const newTokenHash = hashToken(newRefreshToken)
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: newTokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshTokenExpiry(),
+        userAgent: req.get("user-agent"),
+        ipAddress: req.ip,
+      },
+      $push: { previousTokenHashes: tokenHash },
+    },
+    { new: true },
+  )
+
+  if (session) {
+    return {
+      session,
+      accessToken: generateToken(session.user, session._id),
+      refreshToken: newRefreshToken,
+    }
+  }
+
+  // A rotated token showing up again means it was copied: kill the family
+  const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash })
+  if (reusedSession && !reusedSession.revokedAt) {
+    console.warn(`Refresh token reuse detected for session ${reusedSession._id}, revoking it`)
+    await revokeSession(reusedSession._id, "reuseDetected")
+  }
+
+  return null
+}
+
+/**
+ * Revokes a single session.
+ *
+ * @param {string} sessionId - The session ID.
+ * @param {string} reason - One of the Session `revokedReason` values.
+ * @returns {Promise<boolean>} - True if an active session was revoked.
+ */
+export async function revokeSession(sessionId, reason) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Revokes every active session of a user, optionally keeping one.
+ *
+ * @param {string} userId - The user ID.
+ * @param {string} reason - One of the Session `revokedReason` values.
+ * @param {string} [exceptSessionId] - Session to leave untouched (e.g. the current device).
+ * @returns {Promise<number>} - Number of sessions revoked.
+ */
+export async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } }
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId }
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } })
+  return result.modifiedCount
+}
+
+/**
+ * Lists the active sessions of a user, most recently used first.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Array>} - Active session documents.
+ */
+export async function listActiveSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 })
+}
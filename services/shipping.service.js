@@ -0,0 +1,236 @@
+import ShippingZone from "../models/shippingZone.model.js"
+import roundMoney from "../utils/roundMoney.js"
+
+// Flat shipping used until shipping zones are set up
+export const SHIPPING_FLAT_RATE = Number(process.env.SHIPPING_FLAT_RATE) || 0
+export const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD) || null
+
+// Weight of products without one, and of custom designs
+export const DEFAULT_ITEM_WEIGHT_KG = Number(process.env.DEFAULT_ITEM_WEIGHT_KG) || 1
+
+// cm³ per kg; bulky parcels are charged by their volumetric weight
+export const VOLUMETRIC_DIVISOR = Number(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || 5000
+
+const DIMENSIONS = ["length", "width", "height"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+
+const postalKey = (value) =>
+  String(value || "")
+    .replace(/\s+/g, "")
+    .toUpperCase()
+
+/**
+ * Reads the weight and dimensions of a product from a request. Both can be
+ * sent as form fields, dimensions as a JSON string.
+ *
+ * @param {object} body - The request body.
+ * @returns {object|null} - `{ fields, errors }`, or null if neither is sent.
+ */
+export function parseParcelInput(body) {
+  if (body.weight === undefined && body.dimensions === undefined) return null
+
+  const fields = {}
+  const errors = []
+
+  if (body.weight !== undefined) {
+    const weight = body.weight === "" || body.weight === null ? null : Number(body.weight)
+    if (weight !== null && !(weight >= 0)) errors.push("weight must be a number of kg, 0 or more")
+    else fields.weight = weight
+  }
+
+  if (body.dimensions !== undefined) {
+    let dimensions = body.dimensions
+    if (typeof dimensions === "string") {
+      try {
+        dimensions = dimensions ? JSON.parse(dimensions) : null
+      } catch (error) {
+        dimensions = undefined
+      }
+    }
+
+    if (dimensions === null) {
+      fields.dimensions = null
+    } else if (typeof dimensions !== "object" || DIMENSIONS.some((side) => !(Number(dimensions[side]) > 0))) {
+      errors.push("dimensions must have a length, width and height in cm")
+    } else {
+      fields.dimensions = Object.fromEntries(DIMENSIONS.map((side) => [side, Number(dimensions[side])]))
+    }
+  }
+
+  return { fields, errors }
+}
+
+/**
+ * The weight one unit of a product is charged at: its weight, or its
+ * volumetric weight if the parcel is bulkier than it is heavy.
+ *
+ * @param {object} [product] - The product, none for a custom design.
+ * @returns {number} - Weight in kg.
+ */
+export function getChargeableWeight(product) {
+  const volume = DIMENSIONS.reduce((total, side) => total * (product?.dimensions?.[side] || 0), 1)
+  const weight = product?.weight ?? DEFAULT_ITEM_WEIGHT_KG
+
+  return Math.max(weight, volume / VOLUMETRIC_DIVISOR)
+}
+
+// How well a zone fits an address: 0 if it does not cover it, higher for
+// narrower zones, so a postal code zone wins over its region and country
+const zoneScore = (zone, address) => {
+  let score = 1
+
+  if (zone.countries.length > 0) {
+    if (!zone.countries.some((country) => normalize(country) === normalize(address.country))) return 0
+    score += 1
+  }
+
+  if (zone.regions.length > 0) {
+    if (!zone.regions.some((region) => normalize(region) === normalize(address.state))) return 0
+    score += 2
+  }
+
+  if (zone.postalPrefixes.length > 0) {
+    const postalCode = postalKey(address.postalCode)
+    const longest = Math.max(
+      0,
+      ...zone.postalPrefixes.filter((prefix) => postalCode.startsWith(postalKey(prefix))).map((prefix) => prefix.length),
+    )
+    if (longest === 0) return 0
+    score += 4 + longest
+  }
+
+  return score
+}
+
+// Cost of a method for an order, null if the order falls outside its rates
+const methodCost = (method, { subtotal, weight }) => {
+  if (method.freeShippingThreshold !== undefined && method.freeShippingThreshold !== null) {
+    if (subtotal >= method.freeShippingThreshold) return 0
+  }
+
+  if (method.rateType === "flat") return roundMoney(method.flatRate || 0)
+
+  const value = method.rateType === "weight" ? weight : subtotal
+  const bracket = [...method.rates]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find((rate) => rate.upTo === undefined || rate.upTo === null || value <= rate.upTo)
+
+  return bracket ? roundMoney(bracket.cost) : null
+}
+
+/**
+ * Delivery window of a shipping option for an order placed now.
+ *
+ * @param {object} option - A shipping option.
+ * @param {Date} [from] - When the order is placed.
+ * @returns {object|null} - `{ from, to }` dates, or null if the method has no delivery times.
+ */
+export function estimateDelivery(option, from = new Date()) {
+  const { minDeliveryDays, maxDeliveryDays } = option
+  if (minDeliveryDays === undefined && maxDeliveryDays === undefined) return null
+
+  return {
+    from: new Date(from.getTime() + (minDeliveryDays ?? maxDeliveryDays) * DAY_MS),
+    to: new Date(from.getTime() + (maxDeliveryDays ?? minDeliveryDays) * DAY_MS),
+  }
+}
+
+/**
+ * Lists the shipping methods that can deliver an order to an address, the
+ * cheapest first. The narrowest zone covering the address is used. Until
+ * zones are set up, a flat standard rate is offered everywhere.
+ *
+ * @param {object} input - `{ address, subtotal, weight }`, the subtotal after discounts and the chargeable weight in kg.
+ * @returns {Promise<object>} - `{ options }`, or `{ status, message }` if the order cannot be shipped there.
+ */
+export async function getShippingOptions({ address, subtotal, weight }) {
+  const zones = await ShippingZone.find({ isActive: true })
+
+  if (zones.length === 0) {
+    const free = FREE_SHIPPING_THRESHOLD !== null && subtotal >= FREE_SHIPPING_THRESHOLD
+    return {
+      options: [{ method: null, zone: null, code: "standard", name: "Standard shipping", cost: free ? 0 : roundMoney(SHIPPING_FLAT_RATE) }],
+    }
+  }
+
+  const zone = zones
+    .map((candidate) => ({ candidate, score: zoneScore(candidate, address) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)[0]?.candidate
+
+  if (!zone) {
+    return { status: 400, message: `We do not ship to ${address.country} yet` }
+  }
+
+  const options = zone.methods
+    .filter((method) => method.isActive)
+    .map((method) => ({
+      method: method._id,
+      zone: zone._id,
+      code: method.code,
+      name: method.name,
+      cost: methodCost(method, { subtotal, weight }),
+      minDeliveryDays: method.minDeliveryDays,
+      maxDeliveryDays: method.maxDeliveryDays,
+    }))
+    .filter((option) => option.cost !== null)
+    .sort((a, b) => a.cost - b.cost)
+
+  if (options.length === 0) {
+    return { status: 400, message: `No shipping method can deliver this order to ${address.country}` }
+  }
+
+  return { options }
+}
+
+/**
+ * Picks the shipping option asked for by method ID or code, or the
+ * cheapest one.
+ *
+ * @param {object[]} options - Options from `getShippingOptions`.
+ * @param {string} [choice] - Method ID or code, e.g. "express".
+ * @returns {object|null} - The option, or null if the choice is not offered.
+ */
+export function selectShippingOption(options, choice) {
+  if (!choice) return options[0]
+  return options.find((option) => String(option.method) === String(choice) || option.code === choice) || null
+}
+
+/**
+ * Checks a shipping zone before it is saved.
+ *
+ * @param {object} zone - The ShippingZone document.
+ * @returns {string[]} - Error messages, empty if the zone is valid.
+ */
+export function getShippingZoneErrors(zone) {
+  const validation = zone.validateSync()
+  if (validation) return Object.values(validation.errors).map((error) => error.message)
+
+  const errors = []
+  const codes = new Set()
+
+  zone.methods.forEach((method) => {
+    if (codes.has(method.code)) errors.push(`${method.code} is listed more than once`)
+    codes.add(method.code)
+
+    if (method.rateType === "flat" && (method.flatRate === undefined || method.flatRate === null)) {
+      errors.push(`${method.name} needs a flatRate`)
+    }
+
+    if (method.rateType !== "flat" && method.rates.length === 0) {
+      errors.push(`${method.name} needs at least one rate`)
+    }
+
+    if (method.minDeliveryDays > method.maxDeliveryDays) {
+      errors.push(`${method.name}: minDeliveryDays cannot be more than maxDeliveryDays`)
+    }
+  })
+
+  return errors
+}
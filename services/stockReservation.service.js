@@ -0,0 +1,249 @@
+import Order from "../models/order.model.js"
+import Product from "../models/product.model.js"
+
+// How long stock is held for an unpaid order
+export const STOCK_RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES) || 30
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// Several order lines can point at the same variant; take their units in one update
+const groupLines = (lines) => {
+  const groups = new Map()
+
+  lines.forEach((line) => {
+    const key = `${line.product}:${line.variant}`
+    const group = groups.get(key)
+    if (group) group.quantity += line.quantity
+    else groups.set(key, { product: line.product, variant: line.variant, quantity: line.quantity, label: line.label })
+  })
+
+  return [...groups.values()]
+}
+
+// Takes units off a variant only if that many are in stock, in one atomic update
+const decrementVariant = async ({ product, variant, quantity }) => {
+  const result = await Product.updateOne(
+    { _id: product, variants: { $elemMatch: { _id: variant, isActive: true, stock: { $gte: quantity } } } },
+    { $inc: { "variants.$.stock": -quantity } },
+  )
+  return result.modifiedCount === 1
+}
+
+const incrementVariant = ({ product, variant, quantity }) =>
+  Product.updateOne({ _id: product, "variants._id": variant }, { $inc: { "variants.$.stock": quantity } })
+
+// Mirrors a change already written with an atomic update onto the loaded
+// order, without marking it for the next save of that order
+const syncReservation = (order, fields) => {
+  Object.entries(fields).forEach(([field, value]) => {
+    order.stockReservation[field] = value
+    order.unmarkModified(`stockReservation.${field}`)
+  })
+}
+
+/**
+ * Takes stock for order lines. Each variant is decremented with a
+ * conditional update, so concurrent checkouts can never take more than is in
+ * stock. If one line cannot be served, the units already taken are put back.
+ *
+ * @param {object[]} lines - `{ product, variant, quantity, label }` for each stock-tracked line.
+ * @returns {Promise<object>} - `{ reserved: true }`, or `{ reserved: false, line }` with the line that is out of stock.
+ */
+export async function reserveStock(lines) {
+  const taken = []
+
+  for (const line of groupLines(lines)) {
+    if (!(await decrementVariant(line))) {
+      await releaseStock(taken)
+      return { reserved: false, line }
+    }
+    taken.push(line)
+  }
+
+  return { reserved: true }
+}
+
+/**
+ * Puts stock taken by `reserveStock` back.
+ *
+ * @param {object[]} lines - `{ product, variant, quantity }` lines.
+ */
+export async function releaseStock(lines) {
+  for (const line of groupLines(lines)) {
+    try {
+      await incrementVariant(line)
+    } catch (error) {
+      // Keep going, so one failure does not strand the other lines
+      console.error(`Failed to put back ${line.quantity} of variant ${line.variant}:`, error)
+    }
+  }
+}
+
+/**
+ * Reserves the stock of a new order before it is saved, and records the
+ * reservation on the order with its expiry time.
+ *
+ * @param {object} order - The unsaved Order document.
+ * @param {object[]} lines - `{ product, variant, quantity, label }` for each stock-tracked line.
+ * @returns {Promise<object>} - `{ reserved: true }`, or `{ reserved: false, line }`.
+ */
+export async function reserveOrderStock(order, lines) {
+  if (lines.length === 0) return { reserved: true }
+
+  const result = await reserveStock(lines)
+  if (!result.reserved) return result
+
+  order.stockReservation = {
+    status: "reserved",
+    expiresAt: new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000),
+    items: lines.map(({ product, variant, quantity }) => ({ product, variant, quantity })),
+  }
+
+  return result
+}
+
+/**
+ * Makes sure an order still holds its stock before it is charged. A
+ * reservation that expired or was released after a failed payment is taken
+ * again if the stock is still there, with a new expiry time.
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @returns {Promise<boolean>} - Whether the order holds its stock.
+ */
+export async function ensureOrderReservation(order) {
+  const reservation = order.stockReservation
+  if (!reservation?.status || reservation.status === "committed") return true
+
+  const expiresAt = new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000)
+
+  if (reservation.status === "reserved") {
+    // Still held; give the payment the full time again
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, "stockReservation.status": "reserved" },
+      { $set: { "stockReservation.expiresAt": expiresAt } },
+      { new: true },
+    )
+    if (updated) {
+      syncReservation(order, { expiresAt })
+      return true
+    }
+    // Released in the meantime, fall through and take it again
+  }
+
+  const result = await reserveStock(reservation.items)
+  if (!result.reserved) return false
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "stockReservation.status": "released" },
+    {
+      $set: { "stockReservation.status": "reserved", "stockReservation.expiresAt": expiresAt },
+      $unset: { "stockReservation.releasedAt": "", "stockReservation.releaseReason": "" },
+    },
+  )
+
+  if (!updated) {
+    // Another request took the stock again first; give ours back
+    await releaseStock(reservation.items)
+    const current = await Order.findById(order._id).select("stockReservation.status")
+    return ["reserved", "committed"].includes(current?.stockReservation?.status)
+  }
+
+  syncReservation(order, { status: "reserved", expiresAt, releasedAt: undefined, releaseReason: undefined })
+
+  return true
+}
+
+/**
+ * Marks the stock of a paid order as sold, so it is no longer released. If
+ * the reservation had already been released, the stock is taken again.
+ *
+ * @param {object} order - The Order document, updated in place.
+ * @returns {Promise<boolean>} - False if the stock could not be taken again and the order is oversold.
+ */
+export async function commitOrderReservation(order) {
+  if (!order.stockReservation?.status || order.stockReservation.status === "committed") return true
+
+  const held = await ensureOrderReservation(order)
+  if (!held) {
+    console.warn(`Order ${order.orderNumber} was paid but its stock has been sold in the meantime`)
+    return false
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "stockReservation.status": "reserved" },
+    { $set: { "stockReservation.status": "committed" } },
+  )
+  if (updated) syncReservation(order, { status: "committed" })
+
+  return Boolean(updated)
+}
+
+/**
+ * Puts the stock held by an order back. Safe to call more than once or from
+ * several processes: the stock is only put back by the call that flips the
+ * reservation to released.
+ *
+ * @param {object|string} order - The Order document, updated in place, or its ID.
+ * @param {string} reason - "paymentFailed", "expired", "cancelled" or "refunded".
+ * @param {object} [options] - `{ includeCommitted }` to also put back the stock of a paid order.
+ * @returns {Promise<boolean>} - Whether stock was put back.
+ */
+export async function releaseOrderReservation(order, reason, { includeCommitted = false } = {}) {
+  const statuses = includeCommitted ? ["reserved", "committed"] : ["reserved"]
+  const filter = { _id: order._id || order, "stockReservation.status": { $in: statuses } }
+
+  // Only expired holds may be swept, in case the payment just extended it
+  if (reason === "expired") filter["stockReservation.expiresAt"] = { $lte: new Date() }
+
+  const releasedAt = new Date()
+  const released = await Order.findOneAndUpdate(filter, {
+    $set: {
+      "stockReservation.status": "released",
+      "stockReservation.releasedAt": releasedAt,
+      "stockReservation.releaseReason": reason,
+    },
+  })
+  if (!released) return false
+
+  await releaseStock(released.stockReservation.items)
+
+  if (order.stockReservation) {
+    syncReservation(order, { status: "released", releasedAt, releaseReason: reason })
+  }
+  return true
+}
+
+/**
+ * Releases every reservation that expired before its order was paid.
+ *
+ * @returns {Promise<number>} - Number of reservations released.
+ */
+export async function releaseExpiredReservations() {
+  const expired = await Order.find({
+    "stockReservation.status": "reserved",
+    "stockReservation.expiresAt": { $lte: new Date() },
+  }).select("_id")
+
+  let released = 0
+  for (const { _id } of expired) {
+    if (await releaseOrderReservation(_id, "expired")) released += 1
+  }
+
+  return released
+}
+
+/**
+ * Runs `releaseExpiredReservations` now and then every minute.
+ */
+export function startStockReservationSweeper() {
+  const run = () => {
+    releaseExpiredReservations()
+      .then((released) => {
+        if (released > 0) console.log(`Released the stock of ${released} unpaid order(s)`)
+      })
+      .catch((error) => console.error("Stock reservation sweep failed:", error))
+  }
+
+  run()
+  setInterval(run, SWEEP_INTERVAL_MS).unref()
+}
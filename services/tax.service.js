@@ -0,0 +1,121 @@
+import TaxRule from "../models/taxRule.model.js"
+import roundMoney from "../utils/roundMoney.js"
+
+// Rate added on top of prices where no tax rule covers the destination,
+// e.g. TAX_RATE=0.18 for 18%
+export const TAX_RATE = Number(process.env.TAX_RATE) || 0
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+
+/**
+ * Finds the tax rule of a destination: the rule for its region if there is
+ * one, else the rule for its country.
+ *
+ * @param {object} [address] - The shipping address.
+ * @returns {Promise<object|null>} - The TaxRule document, or null if no rule covers the address.
+ */
+export async function findTaxRule(address) {
+  if (!address?.country) return null
+
+  const rules = (await TaxRule.find({ isActive: true })).filter(
+    (rule) => normalize(rule.country) === normalize(address.country),
+  )
+
+  return (
+    rules.find((rule) => rule.region && normalize(rule.region) === normalize(address.state)) ||
+    rules.find((rule) => !rule.region) ||
+    null
+  )
+}
+
+/**
+ * The percentage a rule charges on a product category.
+ *
+ * @param {object} rule - The TaxRule document.
+ * @param {string} [category] - The product or custom design category.
+ * @returns {number} - The rate, e.g. 18 for 18%.
+ */
+export function getCategoryRate(rule, category) {
+  if (rule.exemptCategories.some((exempt) => normalize(exempt) === normalize(category))) return 0
+
+  const reduced = rule.categoryRates.find((entry) => normalize(entry.category) === normalize(category))
+  return reduced ? reduced.rate : rule.rate
+}
+
+// Tax on an amount, taken out of it when prices include tax and added on top otherwise
+const taxOn = (amount, rate, inclusive) => {
+  const fraction = rate / 100
+  return roundMoney(inclusive ? amount - amount / (1 + fraction) : amount * fraction)
+}
+
+// Splits the order discount over the lines in proportion to their totals, so
+// each line is taxed on what the customer actually pays for it
+const allocateDiscount = (lines, discount) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  let remaining = discount
+
+  return lines.map((line, index) => {
+    if (subtotal === 0) return 0
+
+    const share = index === lines.length - 1 ? remaining : roundMoney((discount * line.lineTotal) / subtotal)
+    remaining = roundMoney(remaining - share)
+    return share
+  })
+}
+
+/**
+ * Computes the tax of an order line by line, by the rule of its destination.
+ * Without a rule, TAX_RATE is added on top of every line.
+ *
+ * @param {object} input - `{ lines, discount, shippingCost, address }` with the priced lines, each with its `category`.
+ * @returns {Promise<object>} - `{ lines, shippingTax, tax, taxIncluded, taxRule }`, `lines` holding `{ taxableAmount, taxRate, taxAmount }` for each order line.
+ */
+export async function calculateTax({ lines, discount = 0, shippingCost = 0, address }) {
+  const rule = await findTaxRule(address)
+  const inclusive = Boolean(rule?.pricesIncludeTax)
+  const discounts = allocateDiscount(lines, discount)
+
+  const lineTaxes = lines.map((line, index) => {
+    const taxableAmount = roundMoney(line.lineTotal - discounts[index])
+    const taxRate = rule ? getCategoryRate(rule, line.category) : TAX_RATE * 100
+
+    return { taxableAmount, taxRate, taxAmount: taxOn(taxableAmount, taxRate, inclusive) }
+  })
+
+  const shippingTax = rule?.taxShipping ? taxOn(shippingCost, rule.rate, inclusive) : 0
+
+  return {
+    lines: lineTaxes,
+    shippingTax,
+    tax: roundMoney(lineTaxes.reduce((sum, line) => sum + line.taxAmount, 0) + shippingTax),
+    taxIncluded: inclusive,
+    taxRule: rule && { rule: rule._id, name: rule.name, country: rule.country, region: rule.region },
+  }
+}
+
+/**
+ * Checks a tax rule before it is saved.
+ *
+ * @param {object} rule - The TaxRule document.
+ * @returns {string[]} - Error messages, empty if the rule is valid.
+ */
+export function getTaxRuleErrors(rule) {
+  const validation = rule.validateSync()
+  if (validation) return Object.values(validation.errors).map((error) => error.message)
+
+  const errors = []
+  const categories = rule.categoryRates.map((entry) => normalize(entry.category))
+
+  if (new Set(categories).size !== categories.length) {
+    errors.push("Each category can only have one rate")
+  }
+
+  if (rule.exemptCategories.some((category) => categories.includes(normalize(category)))) {
+    errors.push("A category cannot be both exempt and have a reduced rate")
+  }
+
+  return errors
+}
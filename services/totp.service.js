@@ -0,0 +1,131 @@
+import crypto from "crypto"
+
+// Time-based one-time passwords (RFC 6238), compatible with Google
+// Authenticator, Authy, 1Password and similar apps: SHA-1, 6 digits, 30s step.
+const STEP_SECONDS = 30
+const DIGITS = 6
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+function base32Decode(input) {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase()
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character in TOTP secret")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates a new random TOTP secret.
+ *
+ * @returns {string} - Base32 encoded secret (160 bits).
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Computes the code for a given time step.
+ *
+ * @param {string} secret - Base32 encoded secret.
+ * @param {number} step - Time step counter (Unix time / 30s).
+ * @returns {string} - Zero-padded 6 digit code.
+ */
+export function generateTotp(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0")
+}
+
+/**
+ * Returns the current time step.
+ *
+ * @returns {number}
+ */
+export function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS)
+}
+
+/**
+ * Checks a code against the secret, allowing one step of clock drift.
+ *
+ * @param {string} secret - Base32 encoded secret.
+ * @param {string} code - Code typed by the user.
+ * @param {number} [lastUsedStep] - Step of the last accepted code, older or equal steps are refused (replay).
+ * @returns {number|null} - The matched time step, or null if the code is invalid.
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1) {
+  const normalized = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const now = currentStep()
+  for (const step of [now - 1, now, now + 1]) {
+    if (step <= lastUsedStep) continue
+
+    const expected = generateTotp(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+/**
+ * Builds the otpauth:// provisioning URI that authenticator apps read from a QR code.
+ *
+ * @param {string} secret - Base32 encoded secret.
+ * @param {string} accountName - Usually the user's email.
+ * @param {string} [issuer] - Name shown in the authenticator app.
+ * @returns {string}
+ */
+export function buildOtpauthUrl(secret, accountName, issuer = process.env.TOTP_ISSUER || "Kimelia Luxe") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+
+  return `otpauth://totp/${label}?${params.toString()}`
+}
@@ -0,0 +1,168 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import User from "../models/user.model.js"
+import hashToken from "../utils/hashToken.js"
+import { encrypt, decrypt } from "../utils/encryption.js"
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl } from "./totp.service.js"
+
+const RECOVERY_CODE_COUNT = 10
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+
+const normalizeRecoveryCode = (code) => String(code || "").replace(/[\s-]/g, "").toLowerCase()
+
+/**
+ * Loads a user together with the hidden two-factor fields.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {Promise<object|null>} - The user document.
+ */
+export async function findUserWithTwoFactor(userId) {
+  return User.findById(userId).select(TWO_FACTOR_FIELDS)
+}
+
+/**
+ * Generates a fresh set of one-time recovery codes and stores their hashes.
+ * Previous codes stop working. The caller must save the user.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ * @returns {string[]} - The plain codes, to be shown to the user once.
+ */
+export function generateRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  user.twoFactor.recoveryCodes = codes.map((code) => ({ codeHash: hashToken(normalizeRecoveryCode(code)) }))
+
+  return codes
+}
+
+/**
+ * Starts TOTP enrollment: creates a pending secret that becomes active once
+ * the user proves their app produces valid codes.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ * @returns {Promise<object>} - `{ secret, otpauthUrl }` for the authenticator app.
+ */
+export async function startEnrollment(user) {
+  const secret = generateTotpSecret()
+
+  user.twoFactor.pendingSecret = encrypt(secret)
+  await user.save()
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email),
+  }
+}
+
+/**
+ * Activates two-factor authentication if the code matches the pending secret.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ * @param {string} code - Code from the authenticator app.
+ * @returns {Promise<string[]|null>} - Recovery codes, or null if the code is invalid.
+ */
+export async function confirmEnrollment(user, code) {
+  if (!user.twoFactor.pendingSecret) return null
+
+  const secret = decrypt(user.twoFactor.pendingSecret)
+  const step = verifyTotp(secret, code)
+  if (step === null) return null
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.lastUsedStep = step
+  user.twoFactor.enabled = true
+  user.twoFactor.enabledAt = new Date()
+  const recoveryCodes = generateRecoveryCodes(user)
+
+  await user.save()
+
+  return recoveryCodes
+}
+
+/**
+ * Checks a second factor: either a TOTP code or an unused recovery code.
+ * Accepted codes cannot be used again.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ * @param {object} factor - `{ code }` or `{ recoveryCode }`.
+ * @returns {Promise<string|null>} - "totp" or "recoveryCode" on success, null otherwise.
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return null
+
+  if (code) {
+    const step = verifyTotp(decrypt(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1)
+    if (step === null) return null
+
+    user.twoFactor.lastUsedStep = step
+    await user.save()
+    return "totp"
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode))
+    const entry = user.twoFactor.recoveryCodes.find((c) => c.codeHash === codeHash && !c.usedAt)
+    if (!entry) return null
+
+    entry.usedAt = new Date()
+    await user.save()
+    return "recoveryCode"
+  }
+
+  return null
+}
+
+/**
+ * Turns two-factor authentication off and forgets the secret and codes.
+ * The caller must save the user.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ */
+export function clearTwoFactor(user) {
+  user.twoFactor.enabled = false
+  user.twoFactor.enabledAt = undefined
+  user.twoFactor.secret = undefined
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.lastUsedStep = undefined
+  user.twoFactor.recoveryCodes = []
+}
+
+/**
+ * Counts the recovery codes the user has not used yet.
+ *
+ * @param {object} user - User document loaded with findUserWithTwoFactor.
+ * @returns {number}
+ */
+export function countRemainingRecoveryCodes(user) {
+  return (user.twoFactor.recoveryCodes || []).filter((c) => !c.usedAt).length
+}
+
+/**
+ * Issues the short-lived token that links the password step of a login to
+ * the second-factor step. It cannot be used as an access token.
+ *
+ * @param {object} user - The user who passed the password check.
+ * @returns {string} - Signed challenge token.
+ */
+export function createLoginChallenge(user) {
+  return jwt.sign({ id: user._id, purpose: "2fa-login" }, process.env.JWT_SECRET, { expiresIn: "5m" })
+}
+
+/**
+ * Verifies a login challenge token.
+ *
+ * @param {string} challengeToken - Token returned by the password step.
+ * @returns {string|null} - The user ID, or null if the token is invalid or expired.
+ */
+export function verifyLoginChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    return decoded.purpose === "2fa-login" ? decoded.id : null
+  } catch (error) {
+    return null
+  }
+}
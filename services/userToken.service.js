@@ -0,0 +1,47 @@
+import crypto from "crypto"
+import UserToken from "../models/userToken.model.js"
+import hashToken from "../utils/hashToken.js"
+
+/**
+ * Issues a new single-use token for a user. Any unused token of the same
+ * type is invalidated, so only the latest emailed link works.
+ *
+ * @param {string} userId - The user ID.
+ * @param {string} type - One of the UserToken `type` values.
+ * @param {number} ttlMinutes - How long the token stays valid.
+ * @returns {Promise<string>} - The raw token, to be sent to the user.
+ */
+export async function issueUserToken(userId, type, ttlMinutes) {
+  await UserToken.deleteMany({ user: userId, type, usedAt: { $exists: false } })
+
+  const token = crypto.randomBytes(32).toString("hex")
+
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  })
+
+  return token
+}
+
+/**
+ * Marks a token as used if it is valid, unused and not expired.
+ *
+ * @param {string} token - The raw token received from the user.
+ * @param {string} type - The expected token type.
+ * @returns {Promise<object|null>} - The consumed token document, or null if the token is not usable.
+ */
+export async function consumeUserToken(token, type) {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  )
+}
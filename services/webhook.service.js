@@ -0,0 +1,127 @@
+import WebhookEvent from "../models/webhookEvent.model.js"
+import { redactCardData } from "../utils/cardData.js"
+import { getPaymentProviderByName, settlePayment, settlePaymentFromProvider } from "./payment.service.js"
+import { settleRefund } from "./refund.service.js"
+
+// Statuses of events processed again when the provider redelivers them
+const RETRIED_STATUSES = ["failed", "deferred"]
+
+// An event processing for longer was interrupted, e.g. by a restart
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000
+
+const interrupted = () => ({ status: "processing", updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } })
+
+// What an event does to its payment or refund. Providers whose callbacks
+// are not signed over their content are asked for the status instead.
+const settleEvent = (provider, webhookEvent) => {
+  if (!webhookEvent.transactionId) return { outcome: "ignored", reason: "Not a payment event" }
+  if (webhookEvent.transactionType === "refund") {
+    return settleRefund(provider, { transactionId: webhookEvent.transactionId, status: webhookEvent.paymentStatus })
+  }
+  if (provider.checkStatusOnWebhook) return settlePaymentFromProvider(provider, webhookEvent.transactionId)
+  if (!webhookEvent.paymentStatus) return { outcome: "ignored", reason: "Not a payment event" }
+
+  return settlePayment(provider, {
+    transactionId: webhookEvent.transactionId,
+    status: webhookEvent.paymentStatus,
+    occurredAt: webhookEvent.occurredAt,
+  })
+}
+
+// Applies a stored event and records the outcome on it
+const processWebhookEvent = async (provider, webhookEvent) => {
+  try {
+    const { outcome, reason } = await settleEvent(provider, webhookEvent)
+
+    webhookEvent.set({ status: outcome, result: reason, processedAt: new Date() })
+  } catch (error) {
+    console.error(`Failed to process ${webhookEvent.provider} webhook event ${webhookEvent.eventId}:`, error)
+    webhookEvent.set({ status: "failed", result: error.message })
+  }
+
+  await webhookEvent.save()
+  return webhookEvent
+}
+
+/**
+ * Takes a provider callback: checks its signature, stores it and applies it.
+ * An event already received is only processed again if it failed or came
+ * before its payment was known.
+ *
+ * @param {object} provider - The provider the callback is for.
+ * @param {object} req - The Express request, with the raw body in `req.rawBody`.
+ * @returns {Promise<object>} - `{ webhookEvent }`, `{ duplicate: true }`, or `{ status, message }` if it is refused.
+ */
+export async function receiveWebhook(provider, req) {
+  const verification = await provider.verifyWebhook(req)
+  if (!verification.valid) {
+    return { status: 401, message: verification.message }
+  }
+
+  const event = await provider.parseWebhook(req)
+  if (!event?.eventId) {
+    return { status: 400, message: "Unrecognized webhook event" }
+  }
+
+  let webhookEvent
+  try {
+    webhookEvent = await WebhookEvent.create({
+      provider: provider.name,
+      eventId: event.eventId,
+      type: event.type,
+      transactionId: event.transactionId,
+      transactionType: event.transactionType,
+      paymentStatus: event.status,
+      occurredAt: event.occurredAt,
+      payload: redactCardData(req.body),
+      attempts: 1,
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    // Claim a redelivered event, so two deliveries never process it at once
+    webhookEvent = await WebhookEvent.findOneAndUpdate(
+      {
+        provider: provider.name,
+        eventId: event.eventId,
+        $or: [{ status: { $in: RETRIED_STATUSES } }, interrupted()],
+      },
+      { $set: { status: "processing" }, $inc: { attempts: 1 } },
+      { new: true },
+    )
+    if (!webhookEvent) return { duplicate: true }
+  }
+
+  return { webhookEvent: await processWebhookEvent(provider, webhookEvent) }
+}
+
+/**
+ * Processes a stored event again, e.g. once a missing payment was recorded
+ * or a bug fixed. The same rules apply, so an event that no longer changes
+ * anything is ignored.
+ *
+ * @param {object} webhookEvent - The WebhookEvent document.
+ * @param {object} actor - `{ user, role }` of the admin.
+ * @returns {Promise<object>} - `{ webhookEvent }`, or `{ status, message }`.
+ */
+export async function replayWebhookEvent(webhookEvent, actor) {
+  const provider = getPaymentProviderByName(webhookEvent.provider)
+  if (!provider) {
+    return { status: 409, message: `The ${webhookEvent.provider} provider is not available` }
+  }
+
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    { _id: webhookEvent._id, $or: [{ status: { $ne: "processing" } }, interrupted()] },
+    { $set: { status: "processing" }, $inc: { attempts: 1 } },
+    { new: true },
+  )
+  if (!claimed) {
+    return { status: 409, message: "This event is being processed" }
+  }
+
+  await processWebhookEvent(provider, claimed)
+  claimed.replays.push({ user: actor.user, at: new Date(), status: claimed.status })
+  await claimed.save()
+
+  return { webhookEvent: claimed }
+}
@@ -0,0 +1,103 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Order from "../models/order.model.js"
+import OrderEvent from "../models/orderEvent.model.js"
+import Product from "../models/product.model.js"
+import User from "../models/user.model.js"
+import { transitionOrder } from "../services/orderStatus.service.js"
+
+// No database: the model calls the status change makes are answered here,
+// against one order and the stock increments they send
+let order
+let restocked
+
+const paidOrder = (status) => {
+  const productId = new mongoose.Types.ObjectId()
+  const variantId = new mongoose.Types.ObjectId()
+
+  const doc = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-TEST",
+    status,
+    paymentMethod: "creditCard",
+    paidAt: new Date(),
+    totalAmount: 50,
+    amountPaid: 50,
+    items: [],
+    shippingAddress: {},
+    stockReservation: {
+      status: "committed",
+      items: [{ product: productId, variant: variantId, quantity: 2 }],
+    },
+  })
+  doc.save = async function () {
+    return this
+  }
+  return doc
+}
+
+beforeEach(() => {
+  restocked = []
+
+  Order.findOneAndUpdate = async (filter, update) => {
+    if (filter.status !== undefined) {
+      return filter.status === order.status ? order : null
+    }
+
+    // The reservation is released by the update that flips it
+    const wanted = filter["stockReservation.status"].$in
+    if (!wanted.includes(order.stockReservation.status)) return null
+    const before = order.toObject()
+    order.stockReservation.status = update.$set["stockReservation.status"]
+    return before
+  }
+  Product.updateOne = async (filter, update) => {
+    restocked.push({ variant: String(filter["variants._id"]), quantity: update.$inc["variants.$.stock"] })
+    return { modifiedCount: 1 }
+  }
+  OrderEvent.create = async (event) => event
+  User.findById = async () => null
+})
+
+test("refunding an unshipped paid order puts its stock back", async () => {
+  order = paidOrder("paid")
+
+  const result = await transitionOrder(order, "refunded")
+
+  assert.equal(result.message, undefined)
+  assert.equal(order.status, "refunded")
+  assert.equal(order.stockReservation.status, "released")
+  assert.equal(order.stockReservation.releaseReason, "refunded")
+  assert.deepEqual(restocked, [{ variant: String(order.stockReservation.items[0].variant), quantity: 2 }])
+})
+
+test("refunding an order being processed puts its stock back", async () => {
+  order = paidOrder("processing")
+
+  await transitionOrder(order, "refunded")
+
+  assert.equal(order.stockReservation.status, "released")
+  assert.equal(restocked.length, 1)
+})
+
+test("refunding a delivered order leaves the stock alone", async () => {
+  order = paidOrder("delivered")
+
+  await transitionOrder(order, "refunded")
+
+  assert.equal(order.status, "refunded")
+  assert.equal(order.stockReservation.status, "committed")
+  assert.deepEqual(restocked, [])
+})
+
+test("refunding a cancelled order does not put its stock back twice", async () => {
+  order = paidOrder("paid")
+  await transitionOrder(order, "cancelled")
+  assert.equal(restocked.length, 1)
+
+  await transitionOrder(order, "refunded")
+
+  assert.equal(order.status, "refunded")
+  assert.equal(restocked.length, 1)
+})
@@ -0,0 +1,100 @@
+// Card numbers (PAN) and security codes must never reach the API: cards are
+// tokenised by the payment provider in the browser or app, the API only
+// sees the token. These helpers find and scrub card data that was sent
+// anyway, so it is refused and never logged or echoed back.
+
+// Field names, lowercased without separators
+const CARD_NUMBER_FIELDS = ["cardnumber", "pan", "primaryaccountnumber", "ccnumber", "creditcardnumber"]
+const SECURITY_CODE_FIELDS = ["cvv", "cvv2", "cvc", "cvc2", "cid", "csc", "securitycode", "cardsecuritycode", "cardverificationvalue"]
+
+// Fields whose long digit strings are not cards, e.g. international phone numbers
+const NOT_CARD_FIELDS = /phone|msisdn/i
+
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const PAN_PATTERN = /(?<![\d])\d(?:[ -]?\d){12,18}(?![\d])/g
+
+const normalizeField = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, "")
+
+const passesLuhn = (digits) => {
+  let sum = 0
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+const panMatches = (text) =>
+  [...String(text).matchAll(PAN_PATTERN)].filter(([match]) => passesLuhn(match.replace(/\D/g, "")))
+
+/**
+ * Whether a string holds something that looks like a card number.
+ *
+ * @param {string} text - Any text.
+ * @returns {boolean}
+ */
+export function containsCardNumber(text) {
+  return panMatches(text).length > 0
+}
+
+/**
+ * Lists where a request body holds card data: card number or security code
+ * fields, or values that look like a card number.
+ *
+ * @param {*} value - A parsed request body, or any part of it.
+ * @param {string} [path] - Path of the value, for the messages.
+ * @returns {string[]} - Paths of the card data found, e.g. "paymentDetails.cvv".
+ */
+export function findCardData(value, path = "") {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findCardData(item, `${path}[${index}]`))
+  }
+
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, item]) => {
+      const itemPath = path ? `${path}.${key}` : key
+      const field = normalizeField(key)
+
+      if ([...CARD_NUMBER_FIELDS, ...SECURITY_CODE_FIELDS].includes(field) && item !== undefined && item !== "") {
+        return [itemPath]
+      }
+      if (NOT_CARD_FIELDS.test(key) && typeof item !== "object") return []
+
+      return findCardData(item, itemPath)
+    })
+  }
+
+  return (typeof value === "string" || typeof value === "number") && containsCardNumber(value) ? [path] : []
+}
+
+/**
+ * Copy of a value with card data masked: card numbers keep their last four
+ * digits, security codes are removed entirely.
+ *
+ * @param {*} value - A string, or an object or array to scrub deeply.
+ * @returns {*} - The scrubbed copy.
+ */
+export function redactCardData(value) {
+  if (typeof value === "string") {
+    return panMatches(value).reduce((text, [match]) => text.replace(match, `****${match.replace(/\D/g, "").slice(-4)}`), value)
+  }
+
+  if (Array.isArray(value)) return value.map(redactCardData)
+
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        const field = normalizeField(key)
+        if (SECURITY_CODE_FIELDS.includes(field)) return [key, "[REDACTED]"]
+        if (CARD_NUMBER_FIELDS.includes(field)) return [key, `****${String(item).replace(/\D/g, "").slice(-4)}`]
+        return [key, redactCardData(item)]
+      }),
+    )
+  }
+
+  return typeof value === "number" && containsCardNumber(value) ? redactCardData(String(value)) : value
+}
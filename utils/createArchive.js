@@ -0,0 +1,54 @@
+import zlib from "zlib"
+
+const BLOCK_SIZE = 512
+
+// Write an octal number into a tar header field, NUL terminated
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, "0") + "\0", offset, length, "ascii")
+}
+
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE)
+
+  header.write(name, 0, 100, "utf8")
+  writeOctal(header, 0o644, 100, 8) // mode
+  writeOctal(header, 0, 108, 8) // uid
+  writeOctal(header, 0, 116, 8) // gid
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12)
+  header.write("        ", 148, 8, "ascii") // checksum placeholder
+  header.write("0", 156, 1, "ascii") // regular file
+  header.write("ustar\0" + "00", 257, 8, "ascii")
+
+  let checksum = 0
+  for (const byte of header) checksum += byte
+  header.write(checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii")
+
+  return header
+}
+
+/**
+ * Create a gzipped tar archive in memory
+ * @param {Array<{name: string, content: string|Buffer}>} files - Files to put in the archive, names up to 100 bytes
+ * @returns {Buffer} The .tar.gz archive
+ */
+const createArchive = (files) => {
+  const mtime = new Date()
+  const blocks = []
+
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8")
+
+    blocks.push(tarHeader(name, data.length, mtime), data)
+
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE
+    if (padding > 0) blocks.push(Buffer.alloc(padding))
+  })
+
+  // End of archive marker: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2))
+
+  return zlib.gzipSync(Buffer.concat(blocks))
+}
+
+export default createArchive
@@ -0,0 +1,36 @@
+import crypto from "crypto"
+
+const ALGORITHM = "aes-256-gcm"
+
+// Derive a 32 byte key from the configured secret
+const getKey = () => {
+  const secret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error("DATA_ENCRYPTION_KEY (or JWT_SECRET) must be set to encrypt data")
+  }
+  return crypto.createHash("sha256").update(secret).digest()
+}
+
+/**
+ * Encrypt a string for storage in the database
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} "iv:authTag:cipherText", hex encoded
+ */
+export const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("hex")).join(":")
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - "iv:authTag:cipherText", hex encoded
+ * @returns {string} Decrypted value
+ */
+export const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(":").map((part) => Buffer.from(part, "hex"))
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv)
+  decipher.setAuthTag(authTag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+}
@@ -1,3 +1,5 @@
+import { redactCardData } from "./cardData.js"
+
 /**
  * Custom error handler
  * @param {Error} err - Error object
@@ -6,14 +8,16 @@
  * @param {Function} next - Express next function
  */
 const errorHandler = (err, req, res, next) => {
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode
-  
+    const statusCode = err.status || err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode)
+
+    // Errors may quote the request, e.g. a body that failed to parse
+    console.error(redactCardData(err.stack || String(err)))
+
     res.status(statusCode).json({
-      message: err.message,
-      stack: process.env.NODE_ENV === "production" ? null : err.stack,
+      message: redactCardData(err.message),
+      stack: process.env.NODE_ENV === "production" ? null : redactCardData(err.stack),
     })
   }
-  
+
   export default errorHandler
-  
-  
\ No newline at end of file
+
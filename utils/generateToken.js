@@ -1,15 +1,15 @@
 import jwt from "jsonwebtoken"
 
 /**
- * Generate JWT token
+ * Generate a short-lived JWT access token
  * @param {string} id - User ID
+ * @param {string} sessionId - ID of the session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
   })
 }
 
 export default generateToken
-
@@ -0,0 +1,12 @@
+import crypto from "crypto"
+
+/**
+ * Hash an opaque token so only its digest is stored in the database
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+export default hashToken
@@ -0,0 +1,38 @@
+// Country calling code of national numbers, Rwanda by default
+const defaultCountryCode = () => String(process.env.MOMO_COUNTRY_CODE || "250").replace(/\D/g, "")
+
+// National numbers without their trunk 0 are at most this long
+const MAX_NATIONAL_LENGTH = 9
+
+/**
+ * Normalises a phone number to an MSISDN: the international number in
+ * digits only, without "+" or "00", as Mobile Money APIs take it. Spaces,
+ * dashes, dots and brackets are dropped; a national number (leading 0, or
+ * too short to hold a country code) gets the country code.
+ *
+ * @param {string|number} phoneNumber - The number as typed, e.g. "+250 788 123 456" or "0788123456".
+ * @param {string} [countryCode] - Calling code of national numbers, MOMO_COUNTRY_CODE (default "250") by default.
+ * @returns {string|null} - The MSISDN, e.g. "250788123456", or null if it is not a phone number.
+ */
+export function normalizeMsisdn(phoneNumber, countryCode = defaultCountryCode()) {
+  if (typeof phoneNumber !== "string" && typeof phoneNumber !== "number") return null
+
+  const compact = String(phoneNumber).trim().replace(/[\s\-.()]/g, "")
+  if (!/^\+?\d+$/.test(compact)) return null
+
+  let msisdn
+  if (compact.startsWith("+")) {
+    msisdn = compact.slice(1)
+  } else if (compact.startsWith("00")) {
+    msisdn = compact.slice(2)
+  } else if (compact.startsWith("0")) {
+    msisdn = `${countryCode}${compact.slice(1)}`
+  } else if (compact.length <= MAX_NATIONAL_LENGTH) {
+    msisdn = `${countryCode}${compact}`
+  } else {
+    msisdn = compact
+  }
+
+  // E.164 numbers have at most 15 digits and never start with 0
+  return /^[1-9]\d{7,14}$/.test(msisdn) ? msisdn : null
+}
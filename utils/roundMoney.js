@@ -0,0 +1,10 @@
+/**
+ * Round an amount of money to cents
+ * @param {number} amount - Amount
+ * @returns {number} The rounded amount
+ */
+const roundMoney = (amount) => {
+  return Math.round((amount + Number.EPSILON) * 100) / 100
+}
+
+export default roundMoney
@@ -0,0 +1,58 @@
+import crypto from "crypto"
+
+// How old a signed webhook may be, against replays of captured requests
+export const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300
+
+const hmac = (secret, timestamp, payload) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex")
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+
+/**
+ * Signs a webhook payload as `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload">`,
+ * the format Stripe uses.
+ *
+ * @param {string|Buffer} payload - The raw body.
+ * @param {string} secret - The shared secret.
+ * @param {number} [timestamp] - Unix seconds, now by default.
+ * @returns {string} - The signature header.
+ */
+export function signWebhook(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, payload)}`
+}
+
+/**
+ * Checks a `t=...,v1=...` signature header against the raw body. Several v1
+ * signatures may be sent while a secret is rotated; one matching is enough.
+ *
+ * @param {string} header - The signature header.
+ * @param {string|Buffer} payload - The raw body.
+ * @param {string} secret - The shared secret.
+ * @param {number} [tolerance] - Seconds a signature stays valid.
+ * @returns {object} - `{ valid, message? }`.
+ */
+export function verifyWebhookSignature(header, payload, secret, tolerance = WEBHOOK_TOLERANCE_SECONDS) {
+  if (!secret) return { valid: false, message: "No webhook secret is configured for this provider" }
+  if (!header || payload === undefined) return { valid: false, message: "Missing webhook signature" }
+
+  const parts = String(header)
+    .split(",")
+    .map((part) => part.trim().split("="))
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1])
+  const signatures = parts.filter(([key]) => key === "v1").map(([, value]) => value || "")
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return { valid: false, message: "Malformed webhook signature" }
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+    return { valid: false, message: "Webhook signature timestamp is outside the tolerance" }
+  }
+
+  const expected = hmac(secret, timestamp, payload)
+  if (!signatures.some((signature) => safeEqual(signature, expected))) {
+    return { valid: false, message: "Invalid webhook signature" }
+  }
+
+  return { valid: true }
+}